@@ -0,0 +1,232 @@
+/**
+ * File-backed store for the sync server
+ * Each collection is one JSON array in <dataDir>/collections/<key>.json and
+ * all metadata lives in <dataDir>/meta.json. Files are written to a temporary
+ * name and renamed, so a crash never leaves half a file behind, and writes to
+ * the same file are queued so concurrent requests don't overwrite each other.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// Only the app's own keys can become file names
+const KEY_PATTERN = /^yogasession_[a-z_]+$/;
+const META_FILE = 'meta.json';
+
+/**
+ * Error with an HTTP status for the request handler
+ */
+class StoreError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Error message
+   * @param {Object} [details] - Extra response fields
+   */
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'StoreError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Get the revision of a record
+ * @param {Object} record - Record
+ * @returns {number} Revision, 0 if the record has none
+ */
+function getRevision(record) {
+  return Number.isInteger(record?.revision) ? record.revision : 0;
+}
+
+/**
+ * Check whether a stored entry is the record with an ID
+ * Entries that are not objects are never matched, so a bad value on disk
+ * doesn't break requests for the rest of the collection.
+ * @param {*} entry - Stored entry
+ * @param {string|number} id - Record ID; '5' and 5 are the same ID
+ * @returns {boolean} True if the entry has that ID
+ */
+function hasId(entry, id) {
+  return Boolean(entry) && typeof entry === 'object' && String(entry.id) === String(id);
+}
+
+/**
+ * Create a store rooted at a data directory
+ * @param {string} dataDir - Directory for the JSON files
+ * @returns {Object} Store API
+ */
+function createFileStore(dataDir) {
+  const collectionsDir = path.join(dataDir, 'collections');
+  const writeQueues = new Map();
+
+  /**
+   * Run file updates one after another per file
+   * @param {string} file - File path
+   * @param {Function} task - () => Promise
+   * @returns {Promise} Result of the task
+   */
+  function queueWrite(file, task) {
+    const previous = writeQueues.get(file) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    writeQueues.set(file, next);
+    return next;
+  }
+
+  /**
+   * Read a JSON file
+   * @param {string} file - File path
+   * @returns {Promise<*>} Parsed value, or null if the file doesn't exist
+   */
+  async function readJson(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write a JSON file atomically
+   * @param {string} file - File path
+   * @param {*} value - Value to write
+   */
+  async function writeJson(file, value) {
+    const temporary = `${file}.${process.pid}.tmp`;
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(temporary, JSON.stringify(value));
+    await fs.rename(temporary, file);
+  }
+
+  /**
+   * Get the file of a collection
+   * @param {string} key - Storage key
+   * @returns {string} File path
+   */
+  function collectionFile(key) {
+    if (!KEY_PATTERN.test(key)) {
+      throw new StoreError(400, `Invalid storage key "${key}"`);
+    }
+    return path.join(collectionsDir, `${key}.json`);
+  }
+
+  /**
+   * Read-modify-write a collection
+   * @param {string} key - Storage key
+   * @param {Function} change - (records) => { records, result }
+   * @returns {Promise} The change's result
+   */
+  function updateCollection(key, change) {
+    const file = collectionFile(key);
+    return queueWrite(file, async () => {
+      const { records, result } = change((await readJson(file)) || []);
+      await writeJson(file, records);
+      return result;
+    });
+  }
+
+  return {
+    /**
+     * @param {string} key - Storage key
+     * @returns {Promise<Array|null>} Records, or null if never written
+     */
+    async read(key) {
+      return readJson(collectionFile(key));
+    },
+
+    /**
+     * Replace a collection; with expected revisions, a stored record that is
+     * newer than the writer last saw causes a 409 error with the stored records
+     * @param {string} key - Storage key
+     * @param {Array} records - Records replacing the collection
+     * @param {Object} [expectedRevisions] - Revision per record ID the writer's copy was based on
+     */
+    async write(key, records, expectedRevisions) {
+      await updateCollection(key, stored => {
+        const isStale = expectedRevisions && stored.some(record =>
+          Boolean(record) && typeof record === 'object' &&
+          Object.hasOwn(expectedRevisions, record.id) && getRevision(record) > expectedRevisions[record.id]
+        );
+        if (isStale) {
+          throw new StoreError(409, 'The collection was changed on the server', { records: stored });
+        }
+        return { records };
+      });
+    },
+
+    /**
+     * Insert or replace one record; a record with a revision must be newer
+     * than the stored one, otherwise a 409 error carries the stored record
+     * @param {string} key - Storage key
+     * @param {Object} record - Record with an id
+     */
+    async put(key, record) {
+      await updateCollection(key, records => {
+        const index = records.findIndex(r => hasId(r, record.id));
+        if (index === -1) {
+          return { records: [...records, record] };
+        }
+
+        const stored = records[index];
+        if (Number.isInteger(record.revision) && getRevision(stored) >= record.revision) {
+          throw new StoreError(409, 'The record was changed on the server', { record: stored });
+        }
+
+        const updated = [...records];
+        updated[index] = record;
+        return { records: updated };
+      });
+    },
+
+    /**
+     * @param {string} key - Storage key
+     * @param {string} id - Record ID
+     * @returns {Promise<boolean>} True if the record existed
+     */
+    async remove(key, id) {
+      return updateCollection(key, records => {
+        const kept = records.filter(r => !hasId(r, id));
+        return { records: kept, result: kept.length < records.length };
+      });
+    },
+
+    /**
+     * @param {string} key - Storage key
+     */
+    async clear(key) {
+      const file = collectionFile(key);
+      await queueWrite(file, () => fs.rm(file, { force: true }));
+    },
+
+    /**
+     * @param {string} name - Metadata name
+     * @returns {Promise<*>} Value or null
+     */
+    async readMeta(name) {
+      const meta = (await readJson(path.join(dataDir, META_FILE))) || {};
+      return meta[name] ?? null;
+    },
+
+    /**
+     * @param {string} name - Metadata name
+     * @param {*} value - Value; undefined removes the entry
+     */
+    async writeMeta(name, value) {
+      const file = path.join(dataDir, META_FILE);
+      await queueWrite(file, async () => {
+        const meta = (await readJson(file)) || {};
+        if (value === undefined) {
+          delete meta[name];
+        } else {
+          meta[name] = value;
+        }
+        await writeJson(file, meta);
+      });
+    }
+  };
+}
+
+module.exports = { createFileStore, StoreError };
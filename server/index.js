@@ -0,0 +1,218 @@
+/**
+ * Reference sync server
+ * A small REST server the app's REST adapter (src/lib/restAdapter.js) talks
+ * to. It keeps every collection as a JSON file on disk and has no
+ * dependencies beyond Node itself, so it can run on any studio machine:
+ *
+ *   npm run sync-server
+ *
+ * Environment variables:
+ *   PORT            - Port to listen on (default 4000)
+ *   DATA_DIR        - Directory for the JSON files (default server/data)
+ *   ALLOWED_ORIGIN  - Value of Access-Control-Allow-Origin (default *)
+ *
+ * Routes (all JSON):
+ *   GET    /api/health
+ *   GET    /api/collections/:key              -> { records }  (null if never written)
+ *   PUT    /api/collections/:key              <- { records, expectedRevisions? }  (409 + { records } if stale)
+ *   DELETE /api/collections/:key
+ *   PUT    /api/collections/:key/records/:id  <- record       (409 + { record } if stale)
+ *   DELETE /api/collections/:key/records/:id  -> { removed }
+ *   GET    /api/meta/:name                    -> { value }
+ *   PUT    /api/meta/:name                    <- { value }
+ *   DELETE /api/meta/:name
+ */
+
+const http = require('http');
+const path = require('path');
+const { createFileStore, StoreError } = require('./fileStore');
+
+const PORT = Number(process.env.PORT) || 4000;
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || '*';
+// Large enough for a library with many cards; guards against runaway uploads
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+
+const store = createFileStore(DATA_DIR);
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {*} [body] - Response body; omitted for 204
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': ALLOWED_ORIGIN,
+    'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<*>} Parsed body
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new StoreError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        reject(new StoreError(400, 'Request body must be JSON'));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Read a JSON request body that must be an object
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body
+ */
+async function readObjectBody(req) {
+  const body = await readBody(req);
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new StoreError(400, 'Request body must be a JSON object');
+  }
+  return body;
+}
+
+/**
+ * Check that a value is a record the store can match by ID
+ * @param {*} value - Value from a request body
+ * @returns {boolean} True for a plain object with a string or number id
+ */
+function isRecord(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+    (typeof value.id === 'string' || typeof value.id === 'number');
+}
+
+/**
+ * Split a request path into its decoded segments
+ * @param {string} pathname - URL path
+ * @returns {Array<string>} Segments
+ */
+function getPathParts(pathname) {
+  try {
+    return pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch (error) {
+    throw new StoreError(400, 'Malformed URL');
+  }
+}
+
+/**
+ * Handle one API request
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Array>} [status, body]
+ */
+async function route(req) {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const parts = getPathParts(pathname);
+  const [api, resource, name, sub, id] = parts;
+
+  if (api !== 'api') {
+    throw new StoreError(404, 'Not found');
+  }
+
+  if (resource === 'health' && req.method === 'GET') {
+    return [200, { ok: true }];
+  }
+
+  if (resource === 'collections' && name && !sub) {
+    switch (req.method) {
+      case 'GET':
+        return [200, { records: await store.read(name) }];
+      case 'PUT': {
+        const { records, expectedRevisions } = await readObjectBody(req);
+        if (!Array.isArray(records) || !records.every(isRecord)) {
+          throw new StoreError(400, 'records must be an array of objects with a string or number id');
+        }
+        if (expectedRevisions !== undefined && (!expectedRevisions || typeof expectedRevisions !== 'object' || Array.isArray(expectedRevisions))) {
+          throw new StoreError(400, 'expectedRevisions must be an object');
+        }
+        await store.write(name, records, expectedRevisions);
+        return [204];
+      }
+      case 'DELETE':
+        await store.clear(name);
+        return [204];
+    }
+  }
+
+  if (resource === 'collections' && name && sub === 'records' && id && parts.length === 5) {
+    switch (req.method) {
+      case 'PUT': {
+        const record = await readObjectBody(req);
+        if (!isRecord(record)) {
+          throw new StoreError(400, 'Record id must be a string or number');
+        }
+        if (String(record.id) !== id) {
+          throw new StoreError(400, 'Record id must match the URL');
+        }
+        await store.put(name, record);
+        return [204];
+      }
+      case 'DELETE':
+        return [200, { removed: await store.remove(name, id) }];
+    }
+  }
+
+  if (resource === 'meta' && name && !sub) {
+    switch (req.method) {
+      case 'GET':
+        return [200, { value: await store.readMeta(name) }];
+      case 'PUT': {
+        const { value } = await readObjectBody(req);
+        await store.writeMeta(name, value ?? null);
+        return [204];
+      }
+      case 'DELETE':
+        await store.writeMeta(name, undefined);
+        return [204];
+    }
+  }
+
+  throw new StoreError(404, 'Not found');
+}
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') {
+    sendJson(res, 204);
+    return;
+  }
+
+  try {
+    const [status, body] = await route(req);
+    sendJson(res, status, body);
+  } catch (error) {
+    if (error.name === 'StoreError') {
+      sendJson(res, error.status, { error: error.message, ...error.details });
+    } else {
+      console.error(`${req.method} ${req.url} failed:`, error);
+      sendJson(res, 500, { error: 'Internal server error' });
+    }
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Yoga Session sync server listening on http://localhost:${PORT} (data in ${DATA_DIR})`);
+});
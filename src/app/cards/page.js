@@ -3,46 +3,66 @@
 import { useState, useEffect, useCallback, useMemo } from 'react';
 import Link from 'next/link';
 import CardModal, { CARD_TYPES, CARD_TYPE_CONFIG } from '../components/CardModal';
-import { getExercises, createExercise, updateExercise, deleteExercise, initializeDefaultExercises } from '../../lib/exerciseStorage';
-import { getStories, createStory, updateStory, deleteStory } from '../../lib/storyStorage';
-import { getPracticals, createPractical, updatePractical, deletePractical } from '../../lib/practicalStorage';
-
-// Field mappings for normalizing cards to common format
-const FIELD_MAPPINGS = {
-  [CARD_TYPES.EXERCISE]: {
-    textField: 'description',
-    timeField: 'duration_minutes',
-    categoryField: 'category'
-  },
-  [CARD_TYPES.STORY]: {
-    textField: 'text',
-    timeField: 'time',
-    categoryField: 'mood'
-  },
-  [CARD_TYPES.PRACTICAL]: {
-    textField: 'instruction',
-    timeField: 'time',
-    categoryField: null
-  }
+import DeleteCardDialog from '../components/DeleteCardDialog';
+import {
+  getExercises,
+  createExercise,
+  updateExercise,
+  getExerciseHistory,
+  restoreExerciseRevision
+} from '../../lib/exerciseStorage';
+import { getStories, createStory, updateStory, getStoryHistory, restoreStoryRevision } from '../../lib/storyStorage';
+import {
+  getPracticals,
+  createPractical,
+  updatePractical,
+  getPracticalHistory,
+  restorePracticalRevision
+} from '../../lib/practicalStorage';
+import { SORT_FIELDS, TAG_MATCH, getCardTags, normalizeCards, queryCards } from '../../lib/cardQuery';
+import { notify } from '../../lib/notifications';
+import { ensureSeedData, getCustomizedDefaults, restoreSeedDefault } from '../../lib/seedData';
+import { STORAGE_KEYS } from '../../lib/storageKeys';
+import { getRevision } from '../../lib/storageSync';
+import { getTagRegistry } from '../../lib/tagRegistry';
+import { TAXONOMIES } from '../../lib/taxonomy';
+import { useStorageSync } from '../../lib/useStorageSync';
+import { useTaxonomies } from '../../lib/useTaxonomies';
+
+// Cards shown per page
+const PAGE_SIZE = 24;
+
+// Sort choices of the card list
+const SORT_OPTIONS = [
+  { value: '', label: 'Default order' },
+  { value: 'title', label: 'Title A–Z', sortBy: SORT_FIELDS.TITLE },
+  { value: 'duration', label: 'Shortest first', sortBy: SORT_FIELDS.DURATION },
+  { value: 'duration-desc', label: 'Longest first', sortBy: SORT_FIELDS.DURATION, sortDirection: 'desc' },
+  { value: 'type', label: 'Card type', sortBy: SORT_FIELDS.TYPE },
+  { value: 'created-desc', label: 'Newest first', sortBy: SORT_FIELDS.CREATED, sortDirection: 'desc' }
+];
+
+// Revision history functions per card type
+const CARD_HISTORY = {
+  [CARD_TYPES.EXERCISE]: { getHistory: getExerciseHistory, restore: restoreExerciseRevision },
+  [CARD_TYPES.STORY]: { getHistory: getStoryHistory, restore: restoreStoryRevision },
+  [CARD_TYPES.PRACTICAL]: { getHistory: getPracticalHistory, restore: restorePracticalRevision }
 };
 
-// Normalize cards to a common format for display
-function normalizeCard(item, type) {
-  const mapping = FIELD_MAPPINGS[type];
-  return {
-    id: item.id,
-    title: item.title,
-    text: item[mapping.textField] || '',
-    tags: item.tags || [],
-    time: item[mapping.timeField] || 0,
-    type: type,
-    category: mapping.categoryField ? item[mapping.categoryField] : null,
-    originalItem: item
-  };
+// Storage keys per card type, for restoring bundled defaults
+const CARD_STORAGE_KEYS = {
+  [CARD_TYPES.EXERCISE]: STORAGE_KEYS.EXERCISES,
+  [CARD_TYPES.STORY]: STORAGE_KEYS.STORIES,
+  [CARD_TYPES.PRACTICAL]: STORAGE_KEYS.PRACTICALS
+};
+
+// Load the earlier versions of a card
+function getCardHistory(cardType, id) {
+  return CARD_HISTORY[cardType].getHistory(id);
 }
 
 // Multi-select filter dropdown component
-function TagFilter({ allTags, selectedTags, onTagsChange }) {
+function TagFilter({ allTags, selectedTags, onTagsChange, tagMatch, onTagMatchChange }) {
   const [isOpen, setIsOpen] = useState(false);
 
   const handleTagToggle = (tag) => {
@@ -81,6 +101,22 @@ function TagFilter({ allTags, selectedTags, onTagsChange }) {
               ✕ Clear all filters
             </button>
           )}
+          {selectedTags.length > 1 && (
+            <div className="tag-filter-match">
+              <span>Match</span>
+              {[TAG_MATCH.ANY, TAG_MATCH.ALL].map(match => (
+                <button
+                  key={match}
+                  type="button"
+                  className={tagMatch === match ? 'active' : ''}
+                  onClick={() => onTagMatchChange(match)}
+                  aria-pressed={tagMatch === match}
+                >
+                  {match === TAG_MATCH.ANY ? 'any tag' : 'all tags'}
+                </button>
+              ))}
+            </div>
+          )}
           {allTags.length === 0 ? (
             <p className="tag-filter-empty">No tags available</p>
           ) : (
@@ -133,7 +169,7 @@ function TypeFilter({ selectedTypes, onTypesChange }) {
 }
 
 // Unified card component with edit/delete actions
-function UnifiedCard({ card, onEdit, onDelete }) {
+function UnifiedCard({ card, onEdit, onDelete, onRestoreDefault }) {
   const { icon, label, color } = CARD_TYPE_CONFIG[card.type];
   
   return (
@@ -169,6 +205,11 @@ function UnifiedCard({ card, onEdit, onDelete }) {
         <button className="btn btn-edit" onClick={() => onEdit(card)}>
           ✏️ Edit
         </button>
+        {onRestoreDefault && (
+          <button className="btn btn-secondary" onClick={() => onRestoreDefault(card)}>
+            ↺ Restore Default
+          </button>
+        )}
         <button className="btn btn-delete" onClick={() => onDelete(card)}>
           🗑️ Delete
         </button>
@@ -186,88 +227,95 @@ export default function CardsPage() {
   const [selectedTypes, setSelectedTypes] = useState([CARD_TYPES.EXERCISE, CARD_TYPES.STORY, CARD_TYPES.PRACTICAL]);
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [editingCard, setEditingCard] = useState(null);
+  const [deletingCard, setDeletingCard] = useState(null);
+  const [customizedIds, setCustomizedIds] = useState(new Set());
+  const [tagMatch, setTagMatch] = useState(TAG_MATCH.ANY);
+  const [sortOption, setSortOption] = useState('');
+  const [page, setPage] = useState(1);
+  const [tagOptions, setTagOptions] = useState([]);
+  const [selectedCategory, setSelectedCategory] = useState('');
+  const taxonomies = useTaxonomies();
 
   const loadData = useCallback(async () => {
-    // Initialize default exercises if needed
-    await initializeDefaultExercises();
+    // Merge new default cards if needed
+    await ensureSeedData();
     
-    setExercises(getExercises());
-    setStories(getStories());
-    setPracticals(getPracticals());
+    const [storedExercises, storedStories, storedPracticals] = await Promise.all([
+      getExercises(),
+      getStories(),
+      getPracticals()
+    ]);
+    setExercises(storedExercises);
+    setStories(storedStories);
+    setPracticals(storedPracticals);
+
+    const [customizedExercises, customizedStories] = await Promise.all([
+      getCustomizedDefaults(STORAGE_KEYS.EXERCISES, storedExercises),
+      getCustomizedDefaults(STORAGE_KEYS.STORIES, storedStories)
+    ]);
+    setCustomizedIds(new Set([...customizedExercises, ...customizedStories]));
+
+    // Suggested in the card editor's tag field
+    const registry = await getTagRegistry();
+    setTagOptions(registry.map(entry => entry.name));
   }, []);
 
   useEffect(() => {
     loadData();
   }, [loadData]);
 
+  // Reload when another tab changes the data
+  useStorageSync(loadData);
+
   // Normalize all cards to a common format
-  const allCards = useMemo(() => {
-    const normalizedExercises = exercises.map(e => normalizeCard(e, CARD_TYPES.EXERCISE));
-    const normalizedStories = stories.map(s => normalizeCard(s, CARD_TYPES.STORY));
-    const normalizedPracticals = practicals.map(p => normalizeCard(p, CARD_TYPES.PRACTICAL));
-    return [...normalizedExercises, ...normalizedStories, ...normalizedPracticals];
-  }, [exercises, stories, practicals]);
+  const allCards = useMemo(() => normalizeCards({ exercises, stories, practicals }), [exercises, stories, practicals]);
 
   // Get all unique tags
-  const allTags = useMemo(() => {
-    const tags = new Set();
-    allCards.forEach(card => {
-      card.tags.forEach(tag => tags.add(tag));
-    });
-    return Array.from(tags).sort();
-  }, [allCards]);
-
-  // Filter cards based on search query, selected tags, and selected types
-  const filteredCards = useMemo(() => {
-    return allCards.filter(card => {
-      // Filter by type
-      if (!selectedTypes.includes(card.type)) {
-        return false;
-      }
-      
-      // Filter by search query
-      if (searchQuery) {
-        const query = searchQuery.toLowerCase();
-        const matchesTitle = card.title.toLowerCase().includes(query);
-        const matchesText = card.text?.toLowerCase().includes(query);
-        if (!matchesTitle && !matchesText) {
-          return false;
-        }
-      }
-      
-      // Filter by tags
-      if (selectedTags.length > 0) {
-        const hasSelectedTag = selectedTags.some(tag => card.tags.includes(tag));
-        if (!hasSelectedTag) {
-          return false;
-        }
-      }
-      
-      return true;
+  const allTags = useMemo(() => getCardTags(allCards), [allCards]);
+
+  // Filter, sort and page the cards
+  const result = useMemo(() => {
+    const { sortBy, sortDirection } = SORT_OPTIONS.find(option => option.value === sortOption);
+    return queryCards(allCards, {
+      types: selectedTypes,
+      tags: selectedTags,
+      tagMatch,
+      text: searchQuery,
+      category: selectedCategory,
+      sortBy,
+      sortDirection,
+      page,
+      pageSize: PAGE_SIZE
     });
-  }, [allCards, searchQuery, selectedTags, selectedTypes]);
+  }, [allCards, selectedTypes, selectedTags, tagMatch, searchQuery, selectedCategory, sortOption, page]);
+
+  // Start at the first page whenever the filters change
+  useEffect(() => {
+    setPage(1);
+  }, [selectedTypes, selectedTags, tagMatch, searchQuery, selectedCategory, sortOption]);
 
   // Handle card creation/update
-  const handleSubmit = (cardType, data, editId) => {
+  const handleSubmit = async (cardType, data, editId) => {
+    const options = { expectedRevision: getRevision(editingCard?.originalItem) };
     let result;
     
     if (cardType === CARD_TYPES.EXERCISE) {
       if (editId) {
-        result = updateExercise(editId, data);
+        result = await updateExercise(editId, data, options);
       } else {
-        result = createExercise(data);
+        result = await createExercise(data);
       }
     } else if (cardType === CARD_TYPES.STORY) {
       if (editId) {
-        result = updateStory(editId, data);
+        result = await updateStory(editId, data, options);
       } else {
-        result = createStory(data);
+        result = await createStory(data);
       }
     } else {
       if (editId) {
-        result = updatePractical(editId, data);
+        result = await updatePractical(editId, data, options);
       } else {
-        result = createPractical(data);
+        result = await createPractical(data);
       }
     }
 
@@ -279,21 +327,47 @@ export default function CardsPage() {
     return result;
   };
 
-  // Handle card deletion
-  const handleDelete = (card) => {
-    const typeLabel = CARD_TYPE_CONFIG[card.type].label;
-    if (window.confirm(`Are you sure you want to delete this ${typeLabel}?`)) {
-      if (card.type === CARD_TYPES.EXERCISE) {
-        deleteExercise(card.id);
-      } else if (card.type === CARD_TYPES.STORY) {
-        deleteStory(card.id);
-      } else {
-        deletePractical(card.id);
-      }
+  // Restore an earlier version of the card being edited
+  const handleRestoreRevision = async (cardType, entry, id) => {
+    const result = await CARD_HISTORY[cardType].restore(id, entry.id, {
+      expectedRevision: getRevision(editingCard?.originalItem)
+    });
+
+    if (result.success) {
+      loadData();
+      setEditingCard(null);
+    }
+
+    return result;
+  };
+
+  // Reset an edited default card to its bundled version
+  const handleRestoreDefault = async (card) => {
+    if (!window.confirm(`Reset "${card.title}" to its default version? Your version is kept in the version history.`)) {
+      return;
+    }
+
+    const result = await restoreSeedDefault(CARD_STORAGE_KEYS[card.type], card.id, {
+      expectedRevision: getRevision(card.originalItem)
+    });
+
+    if (result.success) {
       loadData();
+    } else {
+      notify({ level: 'error', title: 'Could not restore the default', message: result.errors.join(' ') });
     }
   };
 
+  // Handle card deletion (the dialog checks where the card is used)
+  const handleDelete = (card) => {
+    setDeletingCard(card);
+  };
+
+  const handleDeleted = () => {
+    setDeletingCard(null);
+    loadData();
+  };
+
   // Handle edit
   const handleEdit = (card) => {
     setEditingCard(card);
@@ -354,7 +428,37 @@ export default function CardsPage() {
               allTags={allTags}
               selectedTags={selectedTags}
               onTagsChange={setSelectedTags}
+              tagMatch={tagMatch}
+              onTagMatchChange={setTagMatch}
             />
+            <select
+              className="card-sort-select"
+              value={selectedCategory}
+              onChange={(e) => setSelectedCategory(e.target.value)}
+              aria-label="Filter by category or mood"
+            >
+              <option value="">All categories &amp; moods</option>
+              <optgroup label="Exercise categories">
+                {taxonomies[TAXONOMIES.EXERCISE_CATEGORIES].map(value => (
+                  <option key={value.name} value={value.name}>{value.name}</option>
+                ))}
+              </optgroup>
+              <optgroup label="Story moods">
+                {taxonomies[TAXONOMIES.STORY_MOODS].map(value => (
+                  <option key={value.name} value={value.name}>{value.name}</option>
+                ))}
+              </optgroup>
+            </select>
+            <select
+              className="card-sort-select"
+              value={sortOption}
+              onChange={(e) => setSortOption(e.target.value)}
+              aria-label="Sort cards"
+            >
+              {SORT_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
           </div>
           
           <div className="storybook-actions">
@@ -369,7 +473,7 @@ export default function CardsPage() {
 
         {/* Results summary */}
         <div className="storybook-summary">
-          <span>{filteredCards.length} of {allCards.length} cards</span>
+          <span>{result.total} of {allCards.length} cards</span>
           {selectedTags.length > 0 && (
             <div className="active-filters">
               {selectedTags.map(tag => (
@@ -389,7 +493,7 @@ export default function CardsPage() {
         </div>
 
         {/* Cards Grid */}
-        {filteredCards.length === 0 ? (
+        {result.total === 0 ? (
           <div className="empty-state">
             <p>No cards found.</p>
             {allCards.length === 0 ? (
@@ -400,17 +504,38 @@ export default function CardsPage() {
           </div>
         ) : (
           <div className="unified-cards-grid">
-            {filteredCards.map(card => (
+            {result.cards.map(card => (
               <UnifiedCard
                 key={`${card.type}-${card.id}`}
                 card={card}
                 onEdit={handleEdit}
                 onDelete={handleDelete}
+                onRestoreDefault={customizedIds.has(card.id) ? handleRestoreDefault : null}
               />
             ))}
           </div>
         )}
 
+        {result.pageCount > 1 && (
+          <div className="pagination">
+            <button
+              className="btn btn-secondary"
+              onClick={() => setPage(result.page - 1)}
+              disabled={result.page === 1}
+            >
+              ← Previous
+            </button>
+            <span>Page {result.page} of {result.pageCount}</span>
+            <button
+              className="btn btn-secondary"
+              onClick={() => setPage(result.page + 1)}
+              disabled={result.page === result.pageCount}
+            >
+              Next →
+            </button>
+          </div>
+        )}
+
         <div className="back-link">
           <Link href="/">← Back to Home</Link>
         </div>
@@ -422,6 +547,18 @@ export default function CardsPage() {
         onClose={handleCloseModal}
         onSubmit={handleSubmit}
         editCard={editingCard}
+        getHistory={getCardHistory}
+        onRestoreRevision={handleRestoreRevision}
+        tagOptions={tagOptions}
+      />
+
+      {/* Card Deletion Dialog */}
+      <DeleteCardDialog
+        card={deletingCard}
+        cardType={deletingCard?.type}
+        replacementCandidates={deletingCard ? allCards.filter(card => card.type === deletingCard.type) : []}
+        onClose={() => setDeletingCard(null)}
+        onDeleted={handleDeleted}
       />
     </main>
   );
@@ -0,0 +1,129 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { CUES, getAudioCueSettings, playCue, unlockAudio } from '../../lib/audioCues';
+import { DEFAULT_SETTINGS, SETTINGS_SYNC_KEY, getSettings, updateSettings } from '../../lib/settingsStorage';
+import { useStorageSync } from '../../lib/useStorageSync';
+
+const CARD_TYPE_LABELS = {
+  exercise: { icon: '💪', label: 'Exercises' },
+  story: { icon: '📖', label: 'Stories' },
+  practical: { icon: '🔔', label: 'Practicals' }
+};
+
+/**
+ * Volume, mute and warning time of the Home player's sounds (see audioCues.js)
+ * Changes are saved right away.
+ */
+export default function AudioCueSettings() {
+  const [audioCues, setAudioCues] = useState(() => getAudioCueSettings(DEFAULT_SETTINGS));
+  const [errors, setErrors] = useState([]);
+
+  const load = useCallback(async () => {
+    setAudioCues(getAudioCueSettings(await getSettings()));
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  useStorageSync(load, [SETTINGS_SYNC_KEY]);
+
+  const save = async (changes) => {
+    const next = { ...audioCues, ...changes };
+    setAudioCues(next);
+    const result = await updateSettings({ audioCues: next });
+    setErrors(result.success ? [] : result.errors);
+  };
+
+  const saveCardType = (type, changes) => {
+    save({ cardTypes: { ...audioCues.cardTypes, [type]: { ...audioCues.cardTypes[type], ...changes } } });
+  };
+
+  const handleTest = (cue, volume) => {
+    unlockAudio();
+    playCue(cue, volume);
+  };
+
+  return (
+    <div className="audio-cue-settings">
+      {errors.length > 0 && (
+        <div className="form-errors">
+          {errors.map((error, idx) => (
+            <p key={idx} className="error-message">{error}</p>
+          ))}
+        </div>
+      )}
+
+      <table className="audio-cue-table">
+        <thead>
+          <tr>
+            <th>Card type</th>
+            <th>Volume</th>
+            <th>Mute</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(audioCues.cardTypes).map(([type, cue]) => {
+            const config = CARD_TYPE_LABELS[type] || { icon: '', label: type };
+            return (
+              <tr key={type}>
+                <td>{config.icon} {config.label}</td>
+                <td>
+                  <input
+                    type="range"
+                    min={0}
+                    max={1}
+                    step={0.05}
+                    value={cue.volume}
+                    onChange={(e) => saveCardType(type, { volume: Number(e.target.value) })}
+                    disabled={cue.muted}
+                    aria-label={`Volume for ${config.label.toLowerCase()}`}
+                  />
+                  <span className="audio-cue-volume">{Math.round(cue.volume * 100)}%</span>
+                </td>
+                <td>
+                  <input
+                    type="checkbox"
+                    checked={cue.muted}
+                    onChange={(e) => saveCardType(type, { muted: e.target.checked })}
+                    aria-label={`Mute ${config.label.toLowerCase()}`}
+                  />
+                </td>
+                <td>
+                  <button
+                    className="btn btn-secondary"
+                    onClick={() => handleTest(CUES.TRANSITION, cue.muted ? 0 : cue.volume)}
+                    disabled={cue.muted}
+                  >
+                    ▶ Test
+                  </button>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <div className="audio-cue-warning">
+        <label htmlFor="warning-seconds">Warn before an item ends</label>
+        <input
+          type="number"
+          id="warning-seconds"
+          min={0}
+          max={300}
+          value={audioCues.warningSeconds}
+          onChange={(e) => save({ warningSeconds: Number(e.target.value) })}
+        />
+        <span>seconds (0 = no warning)</span>
+        <button className="btn btn-secondary" onClick={() => handleTest(CUES.WARNING, 0.8)}>
+          ▶ Warning
+        </button>
+        <button className="btn btn-secondary" onClick={() => handleTest(CUES.SESSION_END, 0.8)}>
+          ▶ Session End
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,10 @@
 'use client';
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
+import RevisionHistoryPanel from './RevisionHistoryPanel';
+import TagInput from './TagInput';
+import { TAXONOMIES, getTaxonomyOptions } from '../../lib/taxonomy';
+import { useTaxonomies } from '../../lib/useTaxonomies';
 
 const CARD_TYPES = {
   EXERCISE: 'exercise',
@@ -13,7 +17,7 @@ const CARD_TYPE_CONFIG = {
     icon: '💪',
     label: 'Exercise',
     color: '#2d7a6f',
-    categories: ['Stehübungen', 'Liegeübungen', 'Sitzübungen', 'Gleichgewicht', 'Entspannung'],
+    taxonomy: TAXONOMIES.EXERCISE_CATEGORIES,
     categoryLabel: 'Category',
     contentLabel: 'Description',
     contentPlaceholder: 'Describe the exercise...',
@@ -25,7 +29,7 @@ const CARD_TYPE_CONFIG = {
     icon: '📖',
     label: 'Story',
     color: '#c17f59',
-    categories: ['Ruhig', 'Energetisch', 'Meditativ', 'Motivierend', 'Entspannend'],
+    taxonomy: TAXONOMIES.STORY_MOODS,
     categoryLabel: 'Mood',
     contentLabel: 'Text',
     contentPlaceholder: 'The narrative text...',
@@ -37,7 +41,7 @@ const CARD_TYPE_CONFIG = {
     icon: '🔔',
     label: 'Practical',
     color: '#5a9e7a',
-    categories: [],
+    taxonomy: null,
     categoryLabel: null,
     contentLabel: 'Instruction',
     contentPlaceholder: 'The action instruction...',
@@ -47,7 +51,7 @@ const CARD_TYPE_CONFIG = {
   }
 };
 
-export default function CardModal({ isOpen, onClose, onSubmit, editCard = null }) {
+export default function CardModal({ isOpen, onClose, onSubmit, editCard = null, getHistory, onRestoreRevision, tagOptions = [] }) {
   const [cardType, setCardType] = useState(CARD_TYPES.EXERCISE);
   const [formData, setFormData] = useState({
     title: '',
@@ -57,6 +61,17 @@ export default function CardModal({ isOpen, onClose, onSubmit, editCard = null }
     duration: 5
   });
   const [errors, setErrors] = useState([]);
+  const taxonomies = useTaxonomies();
+
+  // First category or mood offered for new cards of a type
+  const getDefaultCategory = useCallback((type) => {
+    const { taxonomy } = CARD_TYPE_CONFIG[type];
+    return taxonomy ? getTaxonomyOptions(taxonomies[taxonomy])[0] || '' : '';
+  }, [taxonomies]);
+
+  const editType = editCard?.type;
+  const editId = editCard?.id;
+  const loadHistory = useCallback(() => getHistory(editType, editId), [getHistory, editType, editId]);
 
   // Reset form when modal opens or editCard changes
   useEffect(() => {
@@ -71,7 +86,7 @@ export default function CardModal({ isOpen, onClose, onSubmit, editCard = null }
             : editCard.type === CARD_TYPES.STORY 
               ? editCard.originalItem?.text || ''
               : editCard.originalItem?.instruction || '',
-          category: editCard.category || CARD_TYPE_CONFIG[editCard.type]?.categories?.[0] || '',
+          category: editCard.category || getDefaultCategory(editCard.type),
           tags: editCard.tags?.join(', ') || '',
           duration: editCard.time || 5
         });
@@ -80,7 +95,7 @@ export default function CardModal({ isOpen, onClose, onSubmit, editCard = null }
         setFormData({
           title: '',
           content: '',
-          category: CARD_TYPE_CONFIG[CARD_TYPES.EXERCISE].categories[0],
+          category: getDefaultCategory(CARD_TYPES.EXERCISE),
           tags: '',
           duration: 5
         });
@@ -88,19 +103,14 @@ export default function CardModal({ isOpen, onClose, onSubmit, editCard = null }
       }
       setErrors([]);
     }
-  }, [isOpen, editCard]);
+  }, [isOpen, editCard, getDefaultCategory]);
 
   // Update category when card type changes (only for new cards)
   useEffect(() => {
     if (!editCard) {
-      const categories = CARD_TYPE_CONFIG[cardType].categories;
-      if (categories.length > 0) {
-        setFormData(prev => ({ ...prev, category: categories[0] }));
-      } else {
-        setFormData(prev => ({ ...prev, category: '' }));
-      }
+      setFormData(prev => ({ ...prev, category: getDefaultCategory(cardType) }));
     }
-  }, [cardType, editCard]);
+  }, [cardType, editCard, getDefaultCategory]);
 
   const handleChange = (e) => {
     const { name, value, type } = e.target;
@@ -115,7 +125,7 @@ export default function CardModal({ isOpen, onClose, onSubmit, editCard = null }
     setErrors([]);
   };
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
     setErrors([]);
 
@@ -151,7 +161,7 @@ export default function CardModal({ isOpen, onClose, onSubmit, editCard = null }
       };
     }
 
-    const result = onSubmit(cardType, submitData, editCard?.id);
+    const result = await onSubmit(cardType, submitData, editCard?.id);
     
     if (!result.success) {
       setErrors(result.errors);
@@ -160,10 +170,18 @@ export default function CardModal({ isOpen, onClose, onSubmit, editCard = null }
     }
   };
 
+  const handleRestoreRevision = async (entry) => {
+    const result = await onRestoreRevision(editType, entry, editId);
+    if (result.success) {
+      onClose();
+    }
+    return result;
+  };
+
   if (!isOpen) return null;
 
   const config = CARD_TYPE_CONFIG[cardType];
-  const categories = config.categories;
+  const categories = config.taxonomy ? getTaxonomyOptions(taxonomies[config.taxonomy], formData.category) : [];
 
   return (
     <div className="modal-overlay" onClick={onClose}>
@@ -271,12 +289,12 @@ export default function CardModal({ isOpen, onClose, onSubmit, editCard = null }
 
           <div className="form-group">
             <label htmlFor="tags">Tags (comma separated)</label>
-            <input
-              type="text"
+            <TagInput
               id="tags"
               name="tags"
               value={formData.tags}
-              onChange={handleChange}
+              onChange={tags => setFormData(prev => ({ ...prev, tags }))}
+              options={tagOptions}
               placeholder="e.g. strength, balance, stretching"
             />
           </div>
@@ -294,6 +312,14 @@ export default function CardModal({ isOpen, onClose, onSubmit, editCard = null }
             </button>
           </div>
         </form>
+
+        {editCard && getHistory && (
+          <RevisionHistoryPanel
+            loadHistory={loadHistory}
+            revision={editCard.originalItem?.revision}
+            onRestore={handleRestoreRevision}
+          />
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,162 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { CARD_TYPE_CONFIG } from './CardModal';
+import { DELETE_STRATEGIES, deleteCard, findCardReferences } from '../../lib/cardReferences';
+
+// Confirmation dialog for deleting a card. Lists the sessions, sets and story
+// books that use the card and lets the user keep it, remove it everywhere, or
+// replace it with another card of the same type.
+export default function DeleteCardDialog({ card, cardType, replacementCandidates = [], onClose, onDeleted }) {
+  const [references, setReferences] = useState(null);
+  const [strategy, setStrategy] = useState(DELETE_STRATEGIES.CASCADE);
+  const [replacementId, setReplacementId] = useState('');
+  const [errors, setErrors] = useState([]);
+  const [isDeleting, setIsDeleting] = useState(false);
+
+  useEffect(() => {
+    if (!card) return;
+
+    let cancelled = false;
+    setReferences(null);
+    setStrategy(DELETE_STRATEGIES.CASCADE);
+    setReplacementId('');
+    setErrors([]);
+
+    findCardReferences(cardType, card.id).then(found => {
+      if (!cancelled) {
+        setReferences(found);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [card, cardType]);
+
+  if (!card) return null;
+
+  const config = CARD_TYPE_CONFIG[cardType];
+  const candidates = replacementCandidates.filter(candidate => candidate.id !== card.id);
+  const isUsed = references !== null && references.length > 0;
+
+  const handleDelete = async () => {
+    setErrors([]);
+    setIsDeleting(true);
+
+    const result = await deleteCard(cardType, card.id, {
+      strategy: isUsed ? strategy : DELETE_STRATEGIES.BLOCK,
+      replacementId
+    });
+
+    setIsDeleting(false);
+
+    if (result.success) {
+      onDeleted(result);
+    } else {
+      setErrors(result.errors);
+      if (result.references) {
+        setReferences(result.references);
+      }
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content delete-card-dialog" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>{config.icon} Delete {config.label}</h2>
+          <button className="modal-close" onClick={onClose} aria-label="Close">
+            ✕
+          </button>
+        </div>
+
+        <div className="delete-card-body">
+          <p className="delete-card-title">&quot;{card.title}&quot;</p>
+
+          {references === null ? (
+            <p className="delete-card-hint">Checking where this card is used...</p>
+          ) : !isUsed ? (
+            <p className="delete-card-hint">This card is not used in any session, set or story book.</p>
+          ) : (
+            <>
+              <p className="delete-card-hint">This card is used in:</p>
+              <ul className="set-cards-list delete-card-references">
+                {references.map(reference => (
+                  <li key={`${reference.kind}-${reference.id}`} className="set-card-item">
+                    <span className="card-title">
+                      {reference.label}: {reference.name}
+                      {reference.count > 1 && ` (${reference.count}×)`}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+
+              <div className="delete-card-options">
+                <label className="delete-card-option">
+                  <input
+                    type="radio"
+                    name="delete-strategy"
+                    checked={strategy === DELETE_STRATEGIES.CASCADE}
+                    onChange={() => setStrategy(DELETE_STRATEGIES.CASCADE)}
+                  />
+                  <span>Remove it from all of them and delete</span>
+                </label>
+                <label className="delete-card-option">
+                  <input
+                    type="radio"
+                    name="delete-strategy"
+                    checked={strategy === DELETE_STRATEGIES.REPLACE}
+                    onChange={() => setStrategy(DELETE_STRATEGIES.REPLACE)}
+                    disabled={candidates.length === 0}
+                  />
+                  <span>Replace it everywhere with another {config.label.toLowerCase()} and delete</span>
+                </label>
+                {strategy === DELETE_STRATEGIES.REPLACE && (
+                  <select
+                    value={replacementId}
+                    onChange={e => setReplacementId(e.target.value)}
+                    aria-label="Replacement card"
+                  >
+                    <option value="">Select a replacement...</option>
+                    {candidates.map(candidate => (
+                      <option key={candidate.id} value={candidate.id}>{candidate.title}</option>
+                    ))}
+                  </select>
+                )}
+              </div>
+            </>
+          )}
+
+          <p className="delete-card-hint">Deleted cards can be restored from the trash.</p>
+
+          {errors.length > 0 && (
+            <div className="form-errors">
+              {errors.map((error, idx) => (
+                <p key={idx} className="error-message">{error}</p>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="modal-actions">
+          <button type="button" className="btn btn-secondary" onClick={onClose}>
+            {isUsed ? 'Keep Card' : 'Cancel'}
+          </button>
+          <button
+            type="button"
+            className="btn btn-delete"
+            onClick={handleDelete}
+            disabled={
+              references === null ||
+              isDeleting ||
+              (isUsed && strategy === DELETE_STRATEGIES.REPLACE && !replacementId)
+            }
+          >
+            🗑️ Delete
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
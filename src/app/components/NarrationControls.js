@@ -0,0 +1,108 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { getVoices, isNarrationAvailable, narrate, subscribeToVoices } from '../../lib/narration';
+
+const CARD_TYPE_LABELS = {
+  exercise: 'Übungen',
+  story: 'Stories',
+  practical: 'Praktisches'
+};
+
+const SAMPLE_TEXT = 'Atme tief ein und langsam wieder aus.';
+
+/**
+ * Narration switch and options of the Home player
+ * @param {Object} props
+ * @param {Object} props.narration - Narration settings (see narration.js)
+ * @param {Function} props.onChange - (changes) => void, with the changed settings
+ */
+export default function NarrationControls({ narration, onChange }) {
+  const [isAvailable, setIsAvailable] = useState(false);
+  const [voices, setVoices] = useState([]);
+
+  // Voices load asynchronously in most browsers
+  useEffect(() => {
+    setIsAvailable(isNarrationAvailable());
+    setVoices(getVoices());
+    return subscribeToVoices(() => setVoices(getVoices()));
+  }, []);
+
+  const languages = [...new Set([narration.lang, ...voices.map(voice => voice.lang)])].sort();
+  const languageVoices = voices.filter(voice => voice.lang === narration.lang);
+
+  return (
+    <section className="narration-container">
+      <label className="narration-toggle">
+        <input
+          type="checkbox"
+          checked={narration.enabled}
+          onChange={(e) => onChange({ enabled: e.target.checked })}
+          disabled={!isAvailable}
+        />
+        🗣️ Vorlesen
+      </label>
+
+      {!isAvailable && <p className="narration-hint">Dieser Browser kann keine Texte vorlesen.</p>}
+
+      {isAvailable && narration.enabled && (
+        <div className="narration-options">
+          <label>
+            Sprache
+            <select
+              value={narration.lang}
+              onChange={(e) => onChange({ lang: e.target.value, voiceURI: '' })}
+            >
+              {languages.map(lang => (
+                <option key={lang} value={lang}>{lang}</option>
+              ))}
+            </select>
+          </label>
+
+          <label>
+            Stimme
+            <select
+              value={narration.voiceURI}
+              onChange={(e) => onChange({ voiceURI: e.target.value })}
+            >
+              <option value="">Automatisch</option>
+              {languageVoices.map(voice => (
+                <option key={voice.voiceURI} value={voice.voiceURI}>{voice.name}</option>
+              ))}
+            </select>
+          </label>
+
+          <label>
+            Tempo
+            <input
+              type="range"
+              min={0.5}
+              max={2}
+              step={0.1}
+              value={narration.rate}
+              onChange={(e) => onChange({ rate: Number(e.target.value) })}
+            />
+            <span>{narration.rate.toFixed(1)}×</span>
+          </label>
+
+          <div className="narration-types">
+            {Object.entries(CARD_TYPE_LABELS).map(([type, label]) => (
+              <label key={type}>
+                <input
+                  type="checkbox"
+                  checked={narration.cardTypes[type]}
+                  onChange={(e) => onChange({ cardTypes: { ...narration.cardTypes, [type]: e.target.checked } })}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+
+          <button type="button" className="btn btn-secondary" onClick={() => narrate(SAMPLE_TEXT, narration)}>
+            ▶ Probe
+          </button>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -1,11 +1,50 @@
 'use client';
 
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import Link from 'next/link';
+import { purgeExpiredTrash } from '../../lib/trashStorage';
+import { SYNC_STATES, getSyncStatus, subscribeToSyncStatus } from '../../lib/remoteSync';
+
+const SYNC_STATE_CONFIG = {
+  [SYNC_STATES.SYNCING]: { icon: '⟳', label: 'Syncing' },
+  [SYNC_STATES.SYNCED]: { icon: '✓', label: 'Synced' },
+  [SYNC_STATES.OFFLINE]: { icon: '⚠', label: 'Offline' },
+  [SYNC_STATES.ERROR]: { icon: '⚠', label: 'Sync error' }
+};
+
+function SyncStatus() {
+  const [status, setStatus] = useState(getSyncStatus);
+
+  useEffect(() => subscribeToSyncStatus(setStatus), []);
+
+  const config = SYNC_STATE_CONFIG[status.state];
+  if (!config) {
+    return null;
+  }
+
+  const details = [
+    status.serverUrl,
+    status.pending > 0 && `${status.pending} change(s) waiting to be sent`,
+    status.lastSyncedAt && `Last synced ${new Date(status.lastSyncedAt).toLocaleTimeString()}`,
+    status.error
+  ].filter(Boolean).join('\n');
+
+  return (
+    <Link href="/settings" className={`sync-status sync-${status.state}`} title={details}>
+      {config.icon} {config.label}
+      {status.pending > 0 && <span className="sync-pending">{status.pending}</span>}
+    </Link>
+  );
+}
 
 export default function Navbar() {
   const [isOpen, setIsOpen] = useState(false);
 
+  // Drop trash entries past the retention period once per app load
+  useEffect(() => {
+    purgeExpiredTrash();
+  }, []);
+
   const toggleMenu = () => {
     setIsOpen(!isOpen);
   };
@@ -20,6 +59,8 @@ export default function Navbar() {
         <Link href="/" className="navbar-logo" onClick={closeMenu}>
           <span className="logo-icon">☯</span> Yoga Session
         </Link>
+
+        <SyncStatus />
         
         <button 
           className={`hamburger ${isOpen ? 'active' : ''}`}
@@ -48,11 +89,31 @@ export default function Navbar() {
               <span className="nav-icon">📚</span> Sets
             </Link>
           </li>
+          <li className="nav-item">
+            <Link href="/storybooks" className="nav-link" onClick={closeMenu}>
+              <span className="nav-icon">📖</span> Story Books
+            </Link>
+          </li>
+          <li className="nav-item">
+            <Link href="/tags" className="nav-link" onClick={closeMenu}>
+              <span className="nav-icon">#</span> Tags
+            </Link>
+          </li>
           <li className="nav-item">
             <Link href="/sessions" className="nav-link" onClick={closeMenu}>
               <span className="nav-icon">☰</span> Sessions
             </Link>
           </li>
+          <li className="nav-item">
+            <Link href="/trash" className="nav-link" onClick={closeMenu}>
+              <span className="nav-icon">🗑</span> Trash
+            </Link>
+          </li>
+          <li className="nav-item">
+            <Link href="/settings" className="nav-link" onClick={closeMenu}>
+              <span className="nav-icon">⚙</span> Settings
+            </Link>
+          </li>
         </ul>
       </div>
     </nav>
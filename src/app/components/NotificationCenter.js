@@ -0,0 +1,76 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import {
+  dismissNotification,
+  getNotifications,
+  subscribeToNotifications
+} from '../../lib/notifications';
+import { checkStorageUsage } from '../../lib/storageHealth';
+
+const LEVEL_ICONS = {
+  error: '⚠️',
+  warning: '💾',
+  info: 'ℹ️'
+};
+
+export default function NotificationCenter() {
+  const [notifications, setNotifications] = useState([]);
+
+  useEffect(() => {
+    setNotifications(getNotifications());
+    const unsubscribe = subscribeToNotifications(setNotifications);
+
+    // Warn early when storage is nearly full, before writes start failing
+    checkStorageUsage();
+
+    return unsubscribe;
+  }, []);
+
+  if (notifications.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="notification-center" aria-live="polite">
+      {notifications.map(notification => (
+        <div
+          key={notification.id}
+          className={`notification notification-${notification.level}`}
+          role={notification.level === 'error' ? 'alert' : 'status'}
+        >
+          <div className="notification-header">
+            <strong>{LEVEL_ICONS[notification.level]} {notification.title}</strong>
+            <button
+              className="notification-dismiss"
+              onClick={() => dismissNotification(notification.id)}
+              aria-label="Dismiss notification"
+            >
+              ✕
+            </button>
+          </div>
+          {notification.message && <p>{notification.message}</p>}
+          {notification.details.map((detail, idx) => (
+            <p key={idx} className="notification-detail">{detail}</p>
+          ))}
+          {notification.actions.length > 0 && (
+            <ul className="notification-actions">
+              {notification.actions.map(action => (
+                <li key={action.label}>
+                  {action.href ? (
+                    <Link href={action.href} onClick={() => dismissNotification(notification.id)}>
+                      {action.label}
+                    </Link>
+                  ) : (
+                    action.label
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,200 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+
+// The card editor is English, the session editor German
+const TEXTS = {
+  en: {
+    toggle: 'Version history',
+    empty: 'No earlier versions yet. A version is kept every time you save a change.',
+    entryTitle: (revision, date) => `Revision ${revision} – replaced ${date}`,
+    changed: 'Changed',
+    changesAfter: revision => `Changes made after revision ${revision}`,
+    field: 'Field',
+    revision: revision => `Revision ${revision}`,
+    changedTo: 'Changed to',
+    restore: 'Restore this version',
+    confirmRestore: revision => `Restore revision ${revision}? Unsaved changes in this editor are discarded.`
+  },
+  de: {
+    toggle: 'Versionshistorie',
+    empty: 'Noch keine früheren Fassungen. Bei jedem Speichern einer Änderung wird die vorherige Fassung aufbewahrt.',
+    entryTitle: (revision, date) => `Version ${revision} – ersetzt am ${date}`,
+    changed: 'Geändert',
+    changesAfter: revision => `Änderungen nach Version ${revision}`,
+    field: 'Feld',
+    revision: revision => `Version ${revision}`,
+    changedTo: 'Geändert zu',
+    restore: 'Diese Fassung wiederherstellen',
+    confirmRestore: revision => `Version ${revision} wiederherstellen? Nicht gespeicherte Änderungen in diesem Formular gehen verloren.`
+  }
+};
+
+/**
+ * Turn a field name into a label, e.g. 'duration_minutes' -> 'duration minutes'
+ * @param {string} field - Field name
+ * @returns {string} Label
+ */
+function fieldLabel(field) {
+  return field.replace(/_/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+}
+
+/**
+ * Format a stored value for display
+ * @param {*} value - Field value
+ * @returns {string} Display text
+ */
+function defaultFormatValue(value) {
+  if (value === undefined || value === null || value === '') {
+    return '–';
+  }
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.join(', ') : '–';
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+/**
+ * Collapsible list of a record's earlier versions
+ * Each version shows what the following edit changed and can be restored.
+ * @param {Object} props
+ * @param {Function} props.loadHistory - () => Promise<Array> of history entries, newest first
+ * @param {number} [props.revision] - Current revision; the list reloads when it changes
+ * @param {Function} props.onRestore - (entry) => Promise<Object> result with success status or errors
+ * @param {Function} [props.formatValue] - (field, value) => string, for fields that need lookups
+ * @param {Object} [props.fieldLabels] - Label per field name; other fields are labeled by their name
+ * @param {string} [props.lang] - 'en' (default) or 'de', the language of the surrounding page
+ */
+export default function RevisionHistoryPanel({ loadHistory, revision, onRestore, formatValue, fieldLabels = {}, lang = 'en' }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [entries, setEntries] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const [isRestoring, setIsRestoring] = useState(false);
+
+  const load = useCallback(async () => {
+    setEntries(await loadHistory());
+  }, [loadHistory]);
+
+  useEffect(() => {
+    if (isOpen) {
+      load();
+    }
+  }, [isOpen, load, revision]);
+
+  const texts = TEXTS[lang] || TEXTS.en;
+  const labelFor = field => fieldLabels[field] || fieldLabel(field);
+  const format = (field, value) => (formatValue && formatValue(field, value)) || defaultFormatValue(value);
+  const selected = entries.find(entry => entry.id === selectedId);
+
+  const handleRestore = async () => {
+    if (!window.confirm(texts.confirmRestore(selected.revision))) {
+      return;
+    }
+
+    setIsRestoring(true);
+    setErrors([]);
+    const result = await onRestore(selected);
+    setIsRestoring(false);
+
+    if (!result.success) {
+      setErrors(result.errors);
+    }
+  };
+
+  return (
+    <div className="revision-history">
+      <button
+        type="button"
+        className="revision-history-toggle"
+        onClick={() => setIsOpen(!isOpen)}
+        aria-expanded={isOpen}
+      >
+        🕘 {texts.toggle} {isOpen ? '▲' : '▼'}
+      </button>
+
+      {isOpen && (
+        <div className="revision-history-body">
+          {entries.length === 0 ? (
+            <p className="revision-history-empty">{texts.empty}</p>
+          ) : (
+            <ul className="revision-history-list">
+              {entries.map(entry => (
+                <li key={entry.id}>
+                  <button
+                    type="button"
+                    className={`revision-history-item ${entry.id === selectedId ? 'active' : ''}`}
+                    onClick={() => setSelectedId(entry.id === selectedId ? null : entry.id)}
+                  >
+                    <span className="revision-history-title">
+                      {texts.entryTitle(entry.revision, new Date(entry.replacedAt).toLocaleString())}
+                    </span>
+                    <span className="revision-history-fields">
+                      {texts.changed}: {entry.changes.map(change => labelFor(change.field)).join(', ')}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {selected && (
+            <div className="revision-history-detail">
+              <h4>{texts.changesAfter(selected.revision)}</h4>
+              <table className="revision-history-table">
+                <thead>
+                  <tr>
+                    <th>{texts.field}</th>
+                    <th>{texts.revision(selected.revision)}</th>
+                    <th>{texts.changedTo}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {selected.changes.map(change => (
+                    <tr key={change.field}>
+                      <td>{labelFor(change.field)}</td>
+                      <td>{format(change.field, change.before)}</td>
+                      <td>{format(change.field, change.after)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <h4>{texts.revision(selected.revision)}</h4>
+              <dl className="revision-history-snapshot">
+                {Object.entries(selected.record)
+                  .filter(([field]) => !['id', 'revision'].includes(field))
+                  .map(([field, value]) => (
+                    <div key={field}>
+                      <dt>{labelFor(field)}</dt>
+                      <dd>{format(field, value)}</dd>
+                    </div>
+                  ))}
+              </dl>
+
+              {errors.length > 0 && (
+                <div className="form-errors">
+                  {errors.map((error, idx) => (
+                    <p key={idx} className="error-message">{error}</p>
+                  ))}
+                </div>
+              )}
+
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={handleRestore}
+                disabled={isRestoring}
+              >
+                ↩️ {texts.restore}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
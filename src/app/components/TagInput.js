@@ -0,0 +1,102 @@
+'use client';
+
+import { useState } from 'react';
+import { suggestTags } from '../../lib/tagRegistry';
+
+/**
+ * Split a comma separated tag list
+ * @param {string} value - Input value
+ * @returns {Object} { chosen: tags before the last comma, current: text after it }
+ */
+function splitTags(value) {
+  const parts = value.split(',');
+  return {
+    chosen: parts.slice(0, -1).map(tag => tag.trim()).filter(Boolean),
+    current: parts[parts.length - 1]
+  };
+}
+
+/**
+ * Comma separated tag field that suggests known tags for the tag being typed
+ * @param {Object} props
+ * @param {string} props.id - Input ID
+ * @param {string} props.name - Input name
+ * @param {string} props.value - Comma separated tags
+ * @param {Function} props.onChange - (value) => void
+ * @param {Array<string>} props.options - Known tags (see tagRegistry.js)
+ * @param {string} [props.placeholder] - Placeholder text
+ */
+export default function TagInput({ id, name, value, onChange, options, placeholder }) {
+  const [isFocused, setIsFocused] = useState(false);
+  const [highlighted, setHighlighted] = useState(0);
+
+  const { chosen, current } = splitTags(value);
+  const suggestions = isFocused ? suggestTags(options, current, chosen) : [];
+
+  const accept = (tag) => {
+    onChange([...chosen, tag].join(', ') + ', ');
+    setHighlighted(0);
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length === 0) {
+      return;
+    }
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlighted((highlighted + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted((highlighted - 1 + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      accept(suggestions[Math.min(highlighted, suggestions.length - 1)]);
+    } else if (e.key === 'Escape') {
+      setIsFocused(false);
+    }
+  };
+
+  return (
+    <div className="tag-input">
+      <input
+        type="text"
+        id={id}
+        name={name}
+        value={value}
+        onChange={e => {
+          onChange(e.target.value);
+          setHighlighted(0);
+        }}
+        onFocus={() => setIsFocused(true)}
+        onBlur={() => setIsFocused(false)}
+        onKeyDown={handleKeyDown}
+        placeholder={placeholder}
+        autoComplete="off"
+        role="combobox"
+        aria-expanded={suggestions.length > 0}
+        aria-controls={`${id}-suggestions`}
+        aria-autocomplete="list"
+      />
+      {suggestions.length > 0 && (
+        <ul id={`${id}-suggestions`} className="tag-suggestions" role="listbox">
+          {suggestions.map((tag, idx) => (
+            <li
+              key={tag}
+              role="option"
+              aria-selected={idx === highlighted}
+              className={idx === highlighted ? 'active' : ''}
+              // Keep the focus in the input, so the list stays open
+              onMouseDown={e => {
+                e.preventDefault();
+                accept(tag);
+              }}
+            >
+              {tag}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
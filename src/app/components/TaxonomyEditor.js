@@ -0,0 +1,188 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+  TAXONOMY_CONFIG,
+  getTaxonomies,
+  getTaxonomyUsage,
+  addTaxonomyValue,
+  moveTaxonomyValue,
+  renameTaxonomyValue,
+  setTaxonomyValueRetired
+} from '../../lib/taxonomy';
+import { useStorageSync } from '../../lib/useStorageSync';
+
+/**
+ * Editor for the values of one taxonomy
+ * Values can be added, renamed on every record, reordered and retired.
+ * Values found on records but missing from the list can be added back.
+ * @param {Object} props
+ * @param {string} props.taxonomy - One of TAXONOMIES (see taxonomy.js)
+ */
+export default function TaxonomyEditor({ taxonomy }) {
+  const config = TAXONOMY_CONFIG[taxonomy];
+  const [values, setValues] = useState([]);
+  const [usage, setUsage] = useState({});
+  const [newValue, setNewValue] = useState('');
+  const [renaming, setRenaming] = useState(null);
+  const [newName, setNewName] = useState('');
+  const [errors, setErrors] = useState([]);
+  const [notice, setNotice] = useState('');
+
+  const load = useCallback(async () => {
+    const [taxonomies, counts] = await Promise.all([getTaxonomies(), getTaxonomyUsage(taxonomy)]);
+    setValues(taxonomies[taxonomy]);
+    setUsage(counts);
+  }, [taxonomy]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // Reload when another tab changes the lists or the records
+  useStorageSync(load);
+
+  const unlisted = Object.keys(usage).filter(name => !values.some(value => value.name === name));
+
+  const showResult = (result, message) => {
+    if (result.success) {
+      setErrors([]);
+      setNotice(message);
+    } else {
+      setNotice('');
+      setErrors(result.errors);
+    }
+    load();
+    return result.success;
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (showResult(await addTaxonomyValue(taxonomy, newValue), `Added "${newValue.trim()}".`)) {
+      setNewValue('');
+    }
+  };
+
+  const startRename = (name) => {
+    setRenaming(name);
+    setNewName(name);
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    const target = newName.trim();
+    if (values.some(value => value.name === target)
+      && !window.confirm(`"${target}" already exists. Merge "${renaming}" into it?`)) {
+      return;
+    }
+
+    const result = await renameTaxonomyValue(taxonomy, renaming, target);
+    if (showResult(result, `Renamed "${renaming}" to "${target}" on ${result.updated} record(s).`)) {
+      setRenaming(null);
+    }
+  };
+
+  return (
+    <div className="taxonomy-editor">
+      <h3>{config.label}</h3>
+
+      {notice && <p className="backup-hint">{notice}</p>}
+
+      {errors.length > 0 && (
+        <div className="form-errors">
+          {errors.map((error, idx) => (
+            <p key={idx} className="error-message">{error}</p>
+          ))}
+        </div>
+      )}
+
+      <ul className="taxonomy-list">
+        {values.map((value, index) => (
+          <li key={value.name} className={`taxonomy-row ${value.retired ? 'retired' : ''}`}>
+            {renaming === value.name ? (
+              <form className="tag-row-form" onSubmit={handleRename}>
+                <input
+                  type="text"
+                  value={newName}
+                  onChange={e => setNewName(e.target.value)}
+                  aria-label={`New name for ${value.name}`}
+                  autoFocus
+                />
+                <button type="submit" className="btn btn-primary" disabled={!newName.trim() || newName.trim() === value.name}>
+                  Save
+                </button>
+                <button type="button" className="btn btn-secondary" onClick={() => setRenaming(null)}>Cancel</button>
+              </form>
+            ) : (
+              <>
+                <span className="taxonomy-name">{value.name}</span>
+                <span className="taxonomy-usage">
+                  {usage[value.name] || 0} {config.recordLabel.toLowerCase()}(s)
+                  {value.retired && ' – retired'}
+                </span>
+                <div className="tag-row-actions">
+                  <button
+                    className="btn btn-secondary"
+                    onClick={async () => showResult(await moveTaxonomyValue(taxonomy, value.name, -1), '')}
+                    disabled={index === 0}
+                    aria-label={`Move ${value.name} up`}
+                  >
+                    ↑
+                  </button>
+                  <button
+                    className="btn btn-secondary"
+                    onClick={async () => showResult(await moveTaxonomyValue(taxonomy, value.name, 1), '')}
+                    disabled={index === values.length - 1}
+                    aria-label={`Move ${value.name} down`}
+                  >
+                    ↓
+                  </button>
+                  <button className="btn btn-edit" onClick={() => startRename(value.name)}>
+                    ✏️ Rename
+                  </button>
+                  <button
+                    className="btn btn-secondary"
+                    onClick={async () => showResult(
+                      await setTaxonomyValueRetired(taxonomy, value.name, !value.retired),
+                      value.retired ? `"${value.name}" is offered again.` : `"${value.name}" is no longer offered for new records.`
+                    )}
+                  >
+                    {value.retired ? '↺ Restore' : '⊘ Retire'}
+                  </button>
+                </div>
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {unlisted.length > 0 && (
+        <div className="taxonomy-unlisted">
+          <p className="backup-hint">Used by records but not in the list:</p>
+          {unlisted.map(name => (
+            <button
+              key={name}
+              className="btn btn-secondary"
+              onClick={async () => showResult(await addTaxonomyValue(taxonomy, name), `Added "${name}".`)}
+            >
+              + {name} ({usage[name]})
+            </button>
+          ))}
+        </div>
+      )}
+
+      <form className="tag-add-form" onSubmit={handleAdd}>
+        <input
+          type="text"
+          value={newValue}
+          onChange={e => setNewValue(e.target.value)}
+          placeholder="New value"
+          aria-label={`New value for ${config.label.toLowerCase()}`}
+        />
+        <button type="submit" className="btn btn-primary" disabled={!newValue.trim()}>
+          + Add
+        </button>
+      </form>
+    </div>
+  );
+}
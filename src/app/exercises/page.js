@@ -2,20 +2,22 @@
 
 import { useState, useEffect, useCallback } from 'react';
 import Link from 'next/link';
+import DeleteCardDialog from '../components/DeleteCardDialog';
 import { 
   getExercises, 
-  createExercise, 
-  deleteExercise,
-  initializeDefaultExercises 
+  createExercise
 } from '../../lib/exerciseStorage';
+import { ensureSeedData } from '../../lib/seedData';
+import { useStorageSync } from '../../lib/useStorageSync';
+import { TAXONOMIES, getTaxonomyOptions } from '../../lib/taxonomy';
+import { useTaxonomies } from '../../lib/useTaxonomies';
 
-const CATEGORIES = ['Stehübungen', 'Liegeübungen', 'Sitzübungen', 'Gleichgewicht', 'Entspannung'];
-
-function ExerciseForm({ onSubmit, onCancel }) {
+function ExerciseForm({ taxonomies, onSubmit, onCancel }) {
+  const categoryValues = taxonomies[TAXONOMIES.EXERCISE_CATEGORIES];
   const [formData, setFormData] = useState({
     title: '',
     description: '',
-    category: CATEGORIES[0],
+    category: getTaxonomyOptions(categoryValues)[0] || '',
     tags: '',
     duration_minutes: 5
   });
@@ -29,7 +31,7 @@ function ExerciseForm({ onSubmit, onCancel }) {
     }));
   };
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
     setErrors([]);
     
@@ -38,7 +40,7 @@ function ExerciseForm({ onSubmit, onCancel }) {
       .map(tag => tag.trim())
       .filter(tag => tag.length > 0);
     
-    const result = onSubmit({
+    const result = await onSubmit({
       ...formData,
       tags: tagsArray
     });
@@ -93,7 +95,7 @@ function ExerciseForm({ onSubmit, onCancel }) {
             value={formData.category}
             onChange={handleChange}
           >
-            {CATEGORIES.map(cat => (
+            {getTaxonomyOptions(categoryValues, formData.category).map(cat => (
               <option key={cat} value={cat}>{cat}</option>
             ))}
           </select>
@@ -168,19 +170,24 @@ function ExerciseCard({ exercise, onDelete }) {
 export default function ExercisesPage() {
   const [exercises, setExercises] = useState([]);
   const [showForm, setShowForm] = useState(false);
+  const [deletingExercise, setDeletingExercise] = useState(null);
+  const taxonomies = useTaxonomies();
 
   const loadData = useCallback(async () => {
-    // Initialize default exercises if needed
-    await initializeDefaultExercises();
-    setExercises(getExercises());
+    // Merge new default exercises if needed
+    await ensureSeedData();
+    setExercises(await getExercises());
   }, []);
 
   useEffect(() => {
     loadData();
   }, [loadData]);
 
-  const handleCreate = (formData) => {
-    const result = createExercise(formData);
+  // Reload when another tab changes the data
+  useStorageSync(loadData);
+
+  const handleCreate = async (formData) => {
+    const result = await createExercise(formData);
     if (result.success) {
       loadData();
       setShowForm(false);
@@ -189,10 +196,12 @@ export default function ExercisesPage() {
   };
 
   const handleDelete = (id) => {
-    if (window.confirm('Möchten Sie diese Übung wirklich löschen?')) {
-      deleteExercise(id);
-      loadData();
-    }
+    setDeletingExercise(exercises.find(exercise => exercise.id === id) || null);
+  };
+
+  const handleDeleted = () => {
+    setDeletingExercise(null);
+    loadData();
   };
 
   const handleCancel = () => {
@@ -211,6 +220,7 @@ export default function ExercisesPage() {
       <div className="sessions-container">
         {showForm ? (
           <ExerciseForm
+            taxonomies={taxonomies}
             onSubmit={handleCreate}
             onCancel={handleCancel}
           />
@@ -249,6 +259,14 @@ export default function ExercisesPage() {
           <Link href="/">← Zurück zur Übersicht</Link>
         </div>
       </div>
+
+      <DeleteCardDialog
+        card={deletingExercise}
+        cardType="exercise"
+        replacementCandidates={exercises}
+        onClose={() => setDeletingExercise(null)}
+        onDeleted={handleDeleted}
+      />
     </main>
   );
 }
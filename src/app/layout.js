@@ -1,5 +1,6 @@
 import './globals.css';
 import Navbar from './components/Navbar';
+import NotificationCenter from './components/NotificationCenter';
 
 export const metadata = {
   title: 'Yoga Session Generator',
@@ -12,6 +13,7 @@ export default function RootLayout({ children }) {
       <body>
         <Navbar />
         {children}
+        <NotificationCenter />
       </body>
     </html>
   );
@@ -2,11 +2,21 @@
 
 import { useState, useMemo, useEffect, useRef, useCallback } from 'react';
 import { exercises as defaultExercises, session as defaultSession } from '../data/yoga-data';
-import { getSessions, reorderSessionExercises } from '../lib/sessionStorage';
-import { getExercises } from '../lib/exerciseStorage';
-import { getStories, isStoryId } from '../lib/storyStorage';
-import { getPracticals, isPracticalId } from '../lib/practicalStorage';
+import { reorderSessionExercises } from '../lib/sessionStorage';
+import { isStoryId } from '../lib/storyStorage';
+import { isPracticalId } from '../lib/practicalStorage';
+import { CUES, getAudioCueSettings, getCueVolume, playCue, unlockAudio } from '../lib/audioCues';
+import { getNarrationSettings, getNarrationText, narrate, pauseNarration, resumeNarration, stopNarration } from '../lib/narration';
+import { clearPlayerState, getPlayerState, getResumeElapsedMs, savePlayerState } from '../lib/playerState';
+import { ensureSeedData } from '../lib/seedData';
+import { startTicker } from '../lib/sessionTicker';
+import { DEFAULT_SETTINGS, SETTINGS_SYNC_KEY, getSettings, updateSettings } from '../lib/settingsStorage';
+import { STORAGE_KEYS } from '../lib/storageKeys';
+import { getRevision } from '../lib/storageSync';
+import { useRecords } from '../lib/useRecords';
+import { useStorageSync } from '../lib/useStorageSync';
 import { exercises, session } from '../data/yoga-data';
+import NarrationControls from './components/NarrationControls';
 
 // Card type constants
 const CARD_TYPES = {
@@ -15,6 +25,9 @@ const CARD_TYPES = {
   PRACTICAL: 'practical'
 };
 
+// Built-in exercises by ID, for sessions that use them
+const DEFAULT_EXERCISES = new Map(defaultExercises.map(e => [e.id, e]));
+
 // Helper function to determine card type from ID
 function getCardType(id) {
   if (isStoryId(id)) return CARD_TYPES.STORY;
@@ -59,6 +72,36 @@ function calculateItemTimings(sessionItems) {
   });
 }
 
+// Start time modes of the timeline
+const START_MODES = {
+  NOW: 'now',
+  SCHEDULED: 'scheduled'
+};
+
+const MINUTE_MS = 60 * 1000;
+
+// Asked before leaving the page while the session runs
+const LEAVE_WARNING = 'Die Session läuft noch. Seite trotzdem verlassen? Du kannst sie danach fortsetzen.';
+
+// Format a timestamp as a clock time, e.g. '09:05'
+function formatClockTime(ms) {
+  return new Date(ms).toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' });
+}
+
+// Timestamp of a time input value ('HH:MM') today
+function getScheduledStartMs(value, nowMs) {
+  const [hours, minutes] = value.split(':').map(Number);
+  const date = new Date(nowMs);
+  date.setHours(hours, minutes, 0, 0);
+  return date.getTime();
+}
+
+// Next full quarter hour as a time input value, the default scheduled start
+function getNextQuarterHour(nowMs) {
+  const date = new Date(Math.ceil(nowMs / (15 * MINUTE_MS)) * 15 * MINUTE_MS);
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
 // Helper function to truncate text with ellipsis
 function truncateText(text, maxLength = 50) {
   if (!text) return '';
@@ -69,7 +112,7 @@ function truncateText(text, maxLength = 50) {
 const USER_SCROLL_RESET_DELAY = 3000; // Reset auto-scroll after this many ms of user inactivity
 const SCROLL_THROTTLE_MS = 500; // Throttle scroll updates
 
-function ExerciseCard({ exercise, index, onDragStart, onDragOver, onDrop, onDragEnd, onTouchStart, onTouchMove, onTouchEnd, isDragging, isActive, isPast }) {
+function ExerciseCard({ exercise, index, clockTime, onDragStart, onDragOver, onDrop, onDragEnd, onTouchStart, onTouchMove, onTouchEnd, isDragging, isActive, isPast }) {
   const isStory = exercise.type === 'story';
   const isPractical = exercise.type === 'practical';
   // Use duration_minutes which is normalized in calculateItemTimings for all types
@@ -114,6 +157,7 @@ function ExerciseCard({ exercise, index, onDragStart, onDragOver, onDrop, onDrag
       onTouchEnd={(e) => onTouchEnd(e, index)}
     >
       <div className={`timeline-time ${isStory ? 'story-marker' : ''} ${isPractical ? 'practical-marker' : ''}`}>
+        {clockTime && <span className="timeline-clock">{clockTime}</span>}
         {getTimeLabel()}
       </div>
       <div className={`exercise-card ${isStory ? 'story-card' : ''} ${isPractical ? 'practical-card' : ''}`}>
@@ -145,10 +189,11 @@ function ExerciseCard({ exercise, index, onDragStart, onDragOver, onDrop, onDrag
 }
 
 export default function Home() {
-  const [allSessions, setAllSessions] = useState([]);
-  const [allExercises, setAllExercises] = useState([]);
-  const [allStories, setAllStories] = useState([]);
-  const [allPracticals, setAllPracticals] = useState([]);
+  // Cached collections; they update on writes from this and other tabs
+  const { records: allSessions, isLoaded: sessionsLoaded } = useRecords(STORAGE_KEYS.SESSIONS);
+  const { byId: storedExercises } = useRecords(STORAGE_KEYS.EXERCISES);
+  const { byId: storedStories } = useRecords(STORAGE_KEYS.STORIES);
+  const { byId: storedPracticals } = useRecords(STORAGE_KEYS.PRACTICALS);
   const [selectedSessionId, setSelectedSessionId] = useState('default');
   const [currentExerciseOrder, setCurrentExerciseOrder] = useState([]);
   const [draggedIndex, setDraggedIndex] = useState(null);
@@ -156,28 +201,73 @@ export default function Home() {
   const [isRunning, setIsRunning] = useState(false);
   const [elapsedMs, setElapsedMs] = useState(0);
   const [userScrolled, setUserScrolled] = useState(false);
-  const animationRef = useRef(null);
+  const [startMode, setStartMode] = useState(START_MODES.NOW);
+  const [scheduledTime, setScheduledTime] = useState('');
+  const [nowMs, setNowMs] = useState(() => Date.now());
+  // Wall-clock time of the first start, and the time elapsed 0 maps to while running
+  const [startedAtMs, setStartedAtMs] = useState(null);
+  const [runAnchorMs, setRunAnchorMs] = useState(null);
+  const [audioCues, setAudioCues] = useState(() => getAudioCueSettings(DEFAULT_SETTINGS));
+  const [narration, setNarration] = useState(() => getNarrationSettings(DEFAULT_SETTINGS));
+  // Player state saved before the last reload or visit to another page, until resumed or discarded
+  const [savedPlayerState, setSavedPlayerState] = useState(null);
+  const [isPlayerStateChecked, setIsPlayerStateChecked] = useState(false);
+  // Order to show once a resumed session is selected (see the session change effect)
+  const pendingOrderRef = useRef(null);
+  // Wall-clock time elapsed 0 maps to while the timer runs
   const startTimeRef = useRef(null);
   const elapsedMsRef = useRef(0);
   const timelineContainerRef = useRef(null);
   const itemRefs = useRef([]);
 
-  // Load sessions, exercises, stories, and practicals from localStorage
   useEffect(() => {
-    const storedSessions = getSessions();
-    const storedExercises = getExercises();
-    const storedStories = getStories();
-    const storedPracticals = getPracticals();
-    setAllSessions(storedSessions);
-    setAllExercises(storedExercises);
-    setAllStories(storedStories);
-    setAllPracticals(storedPracticals);
-    
-    // Initialize with default session exercises
-    setCurrentExerciseOrder(defaultSession.exercises);
-    setIsLoaded(true);
+    let cancelled = false;
+
+    const loadData = async () => {
+      // Merge new example sessions and cards if needed
+      await ensureSeedData();
+      const playerState = await getPlayerState();
+      if (cancelled) return;
+
+      // Initialize with default session exercises
+      setCurrentExerciseOrder(defaultSession.exercises);
+      setSavedPlayerState(playerState);
+      setIsPlayerStateChecked(true);
+      setIsLoaded(true);
+    };
+
+    loadData();
+
+    return () => {
+      cancelled = true;
+    };
   }, []);
 
+  const loadPlayerSettings = useCallback(async () => {
+    const settings = await getSettings();
+    setAudioCues(getAudioCueSettings(settings));
+    setNarration(getNarrationSettings(settings));
+  }, []);
+
+  useEffect(() => {
+    loadPlayerSettings();
+  }, [loadPlayerSettings]);
+
+  // Pick up sound and narration settings changed in another tab
+  useStorageSync(loadPlayerSettings, [SETTINGS_SYNC_KEY]);
+
+  const handleNarrationChange = async (changes) => {
+    const next = { ...narration, ...changes };
+    setNarration(next);
+    if (!next.enabled) {
+      stopNarration();
+    }
+    const result = await updateSettings({ narration: next });
+    if (!result.success) {
+      console.error('Failed to save narration settings:', result.errors);
+    }
+  };
+
   // Get current session data
   const currentSession = useMemo(() => {
     if (selectedSessionId === 'default') {
@@ -189,32 +279,43 @@ export default function Home() {
   // Update exercise order when session changes
   useEffect(() => {
     if (isLoaded) {
-      setCurrentExerciseOrder(currentSession.exercises);
+      setCurrentExerciseOrder(pendingOrderRef.current || currentSession.exercises);
+      pendingOrderRef.current = null;
     }
   }, [currentSession, isLoaded]);
 
-  // Build item lookup map from default exercises, stored exercises, stories, and practicals
-  const itemMap = useMemo(() => {
-    const map = new Map();
-    defaultExercises.forEach(e => map.set(e.id, e));
-    allExercises.forEach(e => map.set(e.id, e));
-    allStories.forEach(s => map.set(s.id, { ...s, type: 'story' }));
-    allPracticals.forEach(p => map.set(p.id, { ...p, type: 'practical' }));
-    return map;
-  }, [allExercises, allStories, allPracticals]);
+  // A saved session that was deleted in the meantime cannot be resumed
+  useEffect(() => {
+    if (savedPlayerState && sessionsLoaded && savedPlayerState.sessionId !== 'default'
+      && !allSessions.some(s => s.id === savedPlayerState.sessionId)) {
+      setSavedPlayerState(null);
+    }
+  }, [savedPlayerState, sessionsLoaded, allSessions]);
+
+  // Look up an item among stored exercises (falling back to the built-in ones), stories, and practicals
+  const findItem = useCallback((id) => {
+    switch (getCardType(id)) {
+      case CARD_TYPES.STORY:
+        return storedStories.has(id) ? { ...storedStories.get(id), type: 'story' } : null;
+      case CARD_TYPES.PRACTICAL:
+        return storedPracticals.has(id) ? { ...storedPracticals.get(id), type: 'practical' } : null;
+      default:
+        return storedExercises.get(id) || DEFAULT_EXERCISES.get(id) || null;
+    }
+  }, [storedExercises, storedStories, storedPracticals]);
 
   // Get items (exercises, stories, and practicals) for the current session
   const sessionItems = useMemo(() => {
     return currentExerciseOrder
       .map(id => {
-        const item = itemMap.get(id);
+        const item = findItem(id);
         if (!item) {
-          console.warn(`Item with ID "${id}" not found in item map`);
+          console.warn(`Item with ID "${id}" not found`);
         }
         return item;
       })
       .filter(Boolean);
-  }, [currentExerciseOrder, itemMap]);
+  }, [currentExerciseOrder, findItem]);
   
   const itemsWithTimes = useMemo(() => {
     return calculateItemTimings(sessionItems);
@@ -244,6 +345,131 @@ export default function Home() {
     return 0;
   }, [elapsedMs, itemsWithTimes, totalDurationMs]);
 
+  // Chime when an item starts while the session runs, including the first
+  const cueIndexRef = useRef(-1);
+  useEffect(() => {
+    if (!isRunning) {
+      cueIndexRef.current = -1;
+      return;
+    }
+    if (currentItemIndex !== cueIndexRef.current && elapsedMs < totalDurationMs) {
+      const item = itemsWithTimes[currentItemIndex];
+      if (item && elapsedMs - item.startMs < 1000) {
+        playCue(CUES.TRANSITION, getCueVolume(audioCues, item.type || CARD_TYPES.EXERCISE));
+      }
+      cueIndexRef.current = currentItemIndex;
+    }
+  }, [isRunning, currentItemIndex, elapsedMs, totalDurationMs, itemsWithTimes, audioCues]);
+
+  // Warn once per item shortly before it ends
+  const warnedIndexRef = useRef(-1);
+  useEffect(() => {
+    const item = itemsWithTimes[currentItemIndex];
+    const warningMs = audioCues.warningSeconds * 1000;
+    if (!isRunning || !item || warningMs === 0 || item.durationMs <= warningMs) {
+      return;
+    }
+    const remainingMs = item.endMs - elapsedMs;
+    if (remainingMs > warningMs) {
+      warnedIndexRef.current = -1;
+    } else if (remainingMs > 0 && warnedIndexRef.current !== currentItemIndex) {
+      warnedIndexRef.current = currentItemIndex;
+      playCue(CUES.WARNING, getCueVolume(audioCues, item.type || CARD_TYPES.EXERCISE));
+    }
+  }, [isRunning, currentItemIndex, elapsedMs, itemsWithTimes, audioCues]);
+
+  // Play the closing chimes once the last item is over
+  const hasEnded = totalDurationMs > 0 && elapsedMs >= totalDurationMs;
+  const endCuePlayedRef = useRef(false);
+  useEffect(() => {
+    if (!hasEnded) {
+      endCuePlayedRef.current = false;
+      return;
+    }
+    const lastItem = itemsWithTimes[itemsWithTimes.length - 1];
+    if (!endCuePlayedRef.current && lastItem) {
+      endCuePlayedRef.current = true;
+      playCue(CUES.SESSION_END, getCueVolume(audioCues, lastItem.type || CARD_TYPES.EXERCISE));
+    }
+  }, [hasEnded, itemsWithTimes, audioCues]);
+
+  // Read an item aloud when it starts while the session runs
+  const narratedIndexRef = useRef(-1);
+  useEffect(() => {
+    if (!isRunning) {
+      return;
+    }
+    if (currentItemIndex !== narratedIndexRef.current && elapsedMs < totalDurationMs) {
+      const item = itemsWithTimes[currentItemIndex];
+      narratedIndexRef.current = currentItemIndex;
+      const type = item && (item.type || CARD_TYPES.EXERCISE);
+      if (item && narration.enabled && narration.cardTypes[type]) {
+        narrate(getNarrationText(item, type), narration);
+      } else {
+        stopNarration();
+      }
+    }
+  }, [isRunning, currentItemIndex, elapsedMs, totalDurationMs, itemsWithTimes, narration]);
+
+  // Hold the reading while paused and continue it on start
+  useEffect(() => {
+    if (isRunning) {
+      resumeNarration();
+    } else {
+      pauseNarration();
+    }
+  }, [isRunning]);
+
+  // Save the player state whenever it changes. A running session is saved
+  // with its start time, so the ticking timer causes no writes.
+  const pausedElapsedMs = isRunning ? null : elapsedMs;
+  useEffect(() => {
+    if (!isPlayerStateChecked || savedPlayerState) {
+      return;
+    }
+    if (hasEnded || pausedElapsedMs === 0) {
+      clearPlayerState();
+      return;
+    }
+    savePlayerState({
+      sessionId: selectedSessionId,
+      order: currentExerciseOrder,
+      elapsedMs: pausedElapsedMs ?? elapsedMsRef.current,
+      runAnchorMs: pausedElapsedMs === null ? runAnchorMs : null,
+      startedAtMs
+    });
+  }, [isPlayerStateChecked, savedPlayerState, hasEnded, pausedElapsedMs, selectedSessionId, currentExerciseOrder, runAnchorMs, startedAtMs]);
+
+  // Ask before a reload, closing the tab or following a link while the session runs
+  useEffect(() => {
+    if (!isRunning) {
+      return;
+    }
+
+    const handleBeforeUnload = (e) => {
+      e.preventDefault();
+      e.returnValue = '';
+    };
+    // Client-side navigation (e.g. the navbar) does not fire beforeunload
+    const handleLinkClick = (e) => {
+      const link = e.target instanceof Element ? e.target.closest('a[href]') : null;
+      if (!link || link.target === '_blank' || link.pathname === window.location.pathname) {
+        return;
+      }
+      if (!window.confirm(LEAVE_WARNING)) {
+        e.preventDefault();
+        e.stopPropagation();
+      }
+    };
+
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    document.addEventListener('click', handleLinkClick, true);
+    return () => {
+      window.removeEventListener('beforeunload', handleBeforeUnload);
+      document.removeEventListener('click', handleLinkClick, true);
+    };
+  }, [isRunning]);
+
   // Keep elapsedMsRef in sync with elapsedMs state
   useEffect(() => {
     elapsedMsRef.current = elapsedMs;
@@ -299,48 +525,58 @@ export default function Home() {
     }
   }, [isRunning, handleScroll, elapsedMs]);
 
+  // Advance the timer from the wall clock. The ticks keep coming while the
+  // page is hidden (see sessionTicker.js), and a late tick simply catches up.
   useEffect(() => {
     if (!isRunning) {
-      if (animationRef.current) {
-        cancelAnimationFrame(animationRef.current);
-        animationRef.current = null;
-      }
       return;
     }
 
-    startTimeRef.current = performance.now() - elapsedMsRef.current;
+    startTimeRef.current = Date.now() - elapsedMsRef.current;
+    setRunAnchorMs(startTimeRef.current);
+
+    let isStopped = false;
+    const stopTicker = startTicker(() => {
+      if (isStopped) return;
+      const newElapsed = Date.now() - startTimeRef.current;
 
-    const animate = (currentTime) => {
-      const newElapsed = currentTime - startTimeRef.current;
-      
       if (newElapsed >= totalDurationMs) {
+        isStopped = true;
         setElapsedMs(totalDurationMs);
         setIsRunning(false);
         return;
       }
-      
-      setElapsedMs(newElapsed);
-      animationRef.current = requestAnimationFrame(animate);
-    };
 
-    animationRef.current = requestAnimationFrame(animate);
+      setElapsedMs(newElapsed);
+    });
 
     return () => {
-      if (animationRef.current) {
-        cancelAnimationFrame(animationRef.current);
-      }
+      isStopped = true;
+      stopTicker();
     };
   }, [isRunning, totalDurationMs]);
 
   const handleStartStop = () => {
     if (isRunning) {
+      // Pause at the exact time rather than at the last tick
+      const pausedAt = Math.min(Date.now() - startTimeRef.current, totalDurationMs);
+      elapsedMsRef.current = pausedAt;
+      setElapsedMs(pausedAt);
       setIsRunning(false);
     } else {
+      // Starting afresh drops the offer to resume
+      setSavedPlayerState(null);
+      // Browsers only allow sound after a click
+      unlockAudio();
       if (elapsedMs >= totalDurationMs) {
         // Update both ref and state immediately to ensure consistency
         elapsedMsRef.current = 0;
-        startTimeRef.current = performance.now();
+        startTimeRef.current = Date.now();
         setElapsedMs(0);
+        narratedIndexRef.current = -1;
+      }
+      if (elapsedMs === 0 || elapsedMs >= totalDurationMs) {
+        setStartedAtMs(Date.now());
       }
       setIsRunning(true);
     }
@@ -348,9 +584,13 @@ export default function Home() {
 
   const handleReset = () => {
     setIsRunning(false);
+    stopNarration();
+    narratedIndexRef.current = -1;
+    setStartedAtMs(null);
+    setRunAnchorMs(null);
     // Update both ref and state immediately to ensure consistency
     elapsedMsRef.current = 0;
-    startTimeRef.current = performance.now();
+    startTimeRef.current = Date.now();
     setElapsedMs(0);
     setUserScrolled(false);
     window.scrollTo({ top: 0, behavior: 'smooth' });
@@ -367,8 +607,11 @@ export default function Home() {
     
     // Update both ref and state immediately to prevent animation loop from overwriting
     elapsedMsRef.current = newTime;
-    startTimeRef.current = performance.now() - newTime;
+    startTimeRef.current = Date.now() - newTime;
     setElapsedMs(newTime);
+    if (isRunning) {
+      setRunAnchorMs(Date.now() - newTime);
+    }
     setUserScrolled(false);
     
     // Scroll to the item
@@ -378,7 +621,7 @@ export default function Home() {
         block: 'center'
       });
     }
-  }, [currentItemIndex, itemsWithTimes]);
+  }, [currentItemIndex, itemsWithTimes, isRunning]);
 
   // Jump to next item
   const handleNext = useCallback(() => {
@@ -391,8 +634,11 @@ export default function Home() {
     
     // Update both ref and state immediately to prevent animation loop from overwriting
     elapsedMsRef.current = newTime;
-    startTimeRef.current = performance.now() - newTime;
+    startTimeRef.current = Date.now() - newTime;
     setElapsedMs(newTime);
+    if (isRunning) {
+      setRunAnchorMs(Date.now() - newTime);
+    }
     setUserScrolled(false);
     
     // Scroll to the item
@@ -402,7 +648,7 @@ export default function Home() {
         block: 'center'
       });
     }
-  }, [currentItemIndex, itemsWithTimes]);
+  }, [currentItemIndex, itemsWithTimes, isRunning]);
 
   // Scroll to current time position
   const scrollToCurrentItem = useCallback(() => {
@@ -424,6 +670,49 @@ export default function Home() {
 
   const progress = Math.min((elapsedMs / totalDurationMs) * 100, 100);
 
+  // Keep the clock times current
+  useEffect(() => {
+    const interval = setInterval(() => setNowMs(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Planned start: the scheduled time, or the moment the session was started
+  const plannedStartMs = startMode === START_MODES.SCHEDULED && scheduledTime
+    ? getScheduledStartMs(scheduledTime, nowMs)
+    : startedAtMs ?? nowMs;
+
+  // Wall-clock time elapsed 0 maps to. It is fixed while the session runs and
+  // moves on with the clock while it is paused or has not started on time.
+  const anchorMs = useMemo(() => {
+    if (runAnchorMs === null) {
+      return Math.max(plannedStartMs, nowMs);
+    }
+    if (isRunning || elapsedMs >= totalDurationMs) {
+      return runAnchorMs;
+    }
+    return nowMs - elapsedMs;
+  }, [runAnchorMs, plannedStartMs, nowMs, isRunning, elapsedMs, totalDurationMs]);
+
+  const plannedEndMs = plannedStartMs + totalDurationMs;
+  const projectedEndMs = anchorMs + totalDurationMs;
+  const delayMinutes = Math.floor((projectedEndMs - plannedEndMs) / MINUTE_MS);
+
+  // Persist a new order unless the built-in default session is shown. If the
+  // session was changed in another tab, its stored order wins and is shown.
+  const persistExerciseOrder = useCallback(async (newOrder) => {
+    if (selectedSessionId === 'default') return;
+
+    const result = await reorderSessionExercises(selectedSessionId, newOrder, {
+      expectedRevision: getRevision(currentSession)
+    });
+
+    // A saved order reaches allSessions through the record cache
+    if (result.conflict) {
+      console.warn('Session was changed in another tab; showing the latest order');
+      setCurrentExerciseOrder(result.session.exercises);
+    }
+  }, [selectedSessionId, currentSession]);
+
   // Drag and drop handlers
   const handleDragStart = useCallback((e, index) => {
     setDraggedIndex(index);
@@ -445,13 +734,10 @@ export default function Home() {
     
     setCurrentExerciseOrder(newOrder);
     
-    // Save to localStorage if it's not the default session
-    if (selectedSessionId !== 'default') {
-      reorderSessionExercises(selectedSessionId, newOrder);
-    }
+    persistExerciseOrder(newOrder);
     
     setDraggedIndex(null);
-  }, [draggedIndex, currentExerciseOrder, selectedSessionId]);
+  }, [draggedIndex, currentExerciseOrder, persistExerciseOrder]);
 
   const handleDragEnd = useCallback(() => {
     setDraggedIndex(null);
@@ -535,10 +821,7 @@ export default function Home() {
       
       setCurrentExerciseOrder(newOrder);
       
-      // Save to localStorage if it's not the default session
-      if (selectedSessionId !== 'default') {
-        reorderSessionExercises(selectedSessionId, newOrder);
-      }
+      persistExerciseOrder(newOrder);
     }
 
     // Reset states
@@ -547,7 +830,7 @@ export default function Home() {
     setTouchDraggedIndex(null);
     setDropIndicatorIndex(null);
     draggedElementRef.current = null;
-  }, [isDraggingTouch, touchDraggedIndex, dropIndicatorIndex, currentExerciseOrder, selectedSessionId]);
+  }, [isDraggingTouch, touchDraggedIndex, dropIndicatorIndex, currentExerciseOrder, persistExerciseOrder]);
 
   // Cleanup on unmount
   useEffect(() => {
@@ -555,14 +838,56 @@ export default function Home() {
       if (longPressTimer.current) {
         clearTimeout(longPressTimer.current);
       }
+      stopNarration();
     };
   }, []);
 
   const handleSessionChange = (e) => {
     setSelectedSessionId(e.target.value);
+    setSavedPlayerState(null);
     // Reset timer when session changes
     setIsRunning(false);
+    stopNarration();
+    narratedIndexRef.current = -1;
     setElapsedMs(0);
+    setStartedAtMs(null);
+    setRunAnchorMs(null);
+  };
+
+  // Continue the saved session; one that was running has moved on meanwhile
+  const handleResume = () => {
+    const elapsed = getResumeElapsedMs(savedPlayerState, Date.now());
+    const isResumedRunning = savedPlayerState.runAnchorMs !== null;
+
+    if (isResumedRunning) {
+      unlockAudio();
+    }
+    if (savedPlayerState.sessionId !== selectedSessionId) {
+      pendingOrderRef.current = savedPlayerState.order;
+    }
+    setSelectedSessionId(savedPlayerState.sessionId);
+    setCurrentExerciseOrder(savedPlayerState.order);
+    stopNarration();
+    narratedIndexRef.current = -1;
+    // Update both ref and state immediately to ensure consistency
+    elapsedMsRef.current = elapsed;
+    startTimeRef.current = Date.now() - elapsed;
+    setElapsedMs(elapsed);
+    setStartedAtMs(savedPlayerState.startedAtMs);
+    setRunAnchorMs(Date.now() - elapsed);
+    setIsRunning(isResumedRunning);
+    setSavedPlayerState(null);
+  };
+
+  const resumeSession = savedPlayerState && (savedPlayerState.sessionId === 'default'
+    ? defaultSession
+    : allSessions.find(s => s.id === savedPlayerState.sessionId));
+
+  const handleStartModeChange = (mode) => {
+    setStartMode(mode);
+    if (mode === START_MODES.SCHEDULED && !scheduledTime) {
+      setScheduledTime(getNextQuarterHour(Date.now()));
+    }
   };
 
   if (!isLoaded) {
@@ -587,6 +912,24 @@ export default function Home() {
         </div>
       </header>
 
+      {resumeSession && (
+        <section className="resume-container">
+          <p>
+            ⏯️ <strong>{resumeSession.title}</strong>
+            {savedPlayerState.runAnchorMs !== null ? ' läuft noch' : ' ist pausiert'} bei{' '}
+            <strong>{formatElapsed(getResumeElapsedMs(savedPlayerState, nowMs))}</strong>.
+          </p>
+          <div className="resume-actions">
+            <button className="btn btn-primary" onClick={handleResume}>
+              ▶️ Fortsetzen
+            </button>
+            <button className="btn btn-secondary" onClick={() => setSavedPlayerState(null)}>
+              Verwerfen
+            </button>
+          </div>
+        </section>
+      )}
+
       <section className="session-selector-container">
         <label htmlFor="session-selector">📋 Session auswählen:</label>
         <select
@@ -624,6 +967,47 @@ export default function Home() {
         </div>
       </section>
 
+      <section className="start-time-container">
+        <div className="start-time-picker">
+          <span>🕐 Startzeit:</span>
+          <label>
+            <input
+              type="radio"
+              name="start-mode"
+              checked={startMode === START_MODES.NOW}
+              onChange={() => handleStartModeChange(START_MODES.NOW)}
+            />
+            Jetzt
+          </label>
+          <label>
+            <input
+              type="radio"
+              name="start-mode"
+              checked={startMode === START_MODES.SCHEDULED}
+              onChange={() => handleStartModeChange(START_MODES.SCHEDULED)}
+            />
+            Geplant
+          </label>
+          {startMode === START_MODES.SCHEDULED && (
+            <input
+              type="time"
+              value={scheduledTime}
+              onChange={(e) => setScheduledTime(e.target.value)}
+              aria-label="Geplante Startzeit"
+            />
+          )}
+        </div>
+        <div className="start-time-summary">
+          <span>Ende geplant: <strong>{formatClockTime(plannedEndMs)}</strong></span>
+          <span className={delayMinutes > 0 ? 'start-time-late' : ''}>
+            Voraussichtlich: <strong>{formatClockTime(projectedEndMs)}</strong>
+            {delayMinutes > 0 && ` (+${delayMinutes} Min.)`}
+          </span>
+        </div>
+      </section>
+
+      <NarrationControls narration={narration} onChange={handleNarrationChange} />
+
       <section className="timeline-container" ref={timelineContainerRef}>
         <h2 className="timeline-title">Deine Session Timeline</h2>
         <p className="drag-hint">☰ Ziehen Sie die Elemente, um die Reihenfolge zu ändern</p>
@@ -636,6 +1020,7 @@ export default function Home() {
               <ExerciseCard 
                 exercise={item} 
                 index={index}
+                clockTime={formatClockTime(anchorMs + item.startMs)}
                 onDragStart={handleDragStart}
                 onDragOver={handleDragOver}
                 onDrop={handleDrop}
@@ -663,7 +1048,10 @@ export default function Home() {
       <section className="floating-controls">
         <div className="floating-controls-inner">
           <div className="session-timer">
-            <span className="timer-display">{formatElapsed(elapsedMs)} / {formatElapsed(totalDurationMs)}</span>
+            <span className="timer-display">
+              {formatElapsed(elapsedMs)} / {formatElapsed(totalDurationMs)}
+              <span className="timer-end"> · Ende {formatClockTime(projectedEndMs)}</span>
+            </span>
             <div className="progress-bar">
               <div 
                 className="progress-bar-fill" 
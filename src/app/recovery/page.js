@@ -0,0 +1,175 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import {
+  getRecoveryItems,
+  restoreRepairedRecords,
+  discardQuarantinedData
+} from '../../lib/dataRecovery';
+import { useStorageSync } from '../../lib/useStorageSync';
+
+// Number of salvaged record titles listed per collection
+const PREVIEW_LIMIT = 5;
+
+/**
+ * Offer the raw quarantined value as a file download
+ * @param {Object} item - Recovery item
+ */
+function downloadRawData(item) {
+  const blob = new Blob([item.raw || ''], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${item.storageKey}-unreadable.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+function RecoveryItemCard({ item, onRestore, onDiscard }) {
+  const titles = item.records
+    .slice(0, PREVIEW_LIMIT)
+    .map(record => record.title || record.name || record.id);
+
+  return (
+    <div className="session-card recovery-card">
+      <div className="session-card-header">
+        <h3>{item.label}</h3>
+      </div>
+      <div className="session-meta">
+        <span>⏸️ Set aside {new Date(item.quarantinedAt).toLocaleString()}</span>
+        <span>📄 {item.raw?.length || 0} characters</span>
+      </div>
+      <p className="recovery-reason">{item.reason}</p>
+      <p>
+        {item.records.length} record(s) can be recovered
+        {item.lost > 0 && `, ${item.lost} part(s) are unreadable and will be lost`}.
+      </p>
+      {titles.length > 0 && (
+        <ul className="recovery-preview">
+          {titles.map((title, idx) => <li key={idx}>{title}</li>)}
+          {item.records.length > PREVIEW_LIMIT && (
+            <li>… and {item.records.length - PREVIEW_LIMIT} more</li>
+          )}
+        </ul>
+      )}
+      <div className="session-card-actions">
+        <button
+          className="btn btn-secondary"
+          onClick={() => onRestore(item)}
+          disabled={item.records.length === 0}
+        >
+          🩹 Restore {item.records.length} Record(s)
+        </button>
+        <button className="btn btn-secondary" onClick={() => downloadRawData(item)}>
+          ⬇️ Download Raw Data
+        </button>
+        <button className="btn btn-delete" onClick={() => onDiscard(item)}>
+          ✕ Discard
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default function RecoveryPage() {
+  const [items, setItems] = useState([]);
+  const [errors, setErrors] = useState([]);
+  const [notice, setNotice] = useState('');
+
+  const loadData = useCallback(async () => {
+    setItems(await getRecoveryItems());
+  }, []);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  // Reload when another tab changes the data
+  useStorageSync(loadData);
+
+  const handleRestore = async (item) => {
+    setErrors([]);
+    setNotice('');
+    const result = await restoreRepairedRecords(item.storageKey);
+
+    if (result.success) {
+      setNotice(`Restored ${result.records.length} record(s) to ${item.label}.`);
+      loadData();
+    } else {
+      setErrors(result.errors);
+    }
+  };
+
+  const handleDiscard = async (item) => {
+    if (!window.confirm(`Discard the unreadable ${item.label} data and start with an empty list? This cannot be undone.`)) {
+      return;
+    }
+
+    setErrors([]);
+    setNotice('');
+    const result = await discardQuarantinedData(item.storageKey);
+
+    if (result.success) {
+      setNotice(`Discarded the unreadable ${item.label} data.`);
+      loadData();
+    } else {
+      setErrors(result.errors);
+    }
+  };
+
+  return (
+    <main className="sessions-page recovery-page">
+      <header className="header">
+        <div className="header-content">
+          <h1>🩹 Data Recovery</h1>
+          <p>Saved data that could not be read is kept here until you decide what to do with it</p>
+        </div>
+      </header>
+
+      <div className="sessions-container">
+        <div className="sessions-header">
+          <h2>Unreadable Collections ({items.length})</h2>
+        </div>
+
+        {items.length > 0 && (
+          <p className="recovery-hint">
+            Nothing is saved to these collections until you restore or discard them.
+            Download the raw data first if you want to keep a copy.
+          </p>
+        )}
+
+        {notice && <p className="trash-notice">{notice}</p>}
+
+        {errors.length > 0 && (
+          <div className="form-errors">
+            {errors.map((error, idx) => (
+              <p key={idx} className="error-message">{error}</p>
+            ))}
+          </div>
+        )}
+
+        {items.length === 0 ? (
+          <div className="empty-state">
+            <p>No unreadable data waiting for recovery.</p>
+          </div>
+        ) : (
+          <div className="sessions-grid">
+            {items.map(item => (
+              <RecoveryItemCard
+                key={item.storageKey}
+                item={item}
+                onRestore={handleRestore}
+                onDiscard={handleDiscard}
+              />
+            ))}
+          </div>
+        )}
+
+        <div className="back-link">
+          <Link href="/">← Back to Home</Link>
+        </div>
+      </div>
+    </main>
+  );
+}
@@ -2,19 +2,32 @@
 
 import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import Link from 'next/link';
+import RevisionHistoryPanel from '../components/RevisionHistoryPanel';
 import { 
   getSessions, 
   createSession, 
   updateSession, 
-  deleteSession 
+  deleteSession,
+  getSessionHistory,
+  restoreSessionRevision
 } from '../../lib/sessionStorage';
-import { getExercises, initializeDefaultExercises } from '../../lib/exerciseStorage';
+import { getExercises } from '../../lib/exerciseStorage';
 import { getStories, isStoryId } from '../../lib/storyStorage';
 import { getPracticals, isPracticalId } from '../../lib/practicalStorage';
+import { getExerciseSets } from '../../lib/exerciseSetStorage';
+import { getStorySets } from '../../lib/storySetStorage';
+import { getPracticalSets } from '../../lib/practicalSetStorage';
 import { getStoryBooks } from '../../lib/storyBookStorage';
-
-const CATEGORIES = ['Morgen', 'Abend', 'Kraft', 'Entspannung', 'Balance'];
-const LEVELS = ['Anfänger', 'Fortgeschritten', 'Alle Levels'];
+import { WEAVE_STRATEGIES, weaveStoryBook } from '../../lib/storyWeaving';
+import { getCardTags, normalizeCards, queryCards } from '../../lib/cardQuery';
+import { notify } from '../../lib/notifications';
+import { ensureSeedData, getCustomizedDefaults, restoreSeedDefault } from '../../lib/seedData';
+import { STORAGE_KEYS } from '../../lib/storageKeys';
+import { getRevision } from '../../lib/storageSync';
+import { TAXONOMIES, getTaxonomyOptions } from '../../lib/taxonomy';
+import { useRecords } from '../../lib/useRecords';
+import { useStorageSync } from '../../lib/useStorageSync';
+import { useTaxonomies } from '../../lib/useTaxonomies';
 
 // Touch interaction constants
 const LONG_PRESS_DURATION = 200; // milliseconds to distinguish tap from long press
@@ -31,26 +44,40 @@ const CARD_TYPE_CONFIG = {
   [CARD_TYPES.EXERCISE]: {
     icon: '💪',
     label: 'Exercise',
-    color: '#2d7a6f',
-    timeField: 'duration_minutes',
-    categoryField: 'category'
+    color: '#2d7a6f'
   },
   [CARD_TYPES.STORY]: {
     icon: '📖',
     label: 'Story',
-    color: '#c17f59',
-    timeField: 'time',
-    categoryField: 'mood'
+    color: '#c17f59'
   },
   [CARD_TYPES.PRACTICAL]: {
     icon: '🔔',
     label: 'Practical',
-    color: '#5a9e7a',
-    timeField: 'time',
-    categoryField: null
+    color: '#5a9e7a'
   }
 };
 
+// Set collections per card type, with the field holding their card IDs
+const SET_SOURCES = [
+  { type: CARD_TYPES.EXERCISE, label: 'Übungs-Sets', getAll: getExerciseSets, idsField: 'exerciseIds' },
+  { type: CARD_TYPES.STORY, label: 'Story-Sets', getAll: getStorySets, idsField: 'storyIds' },
+  { type: CARD_TYPES.PRACTICAL, label: 'Praxis-Sets', getAll: getPracticalSets, idsField: 'practicalIds' }
+];
+
+/**
+ * Load the sets of every card type into one list
+ * @returns {Promise<Array>} Sets with their card type and card IDs
+ */
+async function loadCardSets() {
+  const lists = await Promise.all(SET_SOURCES.map(source => source.getAll()));
+  return SET_SOURCES.flatMap((source, index) => lists[index].map(set => ({
+    ...set,
+    type: source.type,
+    cardIds: set[source.idsField] || []
+  })));
+}
+
 // Helper function to determine card type from ID
 function getCardType(id) {
   if (isStoryId(id)) return CARD_TYPES.STORY;
@@ -58,29 +85,117 @@ function getCardType(id) {
   return CARD_TYPES.EXERCISE;
 }
 
-// Normalize cards to a common format using CARD_TYPE_CONFIG
-function normalizeCard(item, type) {
-  const config = CARD_TYPE_CONFIG[type];
-  return {
-    id: item.id,
-    title: item.title,
-    time: item[config.timeField] || 0,
-    type: type,
-    tags: item.tags || [],
-    category: config.categoryField ? item[config.categoryField] : null,
-    originalItem: item
-  };
+const WEAVE_STRATEGY_OPTIONS = [
+  {
+    strategy: WEAVE_STRATEGIES.BEFORE_EACH,
+    label: 'Vor jeder Übung',
+    hint: 'Eine Story vor jeder Übung, in der Reihenfolge des Buchs.'
+  },
+  {
+    strategy: WEAVE_STRATEGIES.CATEGORY_CHANGES,
+    label: 'Bei Kategoriewechsel',
+    hint: 'Eine Story zu Beginn und immer dann, wenn die Kategorie der Übungen wechselt.'
+  },
+  {
+    strategy: WEAVE_STRATEGIES.MOOD,
+    label: 'Nach Stimmung',
+    hint: 'Jede Story vor der Übung, deren Tags oder Kategorie ihre Stimmung oder ihre Tags enthalten.'
+  }
+];
+
+// Field names in the version history, as labeled in the form
+const HISTORY_FIELD_LABELS = {
+  title: 'Titel',
+  description: 'Beschreibung',
+  story: 'Story',
+  category: 'Kategorie',
+  level: 'Level',
+  duration_minutes: 'Dauer (Minuten)',
+  exercises: 'Übungen'
+};
+
+// Preview of a story book woven into the session before it is applied
+function StoryWeaveDialog({ storyBook, sequence, exerciseIndex, storyIndex, itemMap, onApply, onClose }) {
+  const [strategy, setStrategy] = useState(WEAVE_STRATEGIES.BEFORE_EACH);
+
+  const result = useMemo(
+    () => weaveStoryBook(sequence, storyBook.storyIds, { strategy, exerciseIndex, storyIndex }),
+    [sequence, storyBook, strategy, exerciseIndex, storyIndex]
+  );
+  const inserted = new Set(result.inserted);
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content weave-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>🧵 {storyBook.title} verweben</h2>
+          <button type="button" className="modal-close" onClick={onClose} aria-label="Schließen">✕</button>
+        </div>
+
+        <div className="backup-modes">
+          {WEAVE_STRATEGY_OPTIONS.map(option => (
+            <label key={option.strategy} className="backup-mode">
+              <input
+                type="radio"
+                name="weave-strategy"
+                value={option.strategy}
+                checked={strategy === option.strategy}
+                onChange={() => setStrategy(option.strategy)}
+              />
+              <span><strong>{option.label}</strong> – {option.hint}</span>
+            </label>
+          ))}
+        </div>
+
+        <ol className="weave-preview">
+          {result.sequence.map((itemId, idx) => {
+            const item = itemMap.get(itemId);
+            const config = CARD_TYPE_CONFIG[getCardType(itemId)];
+            return (
+              <li key={`${itemId}-${idx}`} className={inserted.has(idx) ? 'inserted' : ''}>
+                <span className="item-type-icon">{config.icon}</span>
+                <span>{item ? item.title : `Element nicht gefunden (ID: ${itemId})`}</span>
+                {inserted.has(idx) && <span className="weave-new-badge">neu</span>}
+              </li>
+            );
+          })}
+        </ol>
+
+        {result.appended > 0 && (
+          <p className="backup-hint">
+            {result.appended} Story/Stories passen zu keiner Übung und werden am Ende angehängt.
+          </p>
+        )}
+        {result.skipped > 0 && (
+          <p className="backup-hint">
+            {result.skipped} Story/Stories sind schon in der Session und werden übersprungen.
+          </p>
+        )}
+
+        <div className="modal-actions">
+          <button type="button" className="btn btn-secondary" onClick={onClose}>
+            Abbrechen
+          </button>
+          <button type="button" className="btn btn-primary" onClick={() => onApply(result.sequence)}>
+            Übernehmen
+          </button>
+        </div>
+      </div>
+    </div>
+  );
 }
 
-function SessionForm({ session, exercises, stories, practicals, storyBooks, onSubmit, onCancel }) {
+function SessionForm({ session, exercises, stories, practicals, storyBooks, cardSets, taxonomies, onSubmit, onCancel, loadHistory, onRestoreRevision }) {
+  const categoryValues = taxonomies[TAXONOMIES.SESSION_CATEGORIES];
+  const levelValues = taxonomies[TAXONOMIES.SESSION_LEVELS];
   const [formData, setFormData] = useState({
     title: session?.title || '',
     description: session?.description || '',
     story: session?.story || '',
     duration_minutes: session?.duration_minutes || 30,
     exercises: session?.exercises || [],
-    category: session?.category || CATEGORIES[0],
-    level: session?.level || LEVELS[0]
+    category: session?.category || getTaxonomyOptions(categoryValues)[0] || '',
+    level: session?.level || getTaxonomyOptions(levelValues)[0] || ''
   });
   const [errors, setErrors] = useState([]);
   const [draggedIndex, setDraggedIndex] = useState(null);
@@ -89,53 +204,29 @@ function SessionForm({ session, exercises, stories, practicals, storyBooks, onSu
   const [selectedTags, setSelectedTags] = useState([]);
   const [draggedCard, setDraggedCard] = useState(null);
   const [showAllTags, setShowAllTags] = useState(false);
+  const [weavingStoryBook, setWeavingStoryBook] = useState(null);
+  const [scopeSetId, setScopeSetId] = useState('');
+  const [insertPosition, setInsertPosition] = useState(-1);
   const VISIBLE_TAGS_COUNT = 8;
 
   // Normalize all cards into a unified list
-  const allCards = useMemo(() => {
-    const normalizedExercises = exercises.map(e => normalizeCard(e, CARD_TYPES.EXERCISE));
-    const normalizedStories = stories.map(s => normalizeCard(s, CARD_TYPES.STORY));
-    const normalizedPracticals = practicals.map(p => normalizeCard(p, CARD_TYPES.PRACTICAL));
-    return [...normalizedExercises, ...normalizedStories, ...normalizedPracticals];
-  }, [exercises, stories, practicals]);
+  const allCards = useMemo(() => normalizeCards({ exercises, stories, practicals }), [exercises, stories, practicals]);
 
   // Get all unique tags from cards
-  const allTags = useMemo(() => {
-    const tags = new Set();
-    allCards.forEach(card => {
-      card.tags.forEach(tag => tags.add(tag));
-    });
-    return Array.from(tags).sort();
-  }, [allCards]);
+  const allTags = useMemo(() => getCardTags(allCards), [allCards]);
 
-  // Filter cards based on search, types, and tags
+  // Set whose cards the list is limited to, if any
+  const scopeSet = cardSets.find(set => set.id === scopeSetId);
+
+  // Filter cards based on search, types, tags and set
   const filteredCards = useMemo(() => {
-    return allCards.filter(card => {
-      // Filter by type
-      if (!selectedTypes.includes(card.type)) {
-        return false;
-      }
-      
-      // Filter by search query
-      if (searchQuery) {
-        const query = searchQuery.toLowerCase();
-        const matchesTitle = card.title.toLowerCase().includes(query);
-        if (!matchesTitle) {
-          return false;
-        }
-      }
-      
-      // Filter by tags
-      if (selectedTags.length > 0) {
-        const hasSelectedTag = selectedTags.some(tag => card.tags.includes(tag));
-        if (!hasSelectedTag) {
-          return false;
-        }
-      }
-      
-      return true;
-    });
-  }, [allCards, searchQuery, selectedTypes, selectedTags]);
+    return queryCards(allCards, {
+      types: selectedTypes,
+      ids: scopeSet?.cardIds,
+      tags: selectedTags,
+      text: searchQuery
+    }).cards;
+  }, [allCards, searchQuery, selectedTypes, selectedTags, scopeSet]);
 
   // Create lookup map for all items
   const itemMap = useMemo(() => {
@@ -151,6 +242,11 @@ function SessionForm({ session, exercises, stories, practicals, storyBooks, onSu
     return new Map(stories.map(s => [s.id, s]));
   }, [stories]);
 
+  // Exercise lookup map for weaving story books between exercises
+  const exerciseMap = useMemo(() => {
+    return new Map(exercises.map(e => [e.id, e]));
+  }, [exercises]);
+
   const handleChange = (e) => {
     const { name, value, type } = e.target;
     setFormData(prev => ({
@@ -174,6 +270,25 @@ function SessionForm({ session, exercises, stories, practicals, storyBooks, onSu
     }));
   };
 
+  // Position sets are inserted at; -1, or a position past the end after items were removed, means at the end
+  const setPosition = insertPosition < formData.exercises.length ? insertPosition : -1;
+
+  // Insert all existing cards of a set at the chosen position
+  const handleInsertSet = (set) => {
+    const cardIds = set.cardIds.filter(id => itemMap.has(id));
+    setFormData(prev => {
+      const position = setPosition === -1 ? prev.exercises.length : setPosition;
+      const newExercises = [...prev.exercises];
+      newExercises.splice(position, 0, ...cardIds);
+      return { ...prev, exercises: newExercises };
+    });
+  };
+
+  const handleApplyWeave = (sequence) => {
+    setFormData(prev => ({ ...prev, exercises: sequence }));
+    setWeavingStoryBook(null);
+  };
+
   const handleRemoveCard = (indexToRemove) => {
     setFormData(prev => ({
       ...prev,
@@ -427,16 +542,24 @@ function SessionForm({ session, exercises, stories, practicals, storyBooks, onSu
     }
   };
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
     setErrors([]);
     
-    const result = onSubmit(formData);
+    const result = await onSubmit(formData);
     if (!result.success) {
       setErrors(result.errors);
     }
   };
 
+  // Show card titles instead of IDs in the version history
+  const formatHistoryValue = (field, value) => {
+    if (field === 'exercises' && Array.isArray(value)) {
+      return value.map(itemId => itemMap.get(itemId)?.title || itemId).join(', ');
+    }
+    return null;
+  };
+
   // Get item info for display
   const getItemInfo = (itemId) => {
     const item = itemMap.get(itemId);
@@ -504,7 +627,7 @@ function SessionForm({ session, exercises, stories, practicals, storyBooks, onSu
               value={formData.category}
               onChange={handleChange}
             >
-              {CATEGORIES.map(cat => (
+              {getTaxonomyOptions(categoryValues, formData.category).map(cat => (
                 <option key={cat} value={cat}>{cat}</option>
               ))}
             </select>
@@ -518,7 +641,7 @@ function SessionForm({ session, exercises, stories, practicals, storyBooks, onSu
               value={formData.level}
               onChange={handleChange}
             >
-              {LEVELS.map(lvl => (
+              {getTaxonomyOptions(levelValues, formData.level).map(lvl => (
                 <option key={lvl} value={lvl}>{lvl}</option>
               ))}
             </select>
@@ -564,6 +687,27 @@ function SessionForm({ session, exercises, stories, practicals, storyBooks, onSu
             )}
           </div>
 
+          {/* Set Scope */}
+          {cardSets.length > 0 && (
+            <div className="set-scope">
+              <label htmlFor="set-scope">📚 Set:</label>
+              <select
+                id="set-scope"
+                value={scopeSetId}
+                onChange={(e) => setScopeSetId(e.target.value)}
+              >
+                <option value="">Alle Karten</option>
+                {SET_SOURCES.map(source => (
+                  <optgroup key={source.type} label={source.label}>
+                    {cardSets.filter(set => set.type === source.type).map(set => (
+                      <option key={set.id} value={set.id}>{set.name} ({set.cardIds.length})</option>
+                    ))}
+                  </optgroup>
+                ))}
+              </select>
+            </div>
+          )}
+
           {/* Type Filters */}
           <div className="type-filters">
             {Object.entries(CARD_TYPE_CONFIG).map(([type, { icon, label, color }]) => (
@@ -672,6 +816,63 @@ function SessionForm({ session, exercises, stories, practicals, storyBooks, onSu
                         <span className="card-title">{storyBook.title}</span>
                         <span className="card-time">{storyBook.storyIds.length} Stories, {totalTime} Min.</span>
                       </div>
+                      <button
+                        type="button"
+                        className="btn-weave-storybook"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          setWeavingStoryBook(storyBook);
+                        }}
+                        title="Zwischen die Übungen verweben"
+                        aria-label={`${storyBook.title} zwischen die Übungen verweben`}
+                      >
+                        🧵
+                      </button>
+                      <span className="card-add-icon">➕</span>
+                    </div>
+                  );
+                })}
+              </>
+            )}
+
+            {/* Sets Section */}
+            {cardSets.length > 0 && (
+              <>
+                <div className="cards-section-divider">
+                  <span>🗂️ Sets</span>
+                </div>
+                <div className="set-insert-position">
+                  <label htmlFor="set-insert-position">Einfügen:</label>
+                  <select
+                    id="set-insert-position"
+                    value={setPosition}
+                    onChange={(e) => setInsertPosition(Number(e.target.value))}
+                  >
+                    <option value={-1}>am Ende</option>
+                    {formData.exercises.length > 0 && <option value={0}>am Anfang</option>}
+                    {formData.exercises.slice(0, -1).map((itemId, idx) => (
+                      <option key={`${itemId}-${idx}`} value={idx + 1}>
+                        nach {idx + 1}. {itemMap.get(itemId)?.title || itemId}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                {cardSets.map(set => {
+                  const config = CARD_TYPE_CONFIG[set.type];
+                  const setItems = set.cardIds.map(id => itemMap.get(id)).filter(Boolean);
+                  const totalTime = setItems.reduce((sum, item) => sum + ((set.type === CARD_TYPES.EXERCISE ? item.duration_minutes : item.time) || 0), 0);
+                  return (
+                    <div
+                      key={set.id}
+                      className="draggable-card card-type-set"
+                      style={{ '--card-color': config.color }}
+                      onClick={() => handleInsertSet(set)}
+                    >
+                      <span className="card-type-icon">{config.icon}</span>
+                      <div className="card-info">
+                        <span className="card-title">{set.name}</span>
+                        <span className="card-time">{setItems.length} Karten, {totalTime} Min.</span>
+                      </div>
                       <span className="card-add-icon">➕</span>
                     </div>
                   );
@@ -769,27 +970,58 @@ function SessionForm({ session, exercises, stories, practicals, storyBooks, onSu
           {session ? 'Speichern' : 'Erstellen'}
         </button>
       </div>
+
+      {weavingStoryBook && (
+        <StoryWeaveDialog
+          storyBook={weavingStoryBook}
+          sequence={formData.exercises}
+          exerciseIndex={exerciseMap}
+          storyIndex={storyMap}
+          itemMap={itemMap}
+          onApply={handleApplyWeave}
+          onClose={() => setWeavingStoryBook(null)}
+        />
+      )}
+
+      {session && (
+        <RevisionHistoryPanel
+          loadHistory={loadHistory}
+          revision={session.revision}
+          onRestore={onRestoreRevision}
+          formatValue={formatHistoryValue}
+          fieldLabels={HISTORY_FIELD_LABELS}
+          lang="de"
+        />
+      )}
     </form>
   );
 }
 
-function SessionCard({ session, exercises, stories, practicals, onEdit, onDelete }) {
-  const exerciseMap = new Map(exercises.map(e => [e.id, e]));
-  const storyMap = new Map(stories.map(s => [s.id, s]));
-  const practicalMap = new Map(practicals.map(p => [p.id, p]));
-  const itemMap = new Map([...exerciseMap, ...storyMap, ...practicalMap]);
-  
-  const sessionItems = session.exercises
-    .map(id => {
-      const item = itemMap.get(id);
-      if (!item) {
-        console.warn(`Item with ID "${id}" not found in session "${session.title}"`);
-        return null;
-      }
-      const cardType = getCardType(id);
-      return { ...item, cardType };
-    })
-    .filter(Boolean);
+function SessionCard({ session, onEdit, onDelete, onRestoreDefault }) {
+  // Indexed lookups from the record cache, shared by all session cards
+  const { byId: exerciseIndex } = useRecords(STORAGE_KEYS.EXERCISES);
+  const { byId: storyIndex } = useRecords(STORAGE_KEYS.STORIES);
+  const { byId: practicalIndex } = useRecords(STORAGE_KEYS.PRACTICALS);
+
+  const sessionItems = useMemo(() => {
+    const indexes = {
+      [CARD_TYPES.EXERCISE]: exerciseIndex,
+      [CARD_TYPES.STORY]: storyIndex,
+      [CARD_TYPES.PRACTICAL]: practicalIndex
+    };
+
+    return session.exercises
+      .map(id => {
+        const cardType = getCardType(id);
+        const item = indexes[cardType].get(id);
+        if (!item) {
+          console.warn(`Item with ID "${id}" not found in session "${session.title}"`);
+          return null;
+        }
+        return { ...item, cardType };
+      })
+      .filter(Boolean);
+  }, [session, exerciseIndex, storyIndex, practicalIndex]);
   
   const exerciseCount = sessionItems.filter(item => item.cardType === CARD_TYPES.EXERCISE).length;
   const storyCount = sessionItems.filter(item => item.cardType === CARD_TYPES.STORY).length;
@@ -831,6 +1063,11 @@ function SessionCard({ session, exercises, stories, practicals, onEdit, onDelete
         <button className="btn btn-edit" onClick={() => onEdit(session)}>
           ✏️ Bearbeiten
         </button>
+        {onRestoreDefault && (
+          <button className="btn btn-secondary" onClick={() => onRestoreDefault(session)}>
+            ↺ Standard wiederherstellen
+          </button>
+        )}
         <button className="btn btn-delete" onClick={() => onDelete(session.id)}>
           🗑️ Löschen
         </button>
@@ -845,31 +1082,43 @@ export default function SessionsPage() {
   const [stories, setStories] = useState([]);
   const [practicals, setPracticals] = useState([]);
   const [storyBooks, setStoryBooks] = useState([]);
+  const [cardSets, setCardSets] = useState([]);
   const [showForm, setShowForm] = useState(false);
   const [editingSession, setEditingSession] = useState(null);
+  const [customizedIds, setCustomizedIds] = useState(new Set());
+  const taxonomies = useTaxonomies();
 
   const loadData = useCallback(async () => {
-    try {
-      // Initialize default exercises if needed
-      await initializeDefaultExercises();
-    } catch (error) {
-      console.error('Failed to initialize default exercises:', error);
-      // Continue with loading existing data even if initialization fails
-    }
+    // Merge new default sessions and cards if needed; failures are logged
+    // and the existing data is loaded anyway
+    await ensureSeedData();
     
-    setSessions(getSessions());
-    setExercises(getExercises());
-    setStories(getStories());
-    setPracticals(getPracticals());
-    setStoryBooks(getStoryBooks());
+    const [storedSessions, storedExercises, storedStories, storedPracticals, storedStoryBooks, storedCardSets] = await Promise.all([
+      getSessions(),
+      getExercises(),
+      getStories(),
+      getPracticals(),
+      getStoryBooks(),
+      loadCardSets()
+    ]);
+    setSessions(storedSessions);
+    setExercises(storedExercises);
+    setStories(storedStories);
+    setPracticals(storedPracticals);
+    setStoryBooks(storedStoryBooks);
+    setCardSets(storedCardSets);
+    setCustomizedIds(await getCustomizedDefaults(STORAGE_KEYS.SESSIONS, storedSessions));
   }, []);
 
   useEffect(() => {
     loadData();
   }, [loadData]);
 
-  const handleCreate = (formData) => {
-    const result = createSession(formData);
+  // Reload when another tab changes the data
+  useStorageSync(loadData);
+
+  const handleCreate = async (formData) => {
+    const result = await createSession(formData);
     if (result.success) {
       loadData();
       setShowForm(false);
@@ -877,8 +1126,10 @@ export default function SessionsPage() {
     return result;
   };
 
-  const handleUpdate = (formData) => {
-    const result = updateSession(editingSession.id, formData);
+  const handleUpdate = async (formData) => {
+    const result = await updateSession(editingSession.id, formData, {
+      expectedRevision: getRevision(editingSession)
+    });
     if (result.success) {
       loadData();
       setEditingSession(null);
@@ -887,10 +1138,42 @@ export default function SessionsPage() {
     return result;
   };
 
-  const handleDelete = (id) => {
-    if (window.confirm('Möchten Sie diese Session wirklich löschen?')) {
-      deleteSession(id);
+  const editingSessionId = editingSession?.id;
+  const loadSessionHistory = useCallback(() => getSessionHistory(editingSessionId), [editingSessionId]);
+
+  const handleRestoreRevision = async (entry) => {
+    const result = await restoreSessionRevision(editingSession.id, entry.id, {
+      expectedRevision: getRevision(editingSession)
+    });
+    if (result.success) {
       loadData();
+      setEditingSession(null);
+      setShowForm(false);
+    }
+    return result;
+  };
+
+  const handleDelete = async (id) => {
+    if (window.confirm('Möchten Sie diese Session in den Papierkorb verschieben?')) {
+      await deleteSession(id);
+      loadData();
+    }
+  };
+
+  // Reset an edited example session to its bundled version
+  const handleRestoreDefault = async (session) => {
+    if (!window.confirm(`"${session.title}" auf die Standardfassung zurücksetzen? Ihre Fassung bleibt in der Versionshistorie erhalten.`)) {
+      return;
+    }
+
+    const result = await restoreSeedDefault(STORAGE_KEYS.SESSIONS, session.id, {
+      expectedRevision: getRevision(session)
+    });
+
+    if (result.success) {
+      loadData();
+    } else {
+      notify({ level: 'error', title: 'Standardfassung nicht wiederhergestellt', message: result.errors.join(' ') });
     }
   };
 
@@ -921,8 +1204,12 @@ export default function SessionsPage() {
             stories={stories}
             practicals={practicals}
             storyBooks={storyBooks}
+            cardSets={cardSets}
+            taxonomies={taxonomies}
             onSubmit={editingSession ? handleUpdate : handleCreate}
             onCancel={handleCancel}
+            loadHistory={loadSessionHistory}
+            onRestoreRevision={handleRestoreRevision}
           />
         ) : (
           <>
@@ -947,11 +1234,9 @@ export default function SessionsPage() {
                   <SessionCard
                     key={session.id}
                     session={session}
-                    exercises={exercises}
-                    stories={stories}
-                    practicals={practicals}
                     onEdit={handleEdit}
                     onDelete={handleDelete}
+                    onRestoreDefault={customizedIds.has(session.id) ? handleRestoreDefault : null}
                   />
                 ))}
               </div>
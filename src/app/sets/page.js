@@ -6,8 +6,7 @@ import {
   getExerciseSets, 
   createExerciseSet, 
   updateExerciseSet, 
-  deleteExerciseSet,
-  initializeDefaultExerciseSets 
+  deleteExerciseSet
 } from '../../lib/exerciseSetStorage';
 import { 
   getStorySets, 
@@ -21,9 +20,14 @@ import {
   updatePracticalSet, 
   deletePracticalSet 
 } from '../../lib/practicalSetStorage';
-import { getExercises, initializeDefaultExercises } from '../../lib/exerciseStorage';
+import { getExercises } from '../../lib/exerciseStorage';
 import { getStories } from '../../lib/storyStorage';
 import { getPracticals } from '../../lib/practicalStorage';
+import { notify } from '../../lib/notifications';
+import { ensureSeedData, getCustomizedDefaults, restoreSeedDefault } from '../../lib/seedData';
+import { STORAGE_KEYS } from '../../lib/storageKeys';
+import { getRevision } from '../../lib/storageSync';
+import { useStorageSync } from '../../lib/useStorageSync';
 
 const SET_TYPES = {
   EXERCISE: 'exercise',
@@ -53,7 +57,7 @@ const SET_TYPE_CONFIG = {
 };
 
 // Set Card Component
-function SetCard({ set, type, onEdit, onDelete, onView, cardCount }) {
+function SetCard({ set, type, onEdit, onDelete, onView, onRestoreDefault, cardCount }) {
   const config = SET_TYPE_CONFIG[type];
   
   return (
@@ -86,6 +90,11 @@ function SetCard({ set, type, onEdit, onDelete, onView, cardCount }) {
         <button className="btn btn-edit" onClick={() => onEdit(set)}>
           ✏️ Edit
         </button>
+        {onRestoreDefault && (
+          <button className="btn btn-secondary" onClick={() => onRestoreDefault(set)}>
+            ↺ Restore Default
+          </button>
+        )}
         {!set.isDefault && (
           <button className="btn btn-delete" onClick={() => onDelete(set)}>
             🗑️ Delete
@@ -127,14 +136,14 @@ function SetModal({ isOpen, onClose, onSubmit, editSet, type, availableCards })
     setSearchQuery('');
   }, [editSet, isOpen, type]);
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
     setErrors([]);
     
     const cardIdsKey = type === SET_TYPES.EXERCISE ? 'exerciseIds' : 
                        type === SET_TYPES.STORY ? 'storyIds' : 'practicalIds';
     
-    const result = onSubmit({
+    const result = await onSubmit({
       name: formData.name,
       description: formData.description,
       [cardIdsKey]: formData.cardIds
@@ -304,26 +313,43 @@ export default function SetsPage() {
   const [editingSet, setEditingSet] = useState(null);
   const [viewingSet, setViewingSet] = useState(null);
   const [searchQuery, setSearchQuery] = useState('');
+  const [customizedIds, setCustomizedIds] = useState(new Set());
 
   const loadData = useCallback(async () => {
-    // Initialize default exercises first
-    await initializeDefaultExercises();
+    // Merge new default exercises and sets if needed
+    await ensureSeedData();
     
-    // Then initialize default exercise sets
-    initializeDefaultExerciseSets();
-    
-    setExerciseSets(getExerciseSets());
-    setStorySets(getStorySets());
-    setPracticalSets(getPracticalSets());
-    setExercises(getExercises());
-    setStories(getStories());
-    setPracticals(getPracticals());
+    const [
+      storedExerciseSets,
+      storedStorySets,
+      storedPracticalSets,
+      storedExercises,
+      storedStories,
+      storedPracticals
+    ] = await Promise.all([
+      getExerciseSets(),
+      getStorySets(),
+      getPracticalSets(),
+      getExercises(),
+      getStories(),
+      getPracticals()
+    ]);
+    setExerciseSets(storedExerciseSets);
+    setStorySets(storedStorySets);
+    setPracticalSets(storedPracticalSets);
+    setExercises(storedExercises);
+    setStories(storedStories);
+    setPracticals(storedPracticals);
+    setCustomizedIds(await getCustomizedDefaults(STORAGE_KEYS.EXERCISE_SETS, storedExerciseSets));
   }, []);
 
   useEffect(() => {
     loadData();
   }, [loadData]);
 
+  // Reload when another tab changes the data
+  useStorageSync(loadData);
+
   const currentSets = activeTab === SET_TYPES.EXERCISE ? exerciseSets :
                       activeTab === SET_TYPES.STORY ? storySets : practicalSets;
   
@@ -349,40 +375,41 @@ export default function SetsPage() {
     setIsModalOpen(true);
   };
 
-  const handleDeleteSet = (set) => {
+  const handleDeleteSet = async (set) => {
     const config = SET_TYPE_CONFIG[activeTab];
-    if (window.confirm(`Are you sure you want to delete "${set.name}"?`)) {
+    if (window.confirm(`Move "${set.name}" to the trash?`)) {
       if (activeTab === SET_TYPES.EXERCISE) {
-        deleteExerciseSet(set.id);
+        await deleteExerciseSet(set.id);
       } else if (activeTab === SET_TYPES.STORY) {
-        deleteStorySet(set.id);
+        await deleteStorySet(set.id);
       } else {
-        deletePracticalSet(set.id);
+        await deletePracticalSet(set.id);
       }
       loadData();
     }
   };
 
-  const handleSubmit = (data) => {
+  const handleSubmit = async (data) => {
+    const options = { expectedRevision: getRevision(editingSet) };
     let result;
     
     if (activeTab === SET_TYPES.EXERCISE) {
       if (editingSet) {
-        result = updateExerciseSet(editingSet.id, data);
+        result = await updateExerciseSet(editingSet.id, data, options);
       } else {
-        result = createExerciseSet(data);
+        result = await createExerciseSet(data);
       }
     } else if (activeTab === SET_TYPES.STORY) {
       if (editingSet) {
-        result = updateStorySet(editingSet.id, data);
+        result = await updateStorySet(editingSet.id, data, options);
       } else {
-        result = createStorySet(data);
+        result = await createStorySet(data);
       }
     } else {
       if (editingSet) {
-        result = updatePracticalSet(editingSet.id, data);
+        result = await updatePracticalSet(editingSet.id, data, options);
       } else {
-        result = createPracticalSet(data);
+        result = await createPracticalSet(data);
       }
     }
     
@@ -394,6 +421,23 @@ export default function SetsPage() {
     return result;
   };
 
+  // Reset an edited default set to its bundled version
+  const handleRestoreDefault = async (set) => {
+    if (!window.confirm(`Reset "${set.name}" to its default version?`)) {
+      return;
+    }
+
+    const result = await restoreSeedDefault(STORAGE_KEYS.EXERCISE_SETS, set.id, {
+      expectedRevision: getRevision(set)
+    });
+
+    if (result.success) {
+      loadData();
+    } else {
+      notify({ level: 'error', title: 'Could not restore the default', message: result.errors.join(' ') });
+    }
+  };
+
   const handleViewSet = (set) => {
     setViewingSet(set);
   };
@@ -495,6 +539,7 @@ export default function SetsPage() {
                 onEdit={handleEditSet}
                 onDelete={handleDeleteSet}
                 onView={handleViewSet}
+                onRestoreDefault={customizedIds.has(set.id) ? handleRestoreDefault : null}
                 cardCount={getCardCount(set)}
               />
             ))}
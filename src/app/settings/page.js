@@ -0,0 +1,363 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import {
+  IMPORT_MODES,
+  createBackup,
+  getBackupFileName,
+  parseBackup,
+  previewImport,
+  importBackup
+} from '../../lib/backup';
+import { formatBytes, getStorageUsage } from '../../lib/storageHealth';
+import { getSyncServerUrl, setSyncServerUrl } from '../../lib/storageBackend';
+import { SYNC_STATES, getSyncStatus, subscribeToSyncStatus } from '../../lib/remoteSync';
+import { TAXONOMY_CONFIG } from '../../lib/taxonomy';
+import { useStorageSync } from '../../lib/useStorageSync';
+import AudioCueSettings from '../components/AudioCueSettings';
+import TaxonomyEditor from '../components/TaxonomyEditor';
+
+// Number of skipped records listed per collection in the preview
+const SKIPPED_PREVIEW_LIMIT = 5;
+
+const MODE_OPTIONS = [
+  {
+    mode: IMPORT_MODES.MERGE,
+    label: 'Merge',
+    hint: 'Add new items and update items that exist in both; keep everything else.'
+  },
+  {
+    mode: IMPORT_MODES.REPLACE,
+    label: 'Replace',
+    hint: 'Make each collection in the backup an exact copy of it; items not in the backup are removed.'
+  }
+];
+
+/**
+ * Offer a backup object as a file download
+ * @param {Object} backup - Backup object
+ */
+function downloadBackup(backup) {
+  const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = getBackupFileName(backup);
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+function ImportPreview({ preview }) {
+  const hasSkipped = preview.collections.some(collection => collection.skipped.length > 0);
+
+  return (
+    <div className="backup-preview">
+      <table className="backup-preview-table">
+        <thead>
+          <tr>
+            <th>Collection</th>
+            <th>Added</th>
+            <th>Changed</th>
+            {preview.mode === IMPORT_MODES.REPLACE && <th>Removed</th>}
+            <th>Unchanged</th>
+            <th>Skipped</th>
+          </tr>
+        </thead>
+        <tbody>
+          {preview.collections.map(collection => (
+            <tr key={collection.storageKey}>
+              <td>{collection.label}</td>
+              <td>{collection.added.length}</td>
+              <td>{collection.changed.length}</td>
+              {preview.mode === IMPORT_MODES.REPLACE && <td>{collection.removed.length}</td>}
+              <td>{collection.unchanged.length}</td>
+              <td>{collection.skipped.length}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {preview.settings && <p className="backup-hint">The settings from the backup will be applied.</p>}
+
+      {hasSkipped && (
+        <div className="backup-skipped">
+          <h4>Skipped items</h4>
+          {preview.collections.filter(collection => collection.skipped.length > 0).map(collection => (
+            <div key={collection.storageKey}>
+              <strong>{collection.label}</strong>
+              <ul>
+                {collection.skipped.slice(0, SKIPPED_PREVIEW_LIMIT).map((item, idx) => (
+                  <li key={idx}>{item.label}: {item.reasons.join('; ')}</li>
+                ))}
+                {collection.skipped.length > SKIPPED_PREVIEW_LIMIT && (
+                  <li>… and {collection.skipped.length - SKIPPED_PREVIEW_LIMIT} more</li>
+                )}
+              </ul>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function SettingsPage() {
+  const [usage, setUsage] = useState(null);
+  const [backup, setBackup] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [mode, setMode] = useState(IMPORT_MODES.MERGE);
+  const [preview, setPreview] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const [notice, setNotice] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+  const [syncServerUrl, setSyncServerUrlInput] = useState('');
+  const [syncStatus, setSyncStatus] = useState(getSyncStatus);
+
+  const loadUsage = useCallback(async () => {
+    setUsage(await getStorageUsage());
+  }, []);
+
+  const loadPreview = useCallback(async () => {
+    if (backup) {
+      setPreview(await previewImport(backup, mode));
+    } else {
+      setPreview(null);
+    }
+  }, [backup, mode]);
+
+  useEffect(() => {
+    loadUsage();
+  }, [loadUsage]);
+
+  useEffect(() => {
+    getSyncServerUrl().then(setSyncServerUrlInput);
+    return subscribeToSyncStatus(setSyncStatus);
+  }, []);
+
+  useEffect(() => {
+    loadPreview();
+  }, [loadPreview]);
+
+  // Keep usage and preview current when another tab changes the data
+  useStorageSync(() => {
+    loadUsage();
+    loadPreview();
+  });
+
+  const handleExport = async () => {
+    setErrors([]);
+    setNotice('');
+    const data = await createBackup();
+    downloadBackup(data);
+
+    const unreadable = Object.keys(data.unreadable || {});
+    setNotice(unreadable.length > 0
+      ? `Backup downloaded. ${unreadable.length} unreadable collection(s) are included as raw data only.`
+      : 'Backup downloaded.');
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    setErrors([]);
+    setNotice('');
+    setBackup(null);
+    setFileName(file ? file.name : '');
+
+    if (!file) {
+      return;
+    }
+
+    const result = parseBackup(await file.text());
+    if (result.success) {
+      setBackup(result.backup);
+    } else {
+      setErrors(result.errors);
+    }
+  };
+
+  const handleCancel = () => {
+    setBackup(null);
+    setFileName('');
+    setErrors([]);
+  };
+
+  const handleImport = async () => {
+    if (mode === IMPORT_MODES.REPLACE &&
+        !window.confirm('Replace your library with the backup? Items that are not in the backup are removed.')) {
+      return;
+    }
+
+    setIsBusy(true);
+    setErrors([]);
+    const result = await importBackup(backup, mode);
+    setIsBusy(false);
+
+    if (result.success) {
+      const count = (key) => result.plan.collections.reduce((sum, collection) => sum + collection[key].length, 0);
+      setNotice(`Import finished: ${count('added')} added, ${count('changed')} changed, ${count('removed')} removed, ${count('skipped')} skipped.`);
+      setBackup(null);
+      setFileName('');
+      loadUsage();
+    } else {
+      setErrors(result.errors);
+    }
+  };
+
+  const handleSyncServerSave = async () => {
+    setErrors([]);
+    setNotice('');
+    const result = await setSyncServerUrl(syncServerUrl);
+
+    if (result.success) {
+      setNotice(syncServerUrl.trim()
+        ? 'Sync server saved. Reload the page to connect.'
+        : 'Syncing turned off. Reload the page to apply.');
+    } else {
+      setErrors(result.errors);
+    }
+  };
+
+  return (
+    <main className="sessions-page settings-page">
+      <header className="header">
+        <div className="header-content">
+          <h1>⚙️ Settings</h1>
+          <p>Back up your library and manage browser storage</p>
+        </div>
+      </header>
+
+      <div className="sessions-container">
+        {notice && <p className="trash-notice">{notice}</p>}
+
+        {errors.length > 0 && (
+          <div className="form-errors">
+            {errors.map((error, idx) => (
+              <p key={idx} className="error-message">{error}</p>
+            ))}
+          </div>
+        )}
+
+        <section className="settings-section">
+          <h2>💾 Storage</h2>
+          <p>
+            {usage && usage.quota
+              ? `Storage used: ${formatBytes(usage.usage)} of ${formatBytes(usage.quota)} (${Math.round((usage.usage / usage.quota) * 100)}%)`
+              : 'Storage usage is not available in this browser.'}
+          </p>
+          <p className="backup-hint">
+            Deleted items are kept in the <Link href="/trash">trash</Link> until they are removed for good.
+          </p>
+        </section>
+
+        <section className="settings-section">
+          <h2>🏷️ Categories, Moods &amp; Levels</h2>
+          <p className="backup-hint">
+            The values offered in the card and session forms. Renaming a value changes it on every record using it;
+            retired values are no longer offered but stay on the records that have them.
+          </p>
+          {Object.keys(TAXONOMY_CONFIG).map(taxonomy => (
+            <TaxonomyEditor key={taxonomy} taxonomy={taxonomy} />
+          ))}
+        </section>
+
+        <section className="settings-section">
+          <h2>🔔 Audio Cues</h2>
+          <p className="backup-hint">
+            Sounds played by the session player on the Home page: a chime when the next item starts,
+            a soft beep shortly before an item ends and closing chimes at the end. Volume and mute
+            apply to the card type of the item.
+          </p>
+          <AudioCueSettings />
+        </section>
+
+        <section className="settings-section">
+          <h2>🔄 Sync Server</h2>
+          <p className="backup-hint">
+            Keep this browser in sync with a server running <code>npm run sync-server</code>,
+            e.g. on a studio machine. Changes made offline are sent once the server is reachable.
+          </p>
+          <div className="sync-server-form">
+            <input
+              type="url"
+              value={syncServerUrl}
+              onChange={(e) => setSyncServerUrlInput(e.target.value)}
+              placeholder="http://studio.local:4000"
+              aria-label="Sync server URL"
+            />
+            <button className="btn btn-primary" onClick={handleSyncServerSave}>
+              Save
+            </button>
+          </div>
+          {syncStatus.state !== SYNC_STATES.DISABLED && (
+            <p className="backup-hint">
+              Status: {syncStatus.state}
+              {syncStatus.pending > 0 && ` – ${syncStatus.pending} change(s) waiting to be sent`}
+              {syncStatus.lastSyncedAt && ` – last synced ${new Date(syncStatus.lastSyncedAt).toLocaleString()}`}
+            </p>
+          )}
+        </section>
+
+        <section className="settings-section">
+          <h2>⬇️ Export Backup</h2>
+          <p className="backup-hint">
+            Download all cards, sets, story books, sessions, the trash, the revision history and these settings as one JSON file.
+            Clearing the browser&apos;s site data deletes everything that is not backed up.
+          </p>
+          <button className="btn btn-primary" onClick={handleExport}>
+            Download Backup
+          </button>
+        </section>
+
+        <section className="settings-section">
+          <h2>⬆️ Import Backup</h2>
+          <p className="backup-hint">Nothing is changed until you confirm the import below.</p>
+          <input
+            type="file"
+            accept="application/json,.json"
+            onChange={handleFileChange}
+            key={fileName || 'empty'}
+          />
+
+          {backup && (
+            <>
+              <p className="backup-hint">
+                {fileName} – exported {new Date(backup.exportedAt).toLocaleString()}
+              </p>
+
+              <div className="backup-modes">
+                {MODE_OPTIONS.map(option => (
+                  <label key={option.mode} className="backup-mode">
+                    <input
+                      type="radio"
+                      name="import-mode"
+                      value={option.mode}
+                      checked={mode === option.mode}
+                      onChange={() => setMode(option.mode)}
+                    />
+                    <span><strong>{option.label}</strong> – {option.hint}</span>
+                  </label>
+                ))}
+              </div>
+
+              {preview && <ImportPreview preview={preview} />}
+
+              <div className="form-actions">
+                <button className="btn btn-secondary" onClick={handleCancel} disabled={isBusy}>
+                  Cancel
+                </button>
+                <button className="btn btn-primary" onClick={handleImport} disabled={isBusy || !preview}>
+                  {isBusy ? 'Importing…' : 'Import'}
+                </button>
+              </div>
+            </>
+          )}
+        </section>
+
+        <div className="back-link">
+          <Link href="/">← Back to Home</Link>
+        </div>
+      </div>
+    </main>
+  );
+}
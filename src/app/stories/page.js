@@ -2,20 +2,23 @@
 
 import { useState, useEffect, useCallback } from 'react';
 import Link from 'next/link';
+import DeleteCardDialog from '../components/DeleteCardDialog';
 import { 
   getStories, 
   createStory, 
-  updateStory,
-  deleteStory 
+  updateStory
 } from '../../lib/storyStorage';
+import { getRevision } from '../../lib/storageSync';
+import { useStorageSync } from '../../lib/useStorageSync';
+import { TAXONOMIES, getTaxonomyOptions } from '../../lib/taxonomy';
+import { useTaxonomies } from '../../lib/useTaxonomies';
 
-const MOODS = ['Ruhig', 'Energetisch', 'Meditativ', 'Motivierend', 'Entspannend'];
-
-function StoryForm({ story, onSubmit, onCancel }) {
+function StoryForm({ story, taxonomies, onSubmit, onCancel }) {
+  const moodValues = taxonomies[TAXONOMIES.STORY_MOODS];
   const [formData, setFormData] = useState({
     title: story?.title || '',
     text: story?.text || '',
-    mood: story?.mood || MOODS[0],
+    mood: story?.mood || getTaxonomyOptions(moodValues)[0] || '',
     tags: story?.tags?.join(', ') || '',
     time: story?.time || 1
   });
@@ -29,7 +32,7 @@ function StoryForm({ story, onSubmit, onCancel }) {
     }));
   };
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
     setErrors([]);
     
@@ -38,7 +41,7 @@ function StoryForm({ story, onSubmit, onCancel }) {
       .map(tag => tag.trim())
       .filter(tag => tag.length > 0);
     
-    const result = onSubmit({
+    const result = await onSubmit({
       ...formData,
       tags: tagsArray,
       time: parseFloat(formData.time)
@@ -97,7 +100,7 @@ function StoryForm({ story, onSubmit, onCancel }) {
             value={formData.mood}
             onChange={handleChange}
           >
-            {MOODS.map(mood => (
+            {getTaxonomyOptions(moodValues, formData.mood).map(mood => (
               <option key={mood} value={mood}>{mood}</option>
             ))}
           </select>
@@ -175,17 +178,22 @@ export default function StoriesPage() {
   const [stories, setStories] = useState([]);
   const [showForm, setShowForm] = useState(false);
   const [editingStory, setEditingStory] = useState(null);
+  const [deletingStory, setDeletingStory] = useState(null);
+  const taxonomies = useTaxonomies();
 
-  const loadData = useCallback(() => {
-    setStories(getStories());
+  const loadData = useCallback(async () => {
+    setStories(await getStories());
   }, []);
 
   useEffect(() => {
     loadData();
   }, [loadData]);
 
-  const handleCreate = (formData) => {
-    const result = createStory(formData);
+  // Reload when another tab changes the data
+  useStorageSync(loadData);
+
+  const handleCreate = async (formData) => {
+    const result = await createStory(formData);
     if (result.success) {
       loadData();
       setShowForm(false);
@@ -193,8 +201,10 @@ export default function StoriesPage() {
     return result;
   };
 
-  const handleUpdate = (formData) => {
-    const result = updateStory(editingStory.id, formData);
+  const handleUpdate = async (formData) => {
+    const result = await updateStory(editingStory.id, formData, {
+      expectedRevision: getRevision(editingStory)
+    });
     if (result.success) {
       loadData();
       setEditingStory(null);
@@ -204,10 +214,12 @@ export default function StoriesPage() {
   };
 
   const handleDelete = (id) => {
-    if (window.confirm('Möchten Sie dieses Story Element wirklich löschen?')) {
-      deleteStory(id);
-      loadData();
-    }
+    setDeletingStory(stories.find(story => story.id === id) || null);
+  };
+
+  const handleDeleted = () => {
+    setDeletingStory(null);
+    loadData();
   };
 
   const handleEdit = (story) => {
@@ -233,6 +245,7 @@ export default function StoriesPage() {
         {showForm ? (
           <StoryForm
             story={editingStory}
+            taxonomies={taxonomies}
             onSubmit={editingStory ? handleUpdate : handleCreate}
             onCancel={handleCancel}
           />
@@ -276,6 +289,14 @@ export default function StoriesPage() {
           <Link href="/">← Zurück zur Übersicht</Link>
         </div>
       </div>
+
+      <DeleteCardDialog
+        card={deletingStory}
+        cardType="story"
+        replacementCandidates={stories}
+        onClose={() => setDeletingStory(null)}
+        onDeleted={handleDeleted}
+      />
     </main>
   );
 }
@@ -1,223 +1,187 @@
 'use client';
 
-import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import Link from 'next/link';
-import { getExercises } from '../../lib/exerciseStorage';
-import { getStories } from '../../lib/storyStorage';
-import { 
-  getPracticals, 
-  createPractical, 
-  updatePractical,
-  deletePractical 
-} from '../../lib/practicalStorage';
-
-const CARD_TYPES = {
-  EXERCISE: 'exercise',
-  STORY: 'story',
-  PRACTICAL: 'practical'
-};
-
-const CARD_TYPE_LABELS = {
-  [CARD_TYPES.EXERCISE]: { icon: '💪', label: 'Exercise', color: '#2d7a6f' },
-  [CARD_TYPES.STORY]: { icon: '📖', label: 'Story', color: '#c17f59' },
-  [CARD_TYPES.PRACTICAL]: { icon: '🔔', label: 'Practical', color: '#5a9e7a' }
-};
-
-// Normalize cards to a common format
-function normalizeCard(item, type) {
-  return {
-    id: item.id,
-    title: item.title,
-    text: type === CARD_TYPES.EXERCISE ? item.description : (item.text || item.instruction),
-    tags: item.tags || [],
-    time: type === CARD_TYPES.EXERCISE ? item.duration_minutes : item.time,
-    type: type,
-    category: item.category || item.mood || null,
-    originalItem: item
-  };
-}
-
-// Multi-select filter dropdown component
-function TagFilter({ allTags, selectedTags, onTagsChange }) {
-  const [isOpen, setIsOpen] = useState(false);
-
-  const handleTagToggle = (tag) => {
-    if (selectedTags.includes(tag)) {
-      onTagsChange(selectedTags.filter(t => t !== tag));
-    } else {
-      onTagsChange([...selectedTags, tag]);
-    }
-  };
-
-  const handleClearAll = () => {
-    onTagsChange([]);
-  };
+import {
+  createStoryBook,
+  updateStoryBook,
+  deleteStoryBook,
+  getStoryBookChapters
+} from '../../lib/storyBookStorage';
+import { notify } from '../../lib/notifications';
+import { normalizeCards, queryCards } from '../../lib/cardQuery';
+import { ensureSeedData, getCustomizedDefaults, restoreSeedDefault } from '../../lib/seedData';
+import { STORAGE_KEYS } from '../../lib/storageKeys';
+import { getRevision } from '../../lib/storageSync';
+import { useRecords } from '../../lib/useRecords';
+
+// Story Book Card Component
+function StoryBookCard({ storyBook, storyIndex, onRead, onEdit, onDelete, onRestoreDefault }) {
+  const { chapters, missingIds, totalTime } = getStoryBookChapters(storyBook, storyIndex);
 
   return (
-    <div className="tag-filter">
-      <button
-        type="button"
-        className="tag-filter-button"
-        onClick={() => setIsOpen(!isOpen)}
-        aria-expanded={isOpen}
-        aria-haspopup="listbox"
-      >
-        <span>🏷️ Tags filtern {selectedTags.length > 0 && `(${selectedTags.length})`}</span>
-        <span className={`tag-filter-arrow ${isOpen ? 'open' : ''}`}>▼</span>
-      </button>
-      
-      {isOpen && (
-        <div className="tag-filter-dropdown" role="listbox" aria-multiselectable="true">
-          {selectedTags.length > 0 && (
-            <button
-              type="button"
-              className="tag-filter-clear"
-              onClick={handleClearAll}
-            >
-              ✕ Alle Filter entfernen
-            </button>
-          )}
-          {allTags.length === 0 ? (
-            <p className="tag-filter-empty">Keine Tags verfügbar</p>
-          ) : (
-            allTags.map(tag => (
-              <label
-                key={tag}
-                className={`tag-filter-option ${selectedTags.includes(tag) ? 'selected' : ''}`}
-              >
-                <input
-                  type="checkbox"
-                  checked={selectedTags.includes(tag)}
-                  onChange={() => handleTagToggle(tag)}
-                />
-                <span>#{tag}</span>
-              </label>
-            ))
-          )}
-        </div>
-      )}
-    </div>
-  );
-}
+    <div className="set-card storybook-card">
+      <div className="set-card-header">
+        <div className="set-card-icon">📖</div>
+        <h3>{storyBook.title}</h3>
+        {storyBook.theme && <span className="set-default-badge">{storyBook.theme}</span>}
+      </div>
 
-// Card type filter component
-function TypeFilter({ selectedTypes, onTypesChange }) {
-  const handleTypeToggle = (type) => {
-    if (selectedTypes.includes(type)) {
-      onTypesChange(selectedTypes.filter(t => t !== type));
-    } else {
-      onTypesChange([...selectedTypes, type]);
-    }
-  };
+      <p className="set-card-description">{storyBook.description}</p>
 
-  return (
-    <div className="type-filter">
-      {Object.entries(CARD_TYPE_LABELS).map(([type, { icon, label, color }]) => (
-        <button
-          key={type}
-          type="button"
-          className={`type-filter-btn ${selectedTypes.includes(type) ? 'active' : ''}`}
-          onClick={() => handleTypeToggle(type)}
-          style={{ '--type-color': color }}
-          aria-pressed={selectedTypes.includes(type)}
-        >
-          {icon} {label}
+      <div className="set-card-info">
+        <span className="set-card-count">
+          {chapters.length} Kapitel · {totalTime} Min.
+        </span>
+        {missingIds.length > 0 && (
+          <span className="storybook-missing">{missingIds.length} gelöschte Story(s)</span>
+        )}
+      </div>
+
+      <div className="set-card-actions">
+        <button className="btn btn-secondary" onClick={() => onRead(storyBook)}>
+          👁️ Lesen
+        </button>
+        <button className="btn btn-edit" onClick={() => onEdit(storyBook)}>
+          ✏️ Bearbeiten
         </button>
-      ))}
+        {onRestoreDefault && (
+          <button className="btn btn-secondary" onClick={() => onRestoreDefault(storyBook)}>
+            ↺ Standard wiederherstellen
+          </button>
+        )}
+        <button className="btn btn-delete" onClick={() => onDelete(storyBook)}>
+          🗑️ Löschen
+        </button>
+      </div>
     </div>
   );
 }
 
-// Unified card component
-function UnifiedCard({ card, onEdit, onDelete }) {
-  const { icon, label, color } = CARD_TYPE_LABELS[card.type];
-  
+// Reading preview of a whole story book, chapter by chapter
+function StoryBookPreview({ storyBook, storyIndex, onClose }) {
+  const { chapters, missingIds, totalTime } = getStoryBookChapters(storyBook, storyIndex);
+
   return (
-    <div 
-      className={`unified-card unified-card-${card.type}`}
-      style={{ '--card-accent': color }}
-    >
-      <div className="unified-card-header">
-        <div className="unified-card-type-badge" style={{ background: color }}>
-          {icon} {label}
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content storybook-preview" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>📖 {storyBook.title || 'Unbenanntes Storybook'}</h2>
+          <button className="modal-close" onClick={onClose} aria-label="Vorschau schließen">✕</button>
         </div>
-        <h3>{card.title}</h3>
-      </div>
-      
-      <p className="unified-card-text">{card.text}</p>
-      
-      <div className="unified-card-meta">
-        {card.category && (
-          <span className="unified-card-category">{card.category}</span>
+
+        <p className="storybook-preview-meta">
+          {storyBook.theme && <>{storyBook.theme} · </>}
+          {chapters.length} Kapitel · insgesamt {totalTime} Min.
+        </p>
+        {storyBook.description && <p className="set-description">{storyBook.description}</p>}
+
+        {chapters.length === 0 ? (
+          <p className="no-cards-message">Dieses Storybook hat noch keine Kapitel.</p>
+        ) : (
+          <ol className="storybook-chapters">
+            {chapters.map((story, idx) => (
+              <li key={`${story.id}-${idx}`} className="storybook-chapter">
+                <h3>
+                  Kapitel {idx + 1}: {story.title}
+                  <span className="storybook-chapter-time">{story.time} Min.</span>
+                </h3>
+                <p>{story.text}</p>
+              </li>
+            ))}
+          </ol>
         )}
-        <span className="unified-card-time">⏱️ {card.time} Min.</span>
-      </div>
-      
-      {card.tags && card.tags.length > 0 && (
-        <div className="unified-card-tags">
-          {card.tags.map(tag => (
-            <span key={tag} className="unified-card-tag">#{tag}</span>
-          ))}
-        </div>
-      )}
-      
-      {card.type === CARD_TYPES.PRACTICAL && (
-        <div className="unified-card-actions">
-          <button className="btn btn-edit" onClick={() => onEdit(card)}>
-            ✏️ Bearbeiten
-          </button>
-          <button className="btn btn-delete" onClick={() => onDelete(card.id)}>
-            🗑️ Löschen
+
+        {missingIds.length > 0 && (
+          <p className="backup-hint">
+            {missingIds.length} Kapitel verweisen auf gelöschte Stories und werden übersprungen.
+          </p>
+        )}
+
+        <div className="modal-actions">
+          <button className="btn btn-primary" onClick={onClose}>
+            Schließen
           </button>
         </div>
-      )}
+      </div>
     </div>
   );
 }
 
-// Practical element form
-function PracticalForm({ practical, onSubmit, onCancel }) {
-  const originalItem = practical?.originalItem;
+// Story book form: details on top, stories to pick on the left, chapters on the right
+function StoryBookEditor({ storyBook, stories, storyIndex, onSubmit, onCancel }) {
   const [formData, setFormData] = useState({
-    title: originalItem?.title || '',
-    instruction: originalItem?.instruction || '',
-    tags: originalItem?.tags?.join(', ') || '',
-    time: originalItem?.time || 1
+    title: storyBook?.title || '',
+    theme: storyBook?.theme || '',
+    description: storyBook?.description || '',
+    storyIds: storyBook?.storyIds || []
   });
   const [errors, setErrors] = useState([]);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [draggedIndex, setDraggedIndex] = useState(null);
+  const [isPreviewOpen, setIsPreviewOpen] = useState(false);
+
+  const { totalTime } = getStoryBookChapters(formData, storyIndex);
+
+  // Stories not in the book yet, matching the search like every other card list
+  const availableStories = useMemo(() => {
+    const { cards } = queryCards(normalizeCards({ stories }), { types: ['story'], text: searchQuery });
+    return cards.filter(card => !formData.storyIds.includes(card.id));
+  }, [stories, formData.storyIds, searchQuery]);
 
   const handleChange = (e) => {
     const { name, value } = e.target;
-    setFormData(prev => ({
-      ...prev,
-      [name]: value
-    }));
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const setStoryIds = (update) => {
+    setFormData(prev => ({ ...prev, storyIds: update(prev.storyIds) }));
+  };
+
+  const moveChapter = (fromIndex, toIndex) => {
+    if (toIndex < 0 || toIndex >= formData.storyIds.length || fromIndex === toIndex) {
+      return;
+    }
+    setStoryIds(ids => {
+      const newIds = [...ids];
+      const [moved] = newIds.splice(fromIndex, 1);
+      newIds.splice(toIndex, 0, moved);
+      return newIds;
+    });
   };
 
-  const handleSubmit = (e) => {
+  const handleDragStart = (e, index) => {
+    setDraggedIndex(index);
+    e.dataTransfer.effectAllowed = 'move';
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+  };
+
+  const handleDrop = (e, dropIndex) => {
+    e.preventDefault();
+    if (draggedIndex !== null) {
+      moveChapter(draggedIndex, dropIndex);
+    }
+    setDraggedIndex(null);
+  };
+
+  const handleSubmit = async (e) => {
     e.preventDefault();
     setErrors([]);
-    
-    const tagsArray = (formData.tags || '')
-      .split(',')
-      .map(tag => tag.trim())
-      .filter(tag => tag.length > 0);
-    
-    const result = onSubmit({
-      ...formData,
-      tags: tagsArray,
-      time: parseFloat(formData.time)
-    });
-    
+
+    const result = await onSubmit(formData);
     if (!result.success) {
       setErrors(result.errors);
     }
   };
 
   return (
-    <form onSubmit={handleSubmit} className="session-form practical-form">
-      <h2>{practical ? 'Praktische Anweisung bearbeiten' : 'Neue praktische Anweisung erstellen'}</h2>
-      
+    <form onSubmit={handleSubmit} className="session-form session-builder storybook-editor">
+      <h2>{storyBook ? 'Storybook bearbeiten' : 'Neues Storybook erstellen'}</h2>
+
       {errors.length > 0 && (
         <div className="form-errors">
           {errors.map((error, idx) => (
@@ -226,219 +190,287 @@ function PracticalForm({ practical, onSubmit, onCancel }) {
         </div>
       )}
 
-      <div className="form-group">
-        <label htmlFor="title">Titel *</label>
-        <input
-          type="text"
-          id="title"
-          name="title"
-          value={formData.title}
-          onChange={handleChange}
-          placeholder="z.B. Glocke läuten"
-        />
-      </div>
-
-      <div className="form-group">
-        <label htmlFor="instruction">Anweisung *</label>
-        <textarea
-          id="instruction"
-          name="instruction"
-          value={formData.instruction}
-          onChange={handleChange}
-          placeholder="Die Handlungsanweisung, z.B. 'Läuten Sie die Glocke dreimal, um die Meditation zu beginnen...'"
-          rows={4}
-        />
-      </div>
+      <div className="session-details-section">
+        <div className="form-row">
+          <div className="form-group">
+            <label htmlFor="title">Titel *</label>
+            <input
+              type="text"
+              id="title"
+              name="title"
+              value={formData.title}
+              onChange={handleChange}
+              placeholder="z.B. Ein Morgen im Wald"
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="theme">Thema</label>
+            <input
+              type="text"
+              id="theme"
+              name="theme"
+              value={formData.theme}
+              onChange={handleChange}
+              placeholder="z.B. Natur"
+            />
+          </div>
+        </div>
 
-      <div className="form-row">
         <div className="form-group">
-          <label htmlFor="time">Zeit (Minuten) *</label>
-          <input
-            type="number"
-            id="time"
-            name="time"
-            value={formData.time}
+          <label htmlFor="description">Beschreibung *</label>
+          <textarea
+            id="description"
+            name="description"
+            value={formData.description}
             onChange={handleChange}
-            min="0.5"
-            step="0.5"
+            placeholder="Worum geht es in der Geschichte?"
+            rows={2}
           />
         </div>
       </div>
 
-      <div className="form-group">
-        <label htmlFor="tags">Tags (kommagetrennt)</label>
-        <input
-          type="text"
-          id="tags"
-          name="tags"
-          value={formData.tags}
-          onChange={handleChange}
-          placeholder="z.B. beginn, ritual, glocke"
-        />
+      <div className="session-builder-container">
+        <div className="card-container-panel">
+          <h3>📖 Stories</h3>
+
+          <div className="card-search">
+            <input
+              type="text"
+              placeholder="🔍 Suche nach Titel, Text oder Tags..."
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              className="search-input"
+              aria-label="Stories durchsuchen"
+            />
+            {searchQuery && (
+              <button
+                type="button"
+                className="search-clear"
+                onClick={() => setSearchQuery('')}
+                aria-label="Suche löschen"
+              >
+                ✕
+              </button>
+            )}
+          </div>
+
+          <div className="cards-list">
+            <p className="cards-hint">Klicken Sie auf eine Story, um sie als nächstes Kapitel hinzuzufügen ({availableStories.length} verfügbar)</p>
+            {availableStories.length === 0 ? (
+              <p className="no-cards">Keine Stories gefunden</p>
+            ) : (
+              availableStories.map(card => (
+                <div
+                  key={card.id}
+                  className="draggable-card card-type-story"
+                  onClick={() => setStoryIds(ids => [...ids, card.id])}
+                >
+                  <span className="card-type-icon">📖</span>
+                  <div className="card-info">
+                    <span className="card-title">{card.title}</span>
+                    <span className="card-time">{card.time} Min.{card.category && ` · ${card.category}`}</span>
+                  </div>
+                  <span className="card-add-icon">➕</span>
+                </div>
+              ))
+            )}
+          </div>
+        </div>
+
+        <div className="session-builder-panel">
+          <h3>📚 Kapitel ({formData.storyIds.length}) · {totalTime} Min.</h3>
+          <p className="builder-hint">Ziehen Sie die Kapitel oder nutzen Sie die Pfeile, um die Reihenfolge zu ändern</p>
+
+          <div className="selected-exercises-list">
+            {formData.storyIds.length === 0 ? (
+              <div className="empty-session-placeholder">
+                <span className="empty-icon">📥</span>
+                <p>Fügen Sie Stories aus der Liste hinzu, um das Buch zu beginnen</p>
+              </div>
+            ) : (
+              formData.storyIds.map((storyId, idx) => {
+                const story = storyIndex.get(storyId);
+                return (
+                  <div
+                    key={`${storyId}-${idx}`}
+                    className={`selected-exercise-item item-type-story ${story ? '' : 'missing'} ${draggedIndex === idx ? 'dragging' : ''}`}
+                    draggable
+                    onDragStart={(e) => handleDragStart(e, idx)}
+                    onDragOver={handleDragOver}
+                    onDrop={(e) => handleDrop(e, idx)}
+                    onDragEnd={() => setDraggedIndex(null)}
+                  >
+                    <span className="drag-handle">☰</span>
+                    <span className="exercise-number">{idx + 1}.</span>
+                    <span className="exercise-name">{story ? story.title : `Gelöschte Story (ID: ${storyId})`}</span>
+                    {story && <span className="exercise-duration">({story.time} Min.)</span>}
+                    <button
+                      type="button"
+                      className="btn-move-chapter"
+                      onClick={() => moveChapter(idx, idx - 1)}
+                      disabled={idx === 0}
+                      aria-label={`Kapitel ${idx + 1} nach oben verschieben`}
+                    >
+                      ↑
+                    </button>
+                    <button
+                      type="button"
+                      className="btn-move-chapter"
+                      onClick={() => moveChapter(idx, idx + 1)}
+                      disabled={idx === formData.storyIds.length - 1}
+                      aria-label={`Kapitel ${idx + 1} nach unten verschieben`}
+                    >
+                      ↓
+                    </button>
+                    <button
+                      type="button"
+                      className="btn-remove-exercise"
+                      onClick={() => setStoryIds(ids => ids.filter((_, i) => i !== idx))}
+                      aria-label={`Kapitel ${idx + 1} entfernen`}
+                    >
+                      ✕
+                    </button>
+                  </div>
+                );
+              })
+            )}
+          </div>
+        </div>
       </div>
 
       <div className="form-actions">
         <button type="button" className="btn btn-secondary" onClick={onCancel}>
           Abbrechen
         </button>
+        <button type="button" className="btn btn-secondary" onClick={() => setIsPreviewOpen(true)}>
+          👁️ Vorschau
+        </button>
         <button type="submit" className="btn btn-primary">
-          {practical ? 'Speichern' : 'Erstellen'}
+          {storyBook ? 'Speichern' : 'Erstellen'}
         </button>
       </div>
+
+      {isPreviewOpen && (
+        <StoryBookPreview
+          storyBook={formData}
+          storyIndex={storyIndex}
+          onClose={() => setIsPreviewOpen(false)}
+        />
+      )}
     </form>
   );
 }
 
-// Group cards by tag
-function groupCardsByTag(cards, selectedTags) {
-  if (selectedTags.length === 0) {
-    return { 'Alle Elemente': cards };
-  }
-  
-  const groups = {};
-  
-  selectedTags.forEach(tag => {
-    groups[tag] = cards.filter(card => card.tags.includes(tag));
-  });
-  
-  return groups;
-}
-
 export default function StoryBooksPage() {
-  const [exercises, setExercises] = useState([]);
-  const [stories, setStories] = useState([]);
-  const [practicals, setPracticals] = useState([]);
-  const [searchQuery, setSearchQuery] = useState('');
-  const [selectedTags, setSelectedTags] = useState([]);
-  const [selectedTypes, setSelectedTypes] = useState([CARD_TYPES.EXERCISE, CARD_TYPES.STORY, CARD_TYPES.PRACTICAL]);
+  const { records: storyBooks } = useRecords(STORAGE_KEYS.STORY_BOOKS);
+  const { records: stories, byId: storyIndex } = useRecords(STORAGE_KEYS.STORIES);
   const [showForm, setShowForm] = useState(false);
-  const [editingPractical, setEditingPractical] = useState(null);
+  const [editingStoryBook, setEditingStoryBook] = useState(null);
+  const [readingStoryBook, setReadingStoryBook] = useState(null);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [customizedIds, setCustomizedIds] = useState(new Set());
 
-  const loadData = useCallback(() => {
-    setExercises(getExercises());
-    setStories(getStories());
-    setPracticals(getPracticals());
+  // Merge new default story books and stories if needed
+  useEffect(() => {
+    ensureSeedData();
   }, []);
 
   useEffect(() => {
-    loadData();
-  }, [loadData]);
-
-  // Normalize all cards to a common format
-  const allCards = useMemo(() => {
-    const normalizedExercises = exercises.map(e => normalizeCard(e, CARD_TYPES.EXERCISE));
-    const normalizedStories = stories.map(s => normalizeCard(s, CARD_TYPES.STORY));
-    const normalizedPracticals = practicals.map(p => normalizeCard(p, CARD_TYPES.PRACTICAL));
-    return [...normalizedExercises, ...normalizedStories, ...normalizedPracticals];
-  }, [exercises, stories, practicals]);
-
-  // Get all unique tags
-  const allTags = useMemo(() => {
-    const tags = new Set();
-    allCards.forEach(card => {
-      card.tags.forEach(tag => tags.add(tag));
-    });
-    return Array.from(tags).sort();
-  }, [allCards]);
-
-  // Filter cards based on search query, selected tags, and selected types
-  const filteredCards = useMemo(() => {
-    return allCards.filter(card => {
-      // Filter by type
-      if (!selectedTypes.includes(card.type)) {
-        return false;
-      }
-      
-      // Filter by search query
-      if (searchQuery) {
-        const query = searchQuery.toLowerCase();
-        const matchesTitle = card.title.toLowerCase().includes(query);
-        const matchesText = card.text?.toLowerCase().includes(query);
-        if (!matchesTitle && !matchesText) {
-          return false;
-        }
+    let isCurrent = true;
+    getCustomizedDefaults(STORAGE_KEYS.STORY_BOOKS, storyBooks).then(ids => {
+      if (isCurrent) {
+        setCustomizedIds(ids);
       }
-      
-      // Filter by tags
-      if (selectedTags.length > 0) {
-        const hasSelectedTag = selectedTags.some(tag => card.tags.includes(tag));
-        if (!hasSelectedTag) {
-          return false;
-        }
-      }
-      
-      return true;
     });
-  }, [allCards, searchQuery, selectedTags, selectedTypes]);
+    return () => {
+      isCurrent = false;
+    };
+  }, [storyBooks]);
+
+  // Story books are not cards; search their own fields, trimmed like queryCards()
+  const filteredStoryBooks = useMemo(() => {
+    const query = searchQuery.trim().toLowerCase();
+    if (!query) return storyBooks;
+    return storyBooks.filter(storyBook =>
+      storyBook.title.toLowerCase().includes(query)
+      || storyBook.description?.toLowerCase().includes(query)
+      || storyBook.theme?.toLowerCase().includes(query)
+    );
+  }, [storyBooks, searchQuery]);
+
+  const handleCreate = () => {
+    setEditingStoryBook(null);
+    setShowForm(true);
+  };
 
-  // Group filtered cards by tag
-  const groupedCards = useMemo(() => {
-    return groupCardsByTag(filteredCards, selectedTags);
-  }, [filteredCards, selectedTags]);
+  const handleEdit = (storyBook) => {
+    setEditingStoryBook(storyBook);
+    setShowForm(true);
+  };
 
-  const handleCreatePractical = (formData) => {
-    const result = createPractical(formData);
-    if (result.success) {
-      loadData();
-      setShowForm(false);
-    }
-    return result;
+  const handleCancel = () => {
+    setShowForm(false);
+    setEditingStoryBook(null);
   };
 
-  const handleUpdatePractical = (formData) => {
-    if (!editingPractical?.id) {
-      return { success: false, errors: ['No practical selected for editing'] };
-    }
-    const result = updatePractical(editingPractical.id, formData);
+  const handleSubmit = async (data) => {
+    const result = editingStoryBook
+      ? await updateStoryBook(editingStoryBook.id, data, { expectedRevision: getRevision(editingStoryBook) })
+      : await createStoryBook(data);
+
     if (result.success) {
-      loadData();
-      setEditingPractical(null);
-      setShowForm(false);
+      handleCancel();
     }
     return result;
   };
 
-  const handleDeletePractical = (id) => {
-    if (window.confirm('Möchten Sie diese praktische Anweisung wirklich löschen?')) {
-      deletePractical(id);
-      loadData();
+  const handleDelete = async (storyBook) => {
+    if (window.confirm(`"${storyBook.title}" in den Papierkorb verschieben?`)) {
+      await deleteStoryBook(storyBook.id);
     }
   };
 
-  const handleEditPractical = (card) => {
-    setEditingPractical(card);
-    setShowForm(true);
-  };
+  // Reset an edited default story book to its bundled version
+  const handleRestoreDefault = async (storyBook) => {
+    if (!window.confirm(`"${storyBook.title}" auf die Standardversion zurücksetzen?`)) {
+      return;
+    }
 
-  const handleCancel = () => {
-    setShowForm(false);
-    setEditingPractical(null);
+    const result = await restoreSeedDefault(STORAGE_KEYS.STORY_BOOKS, storyBook.id, {
+      expectedRevision: getRevision(storyBook)
+    });
+
+    if (!result.success) {
+      notify({ level: 'error', title: 'Standard konnte nicht wiederhergestellt werden', message: result.errors.join(' ') });
+    }
   };
 
   return (
     <main className="sessions-page storybooks-page">
       <header className="header">
         <div className="header-content">
-          <h1>📚 Storybook - Alle Elemente</h1>
-          <p>Durchsuchen und filtern Sie alle verfügbaren Karten für Ihre Yoga-Sessions</p>
+          <h1>📚 Storybook - Geschichtenbücher</h1>
+          <p>Ordnen Sie Stories zu Kapiteln, die eine ganze Session begleiten</p>
         </div>
       </header>
 
       <div className="sessions-container">
         {showForm ? (
-          <PracticalForm
-            practical={editingPractical}
-            onSubmit={editingPractical ? handleUpdatePractical : handleCreatePractical}
+          <StoryBookEditor
+            storyBook={editingStoryBook}
+            stories={stories}
+            storyIndex={storyIndex}
+            onSubmit={handleSubmit}
             onCancel={handleCancel}
           />
         ) : (
           <>
-            {/* Search and filter controls */}
             <div className="storybook-controls">
               <div className="search-box">
                 <input
                   type="text"
-                  placeholder="🔍 Suche nach Titel oder Text..."
+                  placeholder="🔍 Suche nach Titel, Thema oder Beschreibung..."
                   value={searchQuery}
                   onChange={(e) => setSearchQuery(e.target.value)}
                   className="search-input"
@@ -455,87 +487,40 @@ export default function StoryBooksPage() {
                   </button>
                 )}
               </div>
-              
-              <div className="filter-row">
-                <TypeFilter
-                  selectedTypes={selectedTypes}
-                  onTypesChange={setSelectedTypes}
-                />
-                <TagFilter
-                  allTags={allTags}
-                  selectedTags={selectedTags}
-                  onTagsChange={setSelectedTags}
-                />
-              </div>
-              
+
               <div className="storybook-actions">
-                <button 
-                  className="btn btn-primary btn-practical"
-                  onClick={() => setShowForm(true)}
-                >
-                  🔔 Neue praktische Anweisung
+                <button className="btn btn-primary" onClick={handleCreate}>
+                  ➕ Neues Storybook
                 </button>
-                <Link href="/exercises" className="btn btn-secondary">
-                  💪 Übungen verwalten
-                </Link>
-                <Link href="/stories" className="btn btn-secondary">
-                  📖 Stories verwalten
-                </Link>
               </div>
             </div>
 
-            {/* Results summary */}
             <div className="storybook-summary">
-              <span>{filteredCards.length} von {allCards.length} Elementen</span>
-              {selectedTags.length > 0 && (
-                <div className="active-filters">
-                  {selectedTags.map(tag => (
-                    <span key={tag} className="active-filter-tag">
-                      #{tag}
-                      <button
-                        type="button"
-                        onClick={() => setSelectedTags(selectedTags.filter(t => t !== tag))}
-                        aria-label={`Filter ${tag} entfernen`}
-                      >
-                        ✕
-                      </button>
-                    </span>
-                  ))}
-                </div>
-              )}
+              <span>{filteredStoryBooks.length} von {storyBooks.length} Storybooks</span>
             </div>
 
-            {/* Card groups */}
-            {Object.entries(groupedCards).map(([groupName, cards]) => (
-              <div key={groupName} className="card-group">
-                {selectedTags.length > 0 && (
-                  <h3 className="card-group-title">#{groupName} ({cards.length})</h3>
-                )}
-                
-                {cards.length === 0 ? (
-                  <div className="empty-state">
-                    <p>Keine Elemente gefunden.</p>
-                    {searchQuery && <p>Versuchen Sie eine andere Suche.</p>}
-                  </div>
+            {filteredStoryBooks.length === 0 ? (
+              <div className="empty-state">
+                <p>Keine Storybooks gefunden.</p>
+                {storyBooks.length === 0 ? (
+                  <p>Erstellen Sie Ihr erstes Storybook!</p>
                 ) : (
-                  <div className="unified-cards-grid">
-                    {cards.map(card => (
-                      <UnifiedCard
-                        key={`${card.type}-${card.id}`}
-                        card={card}
-                        onEdit={card.type === CARD_TYPES.PRACTICAL ? handleEditPractical : undefined}
-                        onDelete={card.type === CARD_TYPES.PRACTICAL ? handleDeletePractical : undefined}
-                      />
-                    ))}
-                  </div>
+                  <p>Versuchen Sie eine andere Suche.</p>
                 )}
               </div>
-            ))}
-
-            {allCards.length === 0 && (
-              <div className="empty-state">
-                <p>Noch keine Elemente vorhanden.</p>
-                <p>Erstellen Sie Übungen, Stories oder praktische Anweisungen!</p>
+            ) : (
+              <div className="sets-grid">
+                {filteredStoryBooks.map(storyBook => (
+                  <StoryBookCard
+                    key={storyBook.id}
+                    storyBook={storyBook}
+                    storyIndex={storyIndex}
+                    onRead={setReadingStoryBook}
+                    onEdit={handleEdit}
+                    onDelete={handleDelete}
+                    onRestoreDefault={customizedIds.has(storyBook.id) ? handleRestoreDefault : null}
+                  />
+                ))}
               </div>
             )}
           </>
@@ -545,6 +530,14 @@ export default function StoryBooksPage() {
           <Link href="/">← Zurück zur Übersicht</Link>
         </div>
       </div>
+
+      {readingStoryBook && (
+        <StoryBookPreview
+          storyBook={readingStoryBook}
+          storyIndex={storyIndex}
+          onClose={() => setReadingStoryBook(null)}
+        />
+      )}
     </main>
   );
 }
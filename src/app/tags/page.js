@@ -0,0 +1,279 @@
+'use client';
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import Link from 'next/link';
+import {
+  getTagRegistry,
+  addTag,
+  renameTag,
+  mergeTags,
+  removeUnusedTag,
+  findSimilarTags,
+  getTagKey
+} from '../../lib/tagRegistry';
+import { useStorageSync } from '../../lib/useStorageSync';
+
+const CARD_TYPE_ICONS = {
+  exercise: { icon: '💪', label: 'Exercises' },
+  story: { icon: '📖', label: 'Stories' },
+  practical: { icon: '🔔', label: 'Practicals' }
+};
+
+function TagRow({ entry, otherTags, onRename, onMerge, onDelete }) {
+  const [mode, setMode] = useState(null);
+  const [newName, setNewName] = useState(entry.name);
+  const [mergeTarget, setMergeTarget] = useState('');
+
+  const close = () => {
+    setMode(null);
+    setNewName(entry.name);
+    setMergeTarget('');
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    if (await onRename(entry, newName)) {
+      close();
+    }
+  };
+
+  const handleMerge = async (e) => {
+    e.preventDefault();
+    if (await onMerge([entry.name], mergeTarget)) {
+      close();
+    }
+  };
+
+  return (
+    <li className="tag-row">
+      <div className="tag-row-main">
+        <span className="tag-row-name">{entry.name}</span>
+        <span className="tag-row-counts">
+          {Object.entries(CARD_TYPE_ICONS).map(([type, config]) => (
+            entry.counts[type] > 0 && (
+              <span key={type} title={config.label}>{config.icon} {entry.counts[type]}</span>
+            )
+          ))}
+          {entry.count === 0 && <span className="tag-row-unused">unused</span>}
+        </span>
+        <div className="tag-row-actions">
+          <button className="btn btn-edit" onClick={() => setMode(mode === 'rename' ? null : 'rename')}>
+            ✏️ Rename
+          </button>
+          <button
+            className="btn btn-secondary"
+            onClick={() => setMode(mode === 'merge' ? null : 'merge')}
+            disabled={otherTags.length === 0}
+          >
+            ⇄ Merge
+          </button>
+          <button
+            className="btn btn-delete"
+            onClick={() => onDelete(entry)}
+            disabled={entry.count > 0}
+            title={entry.count > 0 ? 'Only unused tags can be deleted' : undefined}
+          >
+            ✕ Delete
+          </button>
+        </div>
+      </div>
+
+      {mode === 'rename' && (
+        <form className="tag-row-form" onSubmit={handleRename}>
+          <input
+            type="text"
+            value={newName}
+            onChange={e => setNewName(e.target.value)}
+            aria-label={`New name for ${entry.name}`}
+            autoFocus
+          />
+          <button type="submit" className="btn btn-primary" disabled={!newName.trim() || newName.trim() === entry.name}>
+            Save
+          </button>
+          <button type="button" className="btn btn-secondary" onClick={close}>Cancel</button>
+        </form>
+      )}
+
+      {mode === 'merge' && (
+        <form className="tag-row-form" onSubmit={handleMerge}>
+          <select
+            value={mergeTarget}
+            onChange={e => setMergeTarget(e.target.value)}
+            aria-label={`Merge ${entry.name} into`}
+          >
+            <option value="">Merge into…</option>
+            {otherTags.map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+          <button type="submit" className="btn btn-primary" disabled={!mergeTarget}>
+            Merge
+          </button>
+          <button type="button" className="btn btn-secondary" onClick={close}>Cancel</button>
+        </form>
+      )}
+    </li>
+  );
+}
+
+export default function TagsPage() {
+  const [registry, setRegistry] = useState([]);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [newTag, setNewTag] = useState('');
+  const [errors, setErrors] = useState([]);
+  const [notice, setNotice] = useState('');
+
+  const loadData = useCallback(async () => {
+    setRegistry(await getTagRegistry());
+  }, []);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  // Reload when another tab changes the data
+  useStorageSync(loadData);
+
+  const similarGroups = useMemo(() => findSimilarTags(registry), [registry]);
+  const tagNames = useMemo(() => registry.map(entry => entry.name), [registry]);
+
+  const filteredRegistry = useMemo(() => {
+    const key = getTagKey(searchQuery);
+    return key ? registry.filter(entry => entry.key.includes(key)) : registry;
+  }, [registry, searchQuery]);
+
+  const showResult = (result, message) => {
+    if (result.success) {
+      setErrors([]);
+      setNotice(message);
+    } else {
+      setNotice('');
+      setErrors(result.errors);
+    }
+    loadData();
+    return result.success;
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const result = await addTag(newTag);
+    if (showResult(result, `Added "${newTag.trim()}".`)) {
+      setNewTag('');
+    }
+  };
+
+  const handleRename = async (entry, newName) => {
+    const target = newName.trim();
+    const existing = registry.find(e => e.name === target);
+    if (existing && !window.confirm(`"${target}" already exists. Merge "${entry.name}" into it?`)) {
+      return false;
+    }
+
+    const result = await renameTag(entry.name, target);
+    return showResult(result, `Renamed "${entry.name}" to "${target}" on ${result.updated} card(s).`);
+  };
+
+  const handleMerge = async (sourceNames, target) => {
+    const result = await mergeTags(sourceNames, target);
+    return showResult(result, `Merged ${sourceNames.map(name => `"${name}"`).join(', ')} into "${target}" on ${result.updated} card(s).`);
+  };
+
+  const handleDelete = async (entry) => {
+    if (window.confirm(`Delete the tag "${entry.name}"?`)) {
+      showResult(await removeUnusedTag(entry.name), `Deleted "${entry.name}".`);
+    }
+  };
+
+  return (
+    <main className="sessions-page tags-page">
+      <header className="header">
+        <div className="header-content">
+          <h1># Tags</h1>
+          <p>Rename, merge and clean up the tags of all cards</p>
+        </div>
+      </header>
+
+      <div className="sessions-container">
+        <div className="sessions-header">
+          <h2>Tags ({registry.length})</h2>
+          <form className="tag-add-form" onSubmit={handleAdd}>
+            <input
+              type="text"
+              value={newTag}
+              onChange={e => setNewTag(e.target.value)}
+              placeholder="New tag"
+              aria-label="New tag"
+            />
+            <button type="submit" className="btn btn-primary" disabled={!newTag.trim()}>
+              + Add Tag
+            </button>
+          </form>
+        </div>
+
+        {notice && <p className="trash-notice">{notice}</p>}
+
+        {errors.length > 0 && (
+          <div className="form-errors">
+            {errors.map((error, idx) => (
+              <p key={idx} className="error-message">{error}</p>
+            ))}
+          </div>
+        )}
+
+        {similarGroups.length > 0 && (
+          <section className="settings-section tag-duplicates">
+            <h2>Possible Duplicates</h2>
+            <p className="backup-hint">These tags differ only in case, spacing or umlaut spelling.</p>
+            <ul>
+              {similarGroups.map(group => (
+                <li key={group[0].key}>
+                  <span>
+                    {group.map(entry => `${entry.name} (${entry.count})`).join(', ')}
+                  </span>
+                  <button
+                    className="btn btn-secondary"
+                    onClick={() => handleMerge(group.slice(1).map(entry => entry.name), group[0].name)}
+                  >
+                    ⇄ Merge into &quot;{group[0].name}&quot;
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+
+        <input
+          type="text"
+          className="search-input tag-search"
+          placeholder="Search tags..."
+          value={searchQuery}
+          onChange={e => setSearchQuery(e.target.value)}
+          aria-label="Search tags"
+        />
+
+        {filteredRegistry.length === 0 ? (
+          <div className="empty-state">
+            <p>{registry.length === 0 ? 'No tags yet. Tags added to cards show up here.' : 'No tags match your search.'}</p>
+          </div>
+        ) : (
+          <ul className="tag-list">
+            {filteredRegistry.map(entry => (
+              <TagRow
+                key={entry.name}
+                entry={entry}
+                otherTags={tagNames.filter(name => name !== entry.name)}
+                onRename={handleRename}
+                onMerge={handleMerge}
+                onDelete={handleDelete}
+              />
+            ))}
+          </ul>
+        )}
+
+        <div className="back-link">
+          <Link href="/cards">← Back to Cards</Link>
+        </div>
+      </div>
+    </main>
+  );
+}
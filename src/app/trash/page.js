@@ -0,0 +1,196 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import {
+  getTrash,
+  getPurgeDate,
+  restoreFromTrash,
+  deleteFromTrash,
+  emptyTrash,
+  purgeExpiredTrash
+} from '../../lib/trashStorage';
+import { getSettings, updateSettings } from '../../lib/settingsStorage';
+import { useStorageSync } from '../../lib/useStorageSync';
+
+const ENTITY_TYPE_CONFIG = {
+  exercise: { icon: '💪', label: 'Exercise' },
+  story: { icon: '📖', label: 'Story' },
+  practical: { icon: '🔔', label: 'Practical' },
+  session: { icon: '🧘', label: 'Session' },
+  storyBook: { icon: '📚', label: 'Story Book' },
+  exerciseSet: { icon: '📚', label: 'Exercise Set' },
+  storySet: { icon: '📚', label: 'Story Set' },
+  practicalSet: { icon: '📚', label: 'Practical Set' }
+};
+
+const RETENTION_OPTIONS = [
+  { days: 7, label: '7 days' },
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+  { days: 365, label: '1 year' },
+  { days: 0, label: 'Forever' }
+];
+
+function TrashEntryCard({ entry, retentionDays, onRestore, onDelete }) {
+  const config = ENTITY_TYPE_CONFIG[entry.entityType] || { icon: '📄', label: entry.entityType };
+  const purgeDate = getPurgeDate(entry, retentionDays);
+  const referenceCount = entry.references?.length || 0;
+
+  return (
+    <div className="session-card trash-card">
+      <div className="session-card-header">
+        <h3>{entry.record.title || entry.record.name || entry.record.id}</h3>
+        <div className="session-badges">
+          <span className="badge badge-category">{config.icon} {config.label}</span>
+        </div>
+      </div>
+      <div className="session-meta">
+        <span>🗑️ Deleted {new Date(entry.deletedAt).toLocaleString()}</span>
+        {purgeDate && <span>⏳ Removed for good on {purgeDate.toLocaleDateString()}</span>}
+      </div>
+      {referenceCount > 0 && (
+        <p className="trash-references">
+          Will be put back into {referenceCount} session(s), set(s) or story book(s)
+        </p>
+      )}
+      <div className="session-card-actions">
+        <button className="btn btn-secondary" onClick={() => onRestore(entry)}>
+          ↩️ Restore
+        </button>
+        <button className="btn btn-delete" onClick={() => onDelete(entry)}>
+          ✕ Delete Forever
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default function TrashPage() {
+  const [entries, setEntries] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const [notice, setNotice] = useState('');
+
+  const loadData = useCallback(async () => {
+    await purgeExpiredTrash();
+    const [storedEntries, settings] = await Promise.all([getTrash(), getSettings()]);
+    setEntries(storedEntries);
+    setRetentionDays(settings.trashRetentionDays);
+  }, []);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  // Reload when another tab changes the data
+  useStorageSync(loadData);
+
+  const handleRestore = async (entry) => {
+    setErrors([]);
+    setNotice('');
+    const result = await restoreFromTrash(entry.id);
+
+    if (result.success) {
+      const title = entry.record.title || entry.record.name || entry.record.id;
+      setNotice(result.skippedReferences > 0
+        ? `Restored "${title}". ${result.skippedReferences} session(s) or set(s) it was used in no longer exist or could not be read.`
+        : `Restored "${title}".`);
+      loadData();
+    } else {
+      setErrors(result.errors);
+    }
+  };
+
+  const handleDelete = async (entry) => {
+    if (window.confirm('Delete this item forever? This cannot be undone.')) {
+      await deleteFromTrash(entry.id);
+      loadData();
+    }
+  };
+
+  const handleEmptyTrash = async () => {
+    if (window.confirm('Delete all items in the trash forever? This cannot be undone.')) {
+      await emptyTrash();
+      loadData();
+    }
+  };
+
+  const handleRetentionChange = async (e) => {
+    const result = await updateSettings({ trashRetentionDays: Number(e.target.value) });
+    if (result.success) {
+      loadData();
+    } else {
+      setErrors(result.errors);
+    }
+  };
+
+  return (
+    <main className="sessions-page trash-page">
+      <header className="header">
+        <div className="header-content">
+          <h1>🗑️ Trash</h1>
+          <p>Restore deleted cards, sets, story books and sessions</p>
+        </div>
+      </header>
+
+      <div className="sessions-container">
+        <div className="sessions-header">
+          <h2>Deleted Items ({entries.length})</h2>
+          <div className="trash-controls">
+            <label htmlFor="trash-retention">Keep deleted items for</label>
+            <select
+              id="trash-retention"
+              value={retentionDays ?? ''}
+              onChange={handleRetentionChange}
+              disabled={retentionDays === null}
+            >
+              {RETENTION_OPTIONS.map(option => (
+                <option key={option.days} value={option.days}>{option.label}</option>
+              ))}
+            </select>
+            <button
+              className="btn btn-delete"
+              onClick={handleEmptyTrash}
+              disabled={entries.length === 0}
+            >
+              Empty Trash
+            </button>
+          </div>
+        </div>
+
+        {notice && <p className="trash-notice">{notice}</p>}
+
+        {errors.length > 0 && (
+          <div className="form-errors">
+            {errors.map((error, idx) => (
+              <p key={idx} className="error-message">{error}</p>
+            ))}
+          </div>
+        )}
+
+        {entries.length === 0 ? (
+          <div className="empty-state">
+            <p>The trash is empty.</p>
+          </div>
+        ) : (
+          <div className="sessions-grid">
+            {entries.map(entry => (
+              <TrashEntryCard
+                key={entry.id}
+                entry={entry}
+                retentionDays={retentionDays}
+                onRestore={handleRestore}
+                onDelete={handleDelete}
+              />
+            ))}
+          </div>
+        )}
+
+        <div className="back-link">
+          <Link href="/">← Back to Home</Link>
+        </div>
+      </div>
+    </main>
+  );
+}
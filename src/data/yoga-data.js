@@ -1,6 +1,9 @@
+// Built-in default session shown on the Home page. Its IDs carry a "builtin-"
+// prefix so they never collide with exercises stored in the browser.
+
 export const exercises = [
   {
-    id: "1",
+    id: "builtin-exercise-1",
     title: "Sonnengruß",
     description: "Eine fließende Abfolge von Positionen, die den gesamten Körper aufwärmt und die Energie zum Fließen bringt.",
     category: "Stehübungen",
@@ -9,7 +12,7 @@ export const exercises = [
     icon: "☀️"
   },
   {
-    id: "2",
+    id: "builtin-exercise-2",
     title: "Krieger I (Virabhadrasana I)",
     description: "Stehende Position zur Stärkung der Beine und Öffnung der Hüften. Diese Asana fördert Kraft und Standfestigkeit.",
     category: "Stehübungen",
@@ -18,7 +21,7 @@ export const exercises = [
     icon: "⚔️"
   },
   {
-    id: "3",
+    id: "builtin-exercise-3",
     title: "Herabschauender Hund (Adho Mukha Svanasana)",
     description: "Eine der wichtigsten Yoga-Positionen, die den gesamten Körper dehnt und stärkt. Beruhigt den Geist und energetisiert den Körper.",
     category: "Stehübungen",
@@ -27,7 +30,7 @@ export const exercises = [
     icon: "🐕"
   },
   {
-    id: "4",
+    id: "builtin-exercise-4",
     title: "Kobra (Bhujangasana)",
     description: "Liegende Rückbeuge zur Stärkung des unteren Rückens und Öffnung des Herzraums. Verbessert die Flexibilität der Wirbelsäule.",
     category: "Liegeübungen",
@@ -36,7 +39,7 @@ export const exercises = [
     icon: "🐍"
   },
   {
-    id: "5",
+    id: "builtin-exercise-5",
     title: "Shavasana (Totenstellung)",
     description: "Die wichtigste Entspannungsposition zum Abschluss der Praxis. Ermöglicht dem Körper, die Übungen zu integrieren und tiefe Entspannung zu erfahren.",
     category: "Liegeübungen",
@@ -47,11 +50,11 @@ export const exercises = [
 ];
 
 export const session = {
-  id: "1",
+  id: "builtin-session",
   title: "Basis Yoga Flow",
   description: "Eine ausgewogene Yoga-Session für Anfänger und Fortgeschrittene. Perfekt für einen energetischen Start in den Tag oder eine entspannende Pause.",
   story: "Beginne deine Reise mit dem belebenden Sonnengruß, finde Stärke im Krieger, dehne und stärke dich im herabschauenden Hund, öffne dein Herz in der Kobra und finde tiefe Entspannung in Shavasana.",
-  exercises: ["1", "2", "3", "4", "5"],
+  exercises: ["builtin-exercise-1", "builtin-exercise-2", "builtin-exercise-3", "builtin-exercise-4", "builtin-exercise-5"],
   total_duration_minutes: 20,
   level: "Alle Levels"
 };
@@ -0,0 +1,165 @@
+/**
+ * Audio cues for the Home player
+ * All sounds are synthesized with the Web Audio API, so no audio files or
+ * network access are needed:
+ * - a singing bowl chime when the next item starts
+ * - a soft double beep shortly before an item ends
+ * - three descending chimes when the session is over
+ *
+ * Browsers only allow audio after a user gesture, so unlockAudio() has to be
+ * called from one (e.g. the Start button) before cues can be heard.
+ */
+
+import { DEFAULT_SETTINGS } from './settingsStorage';
+
+export const CUES = {
+  TRANSITION: 'transition',
+  WARNING: 'warning',
+  SESSION_END: 'sessionEnd'
+};
+
+// Partials of a singing bowl as [frequency ratio, amplitude, decay seconds];
+// the ratios are not whole numbers, which gives the metallic sound
+const BOWL_PARTIALS = [
+  [1, 1, 4],
+  [2.76, 0.5, 2.5],
+  [5.4, 0.25, 1.5],
+  [8.93, 0.12, 0.8]
+];
+
+// Keeps the sum of partials and overlapping cues from clipping
+const MASTER_GAIN = 0.35;
+
+let context = null;
+
+/**
+ * Get the shared audio context
+ * @returns {AudioContext|null} Context, or null if Web Audio is not available
+ */
+function getContext() {
+  if (!context && typeof window !== 'undefined') {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    context = AudioContextClass ? new AudioContextClass() : null;
+  }
+  return context;
+}
+
+/**
+ * Allow cues to play; call from a user gesture
+ * @returns {boolean} True if Web Audio is available
+ */
+export function unlockAudio() {
+  const audioContext = getContext();
+  if (!audioContext) {
+    return false;
+  }
+  if (audioContext.state === 'suspended') {
+    audioContext.resume().catch(error => console.error('Failed to start audio:', error));
+  }
+  return true;
+}
+
+/**
+ * Get the audio cue settings with defaults for missing values
+ * @param {Object} settings - App settings (see settingsStorage.js)
+ * @returns {Object} { warningSeconds, cardTypes: { [type]: { volume, muted } } }
+ */
+export function getAudioCueSettings(settings) {
+  const defaults = DEFAULT_SETTINGS.audioCues;
+  const stored = settings.audioCues || {};
+  return {
+    warningSeconds: stored.warningSeconds ?? defaults.warningSeconds,
+    cardTypes: Object.fromEntries(Object.entries(defaults.cardTypes).map(([type, cue]) => [
+      type,
+      { ...cue, ...(stored.cardTypes || {})[type] }
+    ]))
+  };
+}
+
+/**
+ * Get the volume of cues for a card type
+ * @param {Object} audioCues - Audio cue settings (see getAudioCueSettings)
+ * @param {string} type - Card type
+ * @returns {number} Volume from 0 to 1; 0 if muted
+ */
+export function getCueVolume(audioCues, type) {
+  const cue = audioCues.cardTypes[type];
+  return !cue || cue.muted ? 0 : cue.volume;
+}
+
+/**
+ * Play one sine tone with a fast attack and an exponential decay
+ * @param {AudioContext} audioContext - Audio context
+ * @param {AudioNode} output - Node to play into
+ * @param {number} frequency - Frequency in Hz
+ * @param {number} amplitude - Peak gain
+ * @param {number} startTime - Context time to start at
+ * @param {number} decay - Seconds until the tone has faded out
+ */
+function playTone(audioContext, output, frequency, amplitude, startTime, decay) {
+  const oscillator = audioContext.createOscillator();
+  const gain = audioContext.createGain();
+
+  oscillator.type = 'sine';
+  oscillator.frequency.value = frequency;
+  gain.gain.setValueAtTime(0.0001, startTime);
+  gain.gain.exponentialRampToValueAtTime(amplitude, startTime + 0.01);
+  gain.gain.exponentialRampToValueAtTime(0.0001, startTime + decay);
+
+  oscillator.connect(gain);
+  gain.connect(output);
+  oscillator.start(startTime);
+  oscillator.stop(startTime + decay + 0.05);
+}
+
+/**
+ * Strike a singing bowl
+ * Each partial is played twice, slightly detuned, for the slow beating of a real bowl.
+ * @param {AudioContext} audioContext - Audio context
+ * @param {AudioNode} output - Node to play into
+ * @param {number} fundamental - Lowest frequency in Hz
+ * @param {number} startTime - Context time to start at
+ * @param {number} [length] - Decay multiplier
+ */
+function strikeBowl(audioContext, output, fundamental, startTime, length = 1) {
+  BOWL_PARTIALS.forEach(([ratio, amplitude, decay]) => {
+    playTone(audioContext, output, fundamental * ratio, amplitude / 2, startTime, decay * length);
+    playTone(audioContext, output, fundamental * ratio * 1.003, amplitude / 2, startTime, decay * length);
+  });
+}
+
+/**
+ * Play a cue
+ * Does nothing if Web Audio is not available or the volume is 0. Cues played
+ * while audio is still locked are heard once unlockAudio() has been called.
+ * @param {string} cue - One of CUES
+ * @param {number} volume - Volume from 0 to 1
+ */
+export function playCue(cue, volume) {
+  const audioContext = getContext();
+  if (!audioContext || audioContext.state === 'closed' || volume <= 0) {
+    return;
+  }
+
+  const output = audioContext.createGain();
+  output.gain.value = volume * MASTER_GAIN;
+  output.connect(audioContext.destination);
+  const now = audioContext.currentTime;
+
+  switch (cue) {
+    case CUES.TRANSITION:
+      strikeBowl(audioContext, output, 432, now);
+      break;
+    case CUES.WARNING:
+      playTone(audioContext, output, 880, 0.3, now, 0.25);
+      playTone(audioContext, output, 880, 0.3, now + 0.3, 0.25);
+      break;
+    case CUES.SESSION_END:
+      [392, 330, 262].forEach((fundamental, index) => {
+        strikeBowl(audioContext, output, fundamental, now + index * 0.9, index === 2 ? 1.5 : 1);
+      });
+      break;
+    default:
+      console.error(`Unknown audio cue "${cue}"`);
+  }
+}
@@ -0,0 +1,412 @@
+/**
+ * Library backup and restore
+ * A backup is one JSON file holding every collection (cards, sets, story
+ * books, sessions, tags, the trash and the revision history) plus the
+ * settings:
+ *
+ *   {
+ *     format: 'yogasession-backup',
+ *     formatVersion: 1,
+ *     exportedAt: ISO date string,
+ *     collections: { [storageKey]: { schemaVersion, records } },
+ *     settings: { ... },
+ *     unreadable: { [storageKey]: raw value }   // only if data was quarantined
+ *   }
+ *
+ * Importing upgrades each collection from its schema version, validates every
+ * record with the entity's validate function and builds a preview of what
+ * would be added, changed, removed or skipped. Nothing is written until
+ * importBackup() is called with that plan's mode.
+ */
+
+import { migrateRecords, getSchemaVersion } from './schemaMigrations';
+import { getRecoveryItems } from './dataRecovery';
+import { getExercises, saveExercises, validateExercise } from './exerciseStorage';
+import { getStories, saveStories, validateStory } from './storyStorage';
+import { getPracticals, savePracticals, validatePractical } from './practicalStorage';
+import { getSessions, saveSessions, validateSession } from './sessionStorage';
+import { getStoryBooks, saveStoryBooks, validateStoryBook } from './storyBookStorage';
+import { getExerciseSets, saveExerciseSets, validateExerciseSet } from './exerciseSetStorage';
+import { getStorySets, saveStorySets, validateStorySet } from './storySetStorage';
+import { getPracticalSets, savePracticalSets, validatePracticalSet } from './practicalSetStorage';
+import { getTags, saveTags, validateTag } from './tagStorage';
+import { getTrash, saveTrash } from './trashStorage';
+import { getAllRevisionHistory, saveRevisionHistory } from './revisionHistory';
+import { DEFAULT_SETTINGS, getSettings, updateSettings } from './settingsStorage';
+import { STORAGE_KEYS, STORAGE_KEY_LABELS } from './storageKeys';
+import { withNextRevision } from './storageSync';
+
+export const BACKUP_FORMAT = 'yogasession-backup';
+export const BACKUP_FORMAT_VERSION = 1;
+
+export const IMPORT_MODES = {
+  // Add new records and overwrite records with the same ID; keep everything else
+  MERGE: 'merge',
+  // Make each collection in the backup an exact copy of it
+  REPLACE: 'replace'
+};
+
+/**
+ * Validate a trash entry
+ * @param {Object} entry - Trash entry to validate
+ * @returns {Array} Array of validation error messages
+ */
+function validateTrashEntry(entry) {
+  const errors = [];
+
+  if (!entry.entityType || typeof entry.entityType !== 'string') {
+    errors.push('entityType is required and must be a string');
+  }
+
+  if (!entry.storageKey || typeof entry.storageKey !== 'string') {
+    errors.push('storageKey is required and must be a string');
+  }
+
+  if (!entry.record || typeof entry.record !== 'object' || entry.record.id === undefined) {
+    errors.push('record is required and must have an id');
+  }
+
+  if (typeof entry.deletedAt !== 'string') {
+    errors.push('deletedAt is required and must be a date string');
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a revision history entry
+ * @param {Object} entry - History entry to validate
+ * @returns {Array} Array of validation error messages
+ */
+function validateHistoryEntry(entry) {
+  const errors = [];
+
+  if (!entry.storageKey || typeof entry.storageKey !== 'string') {
+    errors.push('storageKey is required and must be a string');
+  }
+
+  if (typeof entry.recordId !== 'string') {
+    errors.push('recordId is required and must be a string');
+  }
+
+  if (!entry.record || typeof entry.record !== 'object') {
+    errors.push('record is required and must be an object');
+  }
+
+  if (!Array.isArray(entry.changes)) {
+    errors.push('changes is required and must be an array');
+  }
+
+  if (typeof entry.replacedAt !== 'string') {
+    errors.push('replacedAt is required and must be a date string');
+  }
+
+  return errors;
+}
+
+// Collections in the order they are written; revisions are bumped on
+// overwritten records so open editors in other tabs notice the change.
+// Trash and history entries keep theirs: a history entry's revision is the
+// one of the version it holds.
+const COLLECTIONS = [
+  { storageKey: STORAGE_KEYS.EXERCISES, getAll: getExercises, saveAll: saveExercises, validate: validateExercise },
+  { storageKey: STORAGE_KEYS.STORIES, getAll: getStories, saveAll: saveStories, validate: validateStory },
+  { storageKey: STORAGE_KEYS.PRACTICALS, getAll: getPracticals, saveAll: savePracticals, validate: validatePractical },
+  { storageKey: STORAGE_KEYS.SESSIONS, getAll: getSessions, saveAll: saveSessions, validate: validateSession },
+  { storageKey: STORAGE_KEYS.STORY_BOOKS, getAll: getStoryBooks, saveAll: saveStoryBooks, validate: validateStoryBook },
+  { storageKey: STORAGE_KEYS.EXERCISE_SETS, getAll: getExerciseSets, saveAll: saveExerciseSets, validate: validateExerciseSet },
+  { storageKey: STORAGE_KEYS.STORY_SETS, getAll: getStorySets, saveAll: saveStorySets, validate: validateStorySet },
+  { storageKey: STORAGE_KEYS.PRACTICAL_SETS, getAll: getPracticalSets, saveAll: savePracticalSets, validate: validatePracticalSet },
+  { storageKey: STORAGE_KEYS.TAGS, getAll: getTags, saveAll: saveTags, validate: validateTag },
+  { storageKey: STORAGE_KEYS.TRASH, getAll: getTrash, saveAll: saveTrash, validate: validateTrashEntry, revisions: false },
+  { storageKey: STORAGE_KEYS.HISTORY, getAll: getAllRevisionHistory, saveAll: saveRevisionHistory, validate: validateHistoryEntry, revisions: false }
+];
+
+/**
+ * Build a backup of the whole library
+ * Collections waiting on the recovery page are added as raw values under
+ * `unreadable`, so exporting never silently drops them. They are not read
+ * through their repositories, which would report each one as a storage error.
+ * @returns {Promise<Object>} Backup object
+ */
+export async function createBackup() {
+  const collections = {};
+  const quarantinedKeys = new Set((await getRecoveryItems()).map(item => item.storageKey));
+
+  for (const collection of COLLECTIONS) {
+    if (quarantinedKeys.has(collection.storageKey)) {
+      continue;
+    }
+    collections[collection.storageKey] = {
+      schemaVersion: getSchemaVersion(collection.storageKey),
+      records: await collection.getAll()
+    };
+  }
+
+  const backup = {
+    format: BACKUP_FORMAT,
+    formatVersion: BACKUP_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    collections,
+    settings: await getSettings()
+  };
+
+  // Read again: a collection can turn out to be unreadable while it is exported
+  const unreadable = await getRecoveryItems();
+  if (unreadable.length > 0) {
+    backup.unreadable = Object.fromEntries(unreadable.map(item => [item.storageKey, item.raw]));
+    unreadable.forEach(item => {
+      delete collections[item.storageKey];
+    });
+  }
+
+  return backup;
+}
+
+/**
+ * File name for a backup download
+ * @param {Object} backup - Backup object
+ * @returns {string} File name, e.g. 'yogasession-backup-2024-05-01.json'
+ */
+export function getBackupFileName(backup) {
+  return `${BACKUP_FORMAT}-${backup.exportedAt.slice(0, 10)}.json`;
+}
+
+/**
+ * Parse and check the contents of a backup file
+ * @param {string} text - File contents
+ * @returns {Object} Result object with success status and backup or errors
+ */
+export function parseBackup(text) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (error) {
+    return { success: false, errors: ['The file is not valid JSON'] };
+  }
+
+  const errors = [];
+
+  if (!backup || backup.format !== BACKUP_FORMAT) {
+    errors.push('The file is not a Yoga Session backup');
+  } else if (!Number.isInteger(backup.formatVersion) || backup.formatVersion > BACKUP_FORMAT_VERSION) {
+    errors.push('The backup was made with a newer version of the app');
+  } else if (!backup.collections || typeof backup.collections !== 'object') {
+    errors.push('The backup contains no collections');
+  } else {
+    Object.entries(backup.collections).forEach(([storageKey, collection]) => {
+      const label = STORAGE_KEY_LABELS[storageKey] || storageKey;
+      if (!COLLECTIONS.some(c => c.storageKey === storageKey)) {
+        errors.push(`Unknown collection "${storageKey}"`);
+      } else if (!collection || !Array.isArray(collection.records)) {
+        errors.push(`${label}: records must be an array`);
+      } else if ((collection.schemaVersion || 1) > getSchemaVersion(storageKey)) {
+        errors.push(`${label} were saved by a newer version of the app`);
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    return { success: false, errors };
+  }
+
+  return { success: true, backup };
+}
+
+/**
+ * Compare two records, ignoring key order and the revision counter
+ * @param {Object} a - First record
+ * @param {Object} b - Second record
+ * @returns {boolean} True if both hold the same data
+ */
+function isSameRecord(a, b) {
+  const canonical = value => {
+    if (Array.isArray(value)) {
+      return value.map(canonical);
+    }
+    if (value && typeof value === 'object') {
+      return Object.keys(value).sort().map(key => [key, canonical(value[key])]);
+    }
+    return value;
+  };
+  return JSON.stringify(canonical({ ...a, revision: 0 })) === JSON.stringify(canonical({ ...b, revision: 0 }));
+}
+
+/**
+ * Label a record for the preview
+ * @param {Object} record - Record
+ * @returns {string} Title, name or ID
+ */
+function describeRecord(record) {
+  return record?.title || record?.name || record?.record?.title || record?.record?.name || String(record?.id ?? '?');
+}
+
+/**
+ * Work out what importing one collection would do
+ * @param {Object} collection - Entry of COLLECTIONS
+ * @param {Object} backupCollection - { schemaVersion, records } from the backup
+ * @param {Array} existing - Currently stored records
+ * @param {string} mode - One of IMPORT_MODES
+ * @returns {Object} Collection plan
+ */
+function planCollection(collection, backupCollection, existing, mode) {
+  const existingById = new Map(existing.map(record => [record.id, record]));
+  const seenIds = new Set();
+  const plan = { added: [], changed: [], unchanged: [], skipped: [], removed: [] };
+
+  // Migration steps expect objects, so anything else is skipped up front
+  const objects = backupCollection.records.filter(record => {
+    if (record && typeof record === 'object' && !Array.isArray(record)) {
+      return true;
+    }
+    plan.skipped.push({ record, label: describeRecord(record), reasons: ['not a record object'] });
+    return false;
+  });
+  const { records } = migrateRecords(collection.storageKey, objects, backupCollection.schemaVersion || 1);
+
+  records.forEach(record => {
+    if (typeof record.id !== 'string') {
+      plan.skipped.push({ record, label: describeRecord(record), reasons: ['id is required and must be a string'] });
+      return;
+    }
+
+    const reasons = seenIds.has(record.id)
+      ? [`ID "${record.id}" appears more than once`]
+      : collection.validate(record);
+    if (reasons.length > 0) {
+      plan.skipped.push({ record, label: describeRecord(record), reasons });
+      return;
+    }
+    seenIds.add(record.id);
+
+    const current = existingById.get(record.id);
+    if (!current) {
+      plan.added.push({ record, label: describeRecord(record) });
+    } else if (isSameRecord(current, record)) {
+      plan.unchanged.push({ record: current, label: describeRecord(current) });
+    } else {
+      plan.changed.push({ record, previous: current, label: describeRecord(record) });
+    }
+  });
+
+  if (mode === IMPORT_MODES.REPLACE) {
+    existing
+      .filter(record => !seenIds.has(record.id))
+      .forEach(record => plan.removed.push({ record, label: describeRecord(record) }));
+  }
+
+  return plan;
+}
+
+/**
+ * Keep only the settings this version of the app knows
+ * @param {Object} [settings] - Settings from a backup
+ * @returns {Object|null} Known settings, or null if there are none
+ */
+function pickKnownSettings(settings) {
+  if (!settings || typeof settings !== 'object') {
+    return null;
+  }
+  const known = Object.keys(DEFAULT_SETTINGS).filter(key => settings[key] !== undefined);
+  return known.length > 0 ? Object.fromEntries(known.map(key => [key, settings[key]])) : null;
+}
+
+/**
+ * Preview an import without writing anything
+ * @param {Object} backup - Backup from parseBackup()
+ * @param {string} mode - One of IMPORT_MODES
+ * @returns {Promise<Object>} Plan { mode, collections: [{ storageKey, label, added, changed, unchanged, skipped, removed }], settings }
+ */
+export async function previewImport(backup, mode) {
+  const collections = [];
+
+  for (const collection of COLLECTIONS) {
+    const backupCollection = backup.collections[collection.storageKey];
+    if (!backupCollection) {
+      continue;
+    }
+
+    const existing = await collection.getAll();
+    collections.push({
+      storageKey: collection.storageKey,
+      label: STORAGE_KEY_LABELS[collection.storageKey],
+      ...planCollection(collection, backupCollection, existing, mode)
+    });
+  }
+
+  return {
+    mode,
+    collections,
+    settings: pickKnownSettings(backup.settings)
+  };
+}
+
+/**
+ * Build the records to store for one collection plan
+ * @param {Object} collection - Entry of COLLECTIONS
+ * @param {Object} plan - Collection plan from previewImport()
+ * @param {Array} existing - Currently stored records
+ * @returns {Array} Records to save
+ */
+function applyPlan(collection, plan, existing) {
+  const bump = collection.revisions === false
+    ? ({ record }) => record
+    : ({ record, previous }) => withNextRevision(record, previous);
+  const changedById = new Map(plan.changed.map(item => [item.record.id, bump(item)]));
+  const added = plan.added.map(({ record }) => record);
+  const removedIds = new Set(plan.removed.map(({ record }) => record.id));
+
+  return [
+    ...existing
+      .filter(record => !removedIds.has(record.id))
+      .map(record => changedById.get(record.id) || record),
+    ...added
+  ];
+}
+
+/**
+ * Import a backup
+ * The plan is rebuilt from the current data, so changes made after the
+ * preview are taken into account. Collections are written one after another;
+ * if one fails, the ones before it stay imported.
+ * @param {Object} backup - Backup from parseBackup()
+ * @param {string} mode - One of IMPORT_MODES
+ * @returns {Promise<Object>} Result object with success status and plan or errors
+ */
+export async function importBackup(backup, mode) {
+  if (!Object.values(IMPORT_MODES).includes(mode)) {
+    return { success: false, errors: [`Unknown import mode "${mode}"`] };
+  }
+
+  const plan = await previewImport(backup, mode);
+
+  for (const collectionPlan of plan.collections) {
+    const collection = COLLECTIONS.find(c => c.storageKey === collectionPlan.storageKey);
+    const hasChanges = collectionPlan.added.length > 0 ||
+      collectionPlan.changed.length > 0 ||
+      collectionPlan.removed.length > 0;
+
+    if (!hasChanges) {
+      continue;
+    }
+
+    const existing = await collection.getAll();
+    const result = await collection.saveAll(applyPlan(collection, collectionPlan, existing));
+
+    if (!result.success) {
+      return {
+        success: false,
+        errors: [`${collectionPlan.label} could not be imported: ${result.errors.join(', ')}`]
+      };
+    }
+  }
+
+  if (plan.settings) {
+    const result = await updateSettings(plan.settings);
+    if (!result.success) {
+      return { success: false, errors: result.errors };
+    }
+  }
+
+  return { success: true, plan };
+}
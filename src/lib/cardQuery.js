@@ -0,0 +1,201 @@
+/**
+ * Card queries
+ * Exercises, stories and practicals store their text, duration and category
+ * under different field names. normalizeCard() maps them to one card shape,
+ * and queryCards() filters, sorts and pages such cards, so the card library,
+ * the story book browser and the session builder search the same way.
+ */
+
+import { getTagKey } from './tagRegistry';
+
+/**
+ * Field names of the shared card properties per card type
+ */
+export const CARD_FIELDS = {
+  exercise: { textField: 'description', timeField: 'duration_minutes', categoryField: 'category' },
+  story: { textField: 'text', timeField: 'time', categoryField: 'mood' },
+  practical: { textField: 'instruction', timeField: 'time', categoryField: null }
+};
+
+export const TAG_MATCH = {
+  ANY: 'any',
+  ALL: 'all'
+};
+
+export const SORT_FIELDS = {
+  TITLE: 'title',
+  DURATION: 'duration',
+  TYPE: 'type',
+  CREATED: 'created'
+};
+
+/**
+ * @typedef {Object} Card
+ * @property {string} id - Record ID
+ * @property {string} title - Title
+ * @property {string} text - Description, story text or instruction
+ * @property {Array<string>} tags - Tags
+ * @property {number} time - Duration in minutes
+ * @property {string} type - 'exercise', 'story' or 'practical'
+ * @property {string|null} category - Exercise category or story mood
+ * @property {Object} originalItem - The stored record
+ */
+
+/**
+ * @typedef {Object} CardQuery
+ * @property {Array<string>} [types] - Card types to include; all if omitted
+ * @property {Array<string>} [ids] - Only include cards with these IDs, e.g. the cards of a set
+ * @property {Array<string>} [tags] - Tags to match, ignoring spelling differences (see getTagKey)
+ * @property {string} [tagMatch] - TAG_MATCH.ANY (default) or TAG_MATCH.ALL
+ * @property {string} [text] - Searched in title, text, category and tags, ignoring case
+ * @property {string} [category] - Exact category or mood
+ * @property {number} [minDuration] - Minimum duration in minutes
+ * @property {number} [maxDuration] - Maximum duration in minutes
+ * @property {string} [sortBy] - One of SORT_FIELDS; stored order if omitted
+ * @property {string} [sortDirection] - 'asc' (default) or 'desc'
+ * @property {number} [page] - Page number, starting at 1
+ * @property {number} [pageSize] - Cards per page; all cards if omitted
+ */
+
+/**
+ * Map a stored record to the shared card shape
+ * @param {Object} item - Exercise, story or practical
+ * @param {string} type - 'exercise', 'story' or 'practical'
+ * @returns {Card} Card
+ */
+export function normalizeCard(item, type) {
+  const { textField, timeField, categoryField } = CARD_FIELDS[type];
+  return {
+    id: item.id,
+    title: item.title || '',
+    text: item[textField] || '',
+    tags: item.tags || [],
+    time: item[timeField] || 0,
+    type,
+    category: categoryField ? item[categoryField] || null : null,
+    originalItem: item
+  };
+}
+
+/**
+ * Map all stored cards to the shared card shape
+ * @param {Object} collections - { exercises, stories, practicals }
+ * @returns {Array<Card>} Exercises, then stories, then practicals
+ */
+export function normalizeCards({ exercises = [], stories = [], practicals = [] }) {
+  return [
+    ...exercises.map(item => normalizeCard(item, 'exercise')),
+    ...stories.map(item => normalizeCard(item, 'story')),
+    ...practicals.map(item => normalizeCard(item, 'practical'))
+  ];
+}
+
+/**
+ * Collect the tags used by cards
+ * @param {Array<Card>} cards - Cards
+ * @returns {Array<string>} Unique tags, sorted
+ */
+export function getCardTags(cards) {
+  const tags = new Set();
+  cards.forEach(card => card.tags.forEach(tag => tags.add(tag)));
+  return Array.from(tags).sort();
+}
+
+/**
+ * Check whether a card matches the filters of a query
+ * @param {Card} card - Card
+ * @param {CardQuery} query - Query
+ * @returns {boolean} True if the card matches
+ */
+function matches(card, query) {
+  const { types, ids, tags = [], tagMatch = TAG_MATCH.ANY, text, category, minDuration, maxDuration } = query;
+
+  if (types && !types.includes(card.type)) {
+    return false;
+  }
+
+  if (ids && !ids.includes(card.id)) {
+    return false;
+  }
+
+  if (tags.length > 0) {
+    // Spellings the tag registry joins into one tag match each other
+    const cardTagKeys = card.tags.map(getTagKey);
+    const hasTag = tag => cardTagKeys.includes(getTagKey(tag));
+    if (tagMatch === TAG_MATCH.ALL ? !tags.every(hasTag) : !tags.some(hasTag)) {
+      return false;
+    }
+  }
+
+  const search = (text || '').trim().toLowerCase();
+  if (search) {
+    const haystack = [card.title, card.text, card.category || '', ...card.tags].join('\n').toLowerCase();
+    if (!haystack.includes(search)) {
+      return false;
+    }
+  }
+
+  if (category && card.category !== category) {
+    return false;
+  }
+
+  if (typeof minDuration === 'number' && card.time < minDuration) {
+    return false;
+  }
+  if (typeof maxDuration === 'number' && card.time > maxDuration) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Compare two cards by a sort field
+ * @param {Card} a - First card
+ * @param {Card} b - Second card
+ * @param {string} sortBy - One of SORT_FIELDS
+ * @returns {number} Negative, zero or positive
+ */
+function compareBy(a, b, sortBy) {
+  switch (sortBy) {
+    case SORT_FIELDS.DURATION:
+      return a.time - b.time;
+    case SORT_FIELDS.TYPE:
+      return Object.keys(CARD_FIELDS).indexOf(a.type) - Object.keys(CARD_FIELDS).indexOf(b.type);
+    case SORT_FIELDS.CREATED:
+      return (a.originalItem.createdAt || '').localeCompare(b.originalItem.createdAt || '');
+    default:
+      return a.title.localeCompare(b.title);
+  }
+}
+
+/**
+ * Filter, sort and page cards
+ * @param {Array<Card>} cards - Normalized cards (see normalizeCard)
+ * @param {CardQuery} [query] - Query
+ * @returns {Object} { cards, total, page, pageCount } where total counts all matches
+ */
+export function queryCards(cards, query = {}) {
+  const { sortBy, sortDirection = 'asc', page = 1, pageSize } = query;
+  let result = cards.filter(card => matches(card, query));
+
+  if (sortBy) {
+    const direction = sortDirection === 'desc' ? -1 : 1;
+    // Ties are ordered by title
+    result = [...result].sort((a, b) => direction * compareBy(a, b, sortBy) || compareBy(a, b, SORT_FIELDS.TITLE));
+  }
+
+  const total = result.length;
+  if (!pageSize) {
+    return { cards: result, total, page: 1, pageCount: 1 };
+  }
+
+  const pageCount = Math.max(1, Math.ceil(total / pageSize));
+  const currentPage = Math.min(Math.max(1, page), pageCount);
+  return {
+    cards: result.slice((currentPage - 1) * pageSize, currentPage * pageSize),
+    total,
+    page: currentPage,
+    pageCount
+  };
+}
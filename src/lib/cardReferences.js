@@ -0,0 +1,308 @@
+/**
+ * Referential integrity for cards
+ * Exercises, stories and practicals are referenced by ID from sessions, sets
+ * and story books. This module finds those references and deletes cards with
+ * one of three strategies:
+ * - block: refuse the delete while the card is still in use
+ * - cascade: remove the card's ID from every session, set and story book
+ * - replace: put another card of the same type in its place everywhere
+ *
+ * Deleted cards go to the trash. After a cascade delete the trash entry keeps
+ * the removed references, so restoring the card puts it back in place. If the
+ * card cannot be moved to the trash, the rewritten references are put back,
+ * so no session or set loses a card that still exists.
+ */
+
+import { getExercise, moveExerciseToTrash } from './exerciseStorage';
+import { getStory, moveStoryToTrash } from './storyStorage';
+import { getPractical, movePracticalToTrash } from './practicalStorage';
+import { getSessions, saveSessions } from './sessionStorage';
+import { getStoryBooks, saveStoryBooks } from './storyBookStorage';
+import { getExerciseSets, saveExerciseSets } from './exerciseSetStorage';
+import { getStorySets, saveStorySets } from './storySetStorage';
+import { getPracticalSets, savePracticalSets } from './practicalSetStorage';
+import { STORAGE_KEYS } from './storageKeys';
+import { withNextRevision } from './storageSync';
+
+export const DELETE_STRATEGIES = {
+  BLOCK: 'block',
+  CASCADE: 'cascade',
+  REPLACE: 'replace'
+};
+
+const CARD_STORES = {
+  exercise: { label: 'Exercise', get: getExercise, moveToTrash: moveExerciseToTrash },
+  story: { label: 'Story', get: getStory, moveToTrash: moveStoryToTrash },
+  practical: { label: 'Practical', get: getPractical, moveToTrash: movePracticalToTrash }
+};
+
+// Collections holding card IDs. Sessions keep an ordered list that may contain
+// the same card twice; sets and story books hold each ID once.
+const CONTAINERS = [
+  {
+    kind: 'session',
+    storageKey: STORAGE_KEYS.SESSIONS,
+    label: 'Session',
+    cardTypes: ['exercise', 'story', 'practical'],
+    idsField: 'exercises',
+    nameField: 'title',
+    unique: false,
+    getAll: getSessions,
+    saveAll: saveSessions
+  },
+  {
+    kind: 'exerciseSet',
+    storageKey: STORAGE_KEYS.EXERCISE_SETS,
+    label: 'Exercise set',
+    cardTypes: ['exercise'],
+    idsField: 'exerciseIds',
+    nameField: 'name',
+    unique: true,
+    getAll: getExerciseSets,
+    saveAll: saveExerciseSets
+  },
+  {
+    kind: 'storySet',
+    storageKey: STORAGE_KEYS.STORY_SETS,
+    label: 'Story set',
+    cardTypes: ['story'],
+    idsField: 'storyIds',
+    nameField: 'name',
+    unique: true,
+    getAll: getStorySets,
+    saveAll: saveStorySets
+  },
+  {
+    kind: 'practicalSet',
+    storageKey: STORAGE_KEYS.PRACTICAL_SETS,
+    label: 'Practical set',
+    cardTypes: ['practical'],
+    idsField: 'practicalIds',
+    nameField: 'name',
+    unique: true,
+    getAll: getPracticalSets,
+    saveAll: savePracticalSets
+  },
+  {
+    kind: 'storyBook',
+    storageKey: STORAGE_KEYS.STORY_BOOKS,
+    label: 'Story book',
+    cardTypes: ['story'],
+    idsField: 'storyIds',
+    nameField: 'title',
+    unique: true,
+    getAll: getStoryBooks,
+    saveAll: saveStoryBooks
+  }
+];
+
+/**
+ * Get the containers that can reference a card type
+ * @param {string} cardType - 'exercise', 'story' or 'practical'
+ * @returns {Array} Container descriptors
+ */
+function containersFor(cardType) {
+  return CONTAINERS.filter(container => container.cardTypes.includes(cardType));
+}
+
+/**
+ * Find every session, set and story book that uses a card
+ * @param {string} cardType - 'exercise', 'story' or 'practical'
+ * @param {string} cardId - Card ID
+ * @returns {Promise<Array>} References ({ kind, label, id, name, count, positions, storageKey, idsField, unique })
+ */
+export async function findCardReferences(cardType, cardId) {
+  const references = [];
+
+  for (const container of containersFor(cardType)) {
+    const records = await container.getAll();
+
+    records.forEach(record => {
+      const ids = Array.isArray(record[container.idsField]) ? record[container.idsField] : [];
+      const positions = ids.reduce((found, id, index) => (id === cardId ? [...found, index] : found), []);
+
+      if (positions.length > 0) {
+        references.push({
+          kind: container.kind,
+          label: container.label,
+          id: record.id,
+          name: record[container.nameField] || record.id,
+          count: positions.length,
+          positions,
+          storageKey: container.storageKey,
+          idsField: container.idsField,
+          unique: container.unique
+        });
+      }
+    });
+  }
+
+  return references;
+}
+
+/**
+ * Rewrite a card ID in every container that references it
+ * @param {string} cardType - 'exercise', 'story' or 'practical'
+ * @param {string} cardId - Card ID to rewrite
+ * @param {string|null} replacementId - New card ID, or null to remove the reference
+ * @param {Array} [saved] - Receives { container, idsById } with the previous IDs of each saved collection
+ * @returns {Promise<boolean>} True if all changed collections were saved
+ */
+async function rewriteCardReferences(cardType, cardId, replacementId, saved = []) {
+  for (const container of containersFor(cardType)) {
+    const records = await container.getAll();
+    const idsById = new Map();
+
+    const updated = records.map(record => {
+      const ids = record[container.idsField];
+      if (!Array.isArray(ids) || !ids.includes(cardId)) {
+        return record;
+      }
+
+      idsById.set(record.id, ids);
+      let newIds = replacementId
+        ? ids.map(id => (id === cardId ? replacementId : id))
+        : ids.filter(id => id !== cardId);
+
+      if (container.unique) {
+        newIds = [...new Set(newIds)];
+      }
+
+      return withNextRevision({ ...record, [container.idsField]: newIds });
+    });
+
+    if (idsById.size > 0) {
+      if (!(await container.saveAll(updated)).success) {
+        return false;
+      }
+      saved.push({ container, idsById });
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Put back the card IDs rewritten by rewriteCardReferences()
+ * Only the ID lists are restored; other changes made since are kept.
+ * @param {Array} saved - What rewriteCardReferences() saved
+ * @returns {Promise<boolean>} True if all collections were saved
+ */
+async function restoreRewrittenReferences(saved) {
+  let restored = true;
+
+  for (const { container, idsById } of saved) {
+    const records = await container.getAll();
+    const updated = records.map(record => (idsById.has(record.id)
+      ? withNextRevision({ ...record, [container.idsField]: idsById.get(record.id) })
+      : record));
+
+    if (!(await container.saveAll(updated)).success) {
+      restored = false;
+    }
+  }
+
+  return restored;
+}
+
+/**
+ * Remove a card's ID from all sessions, sets and story books
+ * @param {string} cardType - 'exercise', 'story' or 'practical'
+ * @param {string} cardId - Card ID
+ * @returns {Promise<boolean>} True if saved
+ */
+export function removeCardReferences(cardType, cardId) {
+  return rewriteCardReferences(cardType, cardId, null);
+}
+
+/**
+ * Replace a card's ID with another card's ID in all sessions, sets and story books
+ * @param {string} cardType - 'exercise', 'story' or 'practical'
+ * @param {string} cardId - Card ID to replace
+ * @param {string} replacementId - ID of the replacement card (same type)
+ * @returns {Promise<boolean>} True if saved
+ */
+export function replaceCardReferences(cardType, cardId, replacementId) {
+  return rewriteCardReferences(cardType, cardId, replacementId);
+}
+
+/**
+ * Delete a card and deal with its references
+ * @param {string} cardType - 'exercise', 'story' or 'practical'
+ * @param {string} cardId - Card ID
+ * @param {Object} [options] - Delete options
+ * @param {string} [options.strategy='block'] - One of DELETE_STRATEGIES
+ * @param {string} [options.replacementId] - Replacement card ID for the replace strategy
+ * @returns {Promise<Object>} Result object with success status, references and errors
+ */
+export async function deleteCard(cardType, cardId, { strategy = DELETE_STRATEGIES.BLOCK, replacementId } = {}) {
+  const store = CARD_STORES[cardType];
+
+  if (!store) {
+    return { success: false, errors: [`Unknown card type: ${cardType}`] };
+  }
+
+  if (!Object.values(DELETE_STRATEGIES).includes(strategy)) {
+    return { success: false, errors: [`Unknown delete strategy: ${strategy}`] };
+  }
+
+  if (!(await store.get(cardId))) {
+    return { success: false, errors: [`${store.label} not found`] };
+  }
+
+  const references = await findCardReferences(cardType, cardId);
+  const saved = [];
+
+  if (references.length > 0) {
+    if (strategy === DELETE_STRATEGIES.BLOCK) {
+      return {
+        success: false,
+        references,
+        errors: [`${store.label} is used in ${references.length} place(s) and was not deleted`]
+      };
+    }
+
+    if (strategy === DELETE_STRATEGIES.REPLACE) {
+      if (!replacementId || replacementId === cardId) {
+        return { success: false, references, errors: ['A different replacement card is required'] };
+      }
+      if (!(await store.get(replacementId))) {
+        return { success: false, references, errors: [`Replacement ${store.label.toLowerCase()} not found`] };
+      }
+    }
+
+    const rewritten = await rewriteCardReferences(
+      cardType,
+      cardId,
+      strategy === DELETE_STRATEGIES.REPLACE ? replacementId : null,
+      saved
+    );
+
+    if (!rewritten) {
+      await restoreRewrittenReferences(saved);
+      return { success: false, references, errors: ['Failed to update references'] };
+    }
+  }
+
+  // Only removed references can be put back on restore; replaced ones stay replaced
+  const trashReferences = strategy === DELETE_STRATEGIES.CASCADE
+    ? references.map(reference => ({
+      storageKey: reference.storageKey,
+      idsField: reference.idsField,
+      containerId: reference.id,
+      positions: reference.positions,
+      unique: reference.unique
+    }))
+    : [];
+
+  const result = await store.moveToTrash(cardId, { references: trashReferences });
+
+  if (!result.success) {
+    const errors = (await restoreRewrittenReferences(saved))
+      ? result.errors
+      : [...result.errors, 'Its references could not all be restored'];
+    return { success: false, references, errors };
+  }
+
+  return { success: true, references };
+}
@@ -0,0 +1,405 @@
+/**
+ * Generic entity repository
+ * Every entity module in this folder (exercises, stories, practicals, sessions,
+ * story books and the three set types) stores a collection of records under one
+ * storage key and offers the same CRUD functions. This factory builds that
+ * API from a small entity schema so the individual modules only describe what
+ * is specific to them: the storage key, the validator and how input data is
+ * turned into a stored record.
+ *
+ * All functions are asynchronous; records are read from and written to the
+ * adapter chosen in storageBackend.js (IndexedDB, or localStorage as fallback),
+ * through the in-memory record cache (see recordCache.js).
+ * Before the first access the stored records are checked - unreadable data is
+ * quarantined and the key locked (see quarantine.js) - and upgraded to the
+ * current schema version (see schemaMigrations.js and dataMigrations.js). Every write is
+ * announced to other tabs, and updates can be guarded by the record revision
+ * (see storageSync.js). Failed writes are returned as `{ success: false,
+ * errors }` and shown to the user (see storageHealth.js). Repositories with
+ * `history` keep the versions their updates replace (see revisionHistory.js).
+ */
+
+import './dataMigrations';
+import { ensureSchema, migrateRecords } from './schemaMigrations';
+import { createId, hasIdPrefix } from './ids';
+import { getStorageAdapter } from './storageBackend';
+import { ensureReadable } from './quarantine';
+import { getCachedIndex, registerRecordLoader } from './recordCache';
+import { getHistoryEntry, getRevisionHistory, recordRevision } from './revisionHistory';
+import { reportStorageError } from './storageHealth';
+import { hasRevisionConflict, notifyStorageChange, withNextRevision } from './storageSync';
+import { moveToTrash } from './trashStorage';
+
+/**
+ * @typedef {Object} EntitySchema
+ * @property {string} storageKey - Storage key of the record collection
+ * @property {string} label - Singular label used in error messages, e.g. 'Exercise set'
+ * @property {string} pluralLabel - Plural label used in log messages, e.g. 'exercise sets'
+ * @property {string} resultKey - Property name of the record in create/update results, e.g. 'set'
+ * @property {string} idPrefix - ID type prefix, one of ID_PREFIXES in ids.js
+ * @property {Function} validate - (data) => Array of validation error messages
+ * @property {Function} normalize - (data, existing) => stored fields; existing is undefined on create
+ * @property {Function} [canDelete] - (record) => boolean; records for which it returns false are kept
+ * @property {boolean} [timestamps] - Stamp createdAt on create and updatedAt on update
+ * @property {string} [trashType] - Entity type for the trash; when set, deleted records are moved to the trash
+ * @property {boolean} [history] - Keep the versions replaced by updates, so they can be restored
+ * @property {Function} [afterSave] - (record) => Promise run after a create or update was saved; must not reject
+ */
+
+/**
+ * Create a repository with get/save/generateId/create/update/delete/clear
+ * functions for one entity type
+ * @param {EntitySchema} schema - Entity schema
+ * @returns {Object} Repository API
+ */
+export function createRepository(schema) {
+  const {
+    storageKey,
+    label,
+    pluralLabel,
+    resultKey,
+    idPrefix,
+    validate,
+    normalize,
+    canDelete = () => true,
+    timestamps = false,
+    trashType = null,
+    history = false,
+    afterSave = async () => {}
+  } = schema;
+
+  /**
+   * Get the storage adapter with this repository's key at the current schema version
+   * @returns {Promise<Object|null>} Storage adapter, or null during server rendering
+   * @throws {CorruptDataError} If the key's data is unreadable or quarantined
+   */
+  async function getAdapter() {
+    const adapter = await getStorageAdapter();
+    if (adapter) {
+      await ensureReadable(adapter, storageKey);
+      await ensureSchema(adapter, storageKey);
+    }
+    return adapter;
+  }
+
+  /**
+   * Get all records
+   * @returns {Promise<Array>} Array of records
+   */
+  async function getAll() {
+    try {
+      const adapter = await getAdapter();
+      const records = adapter ? await adapter.read(storageKey) : null;
+      if (Array.isArray(records)) {
+        return records;
+      }
+    } catch (error) {
+      reportStorageError(error, `read ${pluralLabel}`);
+    }
+
+    return [];
+  }
+
+  /**
+   * Run a storage write and report failures to the user
+   * @param {Function} write - (adapter) => Promise performing the write
+   * @returns {Promise<Object>} Result object with success status or errors
+   */
+  async function runWrite(write) {
+    try {
+      const adapter = await getAdapter();
+      if (!adapter) {
+        return { success: false, errors: ['Storage is not available'] };
+      }
+      await write(adapter);
+      notifyStorageChange(storageKey);
+      return { success: true };
+    } catch (error) {
+      return { success: false, errors: [reportStorageError(error, `save ${pluralLabel}`)] };
+    }
+  }
+
+  /**
+   * Replace all records
+   * @param {Array} records - Array of records to save
+   * @returns {Promise<Object>} Result object with success status or errors
+   */
+  async function saveAll(records) {
+    return runWrite(adapter => adapter.write(storageKey, records));
+  }
+
+  /**
+   * Insert or replace a single record
+   * @param {Object} record - Record to save
+   * @returns {Promise<Object>} Result object with success status or errors
+   */
+  async function saveOne(record) {
+    return runWrite(adapter => adapter.put(storageKey, record));
+  }
+
+  /**
+   * Generate a new unique ID
+   * @param {Array} records - Existing records
+   * @returns {string} New unique ID
+   */
+  function generateId(records) {
+    let id;
+    do {
+      id = createId(idPrefix);
+    } while (records.some(record => record.id === id));
+    return id;
+  }
+
+  /**
+   * Get a record by ID
+   * @param {string} id - Record ID
+   * @returns {Promise<Object|null>} Record or null if not found
+   */
+  async function getById(id) {
+    const records = await getAll();
+    const index = getCachedIndex(storageKey);
+    if (index) {
+      return index.get(id) || null;
+    }
+    return records.find(record => record.id === id) || null;
+  }
+
+  /**
+   * Validate and create a new record
+   * @param {Object} data - Record data (without id)
+   * @returns {Promise<Object>} Result object with success status and data or errors
+   */
+  async function create(data) {
+    const validationErrors = validate(data);
+
+    if (validationErrors.length > 0) {
+      return {
+        success: false,
+        errors: validationErrors
+      };
+    }
+
+    const records = await getAll();
+    const newRecord = {
+      id: generateId(records),
+      ...normalize(data),
+      ...(timestamps && { createdAt: new Date().toISOString() }),
+      revision: 1
+    };
+
+    const saved = await saveOne(newRecord);
+    if (!saved.success) {
+      return saved;
+    }
+
+    await afterSave(newRecord);
+
+    return {
+      success: true,
+      [resultKey]: newRecord
+    };
+  }
+
+  /**
+   * Validate and update an existing record
+   * When expectedRevision is given and the stored record has a different
+   * revision (it was saved elsewhere meanwhile), nothing is written and the
+   * result has `conflict: true` plus the stored record.
+   * @param {string} id - ID of the record to update
+   * @param {Object} data - Updated record data
+   * @param {Object} [options] - Update options
+   * @param {number} [options.expectedRevision] - Revision the data was based on
+   * @returns {Promise<Object>} Result object with success status and data or errors
+   */
+  async function update(id, data, { expectedRevision } = {}) {
+    const validationErrors = validate(data);
+
+    if (validationErrors.length > 0) {
+      return {
+        success: false,
+        errors: validationErrors
+      };
+    }
+
+    const existing = await getById(id);
+
+    if (!existing) {
+      return {
+        success: false,
+        errors: [`${label} not found`]
+      };
+    }
+
+    if (hasRevisionConflict(existing, expectedRevision)) {
+      return {
+        success: false,
+        conflict: true,
+        errors: [`${label} was changed in another tab. Reopen it to see the latest version, then apply your changes again.`],
+        [resultKey]: existing
+      };
+    }
+
+    const updatedRecord = withNextRevision({
+      id: id,
+      ...normalize(data, existing),
+      ...(timestamps && {
+        createdAt: existing.createdAt || null,
+        updatedAt: new Date().toISOString()
+      })
+    }, existing);
+
+    const saved = await saveOne(updatedRecord);
+    if (!saved.success) {
+      return saved;
+    }
+
+    if (history) {
+      await keepRevision(existing, updatedRecord);
+    }
+
+    await afterSave(updatedRecord);
+
+    return {
+      success: true,
+      [resultKey]: updatedRecord
+    };
+  }
+
+  /**
+   * Add the version an update replaced to the revision history
+   * The update itself is already saved, so failures are only reported.
+   * @param {Object} previous - Version before the update
+   * @param {Object} next - Version after the update
+   * @returns {Promise} Resolves when done; never rejects
+   */
+  async function keepRevision(previous, next) {
+    try {
+      await recordRevision(storageKey, previous, next);
+    } catch (error) {
+      reportStorageError(error, `keep the previous version of a ${label.toLowerCase()}`);
+    }
+  }
+
+  /**
+   * Get the kept versions of a record, most recently replaced first
+   * @param {string} id - Record ID
+   * @returns {Promise<Array>} History entries (see revisionHistory.js)
+   */
+  async function getHistory(id) {
+    return getRevisionHistory(storageKey, id);
+  }
+
+  /**
+   * Restore a kept version of a record
+   * The version is upgraded to the current schema version and saved as a
+   * normal update, so the version it replaces is kept in turn.
+   * @param {string} id - Record ID
+   * @param {string} entryId - ID of the history entry to restore
+   * @param {Object} [options] - Update options (see update)
+   * @returns {Promise<Object>} Result object with success status and data or errors
+   */
+  async function restoreRevision(id, entryId, options) {
+    let entry;
+    try {
+      entry = await getHistoryEntry(entryId);
+    } catch (error) {
+      return { success: false, errors: [reportStorageError(error, 'read revision history')] };
+    }
+
+    if (!entry || entry.storageKey !== storageKey || entry.recordId !== id) {
+      return {
+        success: false,
+        errors: ['Revision not found']
+      };
+    }
+
+    const [record] = migrateRecords(storageKey, [entry.record], entry.schemaVersion).records;
+    return update(id, record, options);
+  }
+
+  /**
+   * Delete a record by ID and tell why it failed
+   * With a trashType the record is moved to the trash, together with the given
+   * references so they can be restored with it.
+   * @param {string} id - ID of the record to delete
+   * @param {Object} [options] - Delete options
+   * @param {Array} [options.references] - References removed along with the record (see trashStorage.js)
+   * @returns {Promise<Object>} Result object with success status or errors
+   */
+  async function removeRecord(id, { references = [] } = {}) {
+    const existing = await getById(id);
+
+    if (!existing) {
+      return { success: false, errors: [`${label} not found`] };
+    }
+    if (!canDelete(existing)) {
+      return { success: false, errors: [`${label} cannot be deleted`] };
+    }
+
+    try {
+      const adapter = await getAdapter();
+      if (!adapter) {
+        return { success: false, errors: ['Storage is not available'] };
+      }
+      if (trashType) {
+        await moveToTrash({ entityType: trashType, storageKey, record: existing, references });
+      }
+      const removed = await adapter.remove(storageKey, id);
+      notifyStorageChange(storageKey);
+      return removed ? { success: true } : { success: false, errors: [`${label} not found`] };
+    } catch (error) {
+      return { success: false, errors: [reportStorageError(error, `delete ${label.toLowerCase()}`)] };
+    }
+  }
+
+  /**
+   * Delete a record by ID
+   * @param {string} id - ID of the record to delete
+   * @param {Object} [options] - Delete options (see removeRecord)
+   * @returns {Promise<boolean>} True if deleted, false if not found, protected by canDelete or not saved
+   */
+  async function remove(id, options) {
+    return (await removeRecord(id, options)).success;
+  }
+
+  /**
+   * Remove the whole collection
+   * @returns {Promise} Resolves when cleared
+   */
+  async function clear() {
+    const adapter = await getAdapter();
+    if (adapter) {
+      await adapter.clear(storageKey);
+      notifyStorageChange(storageKey);
+    }
+  }
+
+  /**
+   * Check if an ID has this repository's prefix
+   * @param {string} id - ID to check
+   * @returns {boolean} True if the ID carries the prefix
+   */
+  function hasOwnPrefix(id) {
+    return hasIdPrefix(id, idPrefix);
+  }
+
+  registerRecordLoader(storageKey, getAll);
+
+  return {
+    storageKey,
+    getAll,
+    saveAll,
+    saveOne,
+    generateId,
+    getById,
+    create,
+    update,
+    getHistory,
+    restoreRevision,
+    keepRevision,
+    remove,
+    removeRecord,
+    clear,
+    hasOwnPrefix
+  };
+}
@@ -0,0 +1,81 @@
+/**
+ * Repository factory for card sets
+ * Exercise, story and practical sets share one shape: a name, an optional
+ * description and an array of card IDs stored under a type-specific field.
+ * Default sets (isDefault) are protected from deletion.
+ */
+
+import { createRepository } from './createRepository';
+
+/**
+ * Build the validator for a set type
+ * @param {string} idsField - Name of the card ID array, e.g. 'exerciseIds'
+ * @returns {Function} (set) => Array of validation error messages
+ */
+function createSetValidator(idsField) {
+  return function validateSet(set) {
+    const errors = [];
+
+    if (!set.name || typeof set.name !== 'string' || set.name.trim() === '') {
+      errors.push('name is required and must be a non-empty string');
+    }
+
+    if (set.description && typeof set.description !== 'string') {
+      errors.push('description must be a string');
+    }
+
+    if (!Array.isArray(set[idsField])) {
+      errors.push(`${idsField} is required and must be an array`);
+    } else if (set[idsField].some(id => typeof id !== 'string')) {
+      errors.push(`all ${idsField} must be strings`);
+    }
+
+    return errors;
+  };
+}
+
+/**
+ * Create a repository for one set type
+ * @param {Object} options - Set options
+ * @param {string} options.storageKey - localStorage key
+ * @param {string} options.label - Singular label, e.g. 'Story set'
+ * @param {string} options.pluralLabel - Plural label, e.g. 'story sets'
+ * @param {string} options.idPrefix - ID prefix from ID_PREFIXES, e.g. ID_PREFIXES.STORY_SET
+ * @param {string} options.idsField - Name of the card ID array, e.g. 'storyIds'
+ * @param {string} options.trashType - Entity type for the trash, e.g. 'storySet'
+ * @returns {Object} Repository API plus the set validator as `validate`
+ */
+export function createSetRepository({ storageKey, label, pluralLabel, idPrefix, idsField, trashType }) {
+  const validate = createSetValidator(idsField);
+
+  const repository = createRepository({
+    storageKey,
+    label,
+    pluralLabel,
+    resultKey: 'set',
+    idPrefix,
+    validate,
+    normalize: (setData, existing) => {
+      const fields = {
+        name: setData.name.trim(),
+        description: setData.description ? setData.description.trim() : '',
+        [idsField]: [...setData[idsField]]
+      };
+
+      if (existing) {
+        return { ...existing, ...fields };
+      }
+
+      return {
+        ...fields,
+        isDefault: setData.isDefault || false
+      };
+    },
+    // Don't allow deletion of default sets
+    canDelete: set => !set.isDefault,
+    timestamps: true,
+    trashType
+  });
+
+  return { ...repository, validate };
+}
@@ -0,0 +1,151 @@
+/**
+ * Registered schema migrations
+ * Each step upgrades the records of one storage key by one version (see
+ * schemaMigrations.js). Steps are exported individually so they can be run
+ * against sample records without touching storage. Never edit a step that has
+ * shipped; add a new version instead.
+ */
+
+import { ID_PREFIXES } from './ids';
+import { registerMigration } from './schemaMigrations';
+import { STORAGE_KEYS } from './storageKeys';
+
+export const DEFAULT_EXERCISE_ICON = '🧘';
+
+/**
+ * Build a function that prefixes purely numeric IDs ('3' -> 'exercise-3')
+ * Other IDs are returned unchanged, so the step can run on mixed data.
+ * @param {string} prefix - ID prefix
+ * @returns {Function} (id) => prefixed ID
+ */
+function prefixNumericId(prefix) {
+  return id => (typeof id === 'string' && /^\d+$/.test(id) ? `${prefix}-${id}` : id);
+}
+
+const toExerciseId = prefixNumericId(ID_PREFIXES.EXERCISE);
+const toSessionId = prefixNumericId(ID_PREFIXES.SESSION);
+
+/**
+ * Fill in the shared card fields: a type marker, clean tags and createdAt
+ * (null when the creation date is unknown)
+ * @param {string} type - Card type marker
+ * @returns {Function} (records) => migrated records
+ */
+function addCardFields(type) {
+  return records => records.map(record => ({
+    ...record,
+    type,
+    tags: Array.isArray(record.tags)
+      ? record.tags.filter(tag => typeof tag === 'string' && tag.trim() !== '').map(tag => tag.trim())
+      : [],
+    createdAt: record.createdAt || null
+  }));
+}
+
+/**
+ * Exercises v2: type marker, icon, clean tags and createdAt
+ * @param {Array} records - Exercises in version 1
+ * @returns {Array} Exercises in version 2
+ */
+export function migrateExercisesToV2(records) {
+  return addCardFields('exercise')(records).map(record => ({
+    ...record,
+    icon: record.icon || DEFAULT_EXERCISE_ICON
+  }));
+}
+
+/**
+ * Stories v2: type marker, mood, clean tags and createdAt
+ * @param {Array} records - Stories in version 1
+ * @returns {Array} Stories in version 2
+ */
+export function migrateStoriesToV2(records) {
+  return addCardFields('story')(records).map(record => ({
+    ...record,
+    mood: typeof record.mood === 'string' ? record.mood : ''
+  }));
+}
+
+/**
+ * Practicals v2: type marker, clean tags and createdAt
+ * @param {Array} records - Practicals in version 1
+ * @returns {Array} Practicals in version 2
+ */
+export const migratePracticalsToV2 = addCardFields('practical');
+
+/**
+ * Sets v2: description, isDefault and createdAt are always present
+ * @param {Array} records - Sets in version 1
+ * @returns {Array} Sets in version 2
+ */
+export function migrateSetsToV2(records) {
+  return records.map(record => ({
+    ...record,
+    description: typeof record.description === 'string' ? record.description : '',
+    isDefault: Boolean(record.isDefault),
+    createdAt: record.createdAt || null
+  }));
+}
+
+/**
+ * Exercises v3: numeric IDs become 'exercise-<n>'
+ * @param {Array} records - Exercises in version 2
+ * @returns {Array} Exercises in version 3
+ */
+export function migrateExercisesToV3(records) {
+  return records.map(record => ({ ...record, id: toExerciseId(record.id) }));
+}
+
+/**
+ * Exercise sets v3: numeric exercise IDs become 'exercise-<n>'
+ * @param {Array} records - Exercise sets in version 2
+ * @returns {Array} Exercise sets in version 3
+ */
+export function migrateExerciseSetsToV3(records) {
+  return records.map(record => ({
+    ...record,
+    exerciseIds: Array.isArray(record.exerciseIds) ? record.exerciseIds.map(toExerciseId) : []
+  }));
+}
+
+/**
+ * Sessions v2: numeric IDs become 'session-<n>'; numeric entries in the
+ * item list are exercises (stories and practicals were always prefixed)
+ * @param {Array} records - Sessions in version 1
+ * @returns {Array} Sessions in version 2
+ */
+export function migrateSessionsToV2(records) {
+  return records.map(record => ({
+    ...record,
+    id: toSessionId(record.id),
+    exercises: Array.isArray(record.exercises) ? record.exercises.map(toExerciseId) : []
+  }));
+}
+
+/**
+ * Trash v2: references into sessions use the prefixed session IDs. Trashed
+ * records themselves are migrated with their own key when restored.
+ * @param {Array} records - Trash entries in version 1
+ * @returns {Array} Trash entries in version 2
+ */
+export function migrateTrashToV2(records) {
+  return records.map(entry => ({
+    ...entry,
+    references: (entry.references || []).map(reference => (
+      reference.storageKey === STORAGE_KEYS.SESSIONS
+        ? { ...reference, containerId: toSessionId(reference.containerId) }
+        : reference
+    ))
+  }));
+}
+
+registerMigration(STORAGE_KEYS.EXERCISES, 2, 'add type, icon and createdAt', migrateExercisesToV2);
+registerMigration(STORAGE_KEYS.STORIES, 2, 'add type, mood and createdAt', migrateStoriesToV2);
+registerMigration(STORAGE_KEYS.PRACTICALS, 2, 'add type and createdAt', migratePracticalsToV2);
+registerMigration(STORAGE_KEYS.EXERCISE_SETS, 2, 'add description, isDefault and createdAt', migrateSetsToV2);
+registerMigration(STORAGE_KEYS.STORY_SETS, 2, 'add description, isDefault and createdAt', migrateSetsToV2);
+registerMigration(STORAGE_KEYS.PRACTICAL_SETS, 2, 'add description, isDefault and createdAt', migrateSetsToV2);
+registerMigration(STORAGE_KEYS.EXERCISES, 3, 'prefix numeric IDs', migrateExercisesToV3);
+registerMigration(STORAGE_KEYS.EXERCISE_SETS, 3, 'prefix numeric exercise IDs', migrateExerciseSetsToV3);
+registerMigration(STORAGE_KEYS.SESSIONS, 2, 'prefix numeric session and exercise IDs', migrateSessionsToV2);
+registerMigration(STORAGE_KEYS.TRASH, 2, 'prefix numeric session IDs in references', migrateTrashToV2);
@@ -0,0 +1,192 @@
+/**
+ * Recovery of quarantined data
+ * Backs the /recovery page: lists the collections that were set aside as
+ * unreadable (see quarantine.js), salvages whatever records can still be
+ * parsed from the raw value, and lets the user either restore those records
+ * or discard the data. Both choices unlock the key again.
+ */
+
+import { getQuarantinedValue, releaseQuarantine } from './quarantine';
+import { getStorageAdapter } from './storageBackend';
+import { reportStorageError } from './storageHealth';
+import { ENTITY_STORAGE_KEYS, STORAGE_KEY_LABELS } from './storageKeys';
+import { notifyStorageChange } from './storageSync';
+
+/**
+ * Check that a parsed value can be stored as a record
+ * @param {*} value - Parsed value
+ * @returns {boolean} True for objects with an ID
+ */
+function isRecord(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+    (typeof value.id === 'string' || typeof value.id === 'number');
+}
+
+/**
+ * Cut the top-level JSON objects out of a damaged array string
+ * Braces inside string values are skipped; an object that never closes
+ * (e.g. a truncated value) is returned as well so it is counted as lost.
+ * @param {string} raw - Raw stored value
+ * @returns {Array<string>} Object source strings
+ */
+function splitObjects(raw) {
+  const objects = [];
+  let depth = 0;
+  let start = -1;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < raw.length; i++) {
+    const char = raw[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      if (depth === 0) {
+        start = i;
+      }
+      depth++;
+    } else if (char === '}' && depth > 0) {
+      depth--;
+      if (depth === 0) {
+        objects.push(raw.slice(start, i + 1));
+      }
+    }
+  }
+
+  if (depth > 0) {
+    objects.push(raw.slice(start));
+  }
+
+  return objects;
+}
+
+/**
+ * Salvage the records that can still be read from a raw value
+ * @param {string} raw - Raw stored value
+ * @returns {Object} { records, lost } - readable records (first of each ID) and the number of unreadable parts
+ */
+export function repairRecords(raw) {
+  let candidates;
+
+  try {
+    const parsed = JSON.parse(raw);
+    candidates = Array.isArray(parsed) ? parsed : [parsed];
+  } catch (error) {
+    candidates = splitObjects(raw || '').map(source => {
+      try {
+        return JSON.parse(source);
+      } catch (parseError) {
+        return null;
+      }
+    });
+  }
+
+  const records = [];
+  const seenIds = new Set();
+  let lost = 0;
+
+  candidates.forEach(candidate => {
+    if (!isRecord(candidate) || seenIds.has(candidate.id)) {
+      lost++;
+      return;
+    }
+    seenIds.add(candidate.id);
+    records.push(candidate);
+  });
+
+  return { records, lost };
+}
+
+/**
+ * List the quarantined collections with a repair preview
+ * @returns {Promise<Array>} Items { storageKey, label, raw, reason, quarantinedAt, records, lost }
+ */
+export async function getRecoveryItems() {
+  const adapter = await getStorageAdapter();
+  if (!adapter) {
+    return [];
+  }
+
+  const items = [];
+  for (const storageKey of ENTITY_STORAGE_KEYS) {
+    try {
+      const quarantined = await getQuarantinedValue(adapter, storageKey);
+      if (quarantined) {
+        items.push({
+          storageKey,
+          label: STORAGE_KEY_LABELS[storageKey] || storageKey,
+          raw: quarantined.raw,
+          reason: quarantined.reason,
+          quarantinedAt: quarantined.quarantinedAt,
+          ...repairRecords(quarantined.raw)
+        });
+      }
+    } catch (error) {
+      console.error(`Failed to read quarantined data of ${storageKey}:`, error);
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Save the salvaged records of a quarantined collection and unlock it
+ * The records keep the schema version the collection had; they are upgraded
+ * on the next access like any stored data.
+ * @param {string} storageKey - Storage key
+ * @returns {Promise<Object>} Result object with success status and records or errors
+ */
+export async function restoreRepairedRecords(storageKey) {
+  try {
+    const adapter = await getStorageAdapter();
+    const quarantined = adapter ? await getQuarantinedValue(adapter, storageKey) : null;
+    if (!quarantined) {
+      return { success: false, errors: ['No unreadable data found for this collection'] };
+    }
+
+    const { records } = repairRecords(quarantined.raw);
+    await adapter.write(storageKey, records);
+    await releaseQuarantine(adapter, storageKey);
+    notifyStorageChange(storageKey);
+
+    return { success: true, records };
+  } catch (error) {
+    return { success: false, errors: [reportStorageError(error, 'restore repaired data')] };
+  }
+}
+
+/**
+ * Drop the quarantined data of a collection and start it empty
+ * With a sync server only the local copy is cleared, so the next sync fills
+ * it again from the server.
+ * @param {string} storageKey - Storage key
+ * @returns {Promise<Object>} Result object with success status or errors
+ */
+export async function discardQuarantinedData(storageKey) {
+  try {
+    const adapter = await getStorageAdapter();
+    if (!adapter) {
+      return { success: false, errors: ['Storage is not available'] };
+    }
+
+    await (adapter.localAdapter || adapter).clear(storageKey);
+    await releaseQuarantine(adapter, storageKey);
+    notifyStorageChange(storageKey);
+
+    return { success: true };
+  } catch (error) {
+    return { success: false, errors: [reportStorageError(error, 'discard unreadable data')] };
+  }
+}
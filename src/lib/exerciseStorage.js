@@ -1,69 +1,17 @@
 /**
- * Client-side exercise management using localStorage
+ * Client-side exercise management in browser storage
  * This module provides functions to create, read, and manage exercises
- * stored in the browser's localStorage until we move to a non-static site.
+ * stored in the browser (see storageBackend.js) and optionally synced with a
+ * server (see remoteSync.js).
  */
 
-const STORAGE_KEY = 'yogasession_exercises';
+import { createRepository } from './createRepository';
+import { DEFAULT_EXERCISE_ICON } from './dataMigrations';
+import { ID_PREFIXES } from './ids';
+import { STORAGE_KEYS } from './storageKeys';
+import { registerTags } from './tagStorage';
 
-/**
- * Get all exercises from localStorage
- * @returns {Array} Array of exercises
- */
-export function getExercises() {
-  if (typeof window === 'undefined') {
-    return [];
-  }
-  
-  try {
-    const stored = localStorage.getItem(STORAGE_KEY);
-    if (stored) {
-      return JSON.parse(stored);
-    }
-  } catch (error) {
-    console.error('Failed to read exercises from localStorage:', error);
-  }
-  
-  return [];
-}
-
-/**
- * Save exercises to localStorage
- * @param {Array} exercises - Array of exercises to save
- */
-export function saveExercises(exercises) {
-  if (typeof window === 'undefined') {
-    return;
-  }
-  
-  try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(exercises));
-  } catch (error) {
-    console.error('Failed to save exercises to localStorage:', error);
-  }
-}
-
-/**
- * Generate a new unique ID for an exercise
- * @param {Array} exercises - Existing exercises
- * @returns {string} New unique ID
- */
-function generateId(exercises) {
-  if (exercises.length === 0) {
-    return '1';
-  }
-  
-  const numericIds = exercises
-    .map(e => parseInt(e.id, 10))
-    .filter(id => !isNaN(id));
-  
-  if (numericIds.length === 0) {
-    return '1';
-  }
-  
-  const maxId = Math.max(...numericIds);
-  return String(maxId + 1);
-}
+const STORAGE_KEY = STORAGE_KEYS.EXERCISES;
 
 /**
  * Validate an exercise object
@@ -100,132 +48,96 @@ export function validateExercise(exercise) {
   return errors;
 }
 
-/**
- * Create a new exercise and save to localStorage
- * @param {Object} exerciseData - Exercise data (without id)
- * @returns {Object} Result object with success status and data or errors
- */
-export function createExercise(exerciseData) {
-  const validationErrors = validateExercise(exerciseData);
-  
-  if (validationErrors.length > 0) {
-    return {
-      success: false,
-      errors: validationErrors
-    };
-  }
-  
-  const exercises = getExercises();
-  
-  const newExercise = {
-    id: generateId(exercises),
+const repository = createRepository({
+  storageKey: STORAGE_KEY,
+  label: 'Exercise',
+  pluralLabel: 'exercises',
+  resultKey: 'exercise',
+  idPrefix: ID_PREFIXES.EXERCISE,
+  validate: validateExercise,
+  normalize: (exerciseData, existing) => ({
     title: exerciseData.title.trim(),
     description: exerciseData.description.trim(),
     category: exerciseData.category.trim(),
     tags: exerciseData.tags.filter(tag => typeof tag === 'string').map(tag => tag.trim()),
-    duration_minutes: exerciseData.duration_minutes
-  };
-  
-  exercises.push(newExercise);
-  saveExercises(exercises);
-  
-  return {
-    success: true,
-    exercise: newExercise
-  };
-}
+    duration_minutes: exerciseData.duration_minutes,
+    icon: exerciseData.icon || existing?.icon || DEFAULT_EXERCISE_ICON,
+    type: 'exercise'
+  }),
+  timestamps: true,
+  trashType: 'exercise',
+  history: true,
+  afterSave: record => registerTags(record.tags)
+});
+
+/**
+ * Get all exercises
+ * @returns {Promise<Array>} Array of exercises
+ */
+export const getExercises = repository.getAll;
+
+/**
+ * Save exercises
+ * @param {Array} exercises - Array of exercises to save
+ * @returns {Promise<Object>} Result object with success status or errors
+ */
+export const saveExercises = repository.saveAll;
+
+/**
+ * Get an exercise by ID
+ * @param {string} id - Exercise ID
+ * @returns {Promise<Object|null>} Exercise or null if not found
+ */
+export const getExercise = repository.getById;
+
+/**
+ * Create a new exercise
+ * @param {Object} exerciseData - Exercise data (without id)
+ * @returns {Promise<Object>} Result object with success status and data or errors
+ */
+export const createExercise = repository.create;
 
 /**
  * Update an existing exercise
  * @param {string} id - Exercise ID to update
  * @param {Object} exerciseData - Updated exercise data
- * @returns {Object} Result object with success status and data or errors
+ * @returns {Promise<Object>} Result object with success status and data or errors
  */
-export function updateExercise(id, exerciseData) {
-  const validationErrors = validateExercise(exerciseData);
-  
-  if (validationErrors.length > 0) {
-    return {
-      success: false,
-      errors: validationErrors
-    };
-  }
-  
-  const exercises = getExercises();
-  const index = exercises.findIndex(e => e.id === id);
-  
-  if (index === -1) {
-    return {
-      success: false,
-      errors: ['Exercise not found']
-    };
-  }
-  
-  const updatedExercise = {
-    id: id,
-    title: exerciseData.title.trim(),
-    description: exerciseData.description.trim(),
-    category: exerciseData.category.trim(),
-    tags: exerciseData.tags.filter(tag => typeof tag === 'string').map(tag => tag.trim()),
-    duration_minutes: exerciseData.duration_minutes
-  };
-  
-  exercises[index] = updatedExercise;
-  saveExercises(exercises);
-  
-  return {
-    success: true,
-    exercise: updatedExercise
-  };
-}
+export const updateExercise = repository.update;
+
+/**
+ * Get the earlier versions of an exercise, most recently replaced first
+ * @param {string} id - Exercise ID
+ * @returns {Promise<Array>} History entries (see revisionHistory.js)
+ */
+export const getExerciseHistory = repository.getHistory;
+
+/**
+ * Restore an earlier version of an exercise
+ * @param {string} id - Exercise ID
+ * @param {string} entryId - History entry ID
+ * @param {Object} [options] - Update options, e.g. { expectedRevision }
+ * @returns {Promise<Object>} Result object with success status and data or errors
+ */
+export const restoreExerciseRevision = repository.restoreRevision;
 
 /**
- * Delete an exercise by ID
+ * Move an exercise to the trash
  * @param {string} id - Exercise ID to delete
- * @returns {boolean} True if deleted, false if not found
+ * @returns {Promise<boolean>} True if deleted, false if not found
  */
-export function deleteExercise(id) {
-  const exercises = getExercises();
-  const index = exercises.findIndex(e => e.id === id);
-  
-  if (index === -1) {
-    return false;
-  }
-  
-  exercises.splice(index, 1);
-  saveExercises(exercises);
-  return true;
-}
+export const deleteExercise = repository.remove;
 
 /**
- * Clear all exercises from localStorage
+ * Move an exercise to the trash, keeping the references removed along with it
+ * @param {string} id - Exercise ID to delete
+ * @param {Object} [options] - { references } (see trashStorage.js)
+ * @returns {Promise<Object>} Result object with success status or errors
  */
-export function clearExercises() {
-  if (typeof window === 'undefined') {
-    return;
-  }
-  
-  localStorage.removeItem(STORAGE_KEY);
-}
+export const moveExerciseToTrash = repository.removeRecord;
 
 /**
- * Initialize default exercises from data/exercises.json if localStorage is empty
- * This should be called on app initialization
+ * Clear all exercises
+ * @returns {Promise} Resolves when cleared
  */
-export async function initializeDefaultExercises() {
-  const exercises = getExercises();
-  
-  // Only initialize if localStorage is empty
-  if (exercises.length === 0) {
-    try {
-      // Import the exercises from the JSON file dynamically
-      const defaultExercises = await import('../../data/exercises.json').then(module => module.default);
-      saveExercises(defaultExercises);
-      return true;
-    } catch (error) {
-      console.error('Failed to initialize default exercises:', error);
-    }
-  }
-  
-  return false;
-}
+export const clearExercises = repository.clear;
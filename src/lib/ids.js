@@ -0,0 +1,67 @@
+/**
+ * Record IDs
+ * Every stored record gets a type prefix plus a random UUID, e.g.
+ * 'exercise-3f2b…'. IDs are never derived from the current collection, so a
+ * deleted record's ID is not handed out again and records created on
+ * different devices or in imported backups do not collide.
+ *
+ * Older records keep their IDs ('story-4', 'storybook-2'); purely numeric
+ * exercise and session IDs are prefixed by a schema migration.
+ */
+
+export const ID_PREFIXES = {
+  EXERCISE: 'exercise',
+  STORY: 'story',
+  PRACTICAL: 'practical',
+  SESSION: 'session',
+  STORY_BOOK: 'storybook',
+  EXERCISE_SET: 'exercise-set',
+  STORY_SET: 'story-set',
+  PRACTICAL_SET: 'practical-set',
+  TAG: 'tag'
+};
+
+// Longest first, so 'story-set-…' is not taken for a story ID
+const PREFIXES_BY_LENGTH = Object.values(ID_PREFIXES).sort((a, b) => b.length - a.length);
+
+/**
+ * Generate a random token
+ * @returns {string} UUID, or a time-based random string where crypto.randomUUID is missing
+ */
+function randomToken() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Create a new unique ID
+ * @param {string} prefix - One of ID_PREFIXES
+ * @returns {string} New ID
+ */
+export function createId(prefix) {
+  return `${prefix}-${randomToken()}`;
+}
+
+/**
+ * Get the type prefix of an ID
+ * @param {string} id - Record ID
+ * @returns {string|null} One of ID_PREFIXES, or null for unprefixed IDs
+ */
+export function getIdPrefix(id) {
+  if (typeof id !== 'string') {
+    return null;
+  }
+  return PREFIXES_BY_LENGTH.find(prefix => id.startsWith(`${prefix}-`)) || null;
+}
+
+/**
+ * Check if an ID carries a type prefix
+ * @param {string} id - Record ID
+ * @param {string} prefix - One of ID_PREFIXES
+ * @returns {boolean} True if the ID has exactly this prefix
+ */
+export function hasIdPrefix(id, prefix) {
+  return getIdPrefix(id) === prefix;
+}
@@ -0,0 +1,226 @@
+/**
+ * IndexedDB storage adapter
+ * Stores every record as its own entry instead of one JSON array per key, so
+ * single-record writes don't rewrite the whole collection and reads don't
+ * parse a large string on the main thread. Collections are not limited by the
+ * ~5 MB localStorage quota, which leaves room for images and audio later.
+ *
+ * Object stores:
+ *   records - { key, id, position, record }, primary key [key, id], index 'byKey'
+ *   meta    - { name, value }, primary key name
+ *
+ * `position` keeps the collection order stable: write() numbers the records
+ * 0..n-1, put() keeps the position of an existing record and appends new ones.
+ * Implements the adapter interface documented in localStorageAdapter.js.
+ */
+
+const DB_NAME = 'yogasession';
+const DB_VERSION = 1;
+const RECORDS_STORE = 'records';
+const META_STORE = 'meta';
+const BY_KEY_INDEX = 'byKey';
+
+let dbPromise = null;
+let lastPosition = 0;
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise} Resolves with the request result
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} transaction - Transaction to wait for
+ * @returns {Promise} Resolves when the transaction completes
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+  });
+}
+
+/**
+ * Position for a newly appended record; strictly increasing within this tab
+ * @returns {number} Position value
+ */
+function nextPosition() {
+  lastPosition = Math.max(Date.now(), lastPosition + 1);
+  return lastPosition;
+}
+
+/**
+ * Open (and on first use create) the database
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(RECORDS_STORE)) {
+          const store = db.createObjectStore(RECORDS_STORE, { keyPath: ['key', 'id'] });
+          store.createIndex(BY_KEY_INDEX, 'key');
+        }
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          db.createObjectStore(META_STORE, { keyPath: 'name' });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another open tab'));
+    });
+
+    // Allow a retry after a failed open
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+
+  return dbPromise;
+}
+
+/**
+ * Run a callback inside a transaction and wait for it to commit
+ * @param {string|Array} storeNames - Store(s) to include
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - (transaction) => value or promise of value
+ * @returns {Promise} Resolves with the callback's value after commit
+ */
+async function withTransaction(storeNames, mode, callback) {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeNames, mode);
+  const [result] = await Promise.all([callback(transaction), transactionDone(transaction)]);
+  return result;
+}
+
+export const indexedDbAdapter = {
+  name: 'indexedDB',
+
+  /**
+   * Check whether IndexedDB can be used in this environment
+   * @returns {boolean} True if available
+   */
+  isAvailable() {
+    try {
+      return typeof window !== 'undefined' && Boolean(window.indexedDB);
+    } catch (error) {
+      return false;
+    }
+  },
+
+  /**
+   * Open the database; used by the backend to detect a broken IndexedDB early
+   * @returns {Promise<IDBDatabase>} Open database
+   */
+  open: openDatabase,
+
+  async read(key) {
+    const entries = await withTransaction(RECORDS_STORE, 'readonly', transaction => {
+      const index = transaction.objectStore(RECORDS_STORE).index(BY_KEY_INDEX);
+      return requestToPromise(index.getAll(key));
+    });
+
+    if (entries.length === 0) {
+      return null;
+    }
+
+    return entries
+      .sort((a, b) => a.position - b.position)
+      .map(entry => entry.record);
+  },
+
+  async write(key, records) {
+    await withTransaction(RECORDS_STORE, 'readwrite', async transaction => {
+      const store = transaction.objectStore(RECORDS_STORE);
+      const existingKeys = await requestToPromise(store.index(BY_KEY_INDEX).getAllKeys(key));
+      const keptIds = new Set(records.map(record => record.id));
+
+      existingKeys
+        .filter(([, id]) => !keptIds.has(id))
+        .forEach(primaryKey => store.delete(primaryKey));
+
+      records.forEach((record, position) => {
+        store.put({ key, id: record.id, position, record });
+      });
+    });
+  },
+
+  async put(key, record) {
+    await withTransaction(RECORDS_STORE, 'readwrite', async transaction => {
+      const store = transaction.objectStore(RECORDS_STORE);
+      const existing = await requestToPromise(store.get([key, record.id]));
+      const position = existing ? existing.position : nextPosition();
+      store.put({ key, id: record.id, position, record });
+    });
+  },
+
+  async remove(key, id) {
+    return withTransaction(RECORDS_STORE, 'readwrite', async transaction => {
+      const store = transaction.objectStore(RECORDS_STORE);
+      const existing = await requestToPromise(store.get([key, id]));
+      if (!existing) {
+        return false;
+      }
+      store.delete([key, id]);
+      return true;
+    });
+  },
+
+  async clear(key) {
+    await withTransaction(RECORDS_STORE, 'readwrite', async transaction => {
+      const store = transaction.objectStore(RECORDS_STORE);
+      const existingKeys = await requestToPromise(store.index(BY_KEY_INDEX).getAllKeys(key));
+      existingKeys.forEach(primaryKey => store.delete(primaryKey));
+    });
+  },
+
+  async readMeta(name) {
+    const entry = await withTransaction(META_STORE, 'readonly', transaction => {
+      return requestToPromise(transaction.objectStore(META_STORE).get(name));
+    });
+    return entry ? entry.value : null;
+  },
+
+  async writeMeta(name, value) {
+    await withTransaction(META_STORE, 'readwrite', transaction => {
+      transaction.objectStore(META_STORE).put({ name, value });
+    });
+  },
+
+  async removeMeta(name) {
+    await withTransaction(META_STORE, 'readwrite', transaction => {
+      transaction.objectStore(META_STORE).delete(name);
+    });
+  },
+
+  /**
+   * Import several collections and a metadata entry in one transaction,
+   * so a migration either lands completely or not at all
+   * @param {Object} collections - Map of storage key to array of records
+   * @param {string} metaName - Metadata entry to write alongside
+   * @param {*} metaValue - Metadata value
+   */
+  async importCollections(collections, metaName, metaValue) {
+    await withTransaction([RECORDS_STORE, META_STORE], 'readwrite', transaction => {
+      const store = transaction.objectStore(RECORDS_STORE);
+      Object.entries(collections).forEach(([key, records]) => {
+        records.forEach((record, position) => {
+          store.put({ key, id: record.id, position, record });
+        });
+      });
+      transaction.objectStore(META_STORE).put({ name: metaName, value: metaValue });
+    });
+  }
+};
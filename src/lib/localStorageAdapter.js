@@ -0,0 +1,136 @@
+/**
+ * localStorage storage adapter
+ * Stores each collection as one JSON array under its storage key. This is the
+ * original storage format of the app and the fallback when IndexedDB is not
+ * available (e.g. some private browsing modes).
+ *
+ * All storage adapters implement the same asynchronous interface:
+ *   read(key)                  -> Array of records, or null if the key is empty
+ *   write(key, records)        -> replace the whole collection
+ *   put(key, record)           -> insert or replace one record by its id
+ *   remove(key, id)            -> delete one record, resolves to true if it existed
+ *   clear(key)                 -> delete the whole collection
+ *   readMeta(name)             -> stored metadata value or null
+ *   writeMeta(name, value)     -> store a metadata value
+ *   removeMeta(name)           -> delete a metadata value
+ * Failures are reported by rejecting the returned promise. A stored value that
+ * cannot be read as a list of records rejects with a CorruptDataError.
+ */
+
+const META_KEY_PREFIX = 'yogasession_meta_';
+
+/**
+ * Get the localStorage key a metadata value is stored under
+ * @param {string} name - Metadata name
+ * @returns {string} localStorage key, e.g. 'yogasession_meta_settings'
+ */
+export function getMetaStorageKey(name) {
+  return META_KEY_PREFIX + name;
+}
+
+/**
+ * Error for a stored value that is not a readable JSON array
+ * The raw string is kept on the error so it can be set aside (see quarantine.js).
+ */
+export class CorruptDataError extends Error {
+  /**
+   * @param {string} key - Storage key
+   * @param {string} [raw] - Raw stored value
+   * @param {string} [reason] - Why the value could not be read
+   */
+  constructor(key, raw, reason = 'Not a list of records') {
+    super(`Stored data under ${key} could not be read: ${reason}`);
+    this.name = 'CorruptDataError';
+    this.key = key;
+    this.raw = raw;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Parse the JSON array stored under a key
+ * @param {string} key - Storage key
+ * @returns {Array|null} Stored records or null if the key is empty
+ * @throws {CorruptDataError} If the value is not a JSON array
+ */
+function readArray(key) {
+  const stored = localStorage.getItem(key);
+  if (!stored) {
+    return null;
+  }
+
+  let records;
+  try {
+    records = JSON.parse(stored);
+  } catch (error) {
+    throw new CorruptDataError(key, stored, error.message);
+  }
+
+  if (!Array.isArray(records)) {
+    throw new CorruptDataError(key, stored);
+  }
+  return records;
+}
+
+export const localStorageAdapter = {
+  name: 'localStorage',
+
+  /**
+   * Check whether localStorage can be used in this environment
+   * @returns {boolean} True if available
+   */
+  isAvailable() {
+    try {
+      return typeof window !== 'undefined' && Boolean(window.localStorage);
+    } catch (error) {
+      return false;
+    }
+  },
+
+  async read(key) {
+    return readArray(key);
+  },
+
+  async write(key, records) {
+    localStorage.setItem(key, JSON.stringify(records));
+  },
+
+  async put(key, record) {
+    const records = readArray(key) || [];
+    const index = records.findIndex(r => r.id === record.id);
+    if (index === -1) {
+      records.push(record);
+    } else {
+      records[index] = record;
+    }
+    localStorage.setItem(key, JSON.stringify(records));
+  },
+
+  async remove(key, id) {
+    const records = readArray(key) || [];
+    const index = records.findIndex(r => r.id === id);
+    if (index === -1) {
+      return false;
+    }
+    records.splice(index, 1);
+    localStorage.setItem(key, JSON.stringify(records));
+    return true;
+  },
+
+  async clear(key) {
+    localStorage.removeItem(key);
+  },
+
+  async readMeta(name) {
+    const stored = localStorage.getItem(getMetaStorageKey(name));
+    return stored ? JSON.parse(stored) : null;
+  },
+
+  async writeMeta(name, value) {
+    localStorage.setItem(getMetaStorageKey(name), JSON.stringify(value));
+  },
+
+  async removeMeta(name) {
+    localStorage.removeItem(getMetaStorageKey(name));
+  }
+};
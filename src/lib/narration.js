@@ -0,0 +1,131 @@
+/**
+ * Narration for the Home player
+ * Reads the current item aloud with the browser's speech synthesis: the
+ * title and then the text of a story, the instruction of a practical or the
+ * description of an exercise. Browsers without speech synthesis simply stay
+ * silent.
+ */
+
+import { DEFAULT_SETTINGS } from './settingsStorage';
+
+// Field read aloud per card type
+const TEXT_FIELDS = {
+  exercise: 'description',
+  story: 'text',
+  practical: 'instruction'
+};
+
+/**
+ * Check whether the browser can speak
+ * @returns {boolean} True if speech synthesis is available
+ */
+export function isNarrationAvailable() {
+  return typeof window !== 'undefined' && 'speechSynthesis' in window;
+}
+
+/**
+ * Get the installed voices
+ * The list may be empty until the browser has loaded it; see subscribeToVoices().
+ * @returns {Array<SpeechSynthesisVoice>} Voices
+ */
+export function getVoices() {
+  return isNarrationAvailable() ? window.speechSynthesis.getVoices() : [];
+}
+
+/**
+ * Get notified when the list of voices has loaded or changed
+ * @param {Function} listener - Called without arguments
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToVoices(listener) {
+  if (!isNarrationAvailable()) {
+    return () => {};
+  }
+  window.speechSynthesis.addEventListener('voiceschanged', listener);
+  return () => window.speechSynthesis.removeEventListener('voiceschanged', listener);
+}
+
+/**
+ * Get the narration settings with defaults for missing values
+ * @param {Object} settings - App settings (see settingsStorage.js)
+ * @returns {Object} { enabled, lang, voiceURI, rate, cardTypes: { [type]: boolean } }
+ */
+export function getNarrationSettings(settings) {
+  const defaults = DEFAULT_SETTINGS.narration;
+  const stored = settings.narration || {};
+  return {
+    ...defaults,
+    ...stored,
+    cardTypes: { ...defaults.cardTypes, ...stored.cardTypes }
+  };
+}
+
+/**
+ * Get the text to read for an item
+ * @param {Object} item - Exercise, story or practical
+ * @param {string} type - Card type
+ * @returns {string} Title and text; empty if the item has neither
+ */
+export function getNarrationText(item, type) {
+  return [item.title, item[TEXT_FIELDS[type]]]
+    .filter(Boolean)
+    // End each part with a full stop, so the voice pauses after the title
+    .map(part => part.trim().replace(/([^.!?])$/, '$1.'))
+    .join(' ');
+}
+
+/**
+ * Read a text aloud, stopping anything read before
+ * @param {string} text - Text
+ * @param {Object} options - Narration settings (see getNarrationSettings)
+ */
+export function narrate(text, { lang, voiceURI, rate }) {
+  if (!isNarrationAvailable() || !text) {
+    return;
+  }
+
+  const synthesis = window.speechSynthesis;
+  synthesis.cancel();
+
+  const utterance = new SpeechSynthesisUtterance(text);
+  const voices = synthesis.getVoices();
+  const voice = voices.find(v => v.voiceURI === voiceURI) || voices.find(v => v.lang === lang);
+  utterance.lang = voice ? voice.lang : lang;
+  utterance.voice = voice || null;
+  utterance.rate = rate;
+  utterance.onerror = (event) => {
+    // Cancelling to read the next item is not a failure
+    if (event.error !== 'canceled' && event.error !== 'interrupted') {
+      console.error('Narration failed:', event.error);
+    }
+  };
+
+  synthesis.speak(utterance);
+}
+
+/**
+ * Pause reading, e.g. while the player is paused
+ */
+export function pauseNarration() {
+  if (isNarrationAvailable() && window.speechSynthesis.speaking) {
+    window.speechSynthesis.pause();
+  }
+}
+
+/**
+ * Continue reading where it was paused
+ */
+export function resumeNarration() {
+  if (isNarrationAvailable() && window.speechSynthesis.paused) {
+    window.speechSynthesis.resume();
+  }
+}
+
+/**
+ * Stop reading and drop anything queued
+ */
+export function stopNarration() {
+  if (isNarrationAvailable()) {
+    window.speechSynthesis.cancel();
+  }
+}
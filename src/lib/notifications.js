@@ -0,0 +1,75 @@
+/**
+ * App-wide notifications
+ * A small in-memory store that any module can post messages to; the
+ * NotificationCenter component in the root layout renders them. Posting a
+ * notification with the `key` of an existing one replaces it, so a repeated
+ * failure shows up once instead of stacking.
+ */
+
+let notifications = [];
+let nextId = 1;
+const listeners = new Set();
+
+/**
+ * @typedef {Object} Notification
+ * @property {number} id - Generated ID
+ * @property {string} [key] - Stable key for replacing an earlier notification
+ * @property {string} level - 'error', 'warning' or 'info'
+ * @property {string} title - Short headline
+ * @property {string} [message] - Explanation
+ * @property {Array<string>} [details] - Extra lines, e.g. storage usage
+ * @property {Array<Object>} [actions] - Next steps ({ label, href })
+ */
+
+/**
+ * Inform subscribers about a change
+ */
+function emit() {
+  listeners.forEach(listener => listener(notifications));
+}
+
+/**
+ * Post a notification
+ * @param {Object} notification - Notification without id (see Notification)
+ * @returns {number} Notification ID
+ */
+export function notify(notification) {
+  const id = nextId++;
+  const entry = { level: 'info', details: [], actions: [], ...notification, id };
+
+  notifications = notification.key
+    ? [...notifications.filter(n => n.key !== notification.key), entry]
+    : [...notifications, entry];
+
+  emit();
+  return id;
+}
+
+/**
+ * Remove a notification
+ * @param {number} id - Notification ID
+ */
+export function dismissNotification(id) {
+  notifications = notifications.filter(n => n.id !== id);
+  emit();
+}
+
+/**
+ * Get the current notifications, oldest first
+ * @returns {Array<Notification>} Notifications
+ */
+export function getNotifications() {
+  return notifications;
+}
+
+/**
+ * Listen for changes to the notification list
+ * @param {Function} listener - (notifications) => void
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToNotifications(listener) {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
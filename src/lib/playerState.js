@@ -0,0 +1,108 @@
+/**
+ * Player state of the Home page
+ * The running or paused session is stored as storage metadata (see
+ * storageBackend.js), so a reload, a locked phone or a visit to another page
+ * does not lose the position in class. While the session runs only the
+ * wall-clock time elapsed 0 maps to is stored; the elapsed time is worked out
+ * from it on return, so nothing needs to be written while the timer ticks.
+ *
+ * The state is local to this device; it is neither synced nor backed up.
+ */
+
+import { getStorageAdapter } from './storageBackend';
+
+const PLAYER_STATE_META_NAME = 'playerState';
+
+/**
+ * @typedef {Object} PlayerState
+ * @property {string} sessionId - Selected session, 'default' for the built-in one
+ * @property {Array<string>} order - Item IDs in the order shown
+ * @property {number} elapsedMs - Elapsed time when the state was saved
+ * @property {number|null} runAnchorMs - Wall-clock time elapsed 0 maps to, if running
+ * @property {number|null} startedAtMs - Wall-clock time of the first start
+ * @property {string} savedAt - ISO date string
+ */
+
+/**
+ * Check that a stored value is a usable player state
+ * @param {*} state - Stored value
+ * @returns {boolean} True if it can be resumed
+ */
+function isValidPlayerState(state) {
+  return Boolean(state)
+    && typeof state.sessionId === 'string'
+    && Array.isArray(state.order)
+    && state.order.every(id => typeof id === 'string')
+    && typeof state.elapsedMs === 'number'
+    && (state.runAnchorMs === null || typeof state.runAnchorMs === 'number')
+    && (state.startedAtMs === null || typeof state.startedAtMs === 'number');
+}
+
+/**
+ * Get the elapsed time of a saved player state now
+ * @param {PlayerState} state - Player state
+ * @param {number} nowMs - Current wall-clock time
+ * @returns {number} Elapsed time; a running session has moved on since it was saved
+ */
+export function getResumeElapsedMs(state, nowMs) {
+  return state.runAnchorMs === null ? state.elapsedMs : Math.max(0, nowMs - state.runAnchorMs);
+}
+
+/**
+ * Get the saved player state
+ * @returns {Promise<PlayerState|null>} State, or null if there is none or it is unusable
+ */
+export async function getPlayerState() {
+  try {
+    const adapter = await getStorageAdapter();
+    const state = adapter ? await adapter.readMeta(PLAYER_STATE_META_NAME) : null;
+    return isValidPlayerState(state) ? state : null;
+  } catch (error) {
+    console.error('Failed to read player state from storage:', error);
+    return null;
+  }
+}
+
+/**
+ * Save the player state
+ * @param {Object} state - Player state without savedAt
+ * @returns {Promise<Object>} Result object with success status or errors
+ */
+export async function savePlayerState(state) {
+  const playerState = { ...state, savedAt: new Date().toISOString() };
+
+  if (!isValidPlayerState(playerState)) {
+    return { success: false, errors: ['Invalid player state'] };
+  }
+
+  try {
+    const adapter = await getStorageAdapter();
+    if (!adapter) {
+      return { success: false, errors: ['Storage is not available'] };
+    }
+    await adapter.writeMeta(PLAYER_STATE_META_NAME, playerState);
+  } catch (error) {
+    console.error('Failed to save player state:', error);
+    return { success: false, errors: ['Failed to save player state'] };
+  }
+
+  return { success: true };
+}
+
+/**
+ * Forget the saved player state, e.g. after a reset or at the end of the session
+ * @returns {Promise<Object>} Result object with success status or errors
+ */
+export async function clearPlayerState() {
+  try {
+    const adapter = await getStorageAdapter();
+    if (adapter) {
+      await adapter.removeMeta(PLAYER_STATE_META_NAME);
+    }
+  } catch (error) {
+    console.error('Failed to clear player state:', error);
+    return { success: false, errors: ['Failed to clear player state'] };
+  }
+
+  return { success: true };
+}
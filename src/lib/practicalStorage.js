@@ -1,77 +1,21 @@
 /**
- * Client-side practical element management using localStorage
+ * Client-side practical element management in browser storage
  * This module provides functions to create, read, update, and manage practical elements
- * stored in the browser's localStorage until we move to a non-static site.
- * 
+ * stored in the browser (see storageBackend.js) and optionally synced with a
+ * server (see remoteSync.js).
+ *
  * Practical elements are action-based cards that instruct users to perform specific actions
  * like ringing a bell, lighting a candle, etc. They are designed to guide physical actions
  * during yoga sessions.
  */
 
-const STORAGE_KEY = 'yogasession_practicals';
-const MIN_TIME_MINUTES = 0.5;
-
-/**
- * Get all practical elements from localStorage
- * @returns {Array} Array of practical elements
- */
-export function getPracticals() {
-  if (typeof window === 'undefined') {
-    return [];
-  }
-  
-  try {
-    const stored = localStorage.getItem(STORAGE_KEY);
-    if (stored) {
-      return JSON.parse(stored);
-    }
-  } catch (error) {
-    console.error('Failed to read practicals from localStorage:', error);
-  }
-  
-  return [];
-}
+import { createRepository } from './createRepository';
+import { ID_PREFIXES } from './ids';
+import { STORAGE_KEYS } from './storageKeys';
+import { registerTags } from './tagStorage';
 
-/**
- * Save practical elements to localStorage
- * @param {Array} practicals - Array of practical elements to save
- */
-export function savePracticals(practicals) {
-  if (typeof window === 'undefined') {
-    return;
-  }
-  
-  try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(practicals));
-  } catch (error) {
-    console.error('Failed to save practicals to localStorage:', error);
-  }
-}
-
-/**
- * Generate a new unique ID for a practical element
- * @param {Array} practicals - Existing practical elements
- * @returns {string} New unique ID with 'practical-' prefix
- */
-function generateId(practicals) {
-  if (practicals.length === 0) {
-    return 'practical-1';
-  }
-  
-  const numericIds = practicals
-    .map(p => {
-      const match = p.id.match(/^practical-(\d+)$/);
-      return match ? parseInt(match[1], 10) : NaN;
-    })
-    .filter(id => !isNaN(id));
-  
-  if (numericIds.length === 0) {
-    return 'practical-1';
-  }
-  
-  const maxId = Math.max(...numericIds);
-  return `practical-${maxId + 1}`;
-}
+const STORAGE_KEY = STORAGE_KEYS.PRACTICALS;
+const MIN_TIME_MINUTES = 0.5;
 
 /**
  * Validate a practical element object
@@ -104,16 +48,6 @@ export function validatePractical(practical) {
   return errors;
 }
 
-/**
- * Get a practical element by ID
- * @param {string} id - Practical ID
- * @returns {Object|null} Practical element or null if not found
- */
-export function getPractical(id) {
-  const practicals = getPracticals();
-  return practicals.find(p => p.id === id) || null;
-}
-
 /**
  * Sanitize and filter tags array
  * @param {Array} tags - Array of tags to sanitize
@@ -123,119 +57,101 @@ function sanitizeTags(tags) {
   return tags.filter(tag => typeof tag === 'string').map(tag => tag.trim());
 }
 
-/**
- * Create a new practical element and save to localStorage
- * @param {Object} practicalData - Practical data (without id)
- * @returns {Object} Result object with success status and data or errors
- */
-export function createPractical(practicalData) {
-  const validationErrors = validatePractical(practicalData);
-  
-  if (validationErrors.length > 0) {
-    return {
-      success: false,
-      errors: validationErrors
-    };
-  }
-  
-  const practicals = getPracticals();
-  
-  const newPractical = {
-    id: generateId(practicals),
+const repository = createRepository({
+  storageKey: STORAGE_KEY,
+  label: 'Practical',
+  pluralLabel: 'practicals',
+  resultKey: 'practical',
+  idPrefix: ID_PREFIXES.PRACTICAL,
+  validate: validatePractical,
+  normalize: (practicalData) => ({
     title: practicalData.title.trim(),
     instruction: practicalData.instruction.trim(),
     tags: sanitizeTags(practicalData.tags),
     time: practicalData.time,
     type: 'practical'
-  };
-  
-  practicals.push(newPractical);
-  savePracticals(practicals);
-  
-  return {
-    success: true,
-    practical: newPractical
-  };
-}
+  }),
+  timestamps: true,
+  trashType: 'practical',
+  history: true,
+  afterSave: record => registerTags(record.tags)
+});
+
+/**
+ * Get all practical elements
+ * @returns {Promise<Array>} Array of practical elements
+ */
+export const getPracticals = repository.getAll;
+
+/**
+ * Save practical elements
+ * @param {Array} practicals - Array of practical elements to save
+ * @returns {Promise<Object>} Result object with success status or errors
+ */
+export const savePracticals = repository.saveAll;
+
+/**
+ * Get a practical element by ID
+ * @param {string} id - Practical ID
+ * @returns {Promise<Object|null>} Practical element or null if not found
+ */
+export const getPractical = repository.getById;
+
+/**
+ * Create a new practical element
+ * @param {Object} practicalData - Practical data (without id)
+ * @returns {Promise<Object>} Result object with success status and data or errors
+ */
+export const createPractical = repository.create;
 
 /**
  * Update an existing practical element
  * @param {string} id - Practical ID to update
  * @param {Object} practicalData - Updated practical data
- * @returns {Object} Result object with success status and data or errors
+ * @returns {Promise<Object>} Result object with success status and data or errors
  */
-export function updatePractical(id, practicalData) {
-  const validationErrors = validatePractical(practicalData);
-  
-  if (validationErrors.length > 0) {
-    return {
-      success: false,
-      errors: validationErrors
-    };
-  }
-  
-  const practicals = getPracticals();
-  const index = practicals.findIndex(p => p.id === id);
-  
-  if (index === -1) {
-    return {
-      success: false,
-      errors: ['Practical not found']
-    };
-  }
-  
-  const updatedPractical = {
-    id: id,
-    title: practicalData.title.trim(),
-    instruction: practicalData.instruction.trim(),
-    tags: sanitizeTags(practicalData.tags),
-    time: practicalData.time,
-    type: 'practical'
-  };
-  
-  practicals[index] = updatedPractical;
-  savePracticals(practicals);
-  
-  return {
-    success: true,
-    practical: updatedPractical
-  };
-}
+export const updatePractical = repository.update;
+
+/**
+ * Get the earlier versions of a practical, most recently replaced first
+ * @param {string} id - Practical ID
+ * @returns {Promise<Array>} History entries (see revisionHistory.js)
+ */
+export const getPracticalHistory = repository.getHistory;
+
+/**
+ * Restore an earlier version of a practical
+ * @param {string} id - Practical ID
+ * @param {string} entryId - History entry ID
+ * @param {Object} [options] - Update options, e.g. { expectedRevision }
+ * @returns {Promise<Object>} Result object with success status and data or errors
+ */
+export const restorePracticalRevision = repository.restoreRevision;
 
 /**
- * Delete a practical element by ID
+ * Move a practical element to the trash
  * @param {string} id - Practical ID to delete
- * @returns {boolean} True if deleted, false if not found
+ * @returns {Promise<boolean>} True if deleted, false if not found
  */
-export function deletePractical(id) {
-  const practicals = getPracticals();
-  const index = practicals.findIndex(p => p.id === id);
-  
-  if (index === -1) {
-    return false;
-  }
-  
-  practicals.splice(index, 1);
-  savePracticals(practicals);
-  return true;
-}
+export const deletePractical = repository.remove;
 
 /**
- * Clear all practical elements from localStorage
+ * Move a practical to the trash, keeping the references removed along with it
+ * @param {string} id - Practical ID to delete
+ * @param {Object} [options] - { references } (see trashStorage.js)
+ * @returns {Promise<Object>} Result object with success status or errors
  */
-export function clearPracticals() {
-  if (typeof window === 'undefined') {
-    return;
-  }
-  
-  localStorage.removeItem(STORAGE_KEY);
-}
+export const movePracticalToTrash = repository.removeRecord;
+
+/**
+ * Clear all practical elements
+ * @returns {Promise} Resolves when cleared
+ */
+export const clearPracticals = repository.clear;
 
 /**
  * Check if an ID is a practical element ID
  * @param {string} id - ID to check
  * @returns {boolean} True if it's a practical ID
  */
-export function isPracticalId(id) {
-  return typeof id === 'string' && id.startsWith('practical-');
-}
+export const isPracticalId = repository.hasOwnPrefix;
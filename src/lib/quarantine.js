@@ -0,0 +1,108 @@
+/**
+ * Quarantine for unreadable stored data
+ * When the value under a storage key cannot be parsed, treating it as an empty
+ * collection would let the next save replace the user's whole library with a
+ * single record. Instead the raw value is moved to a backup metadata entry
+ * ('quarantine:<key>') and the key is locked: ensureReadable() rejects until
+ * the user repairs or discards the data on the recovery page (see
+ * dataRecovery.js).
+ */
+
+import { CorruptDataError } from './localStorageAdapter';
+
+const QUARANTINE_META_PREFIX = 'quarantine:';
+
+// Keys checked in this page load, so each read doesn't re-check
+const readableKeys = new Set();
+// Keys found unreadable whose raw value could not be backed up (e.g. storage is full)
+const lockedKeys = new Set();
+
+/**
+ * @typedef {Object} QuarantinedValue
+ * @property {string} key - Storage key the value was read from
+ * @property {string} raw - Raw stored value
+ * @property {string} reason - Why it could not be read
+ * @property {string} quarantinedAt - ISO date string
+ */
+
+/**
+ * Move an unreadable value to its backup entry and lock the key
+ * If the backup cannot be written the original value is left in place and
+ * the key stays locked for this page load.
+ * @param {Object} adapter - Storage adapter
+ * @param {string} storageKey - Storage key
+ * @param {string} raw - Raw stored value
+ * @param {string} reason - Why it could not be read
+ * @returns {Promise<boolean>} True if the value was set aside, false if it was left in place
+ */
+export async function quarantineValue(adapter, storageKey, raw, reason) {
+  readableKeys.delete(storageKey);
+  lockedKeys.add(storageKey);
+
+  try {
+    await adapter.writeMeta(QUARANTINE_META_PREFIX + storageKey, {
+      key: storageKey,
+      raw,
+      reason,
+      quarantinedAt: new Date().toISOString()
+    });
+    // Only the local copy is cleared; a sync server keeps its data (see remoteSync.js)
+    await (adapter.localAdapter || adapter).clear(storageKey);
+    console.warn(`Moved unreadable data of ${storageKey} to quarantine:`, reason);
+    return true;
+  } catch (error) {
+    console.error(`Failed to back up unreadable data of ${storageKey}; leaving it in place:`, error);
+    return false;
+  }
+}
+
+/**
+ * Get the quarantined value of a key
+ * @param {Object} adapter - Storage adapter
+ * @param {string} storageKey - Storage key
+ * @returns {Promise<QuarantinedValue|null>} Quarantined value or null if none
+ */
+export async function getQuarantinedValue(adapter, storageKey) {
+  return adapter.readMeta(QUARANTINE_META_PREFIX + storageKey);
+}
+
+/**
+ * Drop the quarantined value of a key and unlock it
+ * @param {Object} adapter - Storage adapter
+ * @param {string} storageKey - Storage key
+ * @returns {Promise} Resolves when released
+ */
+export async function releaseQuarantine(adapter, storageKey) {
+  await adapter.removeMeta(QUARANTINE_META_PREFIX + storageKey);
+  lockedKeys.delete(storageKey);
+  readableKeys.delete(storageKey);
+}
+
+/**
+ * Make sure a key can be read and written
+ * Quarantines the value on the first failed parse.
+ * @param {Object} adapter - Storage adapter
+ * @param {string} storageKey - Storage key
+ * @returns {Promise} Resolves if the key is readable
+ * @throws {CorruptDataError} If the key is quarantined or unreadable
+ */
+export async function ensureReadable(adapter, storageKey) {
+  if (readableKeys.has(storageKey)) {
+    return;
+  }
+
+  if (lockedKeys.has(storageKey) || await getQuarantinedValue(adapter, storageKey)) {
+    throw new CorruptDataError(storageKey, undefined, 'Waiting for recovery');
+  }
+
+  try {
+    await adapter.read(storageKey);
+  } catch (error) {
+    if (error.name === 'CorruptDataError') {
+      await quarantineValue(adapter, storageKey, error.raw, error.reason);
+    }
+    throw error;
+  }
+
+  readableKeys.add(storageKey);
+}
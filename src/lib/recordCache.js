@@ -0,0 +1,315 @@
+/**
+ * In-memory record cache
+ * createCachedAdapter() wraps the local storage adapter so each collection is
+ * read and parsed once per page load. Later reads are served from memory, and
+ * writes update the cached collection in place, so no code path - repositories,
+ * the trash, the revision history, sync pulls - can leave a stale copy behind.
+ * Changes announced by other tabs (see storageSync.js) mark the collection as
+ * stale; it is read again on next use, or right away if a component shows it.
+ *
+ * Each cached collection also has an index by ID. Components subscribe to a
+ * single storage key (see useRecords.js) and are only notified when that
+ * collection changes. Records that a write did not touch keep their object
+ * identity, so per-record subscribers can skip re-rendering.
+ *
+ * Cached records are shared between callers: read() returns a copy of the
+ * array, but the records themselves must not be mutated.
+ */
+
+import { subscribeToStorageChanges } from './storageSync';
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {Array} records - Records in stored order; empty if nothing is stored
+ * @property {Map<string, Object>} byId - Records by ID
+ * @property {boolean} isLoaded - False only for EMPTY_ENTRY
+ * @property {boolean} isEmpty - Nothing was stored under the key (read() returned null)
+ */
+
+// Reads overlapping a write are retried this often before giving up on caching
+const MAX_READ_ATTEMPTS = 3;
+
+const EMPTY_ENTRY = Object.freeze({ records: [], byId: new Map(), isLoaded: false, isEmpty: true });
+
+const entries = new Map();
+// Keys changed by another tab; their entries are kept for display until re-read
+const staleKeys = new Set();
+// Incremented on every write, so reads that overlap a write are not cached
+const generations = new Map();
+const listeners = new Map();
+const loaders = new Map();
+const pendingLoads = new Map();
+
+/**
+ * Build a cache entry
+ * @param {Array|null} records - Stored records, or null if nothing is stored
+ * @returns {CacheEntry} Entry
+ */
+function createEntry(records) {
+  const list = Array.isArray(records) ? records : [];
+  return {
+    records: list,
+    byId: new Map(list.map(record => [record.id, record])),
+    isLoaded: true,
+    isEmpty: !Array.isArray(records)
+  };
+}
+
+/**
+ * Get the write generation of a key
+ * @param {string} storageKey - Storage key
+ * @returns {number} Generation
+ */
+function getGeneration(storageKey) {
+  return generations.get(storageKey) || 0;
+}
+
+/**
+ * Mark the start of a write to a key
+ * @param {string} storageKey - Storage key
+ */
+function bumpGeneration(storageKey) {
+  generations.set(storageKey, getGeneration(storageKey) + 1);
+}
+
+/**
+ * Call the listeners of a key
+ * @param {string} storageKey - Storage key
+ */
+function emit(storageKey) {
+  (listeners.get(storageKey) || []).forEach(listener => {
+    try {
+      listener();
+    } catch (error) {
+      console.error('Record cache listener failed:', error);
+    }
+  });
+}
+
+/**
+ * Replace the cached records of a key and notify its listeners
+ * @param {string} storageKey - Storage key
+ * @param {Array|null} records - Records, or null if nothing is stored
+ */
+function setEntry(storageKey, records) {
+  entries.set(storageKey, createEntry(records));
+  staleKeys.delete(storageKey);
+  emit(storageKey);
+}
+
+/**
+ * Drop the cached records of a key and notify its listeners
+ * @param {string} storageKey - Storage key
+ */
+function deleteEntry(storageKey) {
+  staleKeys.delete(storageKey);
+  if (entries.delete(storageKey)) {
+    emit(storageKey);
+  }
+}
+
+/**
+ * Get the cached entry of a key if it matches storage
+ * @param {string} storageKey - Storage key
+ * @returns {CacheEntry|undefined} Entry, or undefined if not cached or stale
+ */
+function getFreshEntry(storageKey) {
+  return staleKeys.has(storageKey) ? undefined : entries.get(storageKey);
+}
+
+/**
+ * Forget the cached records of a key
+ * Shown collections stay on screen and are read again in the background;
+ * collections nobody shows are read again on next use.
+ * @param {string} storageKey - Storage key
+ */
+export function invalidateRecords(storageKey) {
+  bumpGeneration(storageKey);
+  if (!entries.has(storageKey)) {
+    return;
+  }
+
+  if (listeners.has(storageKey)) {
+    staleKeys.add(storageKey);
+    loadRecords(storageKey);
+  } else {
+    deleteEntry(storageKey);
+  }
+}
+
+/**
+ * Wrap a storage adapter with the record cache
+ * Takes the same calls as the adapter it wraps (see localStorageAdapter.js).
+ * @param {Object} adapter - IndexedDB or localStorage adapter
+ * @returns {Object} Cached adapter
+ */
+export function createCachedAdapter(adapter) {
+  subscribeToStorageChanges(invalidateRecords);
+
+  /**
+   * Run a write and update the cache with its outcome
+   * If the write fails the key is invalidated, since it may have been
+   * partly applied.
+   * @param {string} storageKey - Storage key
+   * @param {Function} write - () => Promise performing the write
+   * @param {Function} apply - (entry) => records after the write
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.replace] - The write replaces the whole collection, so
+   *   apply() is called even if the key is not cached or stale
+   * @returns {Promise<*>} Result of the write
+   */
+  async function cachedWrite(storageKey, write, apply, { replace = false } = {}) {
+    bumpGeneration(storageKey);
+    let result;
+    try {
+      result = await write();
+    } catch (error) {
+      invalidateRecords(storageKey);
+      throw error;
+    }
+
+    const entry = getFreshEntry(storageKey);
+    if (entry || replace) {
+      setEntry(storageKey, apply(entry));
+    } else if (staleKeys.has(storageKey)) {
+      loadRecords(storageKey);
+    }
+    return result;
+  }
+
+  return {
+    name: adapter.name,
+
+    isAvailable() {
+      return adapter.isAvailable();
+    },
+
+    async read(key) {
+      for (let attempt = 1; !getFreshEntry(key); attempt++) {
+        const generation = getGeneration(key);
+        const records = await adapter.read(key);
+        // A write overlapped the read, so the result may predate it
+        if (generation !== getGeneration(key) && attempt < MAX_READ_ATTEMPTS) {
+          continue;
+        }
+        if (generation !== getGeneration(key)) {
+          return records;
+        }
+        setEntry(key, records);
+      }
+
+      const entry = entries.get(key);
+      return entry.isEmpty ? null : [...entry.records];
+    },
+
+    async write(key, records) {
+      // The whole collection is replaced, so the cache is up to date even if it was stale
+      return cachedWrite(key, () => adapter.write(key, records), () => records, { replace: true });
+    },
+
+    async put(key, record) {
+      return cachedWrite(key, () => adapter.put(key, record), entry => (
+        entry.byId.has(record.id)
+          ? entry.records.map(r => (r.id === record.id ? record : r))
+          : [...entry.records, record]
+      ));
+    },
+
+    async remove(key, id) {
+      return cachedWrite(key, () => adapter.remove(key, id), entry => (
+        entry.records.filter(r => r.id !== id)
+      ));
+    },
+
+    async clear(key) {
+      bumpGeneration(key);
+      try {
+        await adapter.clear(key);
+      } finally {
+        deleteEntry(key);
+      }
+    },
+
+    async readMeta(name) {
+      return adapter.readMeta(name);
+    },
+
+    async writeMeta(name, value) {
+      return adapter.writeMeta(name, value);
+    },
+
+    async removeMeta(name) {
+      return adapter.removeMeta(name);
+    }
+  };
+}
+
+/**
+ * Register how a key's records are loaded
+ * Repositories register their getAll(), which checks and upgrades the stored
+ * data before it is read (see createRepository.js).
+ * @param {string} storageKey - Storage key
+ * @param {Function} load - () => Promise<Array> of records
+ */
+export function registerRecordLoader(storageKey, load) {
+  loaders.set(storageKey, load);
+}
+
+/**
+ * Load a key's records into the cache, once at a time
+ * @param {string} storageKey - Storage key
+ * @returns {Promise} Resolves when loaded; failures are reported by the loader
+ */
+export function loadRecords(storageKey) {
+  const load = loaders.get(storageKey);
+  if (!load) {
+    console.error(`No record loader registered for ${storageKey}`);
+    return Promise.resolve();
+  }
+
+  if (!pendingLoads.has(storageKey)) {
+    pendingLoads.set(storageKey, Promise.resolve(load()).finally(() => pendingLoads.delete(storageKey)));
+  }
+  return pendingLoads.get(storageKey);
+}
+
+/**
+ * Get the cached records of a key
+ * The entry object is replaced on every change and is otherwise the same, so
+ * it can be compared by identity.
+ * @param {string} storageKey - Storage key
+ * @returns {CacheEntry} Entry; `isLoaded` is false if the key was not read yet
+ */
+export function getCachedRecords(storageKey) {
+  return entries.get(storageKey) || EMPTY_ENTRY;
+}
+
+/**
+ * Get the index by ID of a key's records, if the cache matches storage
+ * @param {string} storageKey - Storage key
+ * @returns {Map<string, Object>|null} Records by ID, or null if not cached
+ */
+export function getCachedIndex(storageKey) {
+  return getFreshEntry(storageKey)?.byId || null;
+}
+
+/**
+ * Listen for changes to a key's cached records
+ * @param {string} storageKey - Storage key
+ * @param {Function} listener - () => void; read the new state with getCachedRecords()
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToRecords(storageKey, listener) {
+  if (!listeners.has(storageKey)) {
+    listeners.set(storageKey, new Set());
+  }
+  listeners.get(storageKey).add(listener);
+
+  return () => {
+    const keyListeners = listeners.get(storageKey);
+    keyListeners?.delete(listener);
+    if (keyListeners?.size === 0) {
+      listeners.delete(storageKey);
+    }
+  };
+}
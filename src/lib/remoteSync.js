@@ -0,0 +1,453 @@
+/**
+ * Remote sync
+ * Wraps the local adapter (IndexedDB or localStorage) and the REST adapter
+ * into one adapter for the repositories. Reads always come from the local
+ * copy, so the app works offline. Writes are applied locally first and then
+ * queued for the server; the queue is kept in local metadata and sent in
+ * order whenever the server is reachable (on start, when the browser goes
+ * online, and every SYNC_INTERVAL_MS). Tabs share the stored queue and take
+ * turns on it through Web Locks.
+ *
+ * After the queue is empty the server's collections are pulled into the local
+ * copy, skipping keys that still have queued writes. The first time a browser
+ * connects to a server, local and server records are merged by ID instead, so
+ * connecting never drops data on either side. Writes the server rejects as
+ * stale (see the revision checks in server/fileStore.js) are dropped and the
+ * server version is pulled. Whole-collection writes carry the revisions the
+ * local copy had before, so they cannot overwrite newer records from another
+ * device either. A write the server keeps failing with a server error is
+ * dropped after MAX_SEND_ATTEMPTS sync runs, so it does not hold up the
+ * writes queued behind it.
+ *
+ * Quarantined data stays a local matter: quarantine.js and dataRecovery.js
+ * work on `localAdapter`, so unreadable data never clears the server copy.
+ */
+
+import { createId } from './ids';
+import { notify } from './notifications';
+import { getQuarantinedValue } from './quarantine';
+import { ENTITY_STORAGE_KEYS, STORAGE_KEY_LABELS } from './storageKeys';
+import { notifyStorageChange } from './storageSync';
+
+const QUEUE_META_NAME = 'syncQueue';
+const QUEUE_LOCK_NAME = 'yogasession-sync-queue';
+const FLUSH_LOCK_NAME = 'yogasession-sync-flush';
+const CONNECTED_META_NAME = 'syncConnectedTo';
+const SYNC_INTERVAL_MS = 30 * 1000;
+// Sync runs in which a server error (5xx) may fail an operation before it is dropped
+const MAX_SEND_ATTEMPTS = 5;
+
+export const SYNC_STATES = {
+  DISABLED: 'disabled',
+  SYNCING: 'syncing',
+  SYNCED: 'synced',
+  OFFLINE: 'offline',
+  ERROR: 'error'
+};
+
+let status = {
+  state: SYNC_STATES.DISABLED,
+  serverUrl: null,
+  pending: 0,
+  lastSyncedAt: null,
+  error: null
+};
+const listeners = new Set();
+
+/**
+ * Update the sync status and inform subscribers
+ * @param {Object} changes - Status fields to change
+ */
+function setStatus(changes) {
+  status = { ...status, ...changes };
+  listeners.forEach(listener => listener(status));
+}
+
+/**
+ * Get the current sync status
+ * @returns {Object} { state, serverUrl, pending, lastSyncedAt, error }
+ */
+export function getSyncStatus() {
+  return status;
+}
+
+/**
+ * Listen for sync status changes
+ * @param {Function} listener - (status) => void
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToSyncStatus(listener) {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
+
+/**
+ * Check whether a queued operation makes an earlier one unnecessary
+ * @param {Object} operation - New operation
+ * @param {Object} earlier - Queued operation
+ * @returns {boolean} True if the earlier operation can be dropped
+ */
+function supersedes(operation, earlier) {
+  if (operation.key !== earlier.key) {
+    return false;
+  }
+  if (operation.type === 'write' || operation.type === 'clear') {
+    return true;
+  }
+  return (earlier.type === 'put' || earlier.type === 'remove') && earlier.id === operation.id;
+}
+
+/**
+ * Compare two record lists
+ * @param {Array|null} a - First list
+ * @param {Array|null} b - Second list
+ * @returns {boolean} True if both hold the same records in the same order
+ */
+function isSameCollection(a, b) {
+  return JSON.stringify(a || []) === JSON.stringify(b || []);
+}
+
+/**
+ * Combine server and local records; records only stored locally are appended
+ * @param {Array} remote - Server records
+ * @param {Array} local - Local records
+ * @returns {Array} Merged records
+ */
+function mergeById(remote, local) {
+  const remoteIds = new Set(remote.map(record => record.id));
+  return [...remote, ...local.filter(record => !remoteIds.has(record.id))];
+}
+
+/**
+ * Tell the user about a write the server did not accept
+ * @param {Object} operation - Rejected operation
+ * @param {RestError} error - Server error
+ */
+function reportRejectedOperation(operation, error) {
+  const label = STORAGE_KEY_LABELS[operation.key] || operation.key;
+
+  if (error.status === 409) {
+    notify({
+      key: `sync-conflict-${operation.key}`,
+      level: 'warning',
+      title: 'Changed on another device',
+      message: `A change to ${label} was not synced because it was changed on another device first. The latest version from the sync server is shown instead.`
+    });
+    return;
+  }
+
+  console.error('Sync server rejected a change:', operation, error);
+
+  if (error.status >= 500) {
+    notify({
+      key: 'sync-failed',
+      level: 'error',
+      title: 'Change could not be synced',
+      message: `${label}: the sync server failed ${MAX_SEND_ATTEMPTS} times (${error.message}). The change was discarded and the version from the sync server is shown instead.`
+    });
+    return;
+  }
+
+  notify({
+    key: 'sync-rejected',
+    level: 'error',
+    title: 'Sync server rejected a change',
+    message: `${label}: ${error.message}`
+  });
+}
+
+/**
+ * Get the revision of each record
+ * @param {Array|null} records - Records
+ * @returns {Object|undefined} Revision per record ID; undefined if there are no records yet
+ */
+function getRevisions(records) {
+  if (!Array.isArray(records)) {
+    return undefined;
+  }
+  return Object.fromEntries(records.map(record => [record.id, Number.isInteger(record.revision) ? record.revision : 0]));
+}
+
+/**
+ * Get the server revisions a queued operation was based on
+ * @param {Object} operation - Queued operation
+ * @returns {Object} Revision per record ID
+ */
+function getBaseRevisions(operation) {
+  if (operation.type === 'write') {
+    return operation.expectedRevisions || {};
+  }
+  if (operation.type === 'put' && Number.isInteger(operation.record.revision)) {
+    return { [operation.id]: operation.record.revision - 1 };
+  }
+  return {};
+}
+
+/**
+ * Create the adapter that keeps a local copy in sync with a server
+ * @param {Object} localAdapter - IndexedDB or localStorage adapter
+ * @param {Object} remoteAdapter - REST adapter (see restAdapter.js)
+ * @returns {Object} Storage adapter with start() and sync()
+ */
+export function createSyncedAdapter(localAdapter, remoteAdapter) {
+  let syncing = null;
+  let resyncRequested = false;
+
+  /**
+   * Run a task exclusively across this browser's tabs
+   * Every tab has its own synced adapter but they share the stored queue.
+   * @param {string} name - Lock name
+   * @param {Function} task - () => Promise
+   * @returns {Promise} Result of the task
+   */
+  function withLock(name, task) {
+    if (typeof navigator !== 'undefined' && navigator.locks) {
+      return navigator.locks.request(name, task);
+    }
+    return task();
+  }
+
+  async function readQueue() {
+    const queue = (await localAdapter.readMeta(QUEUE_META_NAME)) || [];
+    setStatus({ pending: queue.length });
+    return queue;
+  }
+
+  async function writeQueue(queue) {
+    setStatus({ pending: queue.length });
+    await localAdapter.writeMeta(QUEUE_META_NAME, queue);
+  }
+
+  async function enqueue(operation) {
+    try {
+      await withLock(QUEUE_LOCK_NAME, async () => {
+        const queue = await readQueue();
+        const superseded = queue.filter(earlier => supersedes(operation, earlier));
+        // A write replacing queued changes is checked against what the earliest of them was based on
+        const expectedRevisions = operation.expectedRevisions && superseded.reduceRight(
+          (revisions, earlier) => ({ ...revisions, ...getBaseRevisions(earlier) }),
+          operation.expectedRevisions
+        );
+        await writeQueue([...queue.filter(earlier => !superseded.includes(earlier)), {
+          ...operation,
+          expectedRevisions,
+          operationId: createId('sync'),
+          queuedAt: new Date().toISOString()
+        }]);
+      });
+    } catch (error) {
+      // The local write already succeeded; only the server copy misses it
+      console.error('Failed to queue a change for the sync server:', error);
+    }
+    sync();
+  }
+
+  function send(operation) {
+    switch (operation.type) {
+      case 'write':
+        return remoteAdapter.write(operation.key, operation.records, { expectedRevisions: operation.expectedRevisions });
+      case 'put':
+        return remoteAdapter.put(operation.key, operation.record);
+      case 'remove':
+        return remoteAdapter.remove(operation.key, operation.id);
+      case 'clear':
+        return remoteAdapter.clear(operation.key);
+      default:
+        return Promise.reject(new Error(`Unknown sync operation "${operation.type}"`));
+    }
+  }
+
+  /**
+   * Send the queued operations in order
+   * Only one tab flushes at a time; the queue itself is locked just for
+   * reading and removing entries, so saving never waits for the network.
+   * Network errors and server errors (5xx) stop the flush and keep the queue;
+   * other rejections, and server errors after MAX_SEND_ATTEMPTS runs, drop
+   * the operation.
+   */
+  async function flush() {
+    await withLock(FLUSH_LOCK_NAME, async () => {
+      for (;;) {
+        const [operation] = await readQueue();
+        if (!operation) {
+          return;
+        }
+
+        try {
+          await send(operation);
+        } catch (error) {
+          if (error.name !== 'RestError') {
+            throw error;
+          }
+          if (error.status >= 500) {
+            const attempts = (operation.attempts || 0) + 1;
+            if (attempts < MAX_SEND_ATTEMPTS) {
+              await withLock(QUEUE_LOCK_NAME, async () => {
+                const queue = await readQueue();
+                await writeQueue(queue.map(queued => (
+                  queued.operationId === operation.operationId ? { ...queued, attempts } : queued
+                )));
+              });
+              throw error;
+            }
+          }
+          reportRejectedOperation(operation, error);
+        }
+
+        await withLock(QUEUE_LOCK_NAME, async () => {
+          const queue = await readQueue();
+          await writeQueue(queue.filter(queued => queued.operationId !== operation.operationId));
+        });
+      }
+    });
+  }
+
+  /**
+   * Copy the server collections into the local copy
+   * @param {boolean} firstConnection - Merge instead of taking the server version
+   */
+  async function pull(firstConnection) {
+    const hasQueuedWrites = async key => (await readQueue()).some(operation => operation.key === key);
+
+    for (const key of ENTITY_STORAGE_KEYS) {
+      if (await hasQueuedWrites(key) || await getQuarantinedValue(localAdapter, key)) {
+        continue;
+      }
+
+      let local;
+      try {
+        local = (await localAdapter.read(key)) || [];
+      } catch (error) {
+        // Unreadable local data is left for the recovery page
+        continue;
+      }
+
+      const remote = await remoteAdapter.read(key);
+      const next = remote === null || firstConnection ? mergeById(remote || [], local) : remote;
+
+      // A local write may have been queued while the server answered
+      if (await hasQueuedWrites(key)) {
+        continue;
+      }
+
+      if (!isSameCollection(next, local)) {
+        await localAdapter.write(key, next);
+        notifyStorageChange(key);
+      }
+      if (next.length > 0 && !isSameCollection(next, remote)) {
+        await remoteAdapter.write(key, next);
+      }
+    }
+  }
+
+  async function runSync() {
+    setStatus({ state: SYNC_STATES.SYNCING });
+
+    try {
+      await flush();
+      const connectedTo = await localAdapter.readMeta(CONNECTED_META_NAME);
+      const firstConnection = connectedTo !== remoteAdapter.url;
+      await pull(firstConnection);
+      if (firstConnection) {
+        await localAdapter.writeMeta(CONNECTED_META_NAME, remoteAdapter.url);
+      }
+      setStatus({ state: SYNC_STATES.SYNCED, lastSyncedAt: new Date().toISOString(), error: null });
+    } catch (error) {
+      const offline = error.name !== 'RestError';
+      if (!offline) {
+        console.error('Sync failed:', error);
+      }
+      setStatus({ state: offline ? SYNC_STATES.OFFLINE : SYNC_STATES.ERROR, error: error.message });
+    }
+  }
+
+  /**
+   * Send queued writes and pull server changes
+   * Calls during a running sync schedule one more run afterwards.
+   * @returns {Promise} Resolves when done; never rejects
+   */
+  function sync() {
+    if (syncing) {
+      resyncRequested = true;
+      return syncing;
+    }
+
+    syncing = (async () => {
+      do {
+        resyncRequested = false;
+        await runSync();
+      } while (resyncRequested);
+    })().finally(() => {
+      syncing = null;
+    });
+    return syncing;
+  }
+
+  /**
+   * Start syncing in the background
+   */
+  function start() {
+    setStatus({ state: SYNC_STATES.SYNCING, serverUrl: remoteAdapter.url });
+    sync();
+    setInterval(sync, SYNC_INTERVAL_MS);
+    window.addEventListener('online', sync);
+    window.addEventListener('offline', () => setStatus({ state: SYNC_STATES.OFFLINE }));
+  }
+
+  return {
+    // Usage is measured on the local copy (see storageHealth.js)
+    name: localAdapter.name,
+    localAdapter,
+    remoteAdapter,
+
+    isAvailable() {
+      return localAdapter.isAvailable();
+    },
+
+    read(key) {
+      return localAdapter.read(key);
+    },
+
+    async write(key, records) {
+      // Unreadable local data has no revisions to check against
+      const previous = await localAdapter.read(key).catch(() => null);
+      await localAdapter.write(key, records);
+      await enqueue({ type: 'write', key, records, expectedRevisions: getRevisions(previous) });
+    },
+
+    async put(key, record) {
+      await localAdapter.put(key, record);
+      await enqueue({ type: 'put', key, id: record.id, record });
+    },
+
+    async remove(key, id) {
+      const removed = await localAdapter.remove(key, id);
+      if (removed) {
+        await enqueue({ type: 'remove', key, id });
+      }
+      return removed;
+    },
+
+    async clear(key) {
+      await localAdapter.clear(key);
+      await enqueue({ type: 'clear', key });
+    },
+
+    readMeta(name) {
+      return localAdapter.readMeta(name);
+    },
+
+    writeMeta(name, value) {
+      return localAdapter.writeMeta(name, value);
+    },
+
+    removeMeta(name) {
+      return localAdapter.removeMeta(name);
+    },
+
+    start,
+    sync
+  };
+}
@@ -0,0 +1,116 @@
+/**
+ * REST storage adapter
+ * Implements the adapter interface documented in localStorageAdapter.js
+ * against the sync server in server/index.js. Every call is a network
+ * request, so the app does not use it on its own but through the synced
+ * adapter (see remoteSync.js), which keeps a local copy and queues writes
+ * while the server is unreachable.
+ */
+
+/**
+ * Error for a request the server answered with a failure status
+ * Network failures reject with the browser's own TypeError instead.
+ */
+export class RestError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Error message from the server
+   * @param {Object} [body] - Parsed response body
+   */
+  constructor(status, message, body = {}) {
+    super(message);
+    this.name = 'RestError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * Create an adapter for a sync server
+ * @param {string} baseUrl - Server URL, e.g. 'http://studio.local:4000'
+ * @returns {Object} Storage adapter
+ */
+export function createRestAdapter(baseUrl) {
+  const root = baseUrl.replace(/\/+$/, '');
+
+  /**
+   * Send a request and parse the JSON answer
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below the server URL
+   * @param {*} [body] - Request body
+   * @returns {Promise<*>} Parsed response body, null for empty responses
+   */
+  async function request(method, path, body) {
+    const response = await fetch(root + path, {
+      method,
+      headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new RestError(response.status, data.error || response.statusText, data);
+    }
+
+    return response.status === 204 ? null : response.json();
+  }
+
+  const collection = key => `/api/collections/${encodeURIComponent(key)}`;
+  const meta = name => `/api/meta/${encodeURIComponent(name)}`;
+
+  return {
+    name: 'rest',
+    url: root,
+
+    isAvailable() {
+      return typeof fetch === 'function';
+    },
+
+    /**
+     * Check that the server answers
+     * @returns {Promise} Rejects if it does not
+     */
+    async ping() {
+      await request('GET', '/api/health');
+    },
+
+    async read(key) {
+      return (await request('GET', collection(key))).records;
+    },
+
+    /**
+     * Replace a collection
+     * @param {string} key - Storage key
+     * @param {Array} records - Records
+     * @param {Object} [options]
+     * @param {Object} [options.expectedRevisions] - Revision per record ID the records are based on; the server rejects the write with a 409 if one of them changed since
+     */
+    async write(key, records, { expectedRevisions } = {}) {
+      await request('PUT', collection(key), { records, expectedRevisions });
+    },
+
+    async put(key, record) {
+      await request('PUT', `${collection(key)}/records/${encodeURIComponent(record.id)}`, record);
+    },
+
+    async remove(key, id) {
+      return (await request('DELETE', `${collection(key)}/records/${encodeURIComponent(id)}`)).removed;
+    },
+
+    async clear(key) {
+      await request('DELETE', collection(key));
+    },
+
+    async readMeta(name) {
+      return (await request('GET', meta(name))).value;
+    },
+
+    async writeMeta(name, value) {
+      await request('PUT', meta(name), { value });
+    },
+
+    async removeMeta(name) {
+      await request('DELETE', meta(name));
+    }
+  };
+}
@@ -0,0 +1,227 @@
+/**
+ * Revision history for edited records
+ * Repositories created with `history: true` keep the version a record had
+ * before each update, together with a field-level diff of what the update
+ * changed. Only the latest MAX_REVISIONS_PER_RECORD versions of a record are
+ * kept. Restoring an old version is a normal update (see createRepository.js),
+ * so the version it replaces ends up in the history as well and a restore can
+ * itself be undone.
+ *
+ * Like the trash, this module talks to the storage adapter directly because
+ * the repositories depend on it.
+ */
+
+import { createId } from './ids';
+import { ensureReadable } from './quarantine';
+import { ensureSchema, getSchemaVersion } from './schemaMigrations';
+import { getStorageAdapter } from './storageBackend';
+import { STORAGE_KEYS } from './storageKeys';
+import { reportStorageError } from './storageHealth';
+import { notifyStorageChange } from './storageSync';
+
+const STORAGE_KEY = STORAGE_KEYS.HISTORY;
+
+export const MAX_REVISIONS_PER_RECORD = 20;
+
+// Bookkeeping fields that change with every save and are left out of diffs
+const IGNORED_FIELDS = ['id', 'revision', 'createdAt', 'updatedAt'];
+
+/**
+ * @typedef {Object} FieldChange
+ * @property {string} field - Field name
+ * @property {*} before - Value in the older version (undefined if missing)
+ * @property {*} after - Value in the newer version (undefined if removed)
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} id - Entry ID
+ * @property {string} storageKey - Storage key of the record's collection
+ * @property {string} recordId - ID of the record
+ * @property {number} revision - Revision of the kept version
+ * @property {number} schemaVersion - Schema version the kept version was stored in
+ * @property {Object} record - The kept version
+ * @property {Array<FieldChange>} changes - What the following update changed
+ * @property {string} replacedAt - ISO date string of the update that replaced it
+ */
+
+/**
+ * Get the storage adapter with the history at the current schema version
+ * @returns {Promise<Object|null>} Storage adapter, or null during server rendering
+ */
+async function getAdapter() {
+  const adapter = await getStorageAdapter();
+  if (adapter) {
+    await ensureReadable(adapter, STORAGE_KEY);
+    await ensureSchema(adapter, STORAGE_KEY);
+  }
+  return adapter;
+}
+
+/**
+ * Read all history entries
+ * @param {Object} adapter - Storage adapter
+ * @returns {Promise<Array<HistoryEntry>>} History entries
+ */
+async function readEntries(adapter) {
+  const entries = await adapter.read(STORAGE_KEY);
+  return Array.isArray(entries) ? entries : [];
+}
+
+/**
+ * Sort history entries, most recently replaced first
+ * @param {Array<HistoryEntry>} entries - History entries
+ * @returns {Array<HistoryEntry>} Sorted entries
+ */
+function newestFirst(entries) {
+  return [...entries].sort((a, b) => b.replacedAt.localeCompare(a.replacedAt));
+}
+
+/**
+ * Compare two versions of a record field by field
+ * @param {Object} before - Older version
+ * @param {Object} after - Newer version
+ * @returns {Array<FieldChange>} Changed fields, in field order
+ */
+export function diffRecords(before, after) {
+  const fields = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+
+  return fields
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .filter(field => JSON.stringify(before?.[field]) !== JSON.stringify(after?.[field]))
+    .map(field => ({ field, before: before?.[field], after: after?.[field] }));
+}
+
+/**
+ * Keep the version of a record that an update replaced
+ * Nothing is stored if no field changed. Older entries of the record beyond
+ * MAX_REVISIONS_PER_RECORD are dropped.
+ * @param {string} storageKey - Storage key of the record's collection
+ * @param {Object} previous - Version before the update
+ * @param {Object} next - Version after the update
+ * @returns {Promise<HistoryEntry|null>} Stored entry, or null if there was nothing to keep
+ */
+export async function recordRevision(storageKey, previous, next) {
+  const changes = diffRecords(previous, next);
+  const adapter = await getAdapter();
+  if (!adapter || changes.length === 0) {
+    return null;
+  }
+
+  const entry = {
+    id: createId('history'),
+    storageKey,
+    recordId: previous.id,
+    revision: previous.revision || 0,
+    schemaVersion: getSchemaVersion(storageKey),
+    record: previous,
+    changes,
+    replacedAt: new Date().toISOString()
+  };
+
+  await adapter.put(STORAGE_KEY, entry);
+
+  const expired = newestFirst((await readEntries(adapter))
+    .filter(e => e.storageKey === storageKey && e.recordId === previous.id))
+    .slice(MAX_REVISIONS_PER_RECORD);
+  for (const e of expired) {
+    await adapter.remove(STORAGE_KEY, e.id);
+  }
+
+  notifyStorageChange(STORAGE_KEY);
+  return entry;
+}
+
+/**
+ * Get the kept versions of a record, most recently replaced first
+ * @param {string} storageKey - Storage key of the record's collection
+ * @param {string} recordId - Record ID
+ * @returns {Promise<Array<HistoryEntry>>} History entries
+ */
+export async function getRevisionHistory(storageKey, recordId) {
+  try {
+    const adapter = await getAdapter();
+    if (!adapter) {
+      return [];
+    }
+    const entries = await readEntries(adapter);
+    return newestFirst(entries.filter(e => e.storageKey === storageKey && e.recordId === recordId));
+  } catch (error) {
+    console.error('Failed to read revision history from storage:', error);
+    return [];
+  }
+}
+
+/**
+ * Get all history entries, e.g. for a backup
+ * @returns {Promise<Array<HistoryEntry>>} History entries, most recently replaced first
+ */
+export async function getAllRevisionHistory() {
+  try {
+    const adapter = await getAdapter();
+    if (!adapter) {
+      return [];
+    }
+    return newestFirst(await readEntries(adapter));
+  } catch (error) {
+    console.error('Failed to read revision history from storage:', error);
+    return [];
+  }
+}
+
+/**
+ * Replace all history entries, e.g. when importing a backup
+ * @param {Array<HistoryEntry>} entries - History entries
+ * @returns {Promise<Object>} Result object with success status or errors
+ */
+export async function saveRevisionHistory(entries) {
+  try {
+    const adapter = await getAdapter();
+    if (!adapter) {
+      return { success: false, errors: ['Storage is not available'] };
+    }
+    await adapter.write(STORAGE_KEY, entries);
+    notifyStorageChange(STORAGE_KEY);
+    return { success: true };
+  } catch (error) {
+    return { success: false, errors: [reportStorageError(error, 'save revision history')] };
+  }
+}
+
+/**
+ * Get a single history entry
+ * @param {string} entryId - History entry ID
+ * @returns {Promise<HistoryEntry|null>} Entry or null if not found
+ */
+export async function getHistoryEntry(entryId) {
+  const adapter = await getAdapter();
+  if (!adapter) {
+    return null;
+  }
+  return (await readEntries(adapter)).find(e => e.id === entryId) || null;
+}
+
+/**
+ * Drop the history of records that are gone for good
+ * @param {Array<Object>} records - { storageKey, recordId } pairs
+ * @returns {Promise} Resolves when removed; failures are logged
+ */
+export async function removeRevisionHistory(records) {
+  try {
+    const adapter = await getAdapter();
+    if (!adapter || records.length === 0) {
+      return;
+    }
+
+    const isRemoved = e => records.some(r => r.storageKey === e.storageKey && r.recordId === e.recordId);
+    const entries = await readEntries(adapter);
+    const kept = entries.filter(e => !isRemoved(e));
+
+    if (kept.length < entries.length) {
+      await adapter.write(STORAGE_KEY, kept);
+      notifyStorageChange(STORAGE_KEY);
+    }
+  } catch (error) {
+    console.error('Failed to remove revision history:', error);
+  }
+}
@@ -0,0 +1,152 @@
+/**
+ * Schema versioning for stored collections
+ * Every storage key has a schema version, stored as adapter metadata under
+ * `schemaVersion:<key>`. Data written before versioning existed counts as
+ * version 1. Migration steps are registered per key and target version; when a
+ * repository first touches its key, the runner upgrades the stored records
+ * step by step to the latest registered version.
+ *
+ * Migration steps are plain functions from an array of records to a new array
+ * of records, so they can be exercised without any storage.
+ */
+
+const INITIAL_VERSION = 1;
+
+const migrationsByKey = new Map();
+const upgradesInProgress = new Map();
+
+/**
+ * Metadata entry holding the schema version of a key
+ * @param {string} storageKey - Storage key
+ * @returns {string} Metadata name
+ */
+function versionMetaName(storageKey) {
+  return `schemaVersion:${storageKey}`;
+}
+
+/**
+ * Register a migration step
+ * @param {string} storageKey - Storage key the step applies to
+ * @param {number} version - Version the step upgrades to (previous version + 1)
+ * @param {string} description - Short description of the change
+ * @param {Function} migrate - (records) => migrated records
+ */
+export function registerMigration(storageKey, version, description, migrate) {
+  const steps = migrationsByKey.get(storageKey) || [];
+
+  if (steps.some(step => step.version === version)) {
+    throw new Error(`Migration ${storageKey}@${version} is already registered`);
+  }
+
+  steps.push({ version, description, migrate });
+  steps.sort((a, b) => a.version - b.version);
+  migrationsByKey.set(storageKey, steps);
+}
+
+/**
+ * Get the registered migration steps of a key
+ * @param {string} storageKey - Storage key
+ * @returns {Array} Steps sorted by version ({ version, description, migrate })
+ */
+export function getMigrations(storageKey) {
+  return [...(migrationsByKey.get(storageKey) || [])];
+}
+
+/**
+ * Get the current (latest) schema version of a key
+ * @param {string} storageKey - Storage key
+ * @returns {number} Latest registered version, or 1 if there are no steps
+ */
+export function getSchemaVersion(storageKey) {
+  const steps = migrationsByKey.get(storageKey) || [];
+  return steps.length > 0 ? steps[steps.length - 1].version : INITIAL_VERSION;
+}
+
+/**
+ * Upgrade records from a given version to the current version
+ * @param {string} storageKey - Storage key
+ * @param {Array} records - Records in the old format
+ * @param {number} fromVersion - Version the records are in
+ * @returns {Object} { records, version, applied } with applied step descriptions
+ */
+export function migrateRecords(storageKey, records, fromVersion = INITIAL_VERSION) {
+  const steps = (migrationsByKey.get(storageKey) || []).filter(step => step.version > fromVersion);
+
+  let migrated = records;
+  const applied = [];
+
+  steps.forEach(step => {
+    migrated = step.migrate(migrated);
+    applied.push(`${storageKey}@${step.version}: ${step.description}`);
+  });
+
+  return {
+    records: migrated,
+    version: steps.length > 0 ? steps[steps.length - 1].version : Math.max(fromVersion, INITIAL_VERSION),
+    applied
+  };
+}
+
+/**
+ * Read the stored schema version of a key
+ * @param {Object} adapter - Storage adapter
+ * @param {string} storageKey - Storage key
+ * @returns {Promise<number>} Stored version, 1 if none is recorded
+ */
+export async function readSchemaVersion(adapter, storageKey) {
+  const version = await adapter.readMeta(versionMetaName(storageKey));
+  return typeof version === 'number' ? version : INITIAL_VERSION;
+}
+
+/**
+ * Record the schema version of a key
+ * @param {Object} adapter - Storage adapter
+ * @param {string} storageKey - Storage key
+ * @param {number} version - Version to record
+ * @returns {Promise} Resolves when stored
+ */
+export function writeSchemaVersion(adapter, storageKey, version) {
+  return adapter.writeMeta(versionMetaName(storageKey), version);
+}
+
+/**
+ * Bring the stored records of a key up to the current schema version
+ * Runs at most once per key and page load; failures are logged and leave the
+ * stored data untouched so the upgrade is retried on the next load.
+ * @param {Object} adapter - Storage adapter
+ * @param {string} storageKey - Storage key
+ * @returns {Promise} Resolves when the key is current
+ */
+export function ensureSchema(adapter, storageKey) {
+  if (!upgradesInProgress.has(storageKey)) {
+    upgradesInProgress.set(storageKey, upgradeKey(adapter, storageKey));
+  }
+  return upgradesInProgress.get(storageKey);
+}
+
+/**
+ * Run the pending migration steps of a key against the adapter
+ * @param {Object} adapter - Storage adapter
+ * @param {string} storageKey - Storage key
+ */
+async function upgradeKey(adapter, storageKey) {
+  const currentVersion = getSchemaVersion(storageKey);
+
+  try {
+    const storedVersion = await readSchemaVersion(adapter, storageKey);
+    if (storedVersion >= currentVersion) {
+      return;
+    }
+
+    const records = await adapter.read(storageKey);
+    if (Array.isArray(records) && records.length > 0) {
+      const result = migrateRecords(storageKey, records, storedVersion);
+      await adapter.write(storageKey, result.records);
+      result.applied.forEach(description => console.info(`Applied migration ${description}`));
+    }
+
+    await writeSchemaVersion(adapter, storageKey, currentVersion);
+  } catch (error) {
+    console.error(`Failed to migrate ${storageKey} to schema version ${currentVersion}:`, error);
+  }
+}
@@ -0,0 +1,234 @@
+/**
+ * Bundled default records
+ * ensureSeedData() merges the defaults listed in seedManifest.js into the
+ * user's library whenever SEED_VERSION is newer than the version last applied
+ * in this browser, without overwriting the user's work:
+ *  - defaults the user never had are added,
+ *  - defaults the user has not edited are updated to the new version,
+ *  - edited defaults are kept, and deleted defaults are not brought back.
+ *
+ * To tell edited defaults apart, the 'seedState' metadata keeps a fingerprint
+ * of the default each record was last given. Edited defaults can be reset one
+ * by one with restoreSeedDefault(), which saves the default as a normal update
+ * so the user's version stays in the revision history.
+ */
+
+import { getExercises, saveExercises, updateExercise } from './exerciseStorage';
+import { getExerciseSets, saveExerciseSets, updateExerciseSet } from './exerciseSetStorage';
+import { migrateRecords } from './schemaMigrations';
+import { SEED_COLLECTIONS, SEED_VERSION } from './seedManifest';
+import { getSessions, saveSessions, updateSession } from './sessionStorage';
+import { getStorageAdapter } from './storageBackend';
+import { STORAGE_KEYS } from './storageKeys';
+import { getStoryBooks, saveStoryBooks, updateStoryBook } from './storyBookStorage';
+import { getStories, saveStories, updateStory } from './storyStorage';
+import { withNextRevision } from './storageSync';
+import { getTrash } from './trashStorage';
+
+const SEED_META_NAME = 'seedState';
+
+// Fields that differ between copies of the same content
+const IGNORED_FIELDS = ['id', 'revision', 'createdAt', 'updatedAt'];
+
+const REPOSITORIES = {
+  [STORAGE_KEYS.EXERCISES]: { getAll: getExercises, saveAll: saveExercises, update: updateExercise },
+  [STORAGE_KEYS.STORIES]: { getAll: getStories, saveAll: saveStories, update: updateStory },
+  [STORAGE_KEYS.SESSIONS]: { getAll: getSessions, saveAll: saveSessions, update: updateSession },
+  [STORAGE_KEYS.EXERCISE_SETS]: { getAll: getExerciseSets, saveAll: saveExerciseSets, update: updateExerciseSet },
+  [STORAGE_KEYS.STORY_BOOKS]: { getAll: getStoryBooks, saveAll: saveStoryBooks, update: updateStoryBook }
+};
+
+let seeding = null;
+
+/**
+ * Load the default records of a collection at the current schema version
+ * @param {Object} collection - Entry of SEED_COLLECTIONS
+ * @returns {Promise<Array>} Default records
+ */
+async function loadSeedRecords(collection) {
+  const records = (await collection.load()).default;
+  return migrateRecords(collection.storageKey, records, collection.schemaVersion).records;
+}
+
+/**
+ * Get the content fields of a default record
+ * @param {Object} seed - Default record
+ * @returns {Object} The record without ID, revision and timestamps
+ */
+function seedContent(seed) {
+  return Object.fromEntries(Object.entries(seed).filter(([field]) => !IGNORED_FIELDS.includes(field)));
+}
+
+/**
+ * Fingerprint the content a record shares with a default record
+ * @param {Object} record - Stored record
+ * @param {Object} seed - Default record
+ * @returns {string} Fingerprint; equal for equal content
+ */
+function fingerprint(record, seed) {
+  return JSON.stringify(Object.keys(seedContent(seed)).map(field => record[field] ?? null));
+}
+
+/**
+ * Merge the defaults of one collection into the stored records
+ * @param {Object} collection - Entry of SEED_COLLECTIONS
+ * @param {Object} applied - Fingerprints of the defaults applied before, by record ID
+ * @param {Set<string>} trashedIds - IDs of records of this collection in the trash
+ * @returns {Promise<Object>} { success, errors, added, updated, fingerprints }
+ */
+async function mergeCollection(collection, applied, trashedIds) {
+  const repository = REPOSITORIES[collection.storageKey];
+  const seeds = await loadSeedRecords(collection);
+  const records = await repository.getAll();
+  const merged = [...records];
+  const fingerprints = {};
+  let added = 0;
+  let updated = 0;
+
+  seeds.forEach(seed => {
+    const current = fingerprint(seed, seed);
+    const index = merged.findIndex(record => record.id === seed.id);
+    fingerprints[seed.id] = current;
+
+    if (index === -1) {
+      // Defaults given before were deleted by the user; before seed state was
+      // kept, the trash is the only trace of that
+      if (!(seed.id in applied) && !trashedIds.has(seed.id)) {
+        merged.push({ ...seed, revision: 1 });
+        added++;
+      }
+      return;
+    }
+
+    const stored = fingerprint(merged[index], seed);
+    if (stored !== current && stored === applied[seed.id]) {
+      merged[index] = withNextRevision({ ...merged[index], ...seedContent(seed) }, merged[index]);
+      updated++;
+    }
+  });
+
+  if (added === 0 && updated === 0) {
+    return { success: true, added, updated, fingerprints };
+  }
+
+  const saved = await repository.saveAll(merged);
+  return { ...saved, added, updated, fingerprints };
+}
+
+/**
+ * Merge the bundled defaults into storage
+ * @returns {Promise<Object>} { success, errors, added, updated }
+ */
+async function applySeedData() {
+  const adapter = await getStorageAdapter();
+  if (!adapter) {
+    return { success: true, added: 0, updated: 0 };
+  }
+
+  const state = (await adapter.readMeta(SEED_META_NAME)) || { version: 0, records: {} };
+  if (state.version >= SEED_VERSION) {
+    return { success: true, added: 0, updated: 0 };
+  }
+
+  const trash = await getTrash();
+  const nextState = { version: SEED_VERSION, records: { ...state.records } };
+  const result = { success: true, errors: [], added: 0, updated: 0 };
+
+  for (const collection of SEED_COLLECTIONS) {
+    const trashedIds = new Set(trash
+      .filter(entry => entry.storageKey === collection.storageKey)
+      .map(entry => entry.record.id));
+    const merged = await mergeCollection(collection, state.records[collection.storageKey] || {}, trashedIds);
+
+    if (!merged.success) {
+      result.success = false;
+      result.errors.push(...merged.errors);
+      continue;
+    }
+    nextState.records[collection.storageKey] = merged.fingerprints;
+    result.added += merged.added;
+    result.updated += merged.updated;
+  }
+
+  // Collections that failed are merged again on the next load
+  if (result.success) {
+    await adapter.writeMeta(SEED_META_NAME, nextState);
+  }
+  if (result.added > 0 || result.updated > 0) {
+    console.info(`Applied seed data version ${SEED_VERSION}: ${result.added} added, ${result.updated} updated`);
+  }
+  return result;
+}
+
+/**
+ * Make sure the bundled defaults of the current SEED_VERSION are merged
+ * Runs once per page load; call it before reading the library.
+ * @returns {Promise<Object>} Result object with success status, added and updated counts or errors
+ */
+export function ensureSeedData() {
+  if (!seeding) {
+    seeding = applySeedData().catch(error => {
+      console.error('Failed to apply seed data:', error);
+      return { success: false, errors: [error.message], added: 0, updated: 0 };
+    }).then(result => {
+      if (!result.success) {
+        seeding = null;
+      }
+      return result;
+    });
+  }
+  return seeding;
+}
+
+/**
+ * Get the defaults of a collection
+ * @param {string} storageKey - Storage key
+ * @returns {Promise<Array>} Default records, empty if the collection has none
+ */
+async function getSeedRecords(storageKey) {
+  const collection = SEED_COLLECTIONS.find(c => c.storageKey === storageKey);
+  return collection ? loadSeedRecords(collection) : [];
+}
+
+/**
+ * Find the defaults among records that differ from their default version
+ * @param {string} storageKey - Storage key of the records' collection
+ * @param {Array} records - Stored records
+ * @returns {Promise<Set<string>>} IDs of edited defaults
+ */
+export async function getCustomizedDefaults(storageKey, records) {
+  try {
+    const seeds = await getSeedRecords(storageKey);
+    return new Set(records
+      .filter(record => {
+        const seed = seeds.find(s => s.id === record.id);
+        return seed && fingerprint(record, seed) !== fingerprint(seed, seed);
+      })
+      .map(record => record.id));
+  } catch (error) {
+    console.error('Failed to load seed data:', error);
+    return new Set();
+  }
+}
+
+/**
+ * Reset an edited default record to its bundled version
+ * @param {string} storageKey - Storage key of the record's collection
+ * @param {string} id - Record ID
+ * @param {Object} [options] - Update options, e.g. { expectedRevision }
+ * @returns {Promise<Object>} Result object with success status and data or errors
+ */
+export async function restoreSeedDefault(storageKey, id, options) {
+  const seed = (await getSeedRecords(storageKey)).find(s => s.id === id);
+  const repository = REPOSITORIES[storageKey];
+  const existing = seed && (await repository.getAll()).find(record => record.id === id);
+
+  if (!existing) {
+    return {
+      success: false,
+      errors: ['No default version found']
+    };
+  }
+
+  return repository.update(id, { ...existing, ...seedContent(seed) }, options);
+}
@@ -0,0 +1,48 @@
+/**
+ * Seed data manifest
+ * Lists the default records bundled in data/, per collection and in the order
+ * they are applied (cards before the sessions, sets and story books that
+ * reference them). Each file names the schema version it is written in, so it
+ * is upgraded like stored data before it is merged (see seedData.js).
+ *
+ * Bump SEED_VERSION whenever a seed file changes; browsers that applied an
+ * older version merge the new and updated defaults on their next visit.
+ *
+ * Seed IDs must not collide with IDs of user records. Older records keep
+ * numeric-derived IDs such as 'story-4' or 'session-2' (see ids.js), so new
+ * seed files use a '-seed-' infix.
+ */
+
+import { STORAGE_KEYS } from './storageKeys';
+
+// 1: exercises and the starter set, seeded only into empty storage
+// 2: adds the example sessions, stories and story book
+export const SEED_VERSION = 2;
+
+export const SEED_COLLECTIONS = [
+  {
+    storageKey: STORAGE_KEYS.EXERCISES,
+    schemaVersion: 1,
+    load: () => import('../../data/exercises.json')
+  },
+  {
+    storageKey: STORAGE_KEYS.STORIES,
+    schemaVersion: 1,
+    load: () => import('../../data/stories.json')
+  },
+  {
+    storageKey: STORAGE_KEYS.SESSIONS,
+    schemaVersion: 1,
+    load: () => import('../../data/sessions.json')
+  },
+  {
+    storageKey: STORAGE_KEYS.EXERCISE_SETS,
+    schemaVersion: 1,
+    load: () => import('../../data/exercise-sets.json')
+  },
+  {
+    storageKey: STORAGE_KEYS.STORY_BOOKS,
+    schemaVersion: 1,
+    load: () => import('../../data/storybooks.json')
+  }
+];
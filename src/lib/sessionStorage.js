@@ -1,69 +1,16 @@
 /**
- * Client-side session management using localStorage
+ * Client-side session management in browser storage
  * This module provides functions to create, read, update, and manage yoga sessions
- * stored in the browser's localStorage until we move to a non-static site.
+ * stored in the browser (see storageBackend.js) and optionally synced with a
+ * server (see remoteSync.js).
  */
 
-const STORAGE_KEY = 'yogasession_sessions';
+import { createRepository } from './createRepository';
+import { ID_PREFIXES } from './ids';
+import { STORAGE_KEYS } from './storageKeys';
+import { hasRevisionConflict, withNextRevision } from './storageSync';
 
-/**
- * Get all sessions from localStorage
- * @returns {Array} Array of sessions
- */
-export function getSessions() {
-  if (typeof window === 'undefined') {
-    return [];
-  }
-  
-  try {
-    const stored = localStorage.getItem(STORAGE_KEY);
-    if (stored) {
-      return JSON.parse(stored);
-    }
-  } catch (error) {
-    console.error('Failed to read sessions from localStorage:', error);
-  }
-  
-  return [];
-}
-
-/**
- * Save sessions to localStorage
- * @param {Array} sessions - Array of sessions to save
- */
-export function saveSessions(sessions) {
-  if (typeof window === 'undefined') {
-    return;
-  }
-  
-  try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(sessions));
-  } catch (error) {
-    console.error('Failed to save sessions to localStorage:', error);
-  }
-}
-
-/**
- * Generate a new unique ID for a session
- * @param {Array} sessions - Existing sessions
- * @returns {string} New unique ID
- */
-function generateId(sessions) {
-  if (sessions.length === 0) {
-    return '1';
-  }
-  
-  const numericIds = sessions
-    .map(s => parseInt(s.id, 10))
-    .filter(id => !isNaN(id));
-  
-  if (numericIds.length === 0) {
-    return '1';
-  }
-  
-  const maxId = Math.max(...numericIds);
-  return String(maxId + 1);
-}
+const STORAGE_KEY = STORAGE_KEYS.SESSIONS;
 
 /**
  * Validate a session object
@@ -108,164 +55,140 @@ export function validateSession(session) {
   return errors;
 }
 
+const repository = createRepository({
+  storageKey: STORAGE_KEY,
+  label: 'Session',
+  pluralLabel: 'sessions',
+  resultKey: 'session',
+  idPrefix: ID_PREFIXES.SESSION,
+  validate: validateSession,
+  normalize: (sessionData) => ({
+    title: sessionData.title.trim(),
+    description: sessionData.description.trim(),
+    story: sessionData.story ? sessionData.story.trim() : '',
+    duration_minutes: sessionData.duration_minutes,
+    exercises: sessionData.exercises,
+    category: sessionData.category.trim(),
+    level: sessionData.level.trim()
+  }),
+  trashType: 'session',
+  history: true
+});
+
+/**
+ * Get all sessions
+ * @returns {Promise<Array>} Array of sessions
+ */
+export const getSessions = repository.getAll;
+
+/**
+ * Save sessions
+ * @param {Array} sessions - Array of sessions to save
+ * @returns {Promise<Object>} Result object with success status or errors
+ */
+export const saveSessions = repository.saveAll;
+
 /**
  * Get a session by ID
  * @param {string} id - Session ID
- * @returns {Object|null} Session object or null if not found
+ * @returns {Promise<Object|null>} Session object or null if not found
  */
-export function getSession(id) {
-  const sessions = getSessions();
-  return sessions.find(s => s.id === id) || null;
-}
+export const getSession = repository.getById;
 
 /**
- * Create a new session and save to localStorage
+ * Create a new session
  * @param {Object} sessionData - Session data (without id)
- * @returns {Object} Result object with success status and data or errors
+ * @returns {Promise<Object>} Result object with success status and data or errors
  */
-export function createSession(sessionData) {
-  const validationErrors = validateSession(sessionData);
-  
-  if (validationErrors.length > 0) {
-    return {
-      success: false,
-      errors: validationErrors
-    };
-  }
-  
-  const sessions = getSessions();
-  
-  const newSession = {
-    id: generateId(sessions),
-    title: sessionData.title.trim(),
-    description: sessionData.description.trim(),
-    story: sessionData.story ? sessionData.story.trim() : '',
-    duration_minutes: sessionData.duration_minutes,
-    exercises: sessionData.exercises,
-    category: sessionData.category.trim(),
-    level: sessionData.level.trim()
-  };
-  
-  sessions.push(newSession);
-  saveSessions(sessions);
-  
-  return {
-    success: true,
-    session: newSession
-  };
-}
+export const createSession = repository.create;
 
 /**
  * Update an existing session
  * @param {string} id - Session ID to update
  * @param {Object} sessionData - Updated session data
- * @returns {Object} Result object with success status and data or errors
+ * @returns {Promise<Object>} Result object with success status and data or errors
  */
-export function updateSession(id, sessionData) {
-  const validationErrors = validateSession(sessionData);
-  
-  if (validationErrors.length > 0) {
-    return {
-      success: false,
-      errors: validationErrors
-    };
-  }
-  
-  const sessions = getSessions();
-  const index = sessions.findIndex(s => s.id === id);
-  
-  if (index === -1) {
-    return {
-      success: false,
-      errors: ['Session not found']
-    };
-  }
-  
-  const updatedSession = {
-    id: id,
-    title: sessionData.title.trim(),
-    description: sessionData.description.trim(),
-    story: sessionData.story ? sessionData.story.trim() : '',
-    duration_minutes: sessionData.duration_minutes,
-    exercises: sessionData.exercises,
-    category: sessionData.category.trim(),
-    level: sessionData.level.trim()
-  };
-  
-  sessions[index] = updatedSession;
-  saveSessions(sessions);
-  
-  return {
-    success: true,
-    session: updatedSession
-  };
-}
+export const updateSession = repository.update;
 
 /**
- * Delete a session by ID
+ * Get the earlier versions of a session, most recently replaced first
+ * @param {string} id - Session ID
+ * @returns {Promise<Array>} History entries (see revisionHistory.js)
+ */
+export const getSessionHistory = repository.getHistory;
+
+/**
+ * Restore an earlier version of a session
+ * @param {string} id - Session ID
+ * @param {string} entryId - History entry ID
+ * @param {Object} [options] - Update options, e.g. { expectedRevision }
+ * @returns {Promise<Object>} Result object with success status and data or errors
+ */
+export const restoreSessionRevision = repository.restoreRevision;
+
+/**
+ * Move a session to the trash
  * @param {string} id - Session ID to delete
- * @returns {boolean} True if deleted, false if not found
+ * @returns {Promise<boolean>} True if deleted, false if not found
  */
-export function deleteSession(id) {
-  const sessions = getSessions();
-  const index = sessions.findIndex(s => s.id === id);
-  
-  if (index === -1) {
-    return false;
-  }
-  
-  sessions.splice(index, 1);
-  saveSessions(sessions);
-  return true;
-}
+export const deleteSession = repository.remove;
 
 /**
- * Clear all sessions from localStorage
+ * Clear all sessions
+ * @returns {Promise} Resolves when cleared
  */
-export function clearSessions() {
-  if (typeof window === 'undefined') {
-    return;
-  }
-  
-  localStorage.removeItem(STORAGE_KEY);
-}
+export const clearSessions = repository.clear;
 
 /**
  * Reorder exercises in a session
  * @param {string} id - Session ID
  * @param {Array} newExerciseOrder - New array of exercise IDs in desired order
- * @returns {Object} Result object with success status
+ * @param {Object} [options] - Reorder options
+ * @param {number} [options.expectedRevision] - Revision the new order was based on
+ * @returns {Promise<Object>} Result object with success status
  */
-export function reorderSessionExercises(id, newExerciseOrder) {
+export async function reorderSessionExercises(id, newExerciseOrder, { expectedRevision } = {}) {
   if (!Array.isArray(newExerciseOrder)) {
     return {
       success: false,
       errors: ['newExerciseOrder must be an array']
     };
   }
-  
+
   if (newExerciseOrder.some(exerciseId => typeof exerciseId !== 'string')) {
     return {
       success: false,
       errors: ['all exercise IDs must be strings']
     };
   }
-  
-  const sessions = getSessions();
-  const index = sessions.findIndex(s => s.id === id);
-  
-  if (index === -1) {
+
+  const session = await getSession(id);
+
+  if (!session) {
     return {
       success: false,
       errors: ['Session not found']
     };
   }
-  
-  sessions[index].exercises = newExerciseOrder;
-  saveSessions(sessions);
-  
+
+  if (hasRevisionConflict(session, expectedRevision)) {
+    return {
+      success: false,
+      conflict: true,
+      errors: ['Session was changed in another tab'],
+      session
+    };
+  }
+
+  const reorderedSession = withNextRevision({ ...session, exercises: newExerciseOrder });
+  const saved = await repository.saveOne(reorderedSession);
+  if (!saved.success) {
+    return saved;
+  }
+  await repository.keepRevision(session, reorderedSession);
+
   return {
     success: true,
-    session: sessions[index]
+    session: reorderedSession
   };
 }
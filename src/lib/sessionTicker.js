@@ -0,0 +1,83 @@
+/**
+ * Session ticker
+ * Drives the Home player's timer. Browsers stop requestAnimationFrame in
+ * background tabs and on locked screens and throttle timers of the page to
+ * once a second or less, but not timers in a Web Worker. The ticks come from
+ * a small worker, so item changes and the session end happen on time while
+ * the page is hidden.
+ *
+ * A tick only says "look at the clock": the player works out the elapsed time
+ * from the wall-clock time the session started at, so late or missed ticks
+ * never make it fall behind. When the page becomes visible again it ticks
+ * right away, so the display catches up without waiting for the next tick.
+ */
+
+// Often enough for a smooth progress bar and item changes within a quarter second
+export const TICK_MS = 250;
+
+// Posts an empty message every intervalMs; a message without one stops it
+const WORKER_SOURCE = `
+let timer = null;
+self.onmessage = (event) => {
+  clearInterval(timer);
+  timer = event.data.intervalMs ? setInterval(() => self.postMessage(null), event.data.intervalMs) : null;
+};
+`;
+
+/**
+ * Start the tick worker
+ * @param {Function} onTick - Called on each tick
+ * @param {number} intervalMs - Milliseconds between ticks
+ * @returns {Function|null} Stop function, or null if workers are not available
+ */
+function startWorkerTicker(onTick, intervalMs) {
+  if (typeof Worker === 'undefined' || typeof Blob === 'undefined') {
+    return null;
+  }
+
+  let worker;
+  const url = URL.createObjectURL(new Blob([WORKER_SOURCE], { type: 'text/javascript' }));
+  try {
+    worker = new Worker(url);
+  } catch (error) {
+    console.error('Failed to start timer worker; using page timers:', error);
+    URL.revokeObjectURL(url);
+    return null;
+  }
+
+  worker.onmessage = () => onTick();
+  worker.postMessage({ intervalMs });
+  return () => {
+    worker.terminate();
+    URL.revokeObjectURL(url);
+  };
+}
+
+/**
+ * Call a function regularly, also while the page is hidden
+ * Falls back to page timers, which browsers throttle in the background, if
+ * Web Workers are not available.
+ * @param {Function} onTick - Called on each tick and when the page becomes visible
+ * @param {number} [intervalMs] - Milliseconds between ticks
+ * @returns {Function} Stop function
+ */
+export function startTicker(onTick, intervalMs = TICK_MS) {
+  const stopWorker = startWorkerTicker(onTick, intervalMs);
+  const interval = stopWorker ? null : setInterval(onTick, intervalMs);
+
+  const handleVisibilityChange = () => {
+    if (document.visibilityState === 'visible') {
+      onTick();
+    }
+  };
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+
+  return () => {
+    if (stopWorker) {
+      stopWorker();
+    } else {
+      clearInterval(interval);
+    }
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+  };
+}
@@ -0,0 +1,170 @@
+/**
+ * App settings
+ * Settings are one object stored as storage metadata (see storageBackend.js).
+ * Missing values fall back to DEFAULT_SETTINGS, so new settings can be added
+ * without a migration.
+ */
+
+import { getMetaStorageKey } from './localStorageAdapter';
+import { getStorageAdapter } from './storageBackend';
+import { reportStorageError } from './storageHealth';
+import { notifyStorageChange } from './storageSync';
+
+const SETTINGS_META_NAME = 'settings';
+// Name announced to other tabs when the settings change (see storageSync.js).
+// It is the localStorage adapter's key for the settings, so the `storage`
+// event fallback reports the same name.
+export const SETTINGS_SYNC_KEY = getMetaStorageKey(SETTINGS_META_NAME);
+
+export const DEFAULT_SETTINGS = {
+  // Days a deleted item stays in the trash; 0 keeps it until removed by hand
+  trashRetentionDays: 30,
+  // Edited category, mood and level lists by taxonomy; lists missing here use
+  // the defaults in taxonomy.js
+  taxonomies: {},
+  // Sounds of the Home player (see audioCues.js): seconds before the end of an
+  // item to warn (0 for no warning) and volume (0 to 1) and mute per card type
+  audioCues: {
+    warningSeconds: 10,
+    cardTypes: {
+      exercise: { volume: 0.8, muted: false },
+      story: { volume: 0.5, muted: false },
+      practical: { volume: 0.8, muted: false }
+    }
+  },
+  // Reading the current item aloud in the Home player (see narration.js); an
+  // empty voiceURI picks the browser's first voice for the language
+  narration: {
+    enabled: false,
+    lang: 'de-DE',
+    voiceURI: '',
+    rate: 1,
+    cardTypes: { exercise: true, story: true, practical: true }
+  }
+};
+
+// Longest warning before the end of an item, in seconds
+const MAX_WARNING_SECONDS = 300;
+
+// Speech rates the browsers support reliably
+const MIN_NARRATION_RATE = 0.5;
+const MAX_NARRATION_RATE = 2;
+
+/**
+ * Validate a (partial) settings object
+ * @param {Object} settings - Settings to validate
+ * @returns {Array} Array of validation error messages
+ */
+export function validateSettings(settings) {
+  const errors = [];
+
+  if (settings.trashRetentionDays !== undefined &&
+      (!Number.isInteger(settings.trashRetentionDays) || settings.trashRetentionDays < 0)) {
+    errors.push('trashRetentionDays must be a whole number of days (0 or more)');
+  }
+
+  if (settings.taxonomies !== undefined) {
+    if (!settings.taxonomies || typeof settings.taxonomies !== 'object' || Array.isArray(settings.taxonomies)) {
+      errors.push('taxonomies must be an object');
+    } else {
+      Object.entries(settings.taxonomies).forEach(([name, values]) => {
+        const isValue = value => value && typeof value.name === 'string' && value.name.trim() !== '' &&
+          typeof value.retired === 'boolean';
+        if (!Array.isArray(values) || !values.every(isValue)) {
+          errors.push(`taxonomies.${name} must be a list of { name, retired } values`);
+        } else if (new Set(values.map(value => value.name)).size < values.length) {
+          errors.push(`taxonomies.${name} must not contain a value twice`);
+        }
+      });
+    }
+  }
+
+  if (settings.audioCues !== undefined) {
+    const { audioCues } = settings;
+    if (!audioCues || typeof audioCues !== 'object') {
+      errors.push('audioCues must be an object');
+    } else {
+      if (!Number.isInteger(audioCues.warningSeconds) || audioCues.warningSeconds < 0 ||
+          audioCues.warningSeconds > MAX_WARNING_SECONDS) {
+        errors.push(`audioCues.warningSeconds must be a whole number of seconds from 0 to ${MAX_WARNING_SECONDS}`);
+      }
+      Object.entries(audioCues.cardTypes || {}).forEach(([type, cue]) => {
+        if (!cue || typeof cue.volume !== 'number' || cue.volume < 0 || cue.volume > 1 ||
+            typeof cue.muted !== 'boolean') {
+          errors.push(`audioCues.cardTypes.${type} must be { volume: 0 to 1, muted: true or false }`);
+        }
+      });
+    }
+  }
+
+  if (settings.narration !== undefined) {
+    const { narration } = settings;
+    if (!narration || typeof narration !== 'object') {
+      errors.push('narration must be an object');
+    } else {
+      if (typeof narration.enabled !== 'boolean') {
+        errors.push('narration.enabled must be true or false');
+      }
+      if (typeof narration.lang !== 'string' || typeof narration.voiceURI !== 'string') {
+        errors.push('narration.lang and narration.voiceURI must be strings');
+      }
+      if (typeof narration.rate !== 'number' || narration.rate < MIN_NARRATION_RATE || narration.rate > MAX_NARRATION_RATE) {
+        errors.push(`narration.rate must be a number from ${MIN_NARRATION_RATE} to ${MAX_NARRATION_RATE}`);
+      }
+      if (Object.values(narration.cardTypes || {}).some(enabled => typeof enabled !== 'boolean')) {
+        errors.push('narration.cardTypes must map card types to true or false');
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Get the current settings
+ * @returns {Promise<Object>} Settings merged over the defaults
+ */
+export async function getSettings() {
+  try {
+    const adapter = await getStorageAdapter();
+    const stored = adapter ? await adapter.readMeta(SETTINGS_META_NAME) : null;
+    return { ...DEFAULT_SETTINGS, ...(stored || {}) };
+  } catch (error) {
+    console.error('Failed to read settings from storage:', error);
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * Update some settings
+ * @param {Object} changes - Settings to change
+ * @returns {Promise<Object>} Result object with success status and settings or errors
+ */
+export async function updateSettings(changes) {
+  const validationErrors = validateSettings(changes);
+
+  if (validationErrors.length > 0) {
+    return {
+      success: false,
+      errors: validationErrors
+    };
+  }
+
+  const settings = { ...(await getSettings()), ...changes };
+
+  try {
+    const adapter = await getStorageAdapter();
+    if (!adapter) {
+      return { success: false, errors: ['Storage is not available'] };
+    }
+    await adapter.writeMeta(SETTINGS_META_NAME, settings);
+    notifyStorageChange(SETTINGS_SYNC_KEY);
+  } catch (error) {
+    return { success: false, errors: [reportStorageError(error, 'save settings')] };
+  }
+
+  return {
+    success: true,
+    settings
+  };
+}
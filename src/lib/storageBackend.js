@@ -0,0 +1,180 @@
+/**
+ * Storage backend selection
+ * Picks the adapter all repositories read from and write to: IndexedDB when the
+ * browser supports it, localStorage otherwise. On the first start with
+ * IndexedDB the existing `yogasession_*` localStorage collections are copied
+ * over once; the localStorage entries are left untouched as a fallback copy.
+ * Collections that cannot be parsed are quarantined rather than skipped; if
+ * one cannot be set aside, nothing is copied and localStorage is used until
+ * the next start tries again.
+ * The chosen adapter is wrapped with the in-memory record cache (see
+ * recordCache.js), so each collection is parsed once per page load.
+ *
+ * When a sync server URL is set (on the settings page, or at build time via
+ * NEXT_PUBLIC_SYNC_SERVER_URL) the chosen adapter becomes the local copy of a
+ * synced adapter that also writes to the server.
+ */
+
+import { ENTITY_STORAGE_KEYS } from './storageKeys';
+import { localStorageAdapter } from './localStorageAdapter';
+import { indexedDbAdapter } from './indexedDbAdapter';
+import { quarantineValue } from './quarantine';
+import { createCachedAdapter } from './recordCache';
+import { createRestAdapter } from './restAdapter';
+import { createSyncedAdapter } from './remoteSync';
+
+const MIGRATION_META_NAME = 'localStorageMigration';
+const SYNC_SERVER_META_NAME = 'syncServerUrl';
+// Build-time default, e.g. NEXT_PUBLIC_SYNC_SERVER_URL=http://studio.local:4000
+const DEFAULT_SYNC_SERVER_URL = process.env.NEXT_PUBLIC_SYNC_SERVER_URL || '';
+
+let adapterPromise = null;
+
+/**
+ * Copy the localStorage collections into IndexedDB, once per browser profile
+ * The migration is only marked as done once every collection was either
+ * copied or quarantined, so no raw value is left behind.
+ * @returns {Promise} Resolves when the migration is done or was already done
+ * @throws {Error} If an unreadable collection could not be quarantined
+ */
+async function migrateFromLocalStorage() {
+  const migration = await indexedDbAdapter.readMeta(MIGRATION_META_NAME);
+  if (migration) {
+    return;
+  }
+
+  const collections = {};
+  const unreadable = [];
+
+  for (const key of ENTITY_STORAGE_KEYS) {
+    try {
+      const records = await localStorageAdapter.read(key);
+      if (!records) {
+        continue;
+      }
+      collections[key] = records.filter(record => {
+        const hasId = record && (typeof record.id === 'string' || typeof record.id === 'number');
+        if (!hasId) {
+          console.warn(`Skipping record without ID while migrating ${key}:`, record);
+        }
+        return hasId;
+      });
+    } catch (error) {
+      console.error(`Failed to migrate ${key} from localStorage:`, error);
+      if (error.name === 'CorruptDataError') {
+        unreadable.push(error);
+      }
+    }
+  }
+
+  // Keep unreadable collections for the recovery page instead of starting empty
+  for (const error of unreadable) {
+    if (!await quarantineValue(indexedDbAdapter, error.key, error.raw, error.reason)) {
+      throw new Error(`Unreadable data of ${error.key} could not be set aside`);
+    }
+  }
+
+  await indexedDbAdapter.importCollections(collections, MIGRATION_META_NAME, {
+    migratedAt: new Date().toISOString(),
+    keys: Object.keys(collections)
+  });
+}
+
+/**
+ * Choose and prepare the local adapter for this browser
+ * @returns {Promise<Object|null>} Adapter, or null if no storage is available
+ */
+async function selectLocalAdapter() {
+  if (indexedDbAdapter.isAvailable()) {
+    try {
+      await indexedDbAdapter.open();
+      await migrateFromLocalStorage();
+      return createCachedAdapter(indexedDbAdapter);
+    } catch (error) {
+      console.error('IndexedDB unavailable, falling back to localStorage:', error);
+    }
+  }
+
+  return localStorageAdapter.isAvailable() ? createCachedAdapter(localStorageAdapter) : null;
+}
+
+/**
+ * Read the configured sync server URL
+ * @param {Object} localAdapter - Local adapter holding the setting
+ * @returns {Promise<string>} URL, or '' if syncing is off
+ */
+async function readSyncServerUrl(localAdapter) {
+  try {
+    return (await localAdapter.readMeta(SYNC_SERVER_META_NAME)) ?? DEFAULT_SYNC_SERVER_URL;
+  } catch (error) {
+    console.error('Failed to read the sync server setting:', error);
+    return DEFAULT_SYNC_SERVER_URL;
+  }
+}
+
+/**
+ * Choose and prepare the adapter for this browser
+ * With a sync server configured the local adapter is wrapped so writes are
+ * also sent to the server (see remoteSync.js).
+ * @returns {Promise<Object|null>} Adapter, or null during server-side rendering
+ */
+async function selectAdapter() {
+  if (typeof window === 'undefined') {
+    return null;
+  }
+
+  const localAdapter = await selectLocalAdapter();
+  const serverUrl = localAdapter ? await readSyncServerUrl(localAdapter) : '';
+  if (!serverUrl) {
+    return localAdapter;
+  }
+
+  const syncedAdapter = createSyncedAdapter(localAdapter, createRestAdapter(serverUrl));
+  syncedAdapter.start();
+  return syncedAdapter;
+}
+
+/**
+ * Get the storage adapter, selecting it on first use
+ * @returns {Promise<Object|null>} Adapter, or null during server-side rendering
+ */
+export function getStorageAdapter() {
+  if (!adapterPromise) {
+    adapterPromise = selectAdapter();
+  }
+  return adapterPromise;
+}
+
+/**
+ * Get the sync server URL this browser is set up to use
+ * @returns {Promise<string>} URL, or '' if syncing is off
+ */
+export async function getSyncServerUrl() {
+  const adapter = await getStorageAdapter();
+  return adapter ? readSyncServerUrl(adapter) : '';
+}
+
+/**
+ * Set the sync server URL; takes effect after a reload
+ * @param {string} url - Server URL, or '' to turn syncing off
+ * @returns {Promise<Object>} Result object with success status or errors
+ */
+export async function setSyncServerUrl(url) {
+  const trimmed = (url || '').trim();
+
+  if (trimmed && !/^https?:\/\/[^\s/]+/.test(trimmed)) {
+    return { success: false, errors: ['The sync server URL must start with http:// or https://'] };
+  }
+
+  try {
+    const adapter = await getStorageAdapter();
+    if (!adapter) {
+      return { success: false, errors: ['Storage is not available'] };
+    }
+    await adapter.writeMeta(SYNC_SERVER_META_NAME, trimmed);
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to save the sync server setting:', error);
+    return { success: false, errors: ['Failed to save the sync server setting'] };
+  }
+}
@@ -0,0 +1,176 @@
+/**
+ * Storage health
+ * Turns storage exceptions into messages for the user, measures how much of
+ * the browser's storage the app uses and posts notifications with concrete
+ * next steps when writes fail or space runs low.
+ */
+
+import { notify } from './notifications';
+import { getStorageAdapter } from './storageBackend';
+
+// Browsers allow roughly 5 MB of localStorage per origin
+const LOCAL_STORAGE_QUOTA_BYTES = 5 * 1024 * 1024;
+const USAGE_WARNING_RATIO = 0.8;
+
+const QUOTA_STEPS = [
+  { label: 'Export a backup', href: '/settings' },
+  { label: 'Empty the trash', href: '/trash' },
+  { label: 'Delete cards you no longer need', href: '/cards' }
+];
+
+const RECOVERY_STEPS = [
+  { label: 'Open the recovery page', href: '/recovery' },
+  { label: 'Export a backup', href: '/settings' }
+];
+
+const GENERIC_STEPS = [
+  { label: 'Reload the page and try again' }
+];
+
+/**
+ * Check whether an error means the storage quota is used up
+ * @param {Error} error - Error thrown by a storage adapter
+ * @returns {boolean} True for quota errors
+ */
+export function isQuotaExceededError(error) {
+  if (!error) {
+    return false;
+  }
+  return error.name === 'QuotaExceededError' ||
+    error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error.code === 22 ||
+    error.code === 1014;
+}
+
+/**
+ * Describe a storage error for the user
+ * @param {Error} error - Error thrown by a storage adapter
+ * @returns {string} User-facing message
+ */
+export function describeStorageError(error) {
+  if (error?.name === 'CorruptDataError') {
+    return 'Saved data could not be read. It was set aside and is not changed until you decide what to do with it.';
+  }
+  if (isQuotaExceededError(error)) {
+    return 'Browser storage is full, so the change was not saved.';
+  }
+  return 'The change could not be saved in the browser storage.';
+}
+
+/**
+ * Format a byte count
+ * @param {number} bytes - Number of bytes
+ * @returns {string} Human-readable size, e.g. '4.2 MB'
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Measure the storage used by the app
+ * For localStorage the size of all stored strings is counted (UTF-16, two
+ * bytes per character) against the usual 5 MB limit; otherwise the browser's
+ * estimate for the whole origin is used.
+ * @returns {Promise<Object|null>} { usage, quota, backend } in bytes, or null if unknown
+ */
+export async function getStorageUsage() {
+  try {
+    const adapter = await getStorageAdapter();
+    if (!adapter) {
+      return null;
+    }
+
+    if (adapter.name === 'localStorage') {
+      let characters = 0;
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        characters += key.length + (localStorage.getItem(key) || '').length;
+      }
+      return { usage: characters * 2, quota: LOCAL_STORAGE_QUOTA_BYTES, backend: adapter.name };
+    }
+
+    if (typeof navigator !== 'undefined' && navigator.storage?.estimate) {
+      const { usage, quota } = await navigator.storage.estimate();
+      return { usage, quota, backend: adapter.name };
+    }
+  } catch (error) {
+    console.error('Failed to estimate storage usage:', error);
+  }
+
+  return null;
+}
+
+/**
+ * Describe the current usage in one line
+ * @param {Object|null} usage - Result of getStorageUsage()
+ * @returns {Array<string>} Zero or one detail lines
+ */
+function usageDetails(usage) {
+  if (!usage || !usage.quota) {
+    return [];
+  }
+  const percent = Math.round((usage.usage / usage.quota) * 100);
+  return [`Storage used: ${formatBytes(usage.usage)} of ${formatBytes(usage.quota)} (${percent}%)`];
+}
+
+/**
+ * Pick the notification key, title and next steps for an error
+ * @param {Error} error - Error thrown by a storage adapter
+ * @returns {Object} Partial notification
+ */
+function notificationFor(error) {
+  if (error?.name === 'CorruptDataError') {
+    return { key: 'storage-corrupt', title: 'Unreadable data', actions: RECOVERY_STEPS };
+  }
+  if (isQuotaExceededError(error)) {
+    return { key: 'storage-quota', title: 'Storage is full', actions: QUOTA_STEPS };
+  }
+  return { key: 'storage-error', title: 'Could not save', actions: GENERIC_STEPS };
+}
+
+/**
+ * Log a failed storage operation and tell the user about it
+ * @param {Error} error - Error thrown by a storage adapter
+ * @param {string} action - What was attempted, e.g. 'save exercises'
+ * @returns {string} User-facing message, for use in a result's errors
+ */
+export function reportStorageError(error, action) {
+  console.error(`Failed to ${action}:`, error);
+
+  const message = describeStorageError(error);
+  const notification = notificationFor(error);
+
+  getStorageUsage().then(usage => {
+    notify({
+      ...notification,
+      level: 'error',
+      message: `${message} (${action})`,
+      details: usageDetails(usage)
+    });
+  });
+
+  return message;
+}
+
+/**
+ * Warn the user when storage is nearly full
+ * @returns {Promise<Object|null>} Current usage (see getStorageUsage)
+ */
+export async function checkStorageUsage() {
+  const usage = await getStorageUsage();
+
+  if (usage && usage.quota && usage.usage / usage.quota >= USAGE_WARNING_RATIO) {
+    notify({
+      key: 'storage-usage',
+      level: 'warning',
+      title: 'Storage is almost full',
+      message: 'New changes may soon fail to save.',
+      details: usageDetails(usage),
+      actions: QUOTA_STEPS
+    });
+  }
+
+  return usage;
+}
@@ -0,0 +1,42 @@
+/**
+ * Storage keys used by the entity modules
+ * The keys date back to when every entity lived in one localStorage entry.
+ * They are kept as the identifiers of each record collection in every
+ * storage backend, and the localStorage migration looks for exactly these.
+ */
+
+export const STORAGE_KEYS = {
+  EXERCISES: 'yogasession_exercises',
+  STORIES: 'yogasession_stories',
+  PRACTICALS: 'yogasession_practicals',
+  SESSIONS: 'yogasession_sessions',
+  STORY_BOOKS: 'yogasession_storybooks',
+  EXERCISE_SETS: 'yogasession_exercise_sets',
+  STORY_SETS: 'yogasession_story_sets',
+  PRACTICAL_SETS: 'yogasession_practical_sets',
+  TAGS: 'yogasession_tags',
+  TRASH: 'yogasession_trash',
+  HISTORY: 'yogasession_history'
+};
+
+/**
+ * All keys holding entity collections
+ */
+export const ENTITY_STORAGE_KEYS = Object.values(STORAGE_KEYS);
+
+/**
+ * Display names of the collections, e.g. on the recovery and backup pages
+ */
+export const STORAGE_KEY_LABELS = {
+  [STORAGE_KEYS.EXERCISES]: 'Exercises',
+  [STORAGE_KEYS.STORIES]: 'Stories',
+  [STORAGE_KEYS.PRACTICALS]: 'Practicals',
+  [STORAGE_KEYS.SESSIONS]: 'Sessions',
+  [STORAGE_KEYS.STORY_BOOKS]: 'Story Books',
+  [STORAGE_KEYS.EXERCISE_SETS]: 'Exercise Sets',
+  [STORAGE_KEYS.STORY_SETS]: 'Story Sets',
+  [STORAGE_KEYS.PRACTICAL_SETS]: 'Practical Sets',
+  [STORAGE_KEYS.TAGS]: 'Tags',
+  [STORAGE_KEYS.TRASH]: 'Trash',
+  [STORAGE_KEYS.HISTORY]: 'Revision History'
+};
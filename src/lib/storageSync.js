@@ -0,0 +1,101 @@
+/**
+ * Cross-tab synchronization
+ * Every write through a repository announces the changed storage key on a
+ * BroadcastChannel, so other open tabs can reload their data. The localStorage
+ * `storage` event is used as well, since it also fires for writes made by the
+ * localStorage adapter and by older versions of the app.
+ *
+ * Records carry a `revision` counter that grows with every write. Updates can
+ * pass the revision they were based on; if the stored record has moved on in
+ * the meantime, the update is rejected as a conflict instead of overwriting
+ * the other tab's change.
+ */
+
+const CHANNEL_NAME = 'yogasession';
+const KEY_PREFIX = 'yogasession_';
+
+let channel = null;
+
+/**
+ * Get the shared BroadcastChannel
+ * @returns {BroadcastChannel|null} Channel, or null where unsupported
+ */
+function getChannel() {
+  if (!channel && typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+  }
+  return channel;
+}
+
+/**
+ * Tell other tabs that a storage key changed
+ * @param {string} storageKey - Changed storage key
+ */
+export function notifyStorageChange(storageKey) {
+  try {
+    getChannel()?.postMessage({ storageKey });
+  } catch (error) {
+    console.error('Failed to broadcast storage change:', error);
+  }
+}
+
+/**
+ * Listen for storage changes made in other tabs
+ * @param {Function} callback - (storageKey) => void
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToStorageChanges(callback) {
+  if (typeof window === 'undefined') {
+    return () => {};
+  }
+
+  const handleMessage = (event) => {
+    if (event.data?.storageKey) {
+      callback(event.data.storageKey);
+    }
+  };
+
+  const handleStorage = (event) => {
+    if (event.key && event.key.startsWith(KEY_PREFIX)) {
+      callback(event.key);
+    }
+  };
+
+  const broadcastChannel = getChannel();
+  broadcastChannel?.addEventListener('message', handleMessage);
+  window.addEventListener('storage', handleStorage);
+
+  return () => {
+    broadcastChannel?.removeEventListener('message', handleMessage);
+    window.removeEventListener('storage', handleStorage);
+  };
+}
+
+/**
+ * Get the revision of a record
+ * @param {Object} record - Stored record
+ * @returns {number} Revision, 0 for records written before revisions existed
+ */
+export function getRevision(record) {
+  return Number.isInteger(record?.revision) ? record.revision : 0;
+}
+
+/**
+ * Copy a record with its revision increased by one
+ * @param {Object} record - Record about to be written
+ * @param {Object} [previous] - Stored version the record is based on (defaults to the record)
+ * @returns {Object} Record with the next revision
+ */
+export function withNextRevision(record, previous = record) {
+  return { ...record, revision: getRevision(previous) + 1 };
+}
+
+/**
+ * Check whether a record changed since a known revision
+ * @param {Object} record - Stored record
+ * @param {number} [expectedRevision] - Revision the caller last saw; undefined skips the check
+ * @returns {boolean} True if the stored record has a different revision
+ */
+export function hasRevisionConflict(record, expectedRevision) {
+  return expectedRevision !== undefined && getRevision(record) !== expectedRevision;
+}
@@ -1,75 +1,18 @@
 /**
- * Client-side story book management using localStorage
+ * Client-side story book management in browser storage
  * This module provides functions to create, read, update, and manage story books
- * stored in the browser's localStorage until we move to a non-static site.
- * 
+ * stored in the browser (see storageBackend.js) and optionally synced with a
+ * server (see remoteSync.js).
+ *
  * Story books are collections of related story elements that can be used together
  * to tell cohesive stories during yoga sessions.
  */
 
-const STORAGE_KEY = 'yogasession_storybooks';
+import { createRepository } from './createRepository';
+import { ID_PREFIXES } from './ids';
+import { STORAGE_KEYS } from './storageKeys';
 
-/**
- * Get all story books from localStorage
- * @returns {Array} Array of story books
- */
-export function getStoryBooks() {
-  if (typeof window === 'undefined') {
-    return [];
-  }
-  
-  try {
-    const stored = localStorage.getItem(STORAGE_KEY);
-    if (stored) {
-      return JSON.parse(stored);
-    }
-  } catch (error) {
-    console.error('Failed to read story books from localStorage:', error);
-  }
-  
-  return [];
-}
-
-/**
- * Save story books to localStorage
- * @param {Array} storyBooks - Array of story books to save
- */
-export function saveStoryBooks(storyBooks) {
-  if (typeof window === 'undefined') {
-    return;
-  }
-  
-  try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(storyBooks));
-  } catch (error) {
-    console.error('Failed to save story books to localStorage:', error);
-  }
-}
-
-/**
- * Generate a new unique ID for a story book
- * @param {Array} storyBooks - Existing story books
- * @returns {string} New unique ID with 'storybook-' prefix
- */
-function generateId(storyBooks) {
-  if (storyBooks.length === 0) {
-    return 'storybook-1';
-  }
-  
-  const numericIds = storyBooks
-    .map(sb => {
-      const match = sb.id.match(/^storybook-(\d+)$/);
-      return match ? parseInt(match[1], 10) : NaN;
-    })
-    .filter(id => !isNaN(id));
-  
-  if (numericIds.length === 0) {
-    return 'storybook-1';
-  }
-  
-  const maxId = Math.max(...numericIds);
-  return `storybook-${maxId + 1}`;
-}
+const STORAGE_KEY = STORAGE_KEYS.STORY_BOOKS;
 
 /**
  * Validate a story book object
@@ -100,127 +43,96 @@ export function validateStoryBook(storyBook) {
   return errors;
 }
 
+const repository = createRepository({
+  storageKey: STORAGE_KEY,
+  label: 'Story book',
+  pluralLabel: 'story books',
+  resultKey: 'storyBook',
+  idPrefix: ID_PREFIXES.STORY_BOOK,
+  validate: validateStoryBook,
+  normalize: (storyBookData) => ({
+    title: storyBookData.title.trim(),
+    description: storyBookData.description.trim(),
+    theme: storyBookData.theme ? storyBookData.theme.trim() : '',
+    storyIds: storyBookData.storyIds.filter(id => typeof id === 'string')
+  }),
+  trashType: 'storyBook'
+});
+
+/**
+ * Get all story books
+ * @returns {Promise<Array>} Array of story books
+ */
+export const getStoryBooks = repository.getAll;
+
+/**
+ * Save story books
+ * @param {Array} storyBooks - Array of story books to save
+ * @returns {Promise<Object>} Result object with success status or errors
+ */
+export const saveStoryBooks = repository.saveAll;
+
 /**
  * Get a story book by ID
  * @param {string} id - Story book ID
- * @returns {Object|null} Story book or null if not found
+ * @returns {Promise<Object|null>} Story book or null if not found
  */
-export function getStoryBook(id) {
-  const storyBooks = getStoryBooks();
-  return storyBooks.find(sb => sb.id === id) || null;
-}
+export const getStoryBook = repository.getById;
 
 /**
- * Create a new story book and save to localStorage
+ * Create a new story book
  * @param {Object} storyBookData - Story book data (without id)
- * @returns {Object} Result object with success status and data or errors
+ * @returns {Promise<Object>} Result object with success status and data or errors
  */
-export function createStoryBook(storyBookData) {
-  const validationErrors = validateStoryBook(storyBookData);
-  
-  if (validationErrors.length > 0) {
-    return {
-      success: false,
-      errors: validationErrors
-    };
-  }
-  
-  const storyBooks = getStoryBooks();
-  
-  const newStoryBook = {
-    id: generateId(storyBooks),
-    title: storyBookData.title.trim(),
-    description: storyBookData.description.trim(),
-    theme: storyBookData.theme ? storyBookData.theme.trim() : '',
-    storyIds: storyBookData.storyIds.filter(id => typeof id === 'string')
-  };
-  
-  storyBooks.push(newStoryBook);
-  saveStoryBooks(storyBooks);
-  
-  return {
-    success: true,
-    storyBook: newStoryBook
-  };
-}
+export const createStoryBook = repository.create;
 
 /**
  * Update an existing story book
  * @param {string} id - Story book ID to update
  * @param {Object} storyBookData - Updated story book data
- * @returns {Object} Result object with success status and data or errors
+ * @returns {Promise<Object>} Result object with success status and data or errors
  */
-export function updateStoryBook(id, storyBookData) {
-  const validationErrors = validateStoryBook(storyBookData);
-  
-  if (validationErrors.length > 0) {
-    return {
-      success: false,
-      errors: validationErrors
-    };
-  }
-  
-  const storyBooks = getStoryBooks();
-  const index = storyBooks.findIndex(sb => sb.id === id);
-  
-  if (index === -1) {
-    return {
-      success: false,
-      errors: ['Story book not found']
-    };
-  }
-  
-  const updatedStoryBook = {
-    id: id,
-    title: storyBookData.title.trim(),
-    description: storyBookData.description.trim(),
-    theme: storyBookData.theme ? storyBookData.theme.trim() : '',
-    storyIds: storyBookData.storyIds.filter(id => typeof id === 'string')
-  };
-  
-  storyBooks[index] = updatedStoryBook;
-  saveStoryBooks(storyBooks);
-  
-  return {
-    success: true,
-    storyBook: updatedStoryBook
-  };
-}
+export const updateStoryBook = repository.update;
 
 /**
- * Delete a story book by ID
+ * Move a story book to the trash
  * @param {string} id - Story book ID to delete
- * @returns {boolean} True if deleted, false if not found
+ * @returns {Promise<boolean>} True if deleted, false if not found
  */
-export function deleteStoryBook(id) {
-  const storyBooks = getStoryBooks();
-  const index = storyBooks.findIndex(sb => sb.id === id);
-  
-  if (index === -1) {
-    return false;
-  }
-  
-  storyBooks.splice(index, 1);
-  saveStoryBooks(storyBooks);
-  return true;
-}
+export const deleteStoryBook = repository.remove;
 
 /**
- * Clear all story books from localStorage
+ * Clear all story books
+ * @returns {Promise} Resolves when cleared
  */
-export function clearStoryBooks() {
-  if (typeof window === 'undefined') {
-    return;
-  }
-  
-  localStorage.removeItem(STORAGE_KEY);
-}
+export const clearStoryBooks = repository.clear;
 
 /**
  * Check if an ID is a story book ID
  * @param {string} id - ID to check
  * @returns {boolean} True if it's a story book ID
  */
-export function isStoryBookId(id) {
-  return typeof id === 'string' && id.startsWith('storybook-');
+export const isStoryBookId = repository.hasOwnPrefix;
+
+/**
+ * Get the chapters of a story book in reading order
+ * @param {Object} storyBook - Story book
+ * @param {Map} storyIndex - Stories by ID
+ * @returns {Object} { chapters: stories in order, missingIds: IDs of deleted stories, totalTime: minutes }
+ */
+export function getStoryBookChapters(storyBook, storyIndex) {
+  const chapters = [];
+  const missingIds = [];
+
+  storyBook.storyIds.forEach(id => {
+    const story = storyIndex.get(id);
+    if (story) {
+      chapters.push(story);
+    } else {
+      missingIds.push(id);
+    }
+  });
+
+  const totalTime = chapters.reduce((sum, story) => sum + (story.time || 0), 0);
+  return { chapters, missingIds, totalTime };
 }
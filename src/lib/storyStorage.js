@@ -1,76 +1,20 @@
 /**
- * Client-side story element management using localStorage
+ * Client-side story element management in browser storage
  * This module provides functions to create, read, update, and manage story elements
- * stored in the browser's localStorage until we move to a non-static site.
- * 
+ * stored in the browser (see storageBackend.js) and optionally synced with a
+ * server (see remoteSync.js).
+ *
  * Story elements are narrative text blocks that can be interspersed with exercises
  * in a yoga session to create a more immersive and guided experience.
  * They are designed to be compatible with future LLM-based automatic generation.
  */
 
-const STORAGE_KEY = 'yogasession_stories';
+import { createRepository } from './createRepository';
+import { ID_PREFIXES } from './ids';
+import { STORAGE_KEYS } from './storageKeys';
+import { registerTags } from './tagStorage';
 
-/**
- * Get all story elements from localStorage
- * @returns {Array} Array of story elements
- */
-export function getStories() {
-  if (typeof window === 'undefined') {
-    return [];
-  }
-  
-  try {
-    const stored = localStorage.getItem(STORAGE_KEY);
-    if (stored) {
-      return JSON.parse(stored);
-    }
-  } catch (error) {
-    console.error('Failed to read stories from localStorage:', error);
-  }
-  
-  return [];
-}
-
-/**
- * Save story elements to localStorage
- * @param {Array} stories - Array of story elements to save
- */
-export function saveStories(stories) {
-  if (typeof window === 'undefined') {
-    return;
-  }
-  
-  try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(stories));
-  } catch (error) {
-    console.error('Failed to save stories to localStorage:', error);
-  }
-}
-
-/**
- * Generate a new unique ID for a story element
- * @param {Array} stories - Existing story elements
- * @returns {string} New unique ID with 'story-' prefix to distinguish from exercises
- */
-function generateId(stories) {
-  if (stories.length === 0) {
-    return 'story-1';
-  }
-  
-  const numericIds = stories
-    .map(s => {
-      const match = s.id.match(/^story-(\d+)$/);
-      return match ? parseInt(match[1], 10) : NaN;
-    })
-    .filter(id => !isNaN(id));
-  
-  if (numericIds.length === 0) {
-    return 'story-1';
-  }
-  
-  const maxId = Math.max(...numericIds);
-  return `story-${maxId + 1}`;
-}
+const STORAGE_KEY = STORAGE_KEYS.STORIES;
 
 /**
  * Validate a story element object
@@ -107,131 +51,102 @@ export function validateStory(story) {
   return errors;
 }
 
+const repository = createRepository({
+  storageKey: STORAGE_KEY,
+  label: 'Story',
+  pluralLabel: 'stories',
+  resultKey: 'story',
+  idPrefix: ID_PREFIXES.STORY,
+  validate: validateStory,
+  normalize: (storyData) => ({
+    title: storyData.title.trim(),
+    text: storyData.text.trim(),
+    mood: storyData.mood ? storyData.mood.trim() : '',
+    tags: storyData.tags.filter(tag => typeof tag === 'string').map(tag => tag.trim()),
+    time: storyData.time,
+    type: 'story' // Marker to distinguish from exercises in session items
+  }),
+  timestamps: true,
+  trashType: 'story',
+  history: true,
+  afterSave: record => registerTags(record.tags)
+});
+
+/**
+ * Get all story elements
+ * @returns {Promise<Array>} Array of story elements
+ */
+export const getStories = repository.getAll;
+
+/**
+ * Save story elements
+ * @param {Array} stories - Array of story elements to save
+ * @returns {Promise<Object>} Result object with success status or errors
+ */
+export const saveStories = repository.saveAll;
+
 /**
  * Get a story element by ID
  * @param {string} id - Story ID
- * @returns {Object|null} Story element or null if not found
+ * @returns {Promise<Object|null>} Story element or null if not found
  */
-export function getStory(id) {
-  const stories = getStories();
-  return stories.find(s => s.id === id) || null;
-}
+export const getStory = repository.getById;
 
 /**
- * Create a new story element and save to localStorage
+ * Create a new story element
  * @param {Object} storyData - Story data (without id)
- * @returns {Object} Result object with success status and data or errors
+ * @returns {Promise<Object>} Result object with success status and data or errors
  */
-export function createStory(storyData) {
-  const validationErrors = validateStory(storyData);
-  
-  if (validationErrors.length > 0) {
-    return {
-      success: false,
-      errors: validationErrors
-    };
-  }
-  
-  const stories = getStories();
-  
-  const newStory = {
-    id: generateId(stories),
-    title: storyData.title.trim(),
-    text: storyData.text.trim(),
-    mood: storyData.mood ? storyData.mood.trim() : '',
-    tags: storyData.tags.filter(tag => typeof tag === 'string').map(tag => tag.trim()),
-    time: storyData.time,
-    type: 'story' // Marker to distinguish from exercises in session items
-  };
-  
-  stories.push(newStory);
-  saveStories(stories);
-  
-  return {
-    success: true,
-    story: newStory
-  };
-}
+export const createStory = repository.create;
 
 /**
  * Update an existing story element
  * @param {string} id - Story ID to update
  * @param {Object} storyData - Updated story data
- * @returns {Object} Result object with success status and data or errors
+ * @returns {Promise<Object>} Result object with success status and data or errors
  */
-export function updateStory(id, storyData) {
-  const validationErrors = validateStory(storyData);
-  
-  if (validationErrors.length > 0) {
-    return {
-      success: false,
-      errors: validationErrors
-    };
-  }
-  
-  const stories = getStories();
-  const index = stories.findIndex(s => s.id === id);
-  
-  if (index === -1) {
-    return {
-      success: false,
-      errors: ['Story not found']
-    };
-  }
-  
-  const updatedStory = {
-    id: id,
-    title: storyData.title.trim(),
-    text: storyData.text.trim(),
-    mood: storyData.mood ? storyData.mood.trim() : '',
-    tags: storyData.tags.filter(tag => typeof tag === 'string').map(tag => tag.trim()),
-    time: storyData.time,
-    type: 'story'
-  };
-  
-  stories[index] = updatedStory;
-  saveStories(stories);
-  
-  return {
-    success: true,
-    story: updatedStory
-  };
-}
+export const updateStory = repository.update;
+
+/**
+ * Get the earlier versions of a story, most recently replaced first
+ * @param {string} id - Story ID
+ * @returns {Promise<Array>} History entries (see revisionHistory.js)
+ */
+export const getStoryHistory = repository.getHistory;
 
 /**
- * Delete a story element by ID
+ * Restore an earlier version of a story
+ * @param {string} id - Story ID
+ * @param {string} entryId - History entry ID
+ * @param {Object} [options] - Update options, e.g. { expectedRevision }
+ * @returns {Promise<Object>} Result object with success status and data or errors
+ */
+export const restoreStoryRevision = repository.restoreRevision;
+
+/**
+ * Move a story element to the trash
  * @param {string} id - Story ID to delete
- * @returns {boolean} True if deleted, false if not found
+ * @returns {Promise<boolean>} True if deleted, false if not found
  */
-export function deleteStory(id) {
-  const stories = getStories();
-  const index = stories.findIndex(s => s.id === id);
-  
-  if (index === -1) {
-    return false;
-  }
-  
-  stories.splice(index, 1);
-  saveStories(stories);
-  return true;
-}
+export const deleteStory = repository.remove;
 
 /**
- * Clear all story elements from localStorage
+ * Move a story element to the trash, keeping the references removed along with it
+ * @param {string} id - Story ID to delete
+ * @param {Object} [options] - { references } (see trashStorage.js)
+ * @returns {Promise<Object>} Result object with success status or errors
  */
-export function clearStories() {
-  if (typeof window === 'undefined') {
-    return;
-  }
-  
-  localStorage.removeItem(STORAGE_KEY);
-}
+export const moveStoryToTrash = repository.removeRecord;
+
+/**
+ * Clear all story elements
+ * @returns {Promise} Resolves when cleared
+ */
+export const clearStories = repository.clear;
 
 /**
  * Check if an ID is a story element ID
  * @param {string} id - ID to check
  * @returns {boolean} True if it's a story ID
  */
-export function isStoryId(id) {
-  return typeof id === 'string' && id.startsWith('story-');
-}
+export const isStoryId = repository.hasOwnPrefix;
@@ -0,0 +1,128 @@
+/**
+ * Story weaving
+ * Distributes the stories of a story book between the exercises of a session
+ * instead of appending them at the end. Each strategy picks the exercises a
+ * story is told before; stories left over once no suitable exercise remains
+ * are appended at the end in book order, so no chapter is lost.
+ *
+ * Stories of the book that no longer exist or are already in the session are
+ * skipped. Items already in the session keep their order.
+ *
+ * The mood strategy compares names only: a story's mood matches an exercise
+ * that has a tag or category of the same name (see getTagKey). Moods are
+ * edited in the taxonomy editor, so there is no fixed list of related tags
+ * that a rename could leave behind.
+ */
+
+import { getTagKey } from './tagRegistry';
+
+export const WEAVE_STRATEGIES = {
+  BEFORE_EACH: 'beforeEach',
+  CATEGORY_CHANGES: 'categoryChanges',
+  MOOD: 'mood'
+};
+
+/**
+ * Rate how well a story fits before an exercise
+ * A matching mood counts more than a tag the two share.
+ * @param {Object} story - Story
+ * @param {Object} exercise - Exercise
+ * @returns {number} 0 if the story does not fit
+ */
+function getMoodScore(story, exercise) {
+  const exerciseKeys = new Set([...(exercise.tags || []), exercise.category || ''].map(getTagKey));
+  const moodKey = getTagKey(story.mood || '');
+
+  const moodScore = moodKey && exerciseKeys.has(moodKey) ? 2 : 0;
+  const sharedTags = (story.tags || []).filter(tag => exerciseKeys.has(getTagKey(tag))).length;
+  return moodScore + sharedTags;
+}
+
+/**
+ * Pick the story to tell before each exercise
+ * @param {string} strategy - One of WEAVE_STRATEGIES
+ * @param {Array<Object>} exercises - Exercises of the session in order
+ * @param {Array<Object>} stories - Stories of the book in order
+ * @returns {Array<Object|null>} Story per exercise, or null for none
+ */
+function assignStories(strategy, exercises, stories) {
+  if (strategy === WEAVE_STRATEGIES.BEFORE_EACH) {
+    return exercises.map((_, index) => stories[index] || null);
+  }
+
+  if (strategy === WEAVE_STRATEGIES.CATEGORY_CHANGES) {
+    let next = 0;
+    return exercises.map((exercise, index) => {
+      const isTransition = index === 0 || exercise.category !== exercises[index - 1].category;
+      return isTransition && next < stories.length ? stories[next++] : null;
+    });
+  }
+
+  if (strategy === WEAVE_STRATEGIES.MOOD) {
+    const unused = [...stories];
+    return exercises.map(exercise => {
+      let best = null;
+      let bestScore = 0;
+      unused.forEach(story => {
+        const score = getMoodScore(story, exercise);
+        if (score > bestScore) {
+          best = story;
+          bestScore = score;
+        }
+      });
+      if (best) {
+        unused.splice(unused.indexOf(best), 1);
+      }
+      return best;
+    });
+  }
+
+  throw new Error(`Unknown weave strategy "${strategy}"`);
+}
+
+/**
+ * Weave the stories of a story book into a session's items
+ * @param {Array<string>} sequence - Item IDs of the session in order
+ * @param {Array<string>} storyIds - Story IDs of the book in order
+ * @param {Object} options
+ * @param {string} options.strategy - One of WEAVE_STRATEGIES
+ * @param {Map} options.exerciseIndex - Exercises by ID
+ * @param {Map} options.storyIndex - Stories by ID
+ * @returns {Object} { sequence: new item IDs, inserted: indexes of the added stories in it, appended: number of stories added at the end, skipped: number of stories already in the session }
+ */
+export function weaveStoryBook(sequence, storyIds, { strategy, exerciseIndex, storyIndex }) {
+  const inSession = new Set(sequence);
+  const stories = storyIds.map(id => storyIndex.get(id)).filter(Boolean);
+  const newStories = stories.filter(story => !inSession.has(story.id));
+  const exercisePositions = sequence
+    .map((id, index) => (exerciseIndex.has(id) ? index : -1))
+    .filter(index => index !== -1);
+
+  const assigned = assignStories(strategy, exercisePositions.map(index => exerciseIndex.get(sequence[index])), newStories);
+  const storyBefore = new Map(exercisePositions.map((position, index) => [position, assigned[index]]));
+  const placed = new Set(assigned.filter(Boolean));
+
+  const result = [];
+  const inserted = [];
+  const insert = story => {
+    inserted.push(result.length);
+    result.push(story.id);
+  };
+
+  sequence.forEach((id, index) => {
+    if (storyBefore.get(index)) {
+      insert(storyBefore.get(index));
+    }
+    result.push(id);
+  });
+
+  const leftover = newStories.filter(story => !placed.has(story));
+  leftover.forEach(insert);
+
+  return {
+    sequence: result,
+    inserted,
+    appended: leftover.length,
+    skipped: stories.length - newStories.length
+  };
+}
@@ -0,0 +1,248 @@
+/**
+ * Tag registry
+ * Cards keep their tags as free strings, so spellings like 'Rücken',
+ * 'rücken' and 'ruecken' end up as separate tags. The registry joins the
+ * registered tags (see tagStorage.js) with the tags found on exercises,
+ * stories and practicals, counts how often each is used and lets tags be
+ * renamed or merged on every card at once.
+ *
+ * Tags are registered when a card using them is saved (see tagStorage.js), so
+ * a tag stays listed - with a count of 0 - after the last card using it is
+ * deleted or edited, until it is deleted here.
+ *
+ * Renames and merges save each affected card as a normal update, so the
+ * version before the change stays in the card's revision history.
+ */
+
+import { getExercises, updateExercise } from './exerciseStorage';
+import { getPracticals, updatePractical } from './practicalStorage';
+import { getRevision } from './storageSync';
+import { getStories, updateStory } from './storyStorage';
+import { createTag, deleteTag, getTags, validateTag } from './tagStorage';
+
+const CARD_STORES = {
+  exercise: { label: 'Exercise', getAll: getExercises, update: updateExercise },
+  story: { label: 'Story', getAll: getStories, update: updateStory },
+  practical: { label: 'Practical', getAll: getPracticals, update: updatePractical }
+};
+
+// Spellings folded together when looking for duplicates and suggestions
+const FOLDED_CHARACTERS = { ä: 'ae', ö: 'oe', ü: 'ue', ß: 'ss' };
+
+/**
+ * @typedef {Object} TagEntry
+ * @property {string} name - Tag as written on the cards
+ * @property {string} key - Folded spelling (see getTagKey)
+ * @property {number} count - Number of cards using the tag
+ * @property {Object} counts - Cards using the tag per card type, e.g. { exercise: 2, story: 0, practical: 1 }
+ * @property {Array<string>} tagIds - IDs of the registered tag records
+ */
+
+/**
+ * Fold a tag to compare spellings, e.g. 'Rücken' and 'ruecken' -> 'ruecken'
+ * @param {string} name - Tag
+ * @returns {string} Lower-case tag with umlauts spelled out and spaces collapsed
+ */
+export function getTagKey(name) {
+  return name
+    .normalize('NFC')
+    .trim()
+    .toLowerCase()
+    .replace(/[äöüß]/g, char => FOLDED_CHARACTERS[char])
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Load the cards of every type
+ * @returns {Promise<Object>} Cards by card type
+ */
+async function loadCards() {
+  const types = Object.keys(CARD_STORES);
+  const lists = await Promise.all(types.map(type => CARD_STORES[type].getAll()));
+  return Object.fromEntries(types.map((type, index) => [type, lists[index]]));
+}
+
+/**
+ * Join registered tags and card tags into registry entries
+ * @param {Array} tags - Registered tag records
+ * @param {Object} cards - Cards by card type
+ * @returns {Array<TagEntry>} Entries sorted by name
+ */
+function buildRegistry(tags, cards) {
+  const entries = new Map();
+  const entryFor = name => {
+    if (!entries.has(name)) {
+      const counts = Object.fromEntries(Object.keys(CARD_STORES).map(type => [type, 0]));
+      entries.set(name, { name, key: getTagKey(name), count: 0, counts, tagIds: [] });
+    }
+    return entries.get(name);
+  };
+
+  tags.forEach(tag => entryFor(tag.name).tagIds.push(tag.id));
+  Object.entries(cards).forEach(([type, list]) => {
+    list.forEach(card => {
+      new Set(card.tags || []).forEach(name => {
+        const entry = entryFor(name);
+        entry.count++;
+        entry.counts[type]++;
+      });
+    });
+  });
+
+  return Array.from(entries.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get all tags with their usage counts
+ * @returns {Promise<Array<TagEntry>>} Entries sorted by name
+ */
+export async function getTagRegistry() {
+  const [tags, cards] = await Promise.all([getTags(), loadCards()]);
+  return buildRegistry(tags, cards);
+}
+
+/**
+ * Register a new tag before any card uses it
+ * @param {string} name - Tag
+ * @returns {Promise<Object>} Result object with success status and data or errors
+ */
+export async function addTag(name) {
+  const validationErrors = validateTag({ name });
+  if (validationErrors.length > 0) {
+    return { success: false, errors: validationErrors };
+  }
+
+  const registry = await getTagRegistry();
+  const existing = registry.find(entry => entry.name === name.trim());
+  if (existing) {
+    return { success: false, errors: [`Tag "${existing.name}" already exists`] };
+  }
+
+  return createTag({ name });
+}
+
+/**
+ * Replace tags with another tag on every card
+ * Cards that had both a source and the target tag keep the target once. The
+ * source tags are unregistered once no card uses them any more.
+ * @param {Array<string>} sourceNames - Tags to replace
+ * @param {string} targetName - Tag to replace them with; may be new or existing
+ * @returns {Promise<Object>} Result object with success status, number of updated cards or errors
+ */
+export async function mergeTags(sourceNames, targetName) {
+  const validationErrors = validateTag({ name: targetName });
+  if (validationErrors.length > 0) {
+    return { success: false, errors: validationErrors };
+  }
+
+  const target = targetName.trim();
+  const sources = sourceNames.filter(name => name !== target);
+  if (sources.length === 0) {
+    return { success: true, updated: 0 };
+  }
+
+  const cards = await loadCards();
+  const errors = [];
+  let updated = 0;
+
+  for (const [type, store] of Object.entries(CARD_STORES)) {
+    for (const card of cards[type]) {
+      if (!(card.tags || []).some(tag => sources.includes(tag))) {
+        continue;
+      }
+
+      const tags = [...new Set(card.tags.map(tag => (sources.includes(tag) ? target : tag)))];
+      const result = await store.update(card.id, { ...card, tags }, { expectedRevision: getRevision(card) });
+      if (result.success) {
+        updated++;
+      } else {
+        errors.push(`${store.label} "${card.title}": ${result.errors.join(', ')}`);
+      }
+    }
+  }
+
+  // Leave the registry alone if a card still carries a source tag
+  if (errors.length === 0) {
+    const tags = await getTags();
+    if (!tags.some(tag => tag.name === target)) {
+      await createTag({ name: target });
+    }
+    for (const tag of tags.filter(t => sources.includes(t.name))) {
+      await deleteTag(tag.id);
+    }
+  }
+
+  return errors.length === 0
+    ? { success: true, updated }
+    : { success: false, errors, updated };
+}
+
+/**
+ * Rename a tag on every card
+ * Renaming to an existing tag merges the two.
+ * @param {string} name - Current tag
+ * @param {string} newName - New tag
+ * @returns {Promise<Object>} Result object with success status, number of updated cards or errors
+ */
+export async function renameTag(name, newName) {
+  return mergeTags([name], newName);
+}
+
+/**
+ * Delete a tag that no card uses
+ * @param {string} name - Tag
+ * @returns {Promise<Object>} Result object with success status or errors
+ */
+export async function removeUnusedTag(name) {
+  const entry = (await getTagRegistry()).find(e => e.name === name);
+
+  if (!entry) {
+    return { success: false, errors: [`Tag "${name}" not found`] };
+  }
+  if (entry.count > 0) {
+    return { success: false, errors: [`Tag "${name}" is still used by ${entry.count} card(s)`] };
+  }
+
+  for (const id of entry.tagIds) {
+    await deleteTag(id);
+  }
+  return { success: true };
+}
+
+/**
+ * Find tags that are probably the same tag spelled differently
+ * @param {Array<TagEntry>} registry - Registry entries
+ * @returns {Array<Array<TagEntry>>} Groups of two or more entries, most used first
+ */
+export function findSimilarTags(registry) {
+  const groups = new Map();
+  registry.forEach(entry => {
+    groups.set(entry.key, [...(groups.get(entry.key) || []), entry]);
+  });
+
+  return Array.from(groups.values())
+    .filter(group => group.length > 1)
+    .map(group => [...group].sort((a, b) => b.count - a.count));
+}
+
+/**
+ * Suggest tags for what has been typed so far
+ * Tags starting with the input come first, then tags containing it; spelling
+ * differences folded by getTagKey() are ignored.
+ * @param {Array<string>} names - Known tags
+ * @param {string} input - Typed text
+ * @param {Array<string>} [exclude] - Tags already chosen
+ * @param {number} [limit] - Maximum number of suggestions
+ * @returns {Array<string>} Suggested tags
+ */
+export function suggestTags(names, input, exclude = [], limit = 8) {
+  const key = getTagKey(input || '');
+  if (!key) {
+    return [];
+  }
+
+  const candidates = names.filter(name => !exclude.includes(name) && name !== input.trim());
+  const starting = candidates.filter(name => getTagKey(name).startsWith(key));
+  const containing = candidates.filter(name => !getTagKey(name).startsWith(key) && getTagKey(name).includes(key));
+  return [...starting, ...containing].slice(0, limit);
+}
@@ -0,0 +1,99 @@
+/**
+ * Client-side tag management in browser storage
+ * This module provides functions to create, read, and manage the registered
+ * tags stored in the browser (see storageBackend.js) and optionally synced
+ * with a server (see remoteSync.js).
+ *
+ * Cards keep their tags as plain strings; the registry built on top of these
+ * records (see tagRegistry.js) adds usage counts, renames and merges. Tags
+ * are registered when a card using them is saved, so a tag stays listed after
+ * the last card using it is deleted or edited.
+ */
+
+import { createRepository } from './createRepository';
+import { ID_PREFIXES } from './ids';
+import { STORAGE_KEYS } from './storageKeys';
+
+const STORAGE_KEY = STORAGE_KEYS.TAGS;
+
+/**
+ * Validate a tag object
+ * @param {Object} tag - Tag to validate
+ * @returns {Array} Array of validation error messages
+ */
+export function validateTag(tag) {
+  const errors = [];
+
+  if (!tag.name || typeof tag.name !== 'string' || tag.name.trim() === '') {
+    errors.push('name is required and must be a non-empty string');
+  } else if (tag.name.includes(',')) {
+    errors.push('name must not contain commas');
+  }
+
+  return errors;
+}
+
+const repository = createRepository({
+  storageKey: STORAGE_KEY,
+  label: 'Tag',
+  pluralLabel: 'tags',
+  resultKey: 'tag',
+  idPrefix: ID_PREFIXES.TAG,
+  validate: validateTag,
+  normalize: (tagData) => ({
+    name: tagData.name.trim()
+  }),
+  timestamps: true
+});
+
+/**
+ * Get all registered tags
+ * @returns {Promise<Array>} Array of tags
+ */
+export const getTags = repository.getAll;
+
+/**
+ * Save tags
+ * @param {Array} tags - Array of tags to save
+ * @returns {Promise<Object>} Result object with success status or errors
+ */
+export const saveTags = repository.saveAll;
+
+/**
+ * Register a new tag
+ * @param {Object} tagData - Tag data (without id)
+ * @returns {Promise<Object>} Result object with success status and data or errors
+ */
+export const createTag = repository.create;
+
+/**
+ * Delete a registered tag
+ * @param {string} id - Tag ID to delete
+ * @returns {Promise<boolean>} True if deleted, false if not found
+ */
+export const deleteTag = repository.remove;
+
+/**
+ * Register the tags of a saved card that are not registered yet
+ * The card is already saved, so failures are only reported.
+ * @param {Array<string>} names - Tags of the card
+ * @returns {Promise} Resolves when done; never rejects
+ */
+export async function registerTags(names) {
+  const candidates = [...new Set(names.map(name => name.trim()))]
+    .filter(name => validateTag({ name }).length === 0);
+  if (candidates.length === 0) {
+    return;
+  }
+
+  const registered = new Set((await getTags()).map(tag => tag.name));
+  for (const name of candidates.filter(n => !registered.has(n))) {
+    await createTag({ name });
+  }
+}
+
+/**
+ * Clear all registered tags
+ * @returns {Promise} Resolves when cleared
+ */
+export const clearTags = repository.clear;
@@ -0,0 +1,223 @@
+/**
+ * Categories, moods and levels
+ * The values offered in the card and session forms are kept in the settings
+ * (see settingsStorage.js) as ordered lists of { name, retired }. Retired
+ * values are no longer offered for new records but stay valid on the records
+ * that use them. Lists the user never edited fall back to the defaults below.
+ *
+ * Renaming a value saves every record using it as a normal update, so the
+ * previous version stays in the record's revision history.
+ */
+
+import { getExercises, updateExercise } from './exerciseStorage';
+import { getSessions, updateSession } from './sessionStorage';
+import { getSettings, updateSettings } from './settingsStorage';
+import { getRevision } from './storageSync';
+import { getStories, updateStory } from './storyStorage';
+
+export const TAXONOMIES = {
+  EXERCISE_CATEGORIES: 'exerciseCategories',
+  STORY_MOODS: 'storyMoods',
+  SESSION_CATEGORIES: 'sessionCategories',
+  SESSION_LEVELS: 'sessionLevels'
+};
+
+// Where each taxonomy's values are used, and the values it starts with
+export const TAXONOMY_CONFIG = {
+  [TAXONOMIES.EXERCISE_CATEGORIES]: {
+    label: 'Exercise categories',
+    recordLabel: 'Exercise',
+    field: 'category',
+    getAll: getExercises,
+    update: updateExercise,
+    defaults: ['Stehübungen', 'Sitzübungen', 'Liegeübungen', 'Balanceübungen', 'Drehübungen', 'Gleichgewicht', 'Entspannung']
+  },
+  [TAXONOMIES.STORY_MOODS]: {
+    label: 'Story moods',
+    recordLabel: 'Story',
+    field: 'mood',
+    getAll: getStories,
+    update: updateStory,
+    defaults: ['Ruhig', 'Energetisch', 'Meditativ', 'Motivierend', 'Entspannend']
+  },
+  [TAXONOMIES.SESSION_CATEGORIES]: {
+    label: 'Session categories',
+    recordLabel: 'Session',
+    field: 'category',
+    getAll: getSessions,
+    update: updateSession,
+    defaults: ['Morgen', 'Abend', 'Kraft', 'Entspannung', 'Balance']
+  },
+  [TAXONOMIES.SESSION_LEVELS]: {
+    label: 'Session levels',
+    recordLabel: 'Session',
+    field: 'level',
+    getAll: getSessions,
+    update: updateSession,
+    defaults: ['Anfänger', 'Fortgeschritten', 'Alle Levels']
+  }
+};
+
+/**
+ * @typedef {Object} TaxonomyValue
+ * @property {string} name - Value as stored on records
+ * @property {boolean} retired - No longer offered for new records
+ */
+
+/**
+ * Get the default values of every taxonomy
+ * @returns {Object} Lists of TaxonomyValue by taxonomy
+ */
+export function getDefaultTaxonomies() {
+  return Object.fromEntries(Object.entries(TAXONOMY_CONFIG).map(([taxonomy, config]) => [
+    taxonomy,
+    config.defaults.map(name => ({ name, retired: false }))
+  ]));
+}
+
+/**
+ * Get the values of every taxonomy
+ * @returns {Promise<Object>} Lists of TaxonomyValue by taxonomy
+ */
+export async function getTaxonomies() {
+  const { taxonomies } = await getSettings();
+  return { ...getDefaultTaxonomies(), ...taxonomies };
+}
+
+/**
+ * Get the values to offer in a form
+ * @param {Array<TaxonomyValue>} values - Values of a taxonomy
+ * @param {string} [current] - Value of the record being edited, kept even if retired or unknown
+ * @returns {Array<string>} Names in list order
+ */
+export function getTaxonomyOptions(values, current) {
+  const names = values.filter(value => !value.retired).map(value => value.name);
+  return current && !names.includes(current) ? [...names, current] : names;
+}
+
+/**
+ * Save the values of one taxonomy
+ * @param {string} taxonomy - One of TAXONOMIES
+ * @param {Array<TaxonomyValue>} values - Values in order
+ * @returns {Promise<Object>} Result object with success status or errors
+ */
+async function saveTaxonomy(taxonomy, values) {
+  const { taxonomies } = await getSettings();
+  return updateSettings({ taxonomies: { ...taxonomies, [taxonomy]: values } });
+}
+
+/**
+ * Count how many records use each value of a taxonomy
+ * @param {string} taxonomy - One of TAXONOMIES
+ * @returns {Promise<Object>} Number of records by value name, including values missing from the list
+ */
+export async function getTaxonomyUsage(taxonomy) {
+  const { field, getAll } = TAXONOMY_CONFIG[taxonomy];
+  const usage = {};
+  (await getAll()).forEach(record => {
+    if (record[field]) {
+      usage[record[field]] = (usage[record[field]] || 0) + 1;
+    }
+  });
+  return usage;
+}
+
+/**
+ * Add a value at the end of a taxonomy
+ * Adding a retired value brings it back instead.
+ * @param {string} taxonomy - One of TAXONOMIES
+ * @param {string} name - New value
+ * @returns {Promise<Object>} Result object with success status or errors
+ */
+export async function addTaxonomyValue(taxonomy, name) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) {
+    return { success: false, errors: ['name is required and must be a non-empty string'] };
+  }
+
+  const values = (await getTaxonomies())[taxonomy];
+  const existing = values.find(value => value.name === trimmed);
+  if (existing && !existing.retired) {
+    return { success: false, errors: [`"${trimmed}" already exists`] };
+  }
+
+  return saveTaxonomy(taxonomy, existing
+    ? values.map(value => (value === existing ? { ...value, retired: false } : value))
+    : [...values, { name: trimmed, retired: false }]);
+}
+
+/**
+ * Move a value one place up or down
+ * @param {string} taxonomy - One of TAXONOMIES
+ * @param {string} name - Value to move
+ * @param {number} offset - -1 to move up, 1 to move down
+ * @returns {Promise<Object>} Result object with success status or errors
+ */
+export async function moveTaxonomyValue(taxonomy, name, offset) {
+  const values = [...(await getTaxonomies())[taxonomy]];
+  const index = values.findIndex(value => value.name === name);
+  const target = index + offset;
+
+  if (index === -1 || target < 0 || target >= values.length) {
+    return { success: true };
+  }
+
+  [values[index], values[target]] = [values[target], values[index]];
+  return saveTaxonomy(taxonomy, values);
+}
+
+/**
+ * Retire a value, or bring a retired value back
+ * @param {string} taxonomy - One of TAXONOMIES
+ * @param {string} name - Value
+ * @param {boolean} retired - True to retire
+ * @returns {Promise<Object>} Result object with success status or errors
+ */
+export async function setTaxonomyValueRetired(taxonomy, name, retired) {
+  const values = (await getTaxonomies())[taxonomy];
+  return saveTaxonomy(taxonomy, values.map(value => (value.name === name ? { ...value, retired } : value)));
+}
+
+/**
+ * Rename a value in its taxonomy and on every record using it
+ * Renaming to another existing value merges the two. The list is only
+ * changed once all records were updated, so a failed rename can be retried.
+ * @param {string} taxonomy - One of TAXONOMIES
+ * @param {string} name - Current value
+ * @param {string} newName - New value
+ * @returns {Promise<Object>} Result object with success status, number of updated records or errors
+ */
+export async function renameTaxonomyValue(taxonomy, name, newName) {
+  const target = (newName || '').trim();
+  if (!target) {
+    return { success: false, errors: ['name is required and must be a non-empty string'] };
+  }
+  if (target === name) {
+    return { success: true, updated: 0 };
+  }
+
+  const { field, getAll, update, recordLabel } = TAXONOMY_CONFIG[taxonomy];
+  const errors = [];
+  let updated = 0;
+
+  for (const record of (await getAll()).filter(r => r[field] === name)) {
+    const result = await update(record.id, { ...record, [field]: target }, { expectedRevision: getRevision(record) });
+    if (result.success) {
+      updated++;
+    } else {
+      errors.push(`${recordLabel} "${record.title}": ${result.errors.join(', ')}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    return { success: false, errors, updated };
+  }
+
+  const values = (await getTaxonomies())[taxonomy];
+  const merged = values.some(value => value.name === target);
+  const saved = await saveTaxonomy(taxonomy, merged
+    ? values.filter(value => value.name !== name)
+    : values.map(value => (value.name === name ? { ...value, name: target } : value)));
+
+  return saved.success ? { success: true, updated } : { ...saved, updated };
+}
@@ -0,0 +1,317 @@
+/**
+ * Trash for deleted records
+ * Repositories created with a `trashType` move deleted records here instead of
+ * dropping them. A trash entry keeps the record, the storage key it came from,
+ * its schema version and - for cards - where it was referenced, so restoring
+ * puts the card back into its sessions, sets and story books.
+ *
+ * Entries older than the retention period from the settings are purged by
+ * purgeExpiredTrash(). Records deleted for good lose their revision history
+ * (see revisionHistory.js). This module talks to the storage adapter directly
+ * because the repositories themselves depend on it.
+ */
+
+import './dataMigrations';
+import { ensureReadable } from './quarantine';
+import { removeRevisionHistory } from './revisionHistory';
+import { ensureSchema, getSchemaVersion, migrateRecords } from './schemaMigrations';
+import { getSettings } from './settingsStorage';
+import { getStorageAdapter } from './storageBackend';
+import { reportStorageError } from './storageHealth';
+import { STORAGE_KEYS } from './storageKeys';
+import { notifyStorageChange, withNextRevision } from './storageSync';
+
+const STORAGE_KEY = STORAGE_KEYS.TRASH;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} TrashReference
+ * @property {string} storageKey - Storage key of the referencing collection
+ * @property {string} idsField - Field holding the card IDs, e.g. 'exercises'
+ * @property {string} containerId - ID of the referencing session, set or story book
+ * @property {Array<number>} positions - Indexes the card ID had in the ID list
+ * @property {boolean} [unique] - True if the ID list holds each ID only once
+ */
+
+/**
+ * Check whether a collection can be written to, without failing on quarantined data
+ * @param {Object} adapter - Storage adapter
+ * @param {string} storageKey - Storage key
+ * @returns {Promise<boolean>} True if readable
+ */
+async function isReadable(adapter, storageKey) {
+  try {
+    await ensureReadable(adapter, storageKey);
+    return true;
+  } catch (error) {
+    console.warn(`Not restoring references into ${storageKey}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Get the storage adapter with the trash at the current schema version
+ * @returns {Promise<Object|null>} Storage adapter, or null during server rendering
+ */
+async function getAdapter() {
+  const adapter = await getStorageAdapter();
+  if (adapter) {
+    await ensureReadable(adapter, STORAGE_KEY);
+    await ensureSchema(adapter, STORAGE_KEY);
+  }
+  return adapter;
+}
+
+/**
+ * Read all trash entries
+ * @param {Object} adapter - Storage adapter
+ * @returns {Promise<Array>} Trash entries
+ */
+async function readEntries(adapter) {
+  const entries = await adapter.read(STORAGE_KEY);
+  return Array.isArray(entries) ? entries : [];
+}
+
+/**
+ * Describe the records of trash entries for removeRevisionHistory()
+ * @param {Array} entries - Trash entries
+ * @returns {Array<Object>} { storageKey, recordId } pairs
+ */
+function historyOwners(entries) {
+  return entries.map(entry => ({ storageKey: entry.storageKey, recordId: entry.record.id }));
+}
+
+/**
+ * Move a deleted record into the trash
+ * Rejects if the entry could not be stored, so the caller can keep the record.
+ * @param {Object} item - Deleted item
+ * @param {string} item.entityType - Entity type, e.g. 'exercise' or 'storySet'
+ * @param {string} item.storageKey - Storage key the record was deleted from
+ * @param {Object} item.record - The deleted record
+ * @param {Array<TrashReference>} [item.references] - References removed with the record
+ * @returns {Promise<Object>} The stored trash entry
+ */
+export async function moveToTrash({ entityType, storageKey, record, references = [] }) {
+  const adapter = await getAdapter();
+  if (!adapter) {
+    throw new Error('Storage is not available');
+  }
+
+  const deletedAt = new Date().toISOString();
+  const entry = {
+    id: `trash-${entityType}-${record.id}-${Date.now()}`,
+    entityType,
+    storageKey,
+    schemaVersion: getSchemaVersion(storageKey),
+    record,
+    references,
+    deletedAt
+  };
+
+  await adapter.put(STORAGE_KEY, entry);
+  notifyStorageChange(STORAGE_KEY);
+  return entry;
+}
+
+/**
+ * Get all trash entries, most recently deleted first
+ * @returns {Promise<Array>} Trash entries
+ */
+export async function getTrash() {
+  try {
+    const adapter = await getAdapter();
+    if (!adapter) {
+      return [];
+    }
+    const entries = await readEntries(adapter);
+    return entries.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+  } catch (error) {
+    console.error('Failed to read trash from storage:', error);
+    return [];
+  }
+}
+
+/**
+ * Replace all trash entries, e.g. when importing a backup
+ * @param {Array} entries - Trash entries
+ * @returns {Promise<Object>} Result object with success status or errors
+ */
+export async function saveTrash(entries) {
+  try {
+    const adapter = await getAdapter();
+    if (!adapter) {
+      return { success: false, errors: ['Storage is not available'] };
+    }
+    await adapter.write(STORAGE_KEY, entries);
+    notifyStorageChange(STORAGE_KEY);
+    return { success: true };
+  } catch (error) {
+    return { success: false, errors: [reportStorageError(error, 'save trash')] };
+  }
+}
+
+/**
+ * Get the date a trash entry will be purged
+ * @param {Object} entry - Trash entry
+ * @param {number} retentionDays - Retention period in days, 0 for no purging
+ * @returns {Date|null} Purge date, or null if the entry is kept
+ */
+export function getPurgeDate(entry, retentionDays) {
+  if (!retentionDays) {
+    return null;
+  }
+  return new Date(new Date(entry.deletedAt).getTime() + retentionDays * DAY_MS);
+}
+
+/**
+ * Put a restored card ID back into the collections that referenced it
+ * Containers that were deleted in the meantime are skipped.
+ * @param {Object} adapter - Storage adapter
+ * @param {string} cardId - Card ID
+ * @param {Array<TrashReference>} references - References stored with the entry
+ * @returns {Promise<number>} Number of references that could not be restored
+ */
+async function restoreReferences(adapter, cardId, references) {
+  let skipped = 0;
+
+  for (const reference of references) {
+    if (!(await isReadable(adapter, reference.storageKey))) {
+      skipped++;
+      continue;
+    }
+    await ensureSchema(adapter, reference.storageKey);
+    const containers = (await adapter.read(reference.storageKey)) || [];
+    const container = containers.find(record => record.id === reference.containerId);
+
+    if (!container || !Array.isArray(container[reference.idsField])) {
+      skipped++;
+      continue;
+    }
+
+    const ids = [...container[reference.idsField]];
+    [...reference.positions].sort((a, b) => a - b).forEach(position => {
+      if (reference.unique && ids.includes(cardId)) {
+        return;
+      }
+      ids.splice(Math.min(position, ids.length), 0, cardId);
+    });
+
+    await adapter.put(reference.storageKey, withNextRevision({ ...container, [reference.idsField]: ids }));
+    notifyStorageChange(reference.storageKey);
+  }
+
+  return skipped;
+}
+
+/**
+ * Restore a trash entry
+ * The record is upgraded to the current schema version and put back under its
+ * original ID; cards are also re-inserted where they were referenced.
+ * @param {string} trashId - Trash entry ID
+ * @returns {Promise<Object>} Result object with success status, entry and skipped references or errors
+ */
+export async function restoreFromTrash(trashId) {
+  try {
+    const adapter = await getAdapter();
+    if (!adapter) {
+      return { success: false, errors: ['Storage is not available'] };
+    }
+
+    const entry = (await readEntries(adapter)).find(e => e.id === trashId);
+    if (!entry) {
+      return { success: false, errors: ['Trash entry not found'] };
+    }
+
+    await ensureReadable(adapter, entry.storageKey);
+    await ensureSchema(adapter, entry.storageKey);
+    const records = (await adapter.read(entry.storageKey)) || [];
+    const [record] = migrateRecords(entry.storageKey, [entry.record], entry.schemaVersion).records;
+
+    if (records.some(existing => existing.id === record.id)) {
+      return {
+        success: false,
+        errors: [`An item with ID "${record.id}" already exists`]
+      };
+    }
+
+    await adapter.put(entry.storageKey, withNextRevision(record));
+    notifyStorageChange(entry.storageKey);
+    const skippedReferences = await restoreReferences(adapter, record.id, entry.references || []);
+    await adapter.remove(STORAGE_KEY, trashId);
+    notifyStorageChange(STORAGE_KEY);
+
+    return {
+      success: true,
+      entry,
+      skippedReferences
+    };
+  } catch (error) {
+    return { success: false, errors: [reportStorageError(error, 'restore item from trash')] };
+  }
+}
+
+/**
+ * Permanently delete a trash entry
+ * @param {string} trashId - Trash entry ID
+ * @returns {Promise<boolean>} True if deleted, false if not found
+ */
+export async function deleteFromTrash(trashId) {
+  try {
+    const adapter = await getAdapter();
+    if (!adapter) {
+      return false;
+    }
+    const entry = (await readEntries(adapter)).find(e => e.id === trashId);
+    const removed = await adapter.remove(STORAGE_KEY, trashId);
+    notifyStorageChange(STORAGE_KEY);
+    if (entry) {
+      await removeRevisionHistory(historyOwners([entry]));
+    }
+    return removed;
+  } catch (error) {
+    console.error('Failed to delete item from trash:', error);
+    return false;
+  }
+}
+
+/**
+ * Permanently delete all trash entries
+ * @returns {Promise} Resolves when cleared
+ */
+export async function emptyTrash() {
+  const adapter = await getAdapter();
+  if (adapter) {
+    const entries = await readEntries(adapter);
+    await adapter.clear(STORAGE_KEY);
+    notifyStorageChange(STORAGE_KEY);
+    await removeRevisionHistory(historyOwners(entries));
+  }
+}
+
+/**
+ * Permanently delete entries older than the configured retention period
+ * @returns {Promise<number>} Number of purged entries
+ */
+export async function purgeExpiredTrash() {
+  try {
+    const adapter = await getAdapter();
+    const { trashRetentionDays } = await getSettings();
+    if (!adapter || !trashRetentionDays) {
+      return 0;
+    }
+
+    const now = Date.now();
+    const entries = await readEntries(adapter);
+    const kept = entries.filter(entry => getPurgeDate(entry, trashRetentionDays).getTime() > now);
+
+    if (kept.length < entries.length) {
+      await adapter.write(STORAGE_KEY, kept);
+      notifyStorageChange(STORAGE_KEY);
+      await removeRevisionHistory(historyOwners(entries.filter(entry => !kept.includes(entry))));
+    }
+    return entries.length - kept.length;
+  } catch (error) {
+    console.error('Failed to purge expired trash entries:', error);
+    return 0;
+  }
+}
@@ -0,0 +1,47 @@
+import { useCallback, useEffect, useSyncExternalStore } from 'react';
+import { getCachedRecords, loadRecords, subscribeToRecords } from './recordCache';
+
+/**
+ * Subscribe a component to the cached records of one storage key
+ * The records are loaded on first use and kept up to date with writes from
+ * this and other tabs (see recordCache.js). The component re-renders only when
+ * this collection changes.
+ * @param {string} storageKey - One of STORAGE_KEYS
+ * @returns {Object} { records, byId, isLoaded }; treat the records as read-only
+ */
+export function useRecords(storageKey) {
+  const subscribe = useCallback(listener => subscribeToRecords(storageKey, listener), [storageKey]);
+  const getSnapshot = useCallback(() => getCachedRecords(storageKey), [storageKey]);
+  const entry = useSyncExternalStore(subscribe, getSnapshot, getSnapshot);
+
+  useEffect(() => {
+    if (!entry.isLoaded) {
+      loadRecords(storageKey);
+    }
+  }, [storageKey, entry]);
+
+  return entry;
+}
+
+/**
+ * Subscribe a component to a single cached record
+ * Re-renders only when that record is saved or deleted, not when other
+ * records of the collection change.
+ * @param {string} storageKey - One of STORAGE_KEYS
+ * @param {string} id - Record ID
+ * @returns {Object|null} Record, or null if not found or not loaded yet
+ */
+export function useRecord(storageKey, id) {
+  const subscribe = useCallback(listener => subscribeToRecords(storageKey, listener), [storageKey]);
+  const getSnapshot = useCallback(() => getCachedRecords(storageKey).byId.get(id) || null, [storageKey, id]);
+  const record = useSyncExternalStore(subscribe, getSnapshot, getSnapshot);
+  const { isLoaded } = getCachedRecords(storageKey);
+
+  useEffect(() => {
+    if (!isLoaded) {
+      loadRecords(storageKey);
+    }
+  }, [storageKey, isLoaded]);
+
+  return record;
+}
@@ -0,0 +1,40 @@
+import { useEffect, useRef } from 'react';
+import { subscribeToStorageChanges } from './storageSync';
+
+// Several keys usually change together (e.g. a card and the sessions using it),
+// so changes arriving within this window trigger a single reload
+const RELOAD_DELAY_MS = 100;
+
+/**
+ * Reload page data when another tab changes storage
+ * @param {Function} onChange - Called once per burst of changes, e.g. the page's loadData
+ * @param {Array<string>} [storageKeys] - Storage keys to watch; all keys when omitted
+ */
+export function useStorageSync(onChange, storageKeys) {
+  const onChangeRef = useRef(onChange);
+  const storageKeysRef = useRef(storageKeys);
+
+  useEffect(() => {
+    onChangeRef.current = onChange;
+    storageKeysRef.current = storageKeys;
+  });
+
+  useEffect(() => {
+    let timeoutId = null;
+
+    const unsubscribe = subscribeToStorageChanges(storageKey => {
+      const keys = storageKeysRef.current;
+      if (keys && !keys.includes(storageKey)) {
+        return;
+      }
+
+      clearTimeout(timeoutId);
+      timeoutId = setTimeout(() => onChangeRef.current(), RELOAD_DELAY_MS);
+    });
+
+    return () => {
+      clearTimeout(timeoutId);
+      unsubscribe();
+    };
+  }, []);
+}
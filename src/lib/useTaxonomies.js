@@ -0,0 +1,25 @@
+import { useCallback, useEffect, useState } from 'react';
+import { SETTINGS_SYNC_KEY } from './settingsStorage';
+import { getDefaultTaxonomies, getTaxonomies } from './taxonomy';
+import { useStorageSync } from './useStorageSync';
+
+/**
+ * Get the category, mood and level lists for forms and filters
+ * Starts with the defaults and reloads when the lists are edited in another tab.
+ * @returns {Object} Lists of { name, retired } by taxonomy (see taxonomy.js)
+ */
+export function useTaxonomies() {
+  const [taxonomies, setTaxonomies] = useState(getDefaultTaxonomies);
+
+  const load = useCallback(async () => {
+    setTaxonomies(await getTaxonomies());
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  useStorageSync(load, [SETTINGS_SYNC_KEY]);
+
+  return taxonomies;
+}